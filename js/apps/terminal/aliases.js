@@ -0,0 +1,148 @@
+// js/apps/terminal/aliases.js
+
+/**
+ * Shell aliases: definition, persistence and expansion
+ * @author jared u.
+ */
+
+import { expandAliases } from './shellParser.js';
+
+const STORAGE_KEY = 'neuOS_terminal_aliases';
+
+/** Aliases a fresh terminal starts with */
+export const DEFAULT_ALIASES = {
+    'll': 'ls -l',
+    'la': 'ls -a',
+    'l': 'ls -lA',
+    '..': 'cd ..',
+    '...': 'cd ../..',
+    'h': 'history'
+};
+
+/**
+ * Quote a value so that `alias` output can be pasted back in.
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+function isValidName(name) {
+    return name !== '' && !/[\s/$`=\\|&;<>()'"]/.test(name);
+}
+
+/**
+ * Load aliases from localStorage, falling back to the defaults.
+ * @param {Terminal} terminal
+ */
+export function loadAliases(terminal) {
+    terminal.aliases = new Map(Object.entries(DEFAULT_ALIASES));
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            terminal.aliases = new Map(Object.entries(JSON.parse(saved)));
+        }
+    } catch (error) {
+        console.warn('neuOS: Failed to load terminal aliases:', error);
+    }
+}
+
+/**
+ * Save aliases to localStorage
+ * @param {Terminal} terminal
+ */
+export function saveAliases(terminal) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(terminal.aliases)));
+    } catch (error) {
+        console.warn('neuOS: Failed to save terminal aliases:', error);
+    }
+}
+
+/**
+ * Expand aliases in a command line. Lines that cannot be tokenized are
+ * returned unchanged so the shell can report the syntax error itself.
+ * @param {Terminal} terminal
+ * @param {string} line
+ * @returns {string}
+ */
+export function applyAliases(terminal, line) {
+    if (!terminal.aliases?.size) return line;
+    try {
+        return expandAliases(line, name => terminal.aliases.get(name));
+    } catch {
+        return line;
+    }
+}
+
+/**
+ * alias [name[=value] ...]
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleAlias(terminal, args, io = {}) {
+    const format = name => `alias ${name}=${quote(terminal.aliases.get(name))}`;
+    const operands = args[0] === '-p' ? args.slice(1) : args;
+    if (!operands.length) {
+        return [...terminal.aliases.keys()].sort().map(format).join('\n');
+    }
+
+    const output = [];
+    let changed = false;
+    for (const operand of operands) {
+        const separator = operand.indexOf('=');
+        if (separator === -1) {
+            if (terminal.aliases.has(operand)) {
+                output.push(format(operand));
+            } else {
+                output.push(`bash: alias: ${operand}: not found`);
+                io.exitCode = 1;
+            }
+            continue;
+        }
+
+        const name = operand.slice(0, separator);
+        if (!isValidName(name)) {
+            output.push(`bash: alias: \`${name}': invalid alias name`);
+            io.exitCode = 1;
+            continue;
+        }
+        terminal.aliases.set(name, operand.slice(separator + 1));
+        changed = true;
+    }
+
+    if (changed) saveAliases(terminal);
+    return output.join('\n');
+}
+
+/**
+ * unalias [-a] name [name ...]
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleUnalias(terminal, args, io = {}) {
+    if (!args.length) {
+        io.exitCode = 2;
+        return 'unalias: usage: unalias [-a] name [name ...]';
+    }
+    if (args[0] === '-a') {
+        terminal.aliases.clear();
+        saveAliases(terminal);
+        return '';
+    }
+
+    const output = [];
+    for (const name of args) {
+        if (!terminal.aliases.delete(name)) {
+            output.push(`bash: unalias: ${name}: not found`);
+            io.exitCode = 1;
+        }
+    }
+    saveAliases(terminal);
+    return output.join('\n');
+}
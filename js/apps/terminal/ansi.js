@@ -0,0 +1,201 @@
+// js/apps/terminal/ansi.js
+
+/**
+ * ANSI escape sequence support for terminal output. SGR sequences
+ * (colors, bold, underline, ...) become styled spans; every other escape
+ * sequence is dropped. The 16 base colors render through the --ansi-N
+ * variables in design-tokens.css, which follow the active theme, while
+ * 256-color and truecolor values are applied as literal colors.
+ * @author jared u.
+ */
+
+const ESC = '\x1b';
+
+/**
+ * CSI sequences (parameters in group 1, final byte in group 2), OSC
+ * strings ended by BEL or ST, and two-byte escapes.
+ */
+const ESCAPE_PATTERN = /\x1b(?:\[([0-?]*)[ -/]*([@-~])|\][^\x07\x1b]*(?:\x07|\x1b\\)?|[ -/]*[0-~]?)/g;
+
+/** The eight base colors in SGR order; 30 + index selects one */
+export const ANSI_COLORS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+const ATTRIBUTES = {
+    bold: 1, dim: 2, italic: 3, underline: 4, inverse: 7, hidden: 8, strike: 9
+};
+
+/** SGR codes that switch an attribute off */
+const ATTRIBUTE_RESETS = {
+    21: ['underline'], 22: ['bold', 'dim'], 23: ['italic'], 24: ['underline'],
+    27: ['inverse'], 28: ['hidden'], 29: ['strike']
+};
+
+export function hasAnsi(text) {
+    return typeof text === 'string' && text.includes(ESC);
+}
+
+export function stripAnsi(text) {
+    return hasAnsi(text) ? text.replace(ESCAPE_PATTERN, '') : text;
+}
+
+function rgb(r, g, b) {
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/** Color n of the xterm 256-color table; the first 16 stay themed */
+function xtermColor(n) {
+    if (n < 16) return n;
+    if (n >= 232) {
+        const level = 8 + (n - 232) * 10;
+        return rgb(level, level, level);
+    }
+    const cube = n - 16;
+    const level = value => (value === 0 ? 0 : 55 + value * 40);
+    return rgb(level(Math.floor(cube / 36)), level(Math.floor(cube / 6) % 6), level(cube % 6));
+}
+
+/**
+ * Read a 38/48 extended color starting at codes[index].
+ * @returns {{color: (number|string|undefined), next: number}}
+ */
+function extendedColor(codes, index) {
+    if (codes[index] === 5) {
+        const n = codes[index + 1];
+        return { color: n >= 0 && n <= 255 ? xtermColor(n) : undefined, next: index + 2 };
+    }
+    if (codes[index] === 2) {
+        const channels = codes.slice(index + 1, index + 4);
+        const valid = channels.length === 3 && channels.every(value => value >= 0);
+        return {
+            color: valid ? rgb(...channels.map(value => Math.min(value, 255))) : undefined,
+            next: index + 4
+        };
+    }
+    return { color: undefined, next: codes.length };
+}
+
+/** Apply one SGR parameter list to a copy of the current style */
+function applySgr(style, params) {
+    const codes = params === '' ? [0] : params.split(';').map(code => (code === '' ? 0 : Number(code)));
+    let next = { ...style };
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) {
+            next = {};
+        } else if (code === 38 || code === 48) {
+            const { color, next: after } = extendedColor(codes, i + 1);
+            if (color !== undefined) next[code === 38 ? 'fg' : 'bg'] = color;
+            i = after - 1;
+        } else if (code >= 30 && code <= 37) {
+            next.fg = code - 30;
+        } else if (code >= 40 && code <= 47) {
+            next.bg = code - 40;
+        } else if (code >= 90 && code <= 97) {
+            next.fg = code - 90 + 8;
+        } else if (code >= 100 && code <= 107) {
+            next.bg = code - 100 + 8;
+        } else if (code === 39) {
+            delete next.fg;
+        } else if (code === 49) {
+            delete next.bg;
+        } else if (ATTRIBUTE_RESETS[code]) {
+            ATTRIBUTE_RESETS[code].forEach(name => delete next[name]);
+        } else {
+            const name = Object.keys(ATTRIBUTES).find(key => ATTRIBUTES[key] === code);
+            if (name) next[name] = true;
+        }
+    }
+    return next;
+}
+
+/**
+ * Split text into runs of identically styled characters. A style holds
+ * fg/bg (a palette index 0-15 or an rgb() string) and boolean attributes.
+ * @returns {Array<{text: string, style: Object}>}
+ */
+export function parseAnsi(text) {
+    const segments = [];
+    let style = {};
+    let last = 0;
+    const push = chunk => {
+        if (!chunk) return;
+        const previous = segments[segments.length - 1];
+        if (previous && previous.style === style) previous.text += chunk;
+        else segments.push({ text: chunk, style });
+    };
+    for (const match of text.matchAll(ESCAPE_PATTERN)) {
+        push(text.slice(last, match.index));
+        last = match.index + match[0].length;
+        const [, params, final] = match;
+        if (final === 'm' && !/^[<=>?]/.test(params)) style = applySgr(style, params);
+    }
+    push(text.slice(last));
+    return segments;
+}
+
+function colorRule(color, property, classes, css) {
+    if (typeof color === 'number') classes.push(`ansi-${property}-${color}`);
+    else if (color === 'default') classes.push(`ansi-${property}-inverse`);
+    else if (color) css[property === 'fg' ? 'color' : 'backgroundColor'] = color;
+}
+
+/**
+ * Render text containing escape sequences as a fragment of text nodes and
+ * spans. Text is never parsed as HTML.
+ * @returns {DocumentFragment}
+ */
+export function renderAnsi(text) {
+    return renderSegments(parseAnsi(text));
+}
+
+/**
+ * Render runs from parseAnsi, e.g. one line's worth of them.
+ * @param {Array<{text: string, style: Object}>} segments
+ * @returns {DocumentFragment}
+ */
+export function renderSegments(segments) {
+    const fragment = document.createDocumentFragment();
+    for (const { text: chunk, style } of segments) {
+        const classes = Object.keys(ATTRIBUTES)
+            .filter(name => name !== 'inverse' && style[name])
+            .map(name => `ansi-${name}`);
+        const css = {};
+        const fg = style.inverse ? (style.bg ?? 'default') : style.fg;
+        const bg = style.inverse ? (style.fg ?? 'default') : style.bg;
+        colorRule(fg, 'fg', classes, css);
+        colorRule(bg, 'bg', classes, css);
+        if (!classes.length && !Object.keys(css).length) {
+            fragment.appendChild(document.createTextNode(chunk));
+            continue;
+        }
+        const span = document.createElement('span');
+        if (classes.length) span.className = classes.join(' ');
+        Object.assign(span.style, css);
+        span.textContent = chunk;
+        fragment.appendChild(span);
+    }
+    return fragment;
+}
+
+function styleCode(name) {
+    if (ATTRIBUTES[name]) return ATTRIBUTES[name];
+    const match = /^(bg)?(bright)?(\w+)$/i.exec(name);
+    const index = match ? ANSI_COLORS.indexOf(match[3].toLowerCase()) : -1;
+    if (index === -1) return null;
+    return (match[1] ? 40 : 30) + (match[2] ? 60 : 0) + index;
+}
+
+/**
+ * Wrap text in SGR sequences so commands can color their output without
+ * writing HTML, e.g. colorize('FAIL', 'bold', 'red') or 'bgBrightBlue'.
+ * '#rrggbb' selects a truecolor foreground. Unknown names are ignored.
+ */
+export function colorize(text, ...styles) {
+    const codes = styles.map(name => {
+        const hex = /^#([0-9a-f]{6})$/i.exec(name);
+        if (!hex) return styleCode(name);
+        const value = parseInt(hex[1], 16);
+        return `38;2;${value >> 16};${(value >> 8) & 255};${value & 255}`;
+    }).filter(code => code !== null);
+    return codes.length ? `${ESC}[${codes.join(';')}m${text}${ESC}[0m` : text;
+}
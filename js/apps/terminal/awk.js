@@ -0,0 +1,1041 @@
+// js/apps/terminal/awk.js
+
+/**
+ * A small awk interpreter: BEGIN/END blocks, pattern-action rules and
+ * ranges, field splitting, print/printf, variables and associative arrays,
+ * if/while/for/for-in, next/exit, and the common string built-ins.
+ * @author jared u.
+ */
+
+import { AppError, ErrorTypes } from '../../utils/utils.js';
+import { compilePattern } from './posixRegex.js';
+
+const KEYWORDS = new Set(['BEGIN', 'END', 'print', 'printf', 'if', 'else', 'while', 'for', 'in', 'next', 'exit', 'delete']);
+const BUILTINS = new Set(['length', 'substr', 'index', 'split', 'sub', 'gsub', 'match', 'tolower', 'toupper', 'int', 'sprintf']);
+const PUNCTUATORS = [
+    '+=', '-=', '*=', '/=', '%=', '^=', '==', '!=', '<=', '>=', '&&', '||', '++', '--', '!~', '>>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '+', '-', '*', '/', '%', '^', '!', '>', '<', '|', '=', '~', '?', ':', '$'
+];
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '^=']);
+const COMPARISON_OPERATORS = new Set(['<', '<=', '==', '!=', '>=', '>']);
+const STRING_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"', '/': '/', a: '\x07', b: '\b', f: '\f', v: '\v' };
+const NUMERIC_PREFIX = /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/;
+const NUMERIC_STRING = /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+const MAX_STEPS = 1000000;
+const SUBSEP = '\x1c';
+
+function awkError(message) {
+    return new AppError(message, ErrorTypes.VALIDATION);
+}
+
+// --- values ---------------------------------------------------------------
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value).match(NUMERIC_PREFIX);
+    return match ? Number(match[0]) : 0;
+}
+
+/**
+ * Format a number the way printf's %g does.
+ * @param {number} value
+ * @param {number} precision - Significant digits
+ * @returns {string}
+ */
+function formatGeneral(value, precision) {
+    if (value === 0) return '0';
+    if (!Number.isFinite(value)) return value > 0 ? 'inf' : value < 0 ? '-inf' : 'nan';
+    const digits = Math.max(precision, 1);
+    const exponent = Math.floor(Math.log10(Math.abs(Number(value.toPrecision(digits)))));
+    if (exponent < -4 || exponent >= digits) {
+        return value.toExponential(digits - 1)
+            .replace(/\.?0+e/, 'e')
+            .replace(/e([+-])(\d)$/, 'e$10$2');
+    }
+    return value.toFixed(Math.max(digits - 1 - exponent, 0)).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+}
+
+function toText(value) {
+    if (typeof value !== 'number') return value;
+    return Number.isInteger(value) ? String(value) : formatGeneral(value, 6);
+}
+
+/**
+ * Format values with a printf-style format string.
+ * @param {string} format
+ * @param {Array<string|number>} values
+ * @returns {string}
+ */
+export function formatPrintf(format, values) {
+    let index = 0;
+    const nextValue = () => (index < values.length ? values[index++] : '');
+
+    return format.replace(/%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?([diouxXeEfgGcs%])/g, (match, flags, width, precision, conversion) => {
+        if (conversion === '%') return '%';
+        if (width === '*') width = toNumber(nextValue());
+        if (precision === '*') precision = toNumber(nextValue());
+        width = width === undefined ? 0 : Number(width);
+        precision = precision === undefined ? undefined : Number(precision || 0);
+        const value = nextValue();
+        const numeric = !'cs'.includes(conversion);
+
+        let body;
+        let sign = '';
+        if (numeric) {
+            const number = toNumber(value);
+            const magnitude = Math.abs(number);
+            sign = number < 0 ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+            switch (conversion) {
+                case 'd':
+                case 'i':
+                case 'u':
+                    body = String(Math.trunc(magnitude));
+                    if (precision !== undefined) body = body.padStart(precision, '0');
+                    break;
+                case 'o':
+                    body = Math.trunc(magnitude).toString(8);
+                    break;
+                case 'x':
+                case 'X':
+                    body = Math.trunc(magnitude).toString(16);
+                    if (conversion === 'X') body = body.toUpperCase();
+                    break;
+                case 'e':
+                case 'E':
+                    body = magnitude.toExponential(precision ?? 6).replace(/e([+-])(\d)$/, 'e$10$2');
+                    if (conversion === 'E') body = body.toUpperCase();
+                    break;
+                case 'f':
+                    body = magnitude.toFixed(precision ?? 6);
+                    break;
+                default:
+                    body = formatGeneral(magnitude, precision ?? 6);
+                    if (conversion === 'G') body = body.toUpperCase();
+            }
+        } else if (conversion === 'c') {
+            body = typeof value === 'number' ? String.fromCharCode(value) : String(value).charAt(0);
+        } else {
+            body = String(toText(value));
+            if (precision !== undefined) body = body.slice(0, precision);
+        }
+
+        const length = sign.length + body.length;
+        if (length >= width) return sign + body;
+        if (flags.includes('-')) return (sign + body).padEnd(width);
+        if (flags.includes('0') && numeric) return sign + body.padStart(width - sign.length, '0');
+        return (sign + body).padStart(width);
+    });
+}
+
+// --- lexer ----------------------------------------------------------------
+
+function regexAllowed(previous) {
+    if (!previous) return true;
+    if (['number', 'string', 'regex', 'name', 'builtin'].includes(previous.type)) return false;
+    return !(previous.type === 'punct' && [')', ']', '$', '++', '--'].includes(previous.value));
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    const readUntil = (terminator, what) => {
+        let text = '';
+        i++;
+        while (i < source.length && source[i] !== terminator) {
+            if (source[i] === '\n') break;
+            if (source[i] === '\\' && i + 1 < source.length) {
+                const next = source[i + 1];
+                if (terminator === '"') text += STRING_ESCAPES[next] ?? `\\${next}`;
+                else text += next === '/' ? '/' : `\\${next}`;
+                i += 2;
+            } else {
+                text += source[i++];
+            }
+        }
+        if (source[i] !== terminator) throw awkError(`non-terminated ${what}`);
+        i++;
+        return text;
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const previous = tokens[tokens.length - 1];
+
+        if (char === '\\' && source[i + 1] === '\n') {
+            i += 2;
+        } else if (char === ' ' || char === '\t' || char === '\r') {
+            i++;
+        } else if (char === '#') {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (char === '\n') {
+            tokens.push({ type: 'newline', value: '\n' });
+            i++;
+        } else if (/\d/.test(char) || (char === '.' && /\d/.test(source[i + 1] || ''))) {
+            const [text] = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+            tokens.push({ type: 'number', value: Number(text) });
+            i += text.length;
+        } else if (char === '"') {
+            tokens.push({ type: 'string', value: readUntil('"', 'string') });
+        } else if (char === '/' && regexAllowed(previous)) {
+            tokens.push({ type: 'regex', value: readUntil('/', 'regular expression') });
+        } else if (/[A-Za-z_]/.test(char)) {
+            const [name] = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            const type = KEYWORDS.has(name) ? 'keyword' : BUILTINS.has(name) ? 'builtin' : 'name';
+            tokens.push({ type, value: name });
+            i += name.length;
+        } else {
+            const operator = PUNCTUATORS.find(candidate => source.startsWith(candidate, i));
+            if (!operator) throw awkError(`syntax error: unexpected character '${char}'`);
+            tokens.push({ type: 'punct', value: operator });
+            i += operator.length;
+        }
+    }
+    tokens.push({ type: 'eof', value: 'end of program' });
+    return tokens;
+}
+
+// --- parser ---------------------------------------------------------------
+
+function isLvalue(node) {
+    return node.type === 'var' || node.type === 'index' || node.type === 'field';
+}
+
+class Parser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.position = 0;
+        this.noGreater = false;
+        this.noIn = false;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type !== 'string' && token.type !== 'regex' && token.value === value;
+    }
+
+    accept(value) {
+        if (!this.is(value)) return false;
+        this.position++;
+        return true;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) this.fail();
+    }
+
+    fail(token = this.peek()) {
+        throw awkError(`syntax error at or near ${token.type === 'newline' ? 'end of line' : token.value}`);
+    }
+
+    skipNewlines() {
+        while (this.peek().type === 'newline') this.position++;
+    }
+
+    skipTerminators() {
+        while (this.peek().type === 'newline' || this.is(';')) this.position++;
+    }
+
+    parseProgram() {
+        const program = { begin: [], end: [], rules: [] };
+        this.skipTerminators();
+        while (this.peek().type !== 'eof') {
+            if (this.accept('BEGIN')) {
+                program.begin.push(this.parseBlock());
+            } else if (this.accept('END')) {
+                program.end.push(this.parseBlock());
+            } else {
+                const rule = { pattern: null, until: null, action: null, active: false };
+                if (!this.is('{')) {
+                    rule.pattern = this.parseExpression();
+                    if (this.accept(',')) {
+                        this.skipNewlines();
+                        rule.until = this.parseExpression();
+                    }
+                }
+                if (this.is('{')) rule.action = this.parseBlock();
+                program.rules.push(rule);
+            }
+            this.skipTerminators();
+        }
+        return program;
+    }
+
+    parseBlock() {
+        this.expect('{');
+        const body = [];
+        this.skipTerminators();
+        while (!this.is('}')) {
+            if (this.peek().type === 'eof') this.fail();
+            body.push(this.parseStatement());
+            this.skipTerminators();
+        }
+        this.next();
+        return { type: 'block', body };
+    }
+
+    endSimpleStatement() {
+        if (this.is(';') || this.peek().type === 'newline') {
+            this.next();
+        } else if (!this.is('}') && this.peek().type !== 'eof') {
+            this.fail();
+        }
+    }
+
+    parseBody() {
+        this.skipNewlines();
+        if (this.accept(';')) return { type: 'block', body: [] };
+        return this.parseStatement();
+    }
+
+    parseStatement() {
+        const token = this.peek();
+        if (this.is('{')) return this.parseBlock();
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'if': {
+                    this.next();
+                    this.expect('(');
+                    const test = this.parseExpression();
+                    this.expect(')');
+                    const then = this.parseBody();
+                    const mark = this.position;
+                    this.skipTerminators();
+                    if (this.accept('else')) return { type: 'if', test, then, otherwise: this.parseBody() };
+                    this.position = mark;
+                    return { type: 'if', test, then, otherwise: null };
+                }
+                case 'while': {
+                    this.next();
+                    this.expect('(');
+                    const test = this.parseExpression();
+                    this.expect(')');
+                    return { type: 'while', test, body: this.parseBody() };
+                }
+                case 'for':
+                    return this.parseFor();
+                case 'next':
+                    this.next();
+                    this.endSimpleStatement();
+                    return { type: 'next' };
+                case 'exit': {
+                    this.next();
+                    const status = this.startsExpression() ? this.parseExpression() : null;
+                    this.endSimpleStatement();
+                    return { type: 'exit', status };
+                }
+                case 'delete': {
+                    this.next();
+                    const name = this.next();
+                    if (name.type !== 'name') this.fail(name);
+                    const subscripts = this.accept('[') ? this.parseList(']') : null;
+                    this.endSimpleStatement();
+                    return { type: 'delete', name: name.value, subscripts };
+                }
+                case 'print':
+                case 'printf':
+                    return this.parsePrint();
+                default:
+                    this.fail();
+            }
+        }
+
+        const expression = this.parseExpression();
+        this.endSimpleStatement();
+        return { type: 'expression', expression };
+    }
+
+    parseFor() {
+        this.next();
+        this.expect('(');
+        if (this.peek().type === 'name' && this.is('in', 1) && this.peek(2).type === 'name' && this.is(')', 3)) {
+            const variable = this.next().value;
+            this.next();
+            const array = this.next().value;
+            this.next();
+            return { type: 'forIn', variable, array, body: this.parseBody() };
+        }
+        const init = this.is(';') ? null : this.parseExpression();
+        this.expect(';');
+        this.skipNewlines();
+        const test = this.is(';') ? null : this.parseExpression();
+        this.expect(';');
+        this.skipNewlines();
+        const step = this.is(')') ? null : this.parseExpression();
+        this.expect(')');
+        return { type: 'for', init, test, step, body: this.parseBody() };
+    }
+
+    parsePrint() {
+        const printf = this.next().value === 'printf';
+        let args = [];
+        if (this.is('(')) {
+            // print (a, b) groups its argument list; print (a) b is a concatenation
+            const mark = this.position;
+            this.next();
+            const list = this.parseList(')');
+            if (this.atStatementEnd() || this.is('>') || this.is('>>') || this.is('|')) {
+                args = list;
+            } else {
+                this.position = mark;
+            }
+        }
+        if (!args.length && !this.atStatementEnd()) {
+            this.noGreater = true;
+            args = [this.parseExpression()];
+            while (this.accept(',')) {
+                this.skipNewlines();
+                args.push(this.parseExpression());
+            }
+            this.noGreater = false;
+        }
+        if (this.is('>') || this.is('>>') || this.is('|')) {
+            throw awkError('output redirection is not supported');
+        }
+        if (printf && !args.length) throw awkError('printf: no format');
+        this.endSimpleStatement();
+        return { type: 'print', printf, args };
+    }
+
+    atStatementEnd() {
+        return this.is(';') || this.is('}') || ['newline', 'eof'].includes(this.peek().type);
+    }
+
+    parseList(closer) {
+        const items = [];
+        const saved = [this.noGreater, this.noIn];
+        this.noGreater = this.noIn = false;
+        this.skipNewlines();
+        if (!this.is(closer)) {
+            items.push(this.parseExpression());
+            while (this.accept(',')) {
+                this.skipNewlines();
+                items.push(this.parseExpression());
+            }
+        }
+        this.expect(closer);
+        [this.noGreater, this.noIn] = saved;
+        return items;
+    }
+
+    startsExpression() {
+        const token = this.peek();
+        if (['number', 'string', 'regex', 'name', 'builtin'].includes(token.type)) return true;
+        return token.type === 'punct' && ['$', '(', '!', '-', '+', '++', '--'].includes(token.value);
+    }
+
+    parseExpression() {
+        const target = this.parseTernary();
+        const token = this.peek();
+        if (token.type === 'punct' && ASSIGNMENT_OPERATORS.has(token.value)) {
+            if (!isLvalue(target)) this.fail();
+            this.next();
+            this.skipNewlines();
+            return { type: 'assign', op: token.value, target, value: this.parseExpression() };
+        }
+        return target;
+    }
+
+    parseTernary() {
+        const test = this.parseOr();
+        if (!this.accept('?')) return test;
+        this.skipNewlines();
+        const then = this.parseTernary();
+        this.skipNewlines();
+        this.expect(':');
+        this.skipNewlines();
+        return { type: 'ternary', test, then, otherwise: this.parseTernary() };
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept('||')) {
+            this.skipNewlines();
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseIn();
+        while (this.accept('&&')) {
+            this.skipNewlines();
+            left = { type: 'and', left, right: this.parseIn() };
+        }
+        return left;
+    }
+
+    parseIn() {
+        let left = this.parseMatch();
+        while (!this.noIn && this.is('in')) {
+            this.next();
+            const array = this.next();
+            if (array.type !== 'name') this.fail(array);
+            left = { type: 'in', key: left, array: array.value };
+        }
+        return left;
+    }
+
+    parseMatch() {
+        let left = this.parseComparison();
+        while (this.is('~') || this.is('!~')) {
+            const negate = this.next().value === '!~';
+            left = { type: 'match', negate, left, right: this.parseComparison() };
+        }
+        return left;
+    }
+
+    parseComparison() {
+        const left = this.parseConcatenation();
+        const token = this.peek();
+        if (token.type !== 'punct' || !COMPARISON_OPERATORS.has(token.value)) return left;
+        if (token.value === '>' && this.noGreater) return left;
+        this.next();
+        return { type: 'compare', op: token.value, left, right: this.parseConcatenation() };
+    }
+
+    startsConcatenation() {
+        const token = this.peek();
+        if (['number', 'string', 'name', 'builtin'].includes(token.type)) return true;
+        if (token.type === 'keyword') return false;
+        return token.type === 'punct' && ['$', '(', '!', '++', '--'].includes(token.value) &&
+            !(token.value === '!' && this.is('=', 1));
+    }
+
+    parseConcatenation() {
+        let left = this.parseAdditive();
+        while (this.startsConcatenation()) {
+            left = { type: 'concat', left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.is('+') || this.is('-')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.is('*') || this.is('/') || this.is('%')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.is('!') || this.is('-') || this.is('+')) {
+            const op = this.next().value;
+            return { type: 'unary', op, operand: this.parseUnary() };
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const base = this.parsePostfix();
+        if (!this.accept('^')) return base;
+        return { type: 'binary', op: '^', left: base, right: this.parseUnary() };
+    }
+
+    parsePostfix() {
+        if (this.is('++') || this.is('--')) {
+            const op = this.next().value;
+            const target = this.parsePostfix();
+            if (!isLvalue(target)) this.fail();
+            return { type: 'increment', op, prefix: true, target };
+        }
+        const node = this.parsePrimary();
+        if (isLvalue(node) && (this.is('++') || this.is('--'))) {
+            return { type: 'increment', op: this.next().value, prefix: false, target: node };
+        }
+        return node;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        switch (token.type) {
+            case 'number':
+                return { type: 'number', value: token.value };
+            case 'string':
+                return { type: 'string', value: token.value };
+            case 'regex':
+                return { type: 'regex', regex: compilePattern(token.value, { extended: true }) };
+            case 'builtin': {
+                const args = this.accept('(') ? this.parseList(')') : [];
+                return { type: 'call', name: token.value, args };
+            }
+            case 'name':
+                if (this.accept('[')) return { type: 'index', name: token.value, subscripts: this.parseList(']') };
+                return { type: 'var', name: token.value };
+            default:
+                if (token.value === '$') {
+                    if (this.is('++') || this.is('--')) return { type: 'field', index: this.parsePostfix() };
+                    return { type: 'field', index: this.parsePrimary() };
+                }
+                if (token.value === '(') {
+                    const [expression, ...rest] = this.parseList(')');
+                    if (!expression || rest.length) this.fail(token);
+                    return { type: 'group', expression };
+                }
+                if (token.value === '-' || token.value === '+' || token.value === '!') {
+                    return { type: 'unary', op: token.value, operand: this.parseUnary() };
+                }
+                return this.fail(token);
+        }
+    }
+}
+
+/**
+ * Parse an awk program.
+ * @param {string} source
+ * @returns {object} Program tree with `begin`, `end` and `rules`
+ * @throws {AppError} On syntax errors
+ */
+export function parseAwk(source) {
+    return new Parser(source).parseProgram();
+}
+
+// --- interpreter ----------------------------------------------------------
+
+class NextRecord {}
+
+class ExitProgram {
+    constructor(status) {
+        this.status = status;
+    }
+}
+
+class AwkRuntime {
+    constructor(program, { fieldSeparator = ' ', variables = {} } = {}) {
+        this.program = program;
+        this.vars = new Map(Object.entries({
+            FS: fieldSeparator, OFS: ' ', ORS: '\n', NR: 0, FNR: 0, NF: 0, FILENAME: '',
+            SUBSEP, RSTART: 0, RLENGTH: -1, ...variables
+        }));
+        this.arrays = new Map();
+        this.regexCache = new Map();
+        this.output = [];
+        this.steps = 0;
+        this.setRecord('');
+    }
+
+    tick() {
+        if (++this.steps > MAX_STEPS) throw awkError('program exceeded the execution limit');
+    }
+
+    // records and fields
+
+    splitRecord(record) {
+        const separator = toText(this.vars.get('FS'));
+        if (separator === ' ') {
+            const trimmed = record.trim();
+            return trimmed ? trimmed.split(/[ \t\n]+/) : [];
+        }
+        if (record === '') return [];
+        if (separator.length === 1 && separator !== '\\') return record.split(separator);
+        return record.split(this.dynamicRegex(separator));
+    }
+
+    setRecord(record) {
+        this.fields = [record, ...this.splitRecord(record)];
+        this.vars.set('NF', this.fields.length - 1);
+    }
+
+    rebuildRecord() {
+        this.fields[0] = this.fields.slice(1).map(toText).join(toText(this.vars.get('OFS')));
+    }
+
+    getField(index) {
+        if (index < 0) throw awkError(`trying to access out of range field ${index}`);
+        return this.fields[index] ?? '';
+    }
+
+    setField(index, value) {
+        if (index < 0) throw awkError(`trying to access out of range field ${index}`);
+        if (index === 0) {
+            this.setRecord(toText(value));
+            return;
+        }
+        while (this.fields.length <= index) this.fields.push('');
+        this.fields[index] = value;
+        this.vars.set('NF', this.fields.length - 1);
+        this.rebuildRecord();
+    }
+
+    setFieldCount(count) {
+        this.fields.length = Math.max(Math.trunc(count), 0) + 1;
+        for (let i = 1; i < this.fields.length; i++) this.fields[i] ??= '';
+        this.rebuildRecord();
+    }
+
+    // variables and arrays
+
+    array(name) {
+        if (!this.arrays.has(name)) this.arrays.set(name, new Map());
+        return this.arrays.get(name);
+    }
+
+    subscript(nodes) {
+        return nodes.map(node => toText(this.evaluate(node))).join(toText(this.vars.get('SUBSEP')));
+    }
+
+    isUnset(node) {
+        if (node.type === 'var') return !this.vars.has(node.name);
+        if (node.type === 'index') return !this.array(node.name).has(this.subscript(node.subscripts));
+        return false;
+    }
+
+    read(node) {
+        if (node.type === 'var') return this.vars.has(node.name) ? this.vars.get(node.name) : '';
+        if (node.type === 'index') return this.array(node.name).get(this.subscript(node.subscripts)) ?? '';
+        return this.getField(Math.trunc(toNumber(this.evaluate(node.index))));
+    }
+
+    write(node, value) {
+        if (node.type === 'var') {
+            if (this.arrays.has(node.name)) throw awkError(`can't assign to ${node.name}; it's an array name.`);
+            this.vars.set(node.name, value);
+            if (node.name === 'NF') this.setFieldCount(toNumber(value));
+        } else if (node.type === 'index') {
+            this.array(node.name).set(this.subscript(node.subscripts), value);
+        } else {
+            this.setField(Math.trunc(toNumber(this.evaluate(node.index))), value);
+        }
+        return value;
+    }
+
+    // regular expressions
+
+    dynamicRegex(source) {
+        if (!this.regexCache.has(source)) {
+            this.regexCache.set(source, compilePattern(source, { extended: true }));
+        }
+        return this.regexCache.get(source);
+    }
+
+    regexFor(node) {
+        return node.type === 'regex' ? node.regex : this.dynamicRegex(toText(this.evaluate(node)));
+    }
+
+    // expressions
+
+    /**
+     * Whether a value should compare as a number. Constants follow their
+     * type; values that came from input (fields, variables, array elements)
+     * compare numerically when they look like numbers.
+     */
+    isNumeric(node, value) {
+        if (typeof value === 'number') return true;
+        if (!['field', 'var', 'index'].includes(node.type)) return false;
+        return NUMERIC_STRING.test(value) || this.isUnset(node);
+    }
+
+    truthy(node, value) {
+        if (typeof value === 'number') return value !== 0;
+        if (this.isNumeric(node, value)) return toNumber(value) !== 0;
+        return value !== '';
+    }
+
+    condition(node) {
+        return this.truthy(node, this.evaluate(node));
+    }
+
+    evaluate(node) {
+        switch (node.type) {
+            case 'number':
+            case 'string':
+                return node.value;
+            case 'regex':
+                return node.regex.test(toText(this.fields[0])) ? 1 : 0;
+            case 'group':
+                return this.evaluate(node.expression);
+            case 'var':
+            case 'index':
+            case 'field':
+                return this.read(node);
+            case 'assign': {
+                const value = this.evaluate(node.value);
+                if (node.op === '=') return this.write(node.target, value);
+                const current = toNumber(this.read(node.target));
+                return this.write(node.target, this.arithmetic(node.op.slice(0, -1), current, toNumber(value)));
+            }
+            case 'increment': {
+                const current = toNumber(this.read(node.target));
+                const updated = node.op === '++' ? current + 1 : current - 1;
+                this.write(node.target, updated);
+                return node.prefix ? updated : current;
+            }
+            case 'unary': {
+                const value = this.evaluate(node.operand);
+                if (node.op === '!') return this.truthy(node.operand, value) ? 0 : 1;
+                return node.op === '-' ? -toNumber(value) : toNumber(value);
+            }
+            case 'binary':
+                return this.arithmetic(node.op, toNumber(this.evaluate(node.left)), toNumber(this.evaluate(node.right)));
+            case 'concat':
+                return `${toText(this.evaluate(node.left))}${toText(this.evaluate(node.right))}`;
+            case 'compare':
+                return this.compare(node) ? 1 : 0;
+            case 'match': {
+                const matched = this.regexFor(node.right).test(toText(this.evaluate(node.left)));
+                return matched !== node.negate ? 1 : 0;
+            }
+            case 'and':
+                return this.condition(node.left) && this.condition(node.right) ? 1 : 0;
+            case 'or':
+                return this.condition(node.left) || this.condition(node.right) ? 1 : 0;
+            case 'ternary':
+                return this.condition(node.test) ? this.evaluate(node.then) : this.evaluate(node.otherwise);
+            case 'in': {
+                const key = node.key.type === 'group' ? node.key.expression : node.key;
+                return this.array(node.array).has(toText(this.evaluate(key))) ? 1 : 0;
+            }
+            case 'call':
+                return this.call(node);
+            default:
+                throw awkError(`cannot evaluate ${node.type}`);
+        }
+    }
+
+    arithmetic(op, left, right) {
+        switch (op) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '^': return left ** right;
+            case '/':
+            case '%':
+                if (right === 0) throw awkError(`division by zero${op === '%' ? ' in %' : ''}`);
+                return op === '/' ? left / right : left % right;
+            default:
+                throw awkError(`unknown operator ${op}`);
+        }
+    }
+
+    compare(node) {
+        const left = this.evaluate(node.left);
+        const right = this.evaluate(node.right);
+        let order;
+        if (this.isNumeric(node.left, left) && this.isNumeric(node.right, right)) {
+            order = toNumber(left) - toNumber(right);
+        } else {
+            const a = toText(left);
+            const b = toText(right);
+            order = a < b ? -1 : a > b ? 1 : 0;
+        }
+        switch (node.op) {
+            case '<': return order < 0;
+            case '<=': return order <= 0;
+            case '>': return order > 0;
+            case '>=': return order >= 0;
+            case '==': return order === 0;
+            default: return order !== 0;
+        }
+    }
+
+    call({ name, args }) {
+        const text = index => toText(this.evaluate(args[index]));
+        switch (name) {
+            case 'length':
+                if (!args.length) return toText(this.fields[0]).length;
+                if (args[0].type === 'var' && this.arrays.has(args[0].name)) return this.arrays.get(args[0].name).size;
+                return text(0).length;
+            case 'substr': {
+                const source = text(0);
+                const start = Math.round(toNumber(this.evaluate(args[1])));
+                const end = args.length > 2 ? start + Math.round(toNumber(this.evaluate(args[2]))) : source.length + 1;
+                const from = Math.max(start, 1);
+                return source.slice(from - 1, Math.max(end - 1, from - 1));
+            }
+            case 'index':
+                return text(0).indexOf(text(1)) + 1;
+            case 'split': {
+                if (args[1]?.type !== 'var') throw awkError('split: second argument must be an array');
+                const source = text(0);
+                const separator = args.length > 2 ? text(2) : toText(this.vars.get('FS'));
+                const saved = this.vars.get('FS');
+                this.vars.set('FS', separator);
+                const pieces = this.splitRecord(source);
+                this.vars.set('FS', saved);
+                const array = this.array(args[1].name);
+                array.clear();
+                pieces.forEach((piece, index) => array.set(String(index + 1), piece));
+                return pieces.length;
+            }
+            case 'sub':
+            case 'gsub': {
+                const regex = this.regexFor(args[0]);
+                const target = args[2] ?? { type: 'field', index: { type: 'number', value: 0 } };
+                if (!isLvalue(target)) throw awkError(`${name}: third argument must be a variable`);
+                const replacement = text(1);
+                const pattern = new RegExp(regex.source, regex.flags.replace('g', '') + (name === 'gsub' ? 'g' : ''));
+                let count = 0;
+                const result = toText(this.read(target)).replace(pattern, match => {
+                    count++;
+                    return replacement.replace(/\\\\|\\&|&/g, token => (token === '&' ? match : token.slice(1)));
+                });
+                if (count) this.write(target, result);
+                return count;
+            }
+            case 'match': {
+                const match = this.regexFor(args[1]).exec(text(0));
+                this.vars.set('RSTART', match ? match.index + 1 : 0);
+                this.vars.set('RLENGTH', match ? match[0].length : -1);
+                return this.vars.get('RSTART');
+            }
+            case 'tolower':
+                return text(0).toLowerCase();
+            case 'toupper':
+                return text(0).toUpperCase();
+            case 'int':
+                return Math.trunc(toNumber(this.evaluate(args[0])));
+            case 'sprintf':
+                if (!args.length) throw awkError('sprintf: no format');
+                return formatPrintf(text(0), args.slice(1).map(arg => this.evaluate(arg)));
+            default:
+                throw awkError(`calling undefined function ${name}`);
+        }
+    }
+
+    // statements
+
+    execute(node) {
+        this.tick();
+        switch (node.type) {
+            case 'block':
+                node.body.forEach(statement => this.execute(statement));
+                break;
+            case 'expression':
+                this.evaluate(node.expression);
+                break;
+            case 'print':
+                this.print(node);
+                break;
+            case 'if':
+                if (this.condition(node.test)) this.execute(node.then);
+                else if (node.otherwise) this.execute(node.otherwise);
+                break;
+            case 'while':
+                while (this.condition(node.test)) {
+                    this.tick();
+                    this.execute(node.body);
+                }
+                break;
+            case 'for':
+                if (node.init) this.evaluate(node.init);
+                while (!node.test || this.condition(node.test)) {
+                    this.tick();
+                    this.execute(node.body);
+                    if (node.step) this.evaluate(node.step);
+                }
+                break;
+            case 'forIn':
+                for (const key of [...this.array(node.array).keys()]) {
+                    this.vars.set(node.variable, key);
+                    this.execute(node.body);
+                }
+                break;
+            case 'delete':
+                if (node.subscripts) this.array(node.name).delete(this.subscript(node.subscripts));
+                else this.array(node.name).clear();
+                break;
+            case 'next':
+                throw new NextRecord();
+            case 'exit':
+                throw new ExitProgram(node.status ? Math.trunc(toNumber(this.evaluate(node.status))) : 0);
+            default:
+                throw awkError(`cannot execute ${node.type}`);
+        }
+    }
+
+    print({ printf, args }) {
+        const values = args.map(arg => this.evaluate(arg));
+        if (printf) {
+            this.output.push(formatPrintf(toText(values[0]), values.slice(1)));
+            return;
+        }
+        const line = values.length ? values.map(toText).join(toText(this.vars.get('OFS'))) : toText(this.fields[0]);
+        this.output.push(line + toText(this.vars.get('ORS')));
+    }
+
+    matchesRule(rule) {
+        if (!rule.pattern) return true;
+        if (!rule.until) return this.condition(rule.pattern);
+        if (rule.active) {
+            if (this.condition(rule.until)) rule.active = false;
+            return true;
+        }
+        if (!this.condition(rule.pattern)) return false;
+        rule.active = !this.condition(rule.until);
+        return true;
+    }
+
+    processRecord(record) {
+        this.vars.set('NR', toNumber(this.vars.get('NR')) + 1);
+        this.vars.set('FNR', toNumber(this.vars.get('FNR')) + 1);
+        this.setRecord(record);
+        try {
+            for (const rule of this.program.rules) {
+                if (!this.matchesRule(rule)) continue;
+                if (rule.action) this.execute(rule.action);
+                else this.print({ printf: false, args: [] });
+            }
+        } catch (signal) {
+            if (!(signal instanceof NextRecord)) throw signal;
+        }
+    }
+
+    run(inputs) {
+        let status = 0;
+        try {
+            this.program.begin.forEach(block => this.execute(block));
+            if (this.program.rules.length || this.program.end.length) {
+                for (const { name, text } of inputs) {
+                    this.vars.set('FILENAME', name);
+                    this.vars.set('FNR', 0);
+                    if (text === '') continue;
+                    text.replace(/\n$/, '').split('\n').forEach(line => this.processRecord(line));
+                }
+            }
+        } catch (signal) {
+            if (!(signal instanceof ExitProgram)) throw signal;
+            status = signal.status;
+        }
+        // Like awk, exit in BEGIN or a rule still runs the END actions
+        try {
+            this.program.end.forEach(block => this.execute(block));
+        } catch (signal) {
+            if (!(signal instanceof ExitProgram)) throw signal;
+            status = signal.status;
+        }
+        return { output: this.output.join(''), status };
+    }
+}
+
+/**
+ * Run an awk program over a list of inputs.
+ * @param {string} source - Program text
+ * @param {Array<{name: string, text: string}>} inputs
+ * @param {object} [options]
+ * @param {string} [options.fieldSeparator=' '] - Initial FS (-F)
+ * @param {object} [options.variables] - Extra variables (-v name=value)
+ * @returns {{output: string, status: number}}
+ * @throws {AppError} On syntax or runtime errors
+ */
+export function runAwk(source, inputs, options = {}) {
+    return new AwkRuntime(parseAwk(source), options).run(inputs);
+}
@@ -1,5 +1,8 @@
 // js/apps/terminal/commands/appControl.js
 
+import { formatIPv4, getNetwork } from '../netlab.js';
+import { table } from '../outputNodes.js';
+
 export function handleLaunch(args) { return 'App launch not implemented'; }
 
 export function listApps() { return 'Available apps: terminal, resume, demoscene'; }
@@ -38,7 +41,20 @@ export function handleDesktop() { return 'Desktop control not implemented'; }
 
 export function handleNetworkControl() { return 'Network control not implemented'; }
 
-export function handleDeviceControl() { return 'Device control not implemented'; }
+/**
+ * devices: every host in the simulated lab, with its kind and addresses.
+ */
+export function handleDeviceControl() {
+    return table([
+        'Device',
+        'Type',
+        { label: 'Addresses', type: 'address' }
+    ], [...getNetwork().hosts.values()].map(host => [
+        host.fqdn,
+        host.group,
+        host.interfaces.map(iface => formatIPv4(iface.address)).join(', ')
+    ]));
+}
 
 export function handleStatusControl() { return 'Status control not implemented'; }
 
@@ -1,55 +1,1354 @@
 // js/apps/terminal/commands/cisco.js
 
-export function handleConfigure() {
-    return 'Entering configuration mode...\nType "exit" to return to privileged EXEC mode.';
+/**
+ * The Cisco IOS command set. `enable` or `configure terminal` at the
+ * shell prompt opens a session on the console device (see ios.js); from
+ * then on each line is read the way IOS reads it, until `exit` leaves
+ * user EXEC mode. Keywords may be abbreviated, `no` undoes a
+ * configuration command, `do` runs an EXEC command from configuration
+ * mode, and the mode decides which commands exist.
+ * @author jared u.
+ */
+
+import { createContext, displayResult, drainStream } from '../shell.js';
+import { isStream, sleep } from '../jobs.js';
+import { classfulPrefix, formatIPv4, getNetwork, parseIPv4, prefixMask, stableHash } from '../netlab.js';
+import {
+    ACL_PORT_NAMES,
+    IosInputError,
+    IosSession,
+    compareAclNames,
+    compareInterfaceNames,
+    createInterface,
+    expectAddress,
+    formatAclEntry,
+    expectNumber,
+    getConsoleDevice,
+    getDevice,
+    getPlatform,
+    isNamedAcl,
+    isStandardAcl,
+    isVirtualInterface,
+    matchKeyword,
+    parseInterfaceName,
+    renderConfig,
+    shortInterfaceName
+} from '../ios.js';
+import { getBgp, getEigrp, getOspf, getRoutes, interfaceState } from '../routing.js';
+import { connectTcp, getHits } from '../firewall.js';
+import { block, isOutputNode, nodeToText, table } from '../outputNodes.js';
+
+const DEFAULT_HOSTNAME = 'Router';
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const NVRAM_BYTES = 262136;
+// Pause between the stages of a reload's boot messages, in milliseconds
+const BOOT_STEP_DELAY = 400;
+
+// Output filters after `|`, as in show running-config | include ospf
+const FILTERS = ['begin', 'exclude', 'include', 'section'];
+
+// Shown on switches after the configured VLANs
+const RESERVED_VLANS = [[1002, 'fddi-default'], [1003, 'token-ring-default'], [1004, 'fddinet-default'], [1005, 'trnet-default']];
+
+// show ip route <protocol>, and the codes each one covers
+const ROUTE_PROTOCOLS = { bgp: ['B'], connected: ['C', 'L'], eigrp: ['D'], ospf: ['O', 'O IA'], static: ['S'] };
+
+// Routes that show how long ago they were learned
+const LEARNED_CODES = ['B', 'D', 'O', 'O IA'];
+
+const ROUTE_CODES = `Codes: L - local, C - connected, S - static, R - RIP, M - mobile, B - BGP
+       D - EIGRP, EX - EIGRP external, O - OSPF, IA - OSPF inter area
+       N1 - OSPF NSSA external type 1, N2 - OSPF NSSA external type 2
+       E1 - OSPF external type 1, E2 - OSPF external type 2
+       i - IS-IS, su - IS-IS summary, L1 - IS-IS level-1, L2 - IS-IS level-2
+       ia - IS-IS inter area, * - candidate default, U - per-user static route
+       o - ODR, P - periodic downloaded static route, H - NHRP, l - LISP
+       + - replicated route, % - next hop override`;
+
+// Sub-modes fall back to global configuration commands, as IOS does
+const SUBMODES = ['config-if', 'config-vlan', 'config-router', 'config-std-nacl', 'config-ext-nacl'];
+
+// Commands `no` cannot negate
+const NOT_NEGATABLE = ['do', 'end', 'exit', 'no'];
+
+// Commands only some kinds of device have, and which
+const PLATFORM_COMMANDS = {
+    router: ['routers', 'firewalls'],
+    switchport: ['switches'],
+    vlan: ['switches']
+};
+
+// Where the remote login protocols listen
+const LOGIN_PORTS = { ssh: 22, telnet: 23 };
+
+const BGP_STATUS_CODES = `Status codes: s suppressed, d damped, h history, * valid, > best, i - internal,
+              r RIB-failure, S Stale, m multipath, b backup-path, f RT-Filter,
+              x best-external, a additional-path, c RIB-compressed,
+Origin codes: i - IGP, e - EGP, ? - incomplete
+RPKI validation codes: V valid, I invalid, N Not found`;
+
+const MODE_HEADINGS = {
+    user: 'Exec commands:',
+    privileged: 'Exec commands:',
+    config: 'Configure commands:',
+    'config-if': 'Interface configuration commands:',
+    'config-vlan': 'VLAN configuration commands:',
+    'config-router': 'Router configuration commands:',
+    'config-std-nacl': 'Standard Access List configuration commands:',
+    'config-ext-nacl': 'Extended Access List configuration commands:'
+};
+
+const USER_COMMANDS = {
+    enable: ['Turn on privileged commands', handleEnable],
+    exit: ['Exit from the EXEC', handleCiscoExit],
+    logout: ['Exit from the EXEC', handleCiscoExit],
+    show: ['Show running system information', handleCiscoShow],
+    ssh: ['Open a secure shell client connection', loginSsh],
+    telnet: ['Open a telnet connection', loginTelnet]
+};
+
+// What `do` may run from configuration mode
+const DO_COMMANDS = {
+    copy: ['Copy from one file to another', handleCopy],
+    erase: ['Erase a filesystem', handleErase],
+    reload: ['Halt and perform a cold restart', handleReload],
+    show: USER_COMMANDS.show,
+    write: ['Write running configuration to memory, network, or terminal', handleWrite]
+};
+
+const PRIVILEGED_COMMANDS = {
+    ...USER_COMMANDS,
+    ...DO_COMMANDS,
+    configure: ['Enter configuration mode', handleConfigure],
+    disable: ['Turn off privileged commands', handleDisable]
+};
+
+// Shared by every configuration mode
+const MODE_COMMANDS = {
+    do: ['To run exec commands in config mode', handleDo],
+    end: ['Exit from configure mode', handleEnd],
+    exit: ['Exit from configure mode', handleCiscoExit],
+    no: ['Negate a command or set its defaults', handleNo]
+};
+
+const CONFIG_COMMANDS = {
+    ...MODE_COMMANDS,
+    'access-list': ['Add an access list entry', handleAccessList],
+    banner: ['Define a login banner', configureBanner],
+    enable: ['Modify enable password parameters', configureEnable],
+    hostname: ['Set system\'s network name', configureHostname],
+    interface: ['Select an interface to configure', handleInterface],
+    ip: ['Global IP configuration subcommands', configureIp],
+    router: ['Enable a routing process', configureRouter],
+    username: ['Establish User Name Authentication', handleUsername],
+    vlan: ['Vlan commands', handleVlan]
+};
+
+const INTERFACE_COMMANDS = {
+    ...MODE_COMMANDS,
+    bandwidth: ['Set bandwidth informational parameter', configureBandwidth],
+    description: ['Interface specific description', configureDescription],
+    ip: ['Interface Internet Protocol config commands', configureInterfaceIp],
+    shutdown: ['Shutdown the selected interface', configureShutdown],
+    switchport: ['Set switching mode characteristics', configureSwitchport]
+};
+
+const VLAN_COMMANDS = {
+    ...MODE_COMMANDS,
+    name: ['Ascii name of the VLAN', configureVlanName]
+};
+
+// The entries of a named access list, in ip access-list mode
+const ACL_COMMANDS = {
+    ...MODE_COMMANDS,
+    deny: ['Specify packets to reject', aclEntryCommand('deny')],
+    permit: ['Specify packets to forward', aclEntryCommand('permit')],
+    remark: ['Access list entry comment', aclEntryCommand('remark')]
+};
+
+const ROUTER_COMMANDS = {
+    ospf: {
+        ...MODE_COMMANDS,
+        network: ['Enable routing on an IP network', configureOspfNetwork],
+        'passive-interface': ['Suppress routing updates on an interface', configurePassiveInterface],
+        'router-id': ['router-id for this OSPF process', configureRouterId]
+    },
+    eigrp: {
+        ...MODE_COMMANDS,
+        eigrp: ['EIGRP specific commands', configureRouterId],
+        network: ['Enable routing on an IP network', configureEigrpNetwork],
+        'passive-interface': ['Suppress routing updates on an interface', configurePassiveInterface]
+    },
+    bgp: {
+        ...MODE_COMMANDS,
+        bgp: ['BGP specific commands', configureRouterId],
+        neighbor: ['Specify a neighbor router', configureBgpNeighbor],
+        network: ['Specify a network to announce via BGP', configureBgpNetwork]
+    }
+};
+
+function modeTable(session) {
+    switch (session.mode) {
+        case 'user': return USER_COMMANDS;
+        case 'privileged': return PRIVILEGED_COMMANDS;
+        case 'config': return CONFIG_COMMANDS;
+        case 'config-if': return INTERFACE_COMMANDS;
+        case 'config-vlan': return VLAN_COMMANDS;
+        case 'config-std-nacl':
+        case 'config-ext-nacl': return ACL_COMMANDS;
+        default: return ROUTER_COMMANDS[session.context.protocol];
+    }
 }
 
-export function handleInterface() {
-    return 'Interface configuration not available in demo mode.';
+/** `table` without the commands the device's platform lacks */
+function forDevice(table, device) {
+    return Object.fromEntries(Object.entries(table).filter(([keyword]) =>
+        !PLATFORM_COMMANDS[keyword] || PLATFORM_COMMANDS[keyword].includes(device.host.group)));
 }
 
-export function handleVlan() {
-    return 'VLAN configuration not available in demo mode.';
+function commandTable(session) {
+    return forDevice(modeTable(session), session.device);
 }
 
-export function handleOspf() {
-    return 'OSPF configuration not available in demo mode.';
+/**
+ * Keywords valid as the first word in the session's current mode, for
+ * tab completion.
+ * @param {IosSession} session
+ * @returns {string[]}
+ */
+export function getIosKeywords(session) {
+    return Object.keys(commandTable(session));
 }
 
-export function handleBgp() {
-    return 'BGP configuration not available in demo mode.';
+/**
+ * Show the session's prompt in front of the input line, or the shell's
+ * when there is no session.
+ */
+function showPrompt(terminal) {
+    const prompt = terminal.inputElement?.parentElement?.querySelector('.prompt');
+    if (prompt) prompt.textContent = terminal.ios ? terminal.ios.prompt : '$';
 }
 
-export function handleEigrp() {
-    return 'EIGRP configuration not available in demo mode.';
+function openSession(terminal, device, link = null) {
+    terminal.ios = new IosSession(device, terminal.ios || null, link);
+    showPrompt(terminal);
+    return terminal.ios;
 }
 
-export function handleAccessList() {
-    return 'Access list configuration not available in demo mode.';
+/**
+ * Log out, back to the session this one was opened from or the shell.
+ * @returns {string} What the client prints as the connection closes
+ */
+function closeSession(terminal) {
+    const { link, parent } = terminal.ios;
+    terminal.ios = parent;
+    showPrompt(terminal);
+    if (!link) return '';
+    if (parent) return `\n[Connection to ${link.target} closed by foreign host]`;
+    return link.protocol === 'ssh' ? `Connection to ${link.target} closed.` : 'Connection closed by foreign host.';
 }
 
-export function handleMonitor() {
-    return 'Monitoring not available in demo mode.';
+/**
+ * Reach `target` through the lab from where the terminal is, the open
+ * session's device or the shell's host, and log in to it there. The new
+ * session is nested in the current one.
+ * @param {Terminal} terminal
+ * @param {string} target - A name or address
+ * @param {string} protocol - 'ssh' or 'telnet'
+ * @param {number} [port]
+ * @returns {{address: ?number, error: ?string, banner: string}} error is
+ *   'unknown-host', 'unreachable', 'timeout' or 'refused'; banner is the
+ *   device's message of the day
+ */
+export function connect(terminal, target, protocol, port = LOGIN_PORTS[protocol]) {
+    const network = getNetwork();
+    const resolved = network.resolve(target);
+    if (!resolved) return { address: null, error: 'unknown-host', banner: '' };
+    const { address } = resolved;
+    const { path, error } = connectTcp(terminal.ios?.device.host || network.localHost, address, port);
+    if (error) return { address, error, banner: '' };
+    const device = getDevice(path.target);
+    if (!device || port !== LOGIN_PORTS[protocol]) return { address, error: 'refused', banner: '' };
+    openSession(terminal, device, { protocol, target, address });
+    return { address, error: null, banner: device.running.banner || '' };
 }
 
-export function handleCiscoDebug() {
-    return 'Debug mode not available in demo mode.';
+/**
+ * The console device in privileged EXEC mode, then `words` run there.
+ * This is how the shell reaches IOS.
+ */
+async function openConsole(terminal, words, io) {
+    const device = getConsoleDevice();
+    if (!device) {
+        io.exitCode = 1;
+        return `${words[0]}: there are no routers or switches in the lab`;
+    }
+    openSession(terminal, device).enter('privileged');
+    const banner = `Connected to the console of ${device.hostname}. Type "exit" to return to the shell.`;
+    const output = await execute(terminal, words, io);
+    showPrompt(terminal);
+    if (isOutputNode(output)) return block([banner, output]);
+    return output ? `${banner}\n${output}` : banner;
+}
+
+function notConfiguring(name, io) {
+    io.exitCode = 1;
+    return `${name}: not in configuration mode (run "configure terminal" first)`;
+}
+
+/**
+ * Find the command for the first word in the current mode. In a sub-mode
+ * a global configuration command is found too, and `global` says so.
+ * @throws {IosInputError}
+ */
+function findCommand(session, args, table = commandTable(session), fallback = SUBMODES.includes(session.mode)) {
+    try {
+        const keyword = matchKeyword(args, 0, Object.keys(table));
+        return { keyword, run: table[keyword][1], global: false };
+    } catch (error) {
+        if (error.kind !== 'invalid' || !fallback) throw error;
+    }
+    const globals = forDevice(CONFIG_COMMANDS, session.device);
+    const keyword = matchKeyword(args, 0, Object.keys(globals));
+    return { keyword, run: globals[keyword][1], global: true };
+}
+
+/**
+ * Run one command in the current mode. A global command typed in a
+ * sub-mode returns to global configuration first, unless it fails.
+ * Keywords in both (`ip`) are tried as the sub-mode's first.
+ */
+function runCommand(terminal, args, io, negate = false) {
+    const session = terminal.ios;
+    const { keyword, run, global } = findCommand(session, args);
+    if (negate && NOT_NEGATABLE.includes(keyword)) throw new IosInputError('invalid', args, 0);
+    if (!global && SUBMODES.includes(session.mode) && CONFIG_COMMANDS[keyword] && !MODE_COMMANDS[keyword]) {
+        try {
+            return run(terminal, args.slice(1), io, negate);
+        } catch (error) {
+            if (error.kind !== 'invalid') throw error;
+            try {
+                return runGlobal(terminal, CONFIG_COMMANDS[keyword][1], args, io, negate);
+            } catch {
+                throw error;
+            }
+        }
+    }
+    return global ? runGlobal(terminal, run, args, io, negate) : run(terminal, args.slice(1), io, negate);
+}
+
+function runGlobal(terminal, run, args, io, negate) {
+    const session = terminal.ios;
+    const { mode, context } = session;
+    session.enter('config');
+    try {
+        const output = run(terminal, args.slice(1), io, negate);
+        if (io.exitCode) session.enter(mode, context);
+        return output;
+    } catch (error) {
+        session.enter(mode, context);
+        throw error;
+    }
+}
+
+/**
+ * `?` lists the commands of the current mode, or those starting with a
+ * prefix (`sh?`).
+ */
+function describeCommands(session, prefix) {
+    const table = commandTable(session);
+    const keywords = Object.keys(table).filter(keyword => keyword.startsWith(prefix.toLowerCase())).sort();
+    if (!keywords.length) return '% Unrecognized command';
+    const width = Math.max(...keywords.map(keyword => keyword.length)) + 2;
+    const lines = keywords.map(keyword => `  ${keyword.padEnd(width)}${table[keyword][0]}`);
+    return prefix ? keywords.join('  ') : [MODE_HEADINGS[session.mode], ...lines].join('\n');
+}
+
+/**
+ * `| include regex` and the like, starting at `index`.
+ * @returns {{type: string, pattern: RegExp}}
+ * @throws {IosInputError}
+ */
+function parseFilter(words, index) {
+    const type = matchKeyword(words, index, FILTERS);
+    if (words.length <= index + 1) throw new IosInputError('incomplete', words);
+    try {
+        return { type, pattern: new RegExp(words.slice(index + 1).join(' ')) };
+    } catch {
+        throw new IosInputError('invalid', words, index + 1);
+    }
+}
+
+/**
+ * Keep the lines a filter selects; `section` keeps matching lines that
+ * start a section together with the indented lines under them.
+ */
+function applyFilter(output, { type, pattern }) {
+    const lines = output.split('\n');
+    if (type === 'include') return lines.filter(line => pattern.test(line)).join('\n');
+    if (type === 'exclude') return lines.filter(line => !pattern.test(line)).join('\n');
+    if (type === 'begin') {
+        const start = lines.findIndex(line => pattern.test(line));
+        return start === -1 ? '' : lines.slice(start).join('\n');
+    }
+    let inSection = false;
+    return lines.filter(line => {
+        if (!/^\s/.test(line)) inSection = pattern.test(line);
+        return inSection;
+    }).join('\n');
+}
+
+/**
+ * Run a line's words and turn input errors into IOS's messages. The caret
+ * for invalid input goes under the offending word, which needs the
+ * prompt the line was typed at and where each word starts.
+ */
+async function execute(terminal, words, io, { line = words.join(' '), prompt = '', offsets = [] } = {}) {
+    const session = terminal.ios;
+    if (words.length === 1 && words[0].endsWith('?')) return describeCommands(session, words[0].slice(0, -1));
+    try {
+        const bar = words.indexOf('|');
+        if (bar === -1) return await runCommand(terminal, words, io);
+        const filter = parseFilter(words, bar + 1);
+        words = words.slice(0, bar);
+        const output = await runCommand(terminal, words, io);
+        // Filters work on lines of text, so a table is filtered as printed
+        if (isOutputNode(output)) return applyFilter(nodeToText(output), filter);
+        return typeof output === 'string' ? applyFilter(output, filter) : output;
+    } catch (error) {
+        if (!(error instanceof IosInputError)) throw error;
+        io.exitCode = 1;
+        const index = words.length - error.remaining;
+        if (error.kind === 'ambiguous') return `% Ambiguous command:  "${line}"`;
+        if (error.kind === 'incomplete') return '% Incomplete command.';
+        // A lone word IOS does not know is taken for a host to telnet to
+        if (words.length === 1 && !session.inConfigMode) {
+            io.exitCode = 0;
+            return login(terminal, words[0], 'telnet', LOGIN_PORTS.telnet, io);
+        }
+        const column = prompt.length + (offsets[index] ?? line.length + 1);
+        return `${' '.repeat(column)}^\n% Invalid input detected at '^' marker.`;
+    }
+}
+
+/**
+ * Run a line typed while an IOS session is open, in place of the shell.
+ * @param {Terminal} terminal
+ * @param {string} line
+ * @param {{job: ?Job}} [options]
+ * @returns {Promise<number>} Exit status
+ */
+export async function runIosLine(terminal, line, { job = null } = {}) {
+    const prompt = terminal.ios.prompt;
+    const tokens = [...line.matchAll(/\S+/g)];
+    const io = { stdin: '', input: null, exitCode: 0, tty: true, context: createContext(terminal, line, job), signal: job?.signal };
+    const device = terminal.ios.device;
+    const before = adjacencies(device);
+    let output = '';
+    if (tokens.length) {
+        const words = tokens.map(token => token[0]);
+        const offsets = tokens.map(token => token.index);
+        output = await execute(terminal, words, io, { line, prompt, offsets });
+        if (isStream(output)) output = await drainStream(output, io, true);
+    }
+    if (terminal.ios?.device === device) {
+        const changes = adjacencyChanges(before, adjacencies(device));
+        if (changes.length) {
+            output = isOutputNode(output) ? block([output, changes.join('\n')]) : [output, ...changes].filter(Boolean).join('\n');
+        }
+    }
+    await displayResult(terminal, output, line);
+    showPrompt(terminal);
+    terminal.lastExitCode = io.exitCode;
+    return io.exitCode;
 }
 
-export function handleReload() {
-    return 'Reload not available in demo mode.';
+/**
+ * The device's routing neighbours, keyed so that an adjacency forming or
+ * dropping shows up as a key appearing or disappearing.
+ * @param {object} device
+ * @returns {Map<string, {up: string, down: string}>} Log lines for either direction
+ */
+function adjacencies(device) {
+    const entries = new Map();
+    getOspf(device).forEach(process => process.neighbors.filter(neighbor => neighbor.state === 'FULL').forEach(neighbor => {
+        const prefix = `%OSPF-5-ADJCHG: Process ${process.id}, Nbr ${formatIPv4(neighbor.routerId)} on ${neighbor.iface} from`;
+        entries.set(`ospf ${process.id} ${neighbor.routerId} ${neighbor.iface}`, {
+            up: `${prefix} LOADING to FULL, Loading Done`,
+            down: `${prefix} FULL to DOWN, Neighbor Down: Interface down or detached`
+        });
+    }));
+    getEigrp(device).forEach(process => process.neighbors.forEach(neighbor => {
+        const prefix = `%DUAL-5-NBRCHANGE: EIGRP-IPv4 ${process.as}: Neighbor ${formatIPv4(neighbor.address)} (${neighbor.iface}) is`;
+        entries.set(`eigrp ${process.as} ${neighbor.address}`, { up: `${prefix} up: new adjacency`, down: `${prefix} down: interface down` });
+    }));
+    getBgp(device)?.sessions.filter(session => session.state === 'Established').forEach(session => {
+        const prefix = `%BGP-5-ADJCHANGE: neighbor ${formatIPv4(session.address)}`;
+        entries.set(`bgp ${session.address}`, { up: `${prefix} Up`, down: `${prefix} Down Interface flap` });
+    });
+    return entries;
 }
 
-export function handleCopy() {
-    return 'Copy command not available in demo mode.';
+function adjacencyChanges(before, after) {
+    return [
+        ...[...before].filter(([key]) => !after.has(key)).map(([, log]) => log.down),
+        ...[...after].filter(([key]) => !before.has(key)).map(([, log]) => log.up)
+    ];
 }
 
-export function handleWrite() {
-    return 'Write command not available in demo mode.';
+/**
+ * Ctrl+Z in a configuration mode is `end`.
+ * @param {Terminal} terminal
+ * @returns {boolean} Whether there was a configuration mode to leave
+ */
+export function endConfiguration(terminal) {
+    if (!terminal.ios?.inConfigMode) return false;
+    terminal.ios.enter('privileged');
+    showPrompt(terminal);
+    return true;
 }
 
-export function handleErase() {
-    return 'Erase command not available in demo mode.';
+/**
+ * configure [terminal]
+ */
+export function handleConfigure(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (!session) return openConsole(terminal, ['configure', ...args], io);
+    if (args.length) matchKeyword(args, 0, ['terminal']);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    session.enter('config');
+    return 'Enter configuration commands, one per line.  End with CNTL/Z.';
+}
+
+/**
+ * interface <type><number>. Loopbacks, SVIs and tunnels are created by
+ * naming them; physical interfaces must exist.
+ */
+export function handleInterface(terminal, args = [], io = {}, negate = false) {
+    const session = terminal.ios;
+    if (!session?.inConfigMode) return notConfiguring('interface', io);
+    const { name, type, next } = parseInterfaceName(args, 0);
+    if (args.length > next) throw new IosInputError('invalid', args, next);
+
+    const { interfaces } = session.config;
+    if (!interfaces[name] && !isVirtualInterface(type)) throw new IosInputError('invalid', args, 0);
+    if (negate) {
+        if (!isVirtualInterface(type)) {
+            io.exitCode = 1;
+            return '% Removal of physical interfaces is not permitted';
+        }
+        delete interfaces[name];
+        return '';
+    }
+    interfaces[name] = interfaces[name] || createInterface();
+    session.enter('config-if', name);
+    return '';
+}
+
+/**
+ * Parse a VLAN list such as `10`, `10,20` or `30-32`.
+ */
+function parseVlanList(args, index) {
+    if (args[index] === undefined) throw new IosInputError('incomplete', args, index);
+    const ids = [];
+    for (const part of args[index].split(',')) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+        const first = Number(match?.[1]);
+        const last = Number(match?.[2] ?? first);
+        if (!match || first < 1 || last > 4094 || last < first) throw new IosInputError('invalid', args, index);
+        for (let id = first; id <= last; id++) ids.push(id);
+    }
+    return ids;
+}
+
+function defaultVlanName(id) {
+    return id === 1 ? 'default' : `VLAN${String(id).padStart(4, '0')}`;
+}
+
+/**
+ * vlan <id>[,<id>|-<id>...]
+ */
+export function handleVlan(terminal, args = [], io = {}, negate = false) {
+    const session = terminal.ios;
+    if (!session?.inConfigMode) return notConfiguring('vlan', io);
+    const ids = parseVlanList(args, 0);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+
+    const { vlans } = session.config;
+    if (negate) {
+        if (ids.includes(1)) {
+            io.exitCode = 1;
+            return '%Default VLAN 1 may not be deleted.';
+        }
+        ids.forEach(id => delete vlans[id]);
+        return '';
+    }
+    ids.forEach(id => {
+        vlans[id] = vlans[id] || { name: defaultVlanName(id) };
+    });
+    session.enter('config-vlan', ids);
+    return '';
+}
+
+function configureVlanName(terminal, args, io, negate) {
+    const { config, context: ids } = terminal.ios;
+    if (!negate && !args.length) throw new IosInputError('incomplete', args);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    ids.forEach(id => {
+        config.vlans[id].name = negate ? defaultVlanName(id) : args[0].slice(0, 32);
+    });
+    return '';
+}
+
+/**
+ * router ospf|eigrp|bgp <id>
+ */
+function configureRouter(terminal, args, io, negate) {
+    const protocol = matchKeyword(args, 0, ['bgp', 'eigrp', 'ospf']);
+    const handlers = { bgp: handleBgp, eigrp: handleEigrp, ospf: handleOspf };
+    return handlers[protocol](terminal, args.slice(1), io, negate);
+}
+
+/**
+ * Create or remove a routing process and enter router configuration for it.
+ */
+function routingProcess(terminal, protocol, id, negate, create) {
+    const session = terminal.ios;
+    const processes = session.config[protocol];
+    if (negate) {
+        delete processes[id];
+        return '';
+    }
+    processes[id] = processes[id] || create();
+    session.enter('config-router', { protocol, id });
+    return '';
+}
+
+/**
+ * router ospf <process-id>
+ */
+export function handleOspf(terminal, args = [], io = {}, negate = false) {
+    if (!terminal.ios?.inConfigMode) return notConfiguring('ospf', io);
+    const id = expectNumber(args, 0, 1, 65535);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    return routingProcess(terminal, 'ospf', id, negate, () => ({ routerId: null, networks: [], passiveInterfaces: [] }));
+}
+
+/**
+ * router eigrp <autonomous-system>
+ */
+export function handleEigrp(terminal, args = [], io = {}, negate = false) {
+    if (!terminal.ios?.inConfigMode) return notConfiguring('eigrp', io);
+    const id = expectNumber(args, 0, 1, 65535);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    return routingProcess(terminal, 'eigrp', id, negate, () => ({ routerId: null, networks: [], passiveInterfaces: [] }));
+}
+
+/**
+ * router bgp <autonomous-system>. Only one BGP process may run.
+ */
+export function handleBgp(terminal, args = [], io = {}, negate = false) {
+    const session = terminal.ios;
+    if (!session?.inConfigMode) return notConfiguring('bgp', io);
+    const id = expectNumber(args, 0, 1, 4294967295);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    const [running] = Object.keys(session.config.bgp);
+    if (running !== undefined && Number(running) !== id) {
+        io.exitCode = 1;
+        return `% BGP is already running; AS is ${running}`;
+    }
+    return routingProcess(terminal, 'bgp', id, negate, () => ({ routerId: null, neighbors: {}, networks: [] }));
+}
+
+function currentProcess(session) {
+    const { protocol, id } = session.context;
+    return session.config[protocol][id];
+}
+
+/**
+ * router-id (OSPF), eigrp router-id, bgp router-id
+ */
+function configureRouterId(terminal, args, io, negate) {
+    const session = terminal.ios;
+    // EIGRP and BGP take it as a sub-keyword of their own name
+    const index = session.context.protocol === 'ospf' ? 0 : 1;
+    if (index) matchKeyword(args, 0, ['router-id']);
+    const process = currentProcess(session);
+    if (negate) {
+        process.routerId = null;
+        return '';
+    }
+    process.routerId = expectAddress(args, index);
+    if (args.length > index + 1) throw new IosInputError('invalid', args, index + 1);
+    return '';
+}
+
+/** Whether a dotted-quad is a contiguous netmask */
+function isNetmask(text) {
+    const inverted = ~parseIPv4(text) >>> 0;
+    return (inverted & (inverted + 1)) === 0;
+}
+
+function expectMask(args, index) {
+    const mask = expectAddress(args, index);
+    if (!isNetmask(mask)) throw new IosInputError('invalid', args, index);
+    return mask;
+}
+
+/**
+ * Add `entry` to `list` or, negated, remove the entries it matches.
+ */
+function updateList(list, entry, negate, same = (a, b) => Object.keys(entry).every(key => a[key] === b[key])) {
+    const index = list.findIndex(existing => same(existing, entry));
+    if (negate) {
+        if (index !== -1) list.splice(index, 1);
+    } else if (index === -1) {
+        list.push(entry);
+    } else {
+        list[index] = entry;
+    }
+}
+
+/**
+ * network <address> <wildcard> area <area-id>
+ */
+function configureOspfNetwork(terminal, args, io, negate) {
+    const address = expectAddress(args, 0);
+    const wildcard = expectAddress(args, 1);
+    matchKeyword(args, 2, ['area']);
+    if (args[3] === undefined) throw new IosInputError('incomplete', args, 3);
+    const area = /^\d+$/.test(args[3]) ? Number(args[3]) : expectAddress(args, 3);
+    if (args.length > 4) throw new IosInputError('invalid', args, 4);
+    updateList(currentProcess(terminal.ios).networks, { address, wildcard, area }, negate,
+        (a, b) => a.address === b.address && a.wildcard === b.wildcard);
+    return '';
+}
+
+/**
+ * network <address> [<wildcard>]
+ */
+function configureEigrpNetwork(terminal, args, io, negate) {
+    const address = expectAddress(args, 0);
+    const wildcard = args.length > 1 ? expectAddress(args, 1) : null;
+    if (args.length > 2) throw new IosInputError('invalid', args, 2);
+    updateList(currentProcess(terminal.ios).networks, { address, wildcard }, negate);
+    return '';
+}
+
+/**
+ * network <address> [mask <mask>]
+ */
+function configureBgpNetwork(terminal, args, io, negate) {
+    const address = expectAddress(args, 0);
+    let mask = null;
+    if (args.length > 1) {
+        matchKeyword(args, 1, ['mask']);
+        mask = expectMask(args, 2);
+    }
+    if (args.length > 3) throw new IosInputError('invalid', args, 3);
+    updateList(currentProcess(terminal.ios).networks, { address, mask }, negate);
+    return '';
+}
+
+/**
+ * neighbor <address> remote-as <as> | neighbor <address> description <text>
+ */
+function configureBgpNeighbor(terminal, args, io, negate) {
+    const { neighbors } = currentProcess(terminal.ios);
+    const address = expectAddress(args, 0);
+    if (negate && args.length === 1) {
+        delete neighbors[address];
+        return '';
+    }
+    const option = matchKeyword(args, 1, ['description', 'remote-as']);
+    if (option === 'remote-as') {
+        if (negate) {
+            delete neighbors[address];
+            return '';
+        }
+        const remoteAs = expectNumber(args, 2, 1, 4294967295);
+        if (args.length > 3) throw new IosInputError('invalid', args, 3);
+        neighbors[address] = { description: null, ...neighbors[address], remoteAs };
+        return '';
+    }
+    if (!neighbors[address]) {
+        io.exitCode = 1;
+        return `% Specify remote-as or peer-group commands first`;
+    }
+    if (!negate && args.length < 3) throw new IosInputError('incomplete', args);
+    neighbors[address].description = negate ? null : args.slice(2).join(' ');
+    return '';
+}
+
+/**
+ * passive-interface <interface>
+ */
+function configurePassiveInterface(terminal, args, io, negate) {
+    const session = terminal.ios;
+    const { name, next } = parseInterfaceName(args, 0);
+    if (!session.config.interfaces[name]) throw new IosInputError('invalid', args, 0);
+    if (args.length > next) throw new IosInputError('invalid', args, next);
+    const { passiveInterfaces } = currentProcess(session);
+    const index = passiveInterfaces.indexOf(name);
+    if (negate && index !== -1) passiveInterfaces.splice(index, 1);
+    if (!negate && index === -1) passiveInterfaces.push(name);
+    return '';
+}
+
+function currentInterface(session) {
+    return session.config.interfaces[session.context];
+}
+
+function configureDescription(terminal, args, io, negate) {
+    if (!negate && !args.length) throw new IosInputError('incomplete', args);
+    currentInterface(terminal.ios).description = negate ? null : args.join(' ').slice(0, 240);
+    return '';
+}
+
+function configureBandwidth(terminal, args, io, negate) {
+    const iface = currentInterface(terminal.ios);
+    if (negate) {
+        iface.bandwidth = null;
+        return '';
+    }
+    iface.bandwidth = expectNumber(args, 0, 1, 10000000);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    return '';
+}
+
+/**
+ * ip address <address> <mask> | ip ospf cost <cost> | ip access-group <n|name> in|out
+ */
+function configureInterfaceIp(terminal, args, io, negate) {
+    const session = terminal.ios;
+    const iface = currentInterface(session);
+    const option = matchKeyword(args, 0, ['access-group', 'address', 'ospf']);
+    if (option === 'access-group') {
+        const list = expectAclName(args, 1);
+        const direction = matchKeyword(args, 2, ['in', 'out']);
+        if (args.length > 3) throw new IosInputError('invalid', args, 3);
+        iface.accessGroups = { ...iface.accessGroups, [direction]: negate ? null : list };
+        return '';
+    }
+    if (option === 'ospf') {
+        matchKeyword(args, 1, ['cost']);
+        iface.ospfCost = negate ? null : expectNumber(args, 2, 1, 65535);
+        if (args.length > 3) throw new IosInputError('invalid', args, 3);
+        return '';
+    }
+    if (iface.switchport) throw new IosInputError('invalid', args, 0);
+    if (negate) {
+        iface.address = null;
+        iface.mask = null;
+        return '';
+    }
+    const address = expectAddress(args, 1);
+    const mask = expectMask(args, 2);
+    if (args.length > 3) throw new IosInputError('invalid', args, 3);
+    const overlapping = Object.entries(session.config.interfaces).find(([name, other]) => name !== session.context
+        && other.address && ((parseIPv4(other.address) & parseIPv4(other.mask)) >>> 0) === ((parseIPv4(address) & parseIPv4(mask)) >>> 0));
+    if (overlapping) {
+        io.exitCode = 1;
+        return `% ${address} overlaps with ${overlapping[0]}`;
+    }
+    iface.address = address;
+    iface.mask = mask;
+    return '';
+}
+
+/**
+ * shutdown / no shutdown, with the console messages IOS logs when the
+ * state actually changes.
+ */
+function configureShutdown(terminal, args, io, negate) {
+    if (args.length) throw new IosInputError('invalid', args, 0);
+    const name = terminal.ios.context;
+    const iface = currentInterface(terminal.ios);
+    if (iface.shutdown === !negate) return '';
+    iface.shutdown = !negate;
+    return negate
+        ? `%LINK-3-UPDOWN: Interface ${name}, changed state to up\n%LINEPROTO-5-UPDOWN: Line protocol on Interface ${name}, changed state to up`
+        : `%LINK-5-CHANGED: Interface ${name}, changed state to administratively down\n%LINEPROTO-5-UPDOWN: Line protocol on Interface ${name}, changed state to down`;
+}
+
+/**
+ * switchport [mode access|trunk | access vlan <id>], on switches only
+ */
+function configureSwitchport(terminal, args, io, negate) {
+    const session = terminal.ios;
+    const iface = currentInterface(session);
+    if (session.device.host.group !== 'switches' || session.context.startsWith('Vlan')) {
+        throw new IosInputError('invalid', args, -1);
+    }
+    if (!args.length) {
+        // `no switchport` makes a routed port
+        iface.switchport = negate ? null : iface.switchport || { mode: 'access', accessVlan: 1 };
+        if (negate) return '';
+        iface.address = null;
+        iface.mask = null;
+        return '';
+    }
+    if (!iface.switchport) throw new IosInputError('invalid', args, 0);
+    const option = matchKeyword(args, 0, ['access', 'mode']);
+    if (option === 'mode') {
+        const mode = negate ? 'access' : matchKeyword(args, 1, ['access', 'trunk']);
+        if (args.length > 2) throw new IosInputError('invalid', args, 2);
+        iface.switchport.mode = mode;
+        return '';
+    }
+    matchKeyword(args, 1, ['vlan']);
+    if (negate) {
+        iface.switchport.accessVlan = 1;
+        return '';
+    }
+    const id = expectNumber(args, 2, 1, 4094);
+    if (args.length > 3) throw new IosInputError('invalid', args, 3);
+    iface.switchport.accessVlan = id;
+    if (!session.config.vlans[id]) {
+        session.config.vlans[id] = { name: defaultVlanName(id) };
+        return `% Access VLAN does not exist. Creating vlan ${id}`;
+    }
+    return '';
+}
+
+function configureHostname(terminal, args, io, negate) {
+    const { config } = terminal.ios;
+    if (negate) {
+        config.hostname = DEFAULT_HOSTNAME;
+        return '';
+    }
+    if (!args.length) throw new IosInputError('incomplete', args);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    if (!/^[a-z][a-z0-9-]{0,62}$/i.test(args[0])) {
+        io.exitCode = 1;
+        return '% Hostname contains one or more illegal characters.';
+    }
+    config.hostname = args[0];
+    return '';
+}
+
+/**
+ * ip route <network> <mask> <next-hop|interface> | ip domain-name <name> |
+ * ip access-list standard|extended <name>
+ */
+function configureIp(terminal, args, io, negate) {
+    const { config } = terminal.ios;
+    const option = matchKeyword(args, 0, ['access-list', 'domain-name', 'route']);
+    if (option === 'access-list') return configureNamedAcl(terminal, args.slice(1), io, negate);
+    if (option === 'domain-name') {
+        if (!negate && args[1] === undefined) throw new IosInputError('incomplete', args, 1);
+        if (args.length > 2) throw new IosInputError('invalid', args, 2);
+        config.domainName = negate ? null : args[1];
+        return '';
+    }
+
+    const network = expectAddress(args, 1);
+    const mask = expectMask(args, 2);
+    if ((parseIPv4(network) & ~parseIPv4(mask)) !== 0) {
+        io.exitCode = 1;
+        return '%Inconsistent address and mask';
+    }
+    const route = { network, mask };
+    if (args[3] !== undefined) {
+        if (/^\d/.test(args[3])) {
+            route.nextHop = expectAddress(args, 3);
+        } else {
+            const { name } = parseInterfaceName(args, 3);
+            if (!config.interfaces[name]) throw new IosInputError('invalid', args, 3);
+            route.iface = name;
+        }
+    } else if (!negate) {
+        throw new IosInputError('incomplete', args, 3);
+    }
+    const same = (a, b) => a.network === b.network && a.mask === b.mask
+        && (b.nextHop === undefined && b.iface === undefined || (a.nextHop === b.nextHop && a.iface === b.iface));
+    if (negate) {
+        config.staticRoutes = config.staticRoutes.filter(existing => !same(existing, route));
+    } else {
+        updateList(config.staticRoutes, route, false, same);
+    }
+    return '';
+}
+
+function cryptString(seed, length) {
+    let text = '';
+    for (let round = 0; text.length < length; round++) {
+        let hash = stableHash(`${seed}:${round}`);
+        for (let i = 0; i < 5 && text.length < length; i++, hash >>>= 6) text += CRYPT_ALPHABET[hash & 63];
+    }
+    return text;
+}
+
+/** A type 5 (MD5-crypt style) secret; the plain text is never kept */
+function hashSecret(secret) {
+    const salt = cryptString(`salt:${secret}`, 4);
+    return `$1$${salt}$${cryptString(`${salt}${secret}`, 22)}`;
+}
+
+/**
+ * The secret at `index`, given plainly, as `0 <text>` or as `5 <hash>`.
+ */
+function parseSecret(args, index) {
+    if (args[index] === undefined) throw new IosInputError('incomplete', args, index);
+    if (args[index] === '5') {
+        if (args[index + 1] === undefined) throw new IosInputError('incomplete', args, index + 1);
+        return args[index + 1];
+    }
+    const text = args[index] === '0' ? args[index + 1] : args[index];
+    if (text === undefined) throw new IosInputError('incomplete', args, index + 1);
+    return hashSecret(text);
+}
+
+/**
+ * enable secret [0|5] <secret>
+ */
+function configureEnable(terminal, args, io, negate) {
+    const { config } = terminal.ios;
+    matchKeyword(args, 0, ['secret']);
+    config.enableSecret = negate ? null : parseSecret(args, 1);
+    return '';
+}
+
+/**
+ * username <name> [privilege <level>] secret [0|5] <secret>
+ */
+export function handleUsername(terminal, args = [], io = {}, negate = false) {
+    const session = terminal.ios;
+    if (!session?.inConfigMode) return notConfiguring('username', io);
+    const [name] = args;
+    if (name === undefined) throw new IosInputError('incomplete', args);
+    if (negate) {
+        delete session.config.users[name];
+        return '';
+    }
+    let index = 1;
+    let privilege = 1;
+    if (args[index] && 'privilege'.startsWith(args[index].toLowerCase())) {
+        privilege = expectNumber(args, index + 1, 0, 15);
+        index += 2;
+    }
+    matchKeyword(args, index, ['secret']);
+    session.config.users[name] = { privilege, secret: parseSecret(args, index + 1) };
+    return '';
+}
+
+/**
+ * banner motd <delimiter>text<delimiter>
+ */
+function configureBanner(terminal, args, io, negate) {
+    const { config } = terminal.ios;
+    matchKeyword(args, 0, ['motd']);
+    if (negate) {
+        config.banner = null;
+        return '';
+    }
+    const text = args.slice(1).join(' ');
+    if (!text) throw new IosInputError('incomplete', args, 1);
+    const delimiter = text[0];
+    const end = text.indexOf(delimiter, 1);
+    config.banner = text.slice(1, end === -1 ? undefined : end).trim();
+    return '';
+}
+
+/**
+ * enable: privileged EXEC mode, or from the shell the console device.
+ */
+export function handleEnable(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (!session) return openConsole(terminal, ['enable', ...args], io);
+    if (args.length) expectNumber(args, 0, 15, 15);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    session.enter('privileged');
+    return '';
+}
+
+export function handleDisable(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (session?.mode !== 'privileged') {
+        io.exitCode = 1;
+        return 'disable: not in privileged EXEC mode';
+    }
+    if (args.length) throw new IosInputError('invalid', args, 0);
+    session.enter('user');
+    return '';
+}
+
+/**
+ * end: straight back to privileged EXEC mode from any configuration mode.
+ */
+export function handleEnd(terminal, args = [], io = {}) {
+    if (!terminal.ios?.inConfigMode) return notConfiguring('end', io);
+    if (args.length) throw new IosInputError('invalid', args, 0);
+    terminal.ios.enter('privileged');
+    return '';
+}
+
+/**
+ * exit: up one mode; from EXEC mode, close the session.
+ */
+export function handleCiscoExit(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (args.length) throw new IosInputError('invalid', args, 0);
+    if (SUBMODES.includes(session.mode)) {
+        session.enter('config');
+    } else if (session.mode === 'config') {
+        session.enter('privileged');
+    } else {
+        return closeSession(terminal);
+    }
+    return '';
+}
+
+/**
+ * no <command>: undo a configuration command or restore its default.
+ */
+export function handleNo(terminal, args = [], io = {}) {
+    if (!terminal.ios?.inConfigMode) return notConfiguring('no', io);
+    return runCommand(terminal, args, io, true);
+}
+
+/**
+ * do <command>: run an EXEC command without leaving configuration mode.
+ */
+export function handleDo(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (!session?.inConfigMode) return notConfiguring('do', io);
+    const { run } = findCommand(session, args, DO_COMMANDS, false);
+    return run(terminal, args.slice(1), io);
+}
+
+/**
+ * Open a connection from the session's device, with IOS's messages.
+ */
+function login(terminal, target, protocol, port, io) {
+    const { address, error, banner } = connect(terminal, target, protocol, port);
+    const trying = protocol === 'telnet' && address !== null
+        ? `Trying ${formatIPv4(address)}${port === LOGIN_PORTS.telnet ? '' : `, ${port}`} ... `
+        : '';
+    if (error) io.exitCode = 1;
+    switch (error) {
+        case 'unknown-host': {
+            const { nameServer } = getNetwork();
+            return `Translating "${target}"...domain server (${nameServer === null ? '255.255.255.255' : formatIPv4(nameServer)})\n% Unknown command or computer name, or unable to find computer address`;
+        }
+        case 'unreachable': return `${trying}\n% Destination unreachable; gateway or host down`;
+        case 'timeout': return `${trying}\n% Connection timed out; remote host not responding`;
+        case 'refused': return `${trying}\n% Connection refused by remote host`;
+    }
+    const lines = trying ? [`${trying}Open`, ''] : [];
+    if (banner) lines.push(banner, '');
+    return lines.join('\n');
+}
+
+/**
+ * telnet <host> [port]
+ */
+function loginTelnet(terminal, args, io) {
+    if (!args.length) throw new IosInputError('incomplete', args, 0);
+    const port = args.length > 1 ? expectNumber(args, 1, 1, 65535) : LOGIN_PORTS.telnet;
+    if (args.length > 2) throw new IosInputError('invalid', args, 2);
+    return login(terminal, args[0], 'telnet', port, io);
+}
+
+/**
+ * ssh [-l <user>] [-p <port>] <host>. There are no passwords in the lab,
+ * so the user name is only checked for being there.
+ */
+function loginSsh(terminal, args, io) {
+    let port = LOGIN_PORTS.ssh;
+    let index = 0;
+    while (args[index]?.startsWith('-')) {
+        const option = matchKeyword(args, index, ['-l', '-p']);
+        if (args[index + 1] === undefined) throw new IosInputError('incomplete', args, index + 1);
+        if (option === '-p') port = expectNumber(args, index + 1, 1, 65535);
+        index += 2;
+    }
+    if (index >= args.length) throw new IosInputError('incomplete', args, index);
+    if (args.length > index + 1) throw new IosInputError('invalid', args, index + 1);
+    return login(terminal, args[index], 'ssh', port, io);
+}
+
+/**
+ * `any`, `host A`, or an address and wildcard; a standard list also takes
+ * a lone address as a host.
+ * @returns {{address: string, wildcard: string, next: number}}
+ */
+function parseAclAddress(args, index, standard) {
+    if (args[index] === undefined) throw new IosInputError('incomplete', args, index);
+    if (!/^\d/.test(args[index])) {
+        if (matchKeyword(args, index, ['any', 'host']) === 'any') {
+            return { address: '0.0.0.0', wildcard: '255.255.255.255', next: index + 1 };
+        }
+        return { address: expectAddress(args, index + 1), wildcard: '0.0.0.0', next: index + 2 };
+    }
+    const address = expectAddress(args, index);
+    if (standard && !/^\d/.test(args[index + 1] ?? '')) return { address, wildcard: '0.0.0.0', next: index + 1 };
+    const wildcard = expectAddress(args, index + 1);
+    // IOS keeps only the bits the wildcard compares
+    return { address: formatIPv4((parseIPv4(address) & ~parseIPv4(wildcard)) >>> 0), wildcard, next: index + 2 };
+}
+
+function expectAclPort(args, index, protocol) {
+    if (args[index] === undefined) throw new IosInputError('incomplete', args, index);
+    const named = ACL_PORT_NAMES[protocol][args[index].toLowerCase()];
+    return named ?? expectNumber(args, index, 0, 65535);
+}
+
+/**
+ * An optional `eq|neq|lt|gt <port>` or `range <low> <high>` after an
+ * address of a TCP or UDP entry.
+ * @returns {{port: ?object, next: number}}
+ */
+function parseAclPort(args, index, protocol) {
+    const operators = ['eq', 'gt', 'lt', 'neq', 'range'];
+    if (!['tcp', 'udp'].includes(protocol) || !operators.includes(args[index]?.toLowerCase())) return { port: null, next: index };
+    const operator = args[index].toLowerCase();
+    const ports = [expectAclPort(args, index + 1, protocol)];
+    if (operator === 'range') ports.push(expectAclPort(args, index + 2, protocol));
+    return { port: { operator, ports }, next: index + 1 + ports.length };
+}
+
+/**
+ * An access list number, or the name of a named list.
+ * @returns {string}
+ * @throws {IosInputError}
+ */
+function expectAclName(args, index) {
+    if (args[index] === undefined) throw new IosInputError('incomplete', args, index);
+    return /^\d+$/.test(args[index]) ? String(expectNumber(args, index, 1, 2699)) : args[index];
+}
+
+/**
+ * The rest of `access-list <n> permit|deny ...`, from the action on.
+ * @returns {object} The entry as the running-config keeps it
+ */
+function parseAclEntry(args, standard) {
+    const entry = { action: args[0].toLowerCase() };
+    let next = 1;
+    if (standard) {
+        const source = parseAclAddress(args, next, true);
+        entry.source = { address: source.address, wildcard: source.wildcard };
+        next = source.next;
+    } else {
+        entry.protocol = matchKeyword(args, next++, ['icmp', 'ip', 'tcp', 'udp']);
+        const source = parseAclAddress(args, next, false);
+        const sourcePort = parseAclPort(args, source.next, entry.protocol);
+        const destination = parseAclAddress(args, sourcePort.next, false);
+        const port = parseAclPort(args, destination.next, entry.protocol);
+        Object.assign(entry, {
+            source: { address: source.address, wildcard: source.wildcard },
+            sourcePort: sourcePort.port,
+            destination: { address: destination.address, wildcard: destination.wildcard },
+            port: port.port
+        });
+        next = port.next;
+    }
+    const options = ['log', ...(entry.protocol === 'tcp' ? ['established'] : []), ...(entry.protocol === 'icmp' ? ['echo', 'echo-reply'] : [])];
+    while (next < args.length) {
+        const option = matchKeyword(args, next++, options);
+        if (option === 'log') entry.log = true;
+        else if (option === 'established') entry.established = true;
+        else entry.icmpType = option;
+    }
+    return entry;
+}
+
+/**
+ * access-list <1-99|1300-1999> permit|deny <source> [log]
+ * access-list <100-199|2000-2699> permit|deny <protocol> <source> [port] <destination> [port] [options]
+ * access-list <n> remark <text>
+ * `no access-list <n>` removes the whole list, whatever follows the number.
+ */
+export function handleAccessList(terminal, args = [], io = {}, negate = false) {
+    const session = terminal.ios;
+    if (!session?.inConfigMode) return notConfiguring('access-list', io);
+    const number = expectNumber(args, 0, 1, 2699);
+    if (number >= 200 && number < 1300) throw new IosInputError('invalid', args, 0);
+    const name = String(number);
+    const { config } = session;
+    config.accessLists = config.accessLists || {};
+    if (negate) {
+        delete config.accessLists[name];
+        return '';
+    }
+    const entry = parseAclLine(args.slice(1), isStandardAcl(name));
+    const list = config.accessLists[name] || { entries: [] };
+    config.accessLists[name] = list;
+    updateAclEntries(list, entry, false);
+    return '';
+}
+
+/**
+ * `permit|deny ...` or `remark <text>`, as access-list and the named
+ * list modes take them.
+ * @returns {object} The entry as the running-config keeps it
+ * @throws {IosInputError}
+ */
+function parseAclLine(args, standard) {
+    const rest = [...args];
+    if (matchKeyword(rest, 0, ['deny', 'permit', 'remark']) === 'remark') {
+        if (rest.length < 2) throw new IosInputError('incomplete', args, 1);
+        return { remark: rest.slice(1).join(' ') };
+    }
+    rest[0] = matchKeyword(rest, 0, ['deny', 'permit']);
+    return parseAclEntry(rest, standard);
+}
+
+/**
+ * Add an entry to an access list, or remove it when negated. IOS ignores
+ * an entry the list already has.
+ */
+function updateAclEntries(list, entry, negate) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    if (negate || !list.entries.some(existing => same(existing, entry))) updateList(list.entries, entry, negate, same);
+}
+
+/**
+ * ip access-list standard|extended <name>: enter the list's configuration
+ * mode, creating it; `no` removes it. A number must be of the right kind.
+ */
+function configureNamedAcl(terminal, args, io, negate) {
+    const session = terminal.ios;
+    const standard = matchKeyword(args, 0, ['extended', 'standard']) === 'standard';
+    const name = expectAclName(args, 1);
+    if (args.length > 2) throw new IosInputError('invalid', args, 2);
+    if (!isNamedAcl(name) && isStandardAcl(name) !== standard) throw new IosInputError('invalid', args, 1);
+    const { config } = session;
+    config.accessLists = config.accessLists || {};
+    const existing = config.accessLists[name];
+    if (existing && isStandardAcl(name, existing) !== standard) {
+        io.exitCode = 1;
+        return `% A named ${standard ? 'extended' : 'standard'} IP access list with this name already exists`;
+    }
+    if (negate) {
+        delete config.accessLists[name];
+        return '';
+    }
+    config.accessLists[name] = existing || (isNamedAcl(name) ? { standard, entries: [] } : { entries: [] });
+    session.enter(standard ? 'config-std-nacl' : 'config-ext-nacl', name);
+    return '';
+}
+
+/**
+ * The handler for permit, deny or remark in a named list's mode; `no`
+ * removes the entry.
+ * @param {string} keyword
+ */
+function aclEntryCommand(keyword) {
+    return (terminal, args, io, negate) => {
+        const session = terminal.ios;
+        const list = session.config.accessLists[session.context];
+        updateAclEntries(list, parseAclLine([keyword, ...args], session.mode === 'config-std-nacl'), negate);
+        return '';
+    };
+}
+
+export function handleMonitor() {
+    return 'Monitoring not available in demo mode.';
+}
+
+export function handleCiscoDebug() {
+    return 'Debug mode not available in demo mode.';
 }
 
 export function handleTerminal() {
@@ -60,42 +1359,510 @@ export function handleLine() {
     return 'Line configuration not available in demo mode.';
 }
 
-export function handleUsername() {
-    return 'Username configuration not available in demo mode.';
+/**
+ * Run `words` on the console device without opening a session, for
+ * show, write, copy, erase and reload typed at the shell prompt.
+ */
+async function onConsole(terminal, words, io) {
+    const device = getConsoleDevice();
+    if (!device) {
+        io.exitCode = 1;
+        return `${words[0]}: there are no routers or switches in the lab`;
+    }
+    terminal.ios = new IosSession(device);
+    terminal.ios.enter('privileged');
+    try {
+        return await execute(terminal, words, io);
+    } finally {
+        terminal.ios = null;
+    }
+}
+
+/** `*Oct 19 14:02:11.123:`, as `service timestamps log datetime msec` prints it */
+function logTimestamp(date = new Date()) {
+    const month = date.toLocaleString('en-US', { month: 'short' });
+    const time = [date.getHours(), date.getMinutes(), date.getSeconds()].map(part => String(part).padStart(2, '0')).join(':');
+    return `*${month} ${String(date.getDate()).padStart(2)} ${time}.${String(date.getMilliseconds()).padStart(3, '0')}:`;
 }
 
-export function handleEnable() {
-    return 'Already in privileged EXEC mode.';
+function saveRunningConfig(device) {
+    device.save();
+    return 'Building configuration...\n[OK]';
 }
 
-export function handleDisable() {
-    return 'Disabling privileged mode...\nType "enable" to return to privileged EXEC mode.';
+function eraseStartupConfig(device) {
+    device.erase();
+    return 'Erasing the nvram filesystem will remove all configuration files! Continue? [confirm]\n[OK]\nErase of nvram: complete';
 }
 
-export function handleEnd() {
-    return 'Exiting configuration mode...';
+function showRunningConfig(device) {
+    const text = renderConfig(device.running, device.host);
+    return `Building configuration...\n\nCurrent configuration : ${text.length} bytes\n!\n${text}`;
 }
 
-export function handleCiscoShow(args) {
-    const [what] = args;
-    if (!what) {
-        return 'show: missing argument';
+function showStartupConfig(device, io) {
+    if (!device.startup) {
+        io.exitCode = 1;
+        return 'startup-config is not present';
     }
-    return `show ${what}: command not available in demo mode.`;
+    const text = renderConfig(device.startup, device.host);
+    return `Using ${text.length} out of ${NVRAM_BYTES} bytes\n!\n${text}`;
+}
+
+/**
+ * An entry as show access-lists describes it, which for a standard list
+ * differs from how it is configured.
+ */
+function describeAclEntry(entry, standard) {
+    if (!standard) return formatAclEntry(entry, false);
+    const { address, wildcard } = entry.source;
+    const source = wildcard === '255.255.255.255' ? 'any' : wildcard === '0.0.0.0' ? address : `${address}, wildcard bits ${wildcard}`;
+    return `${entry.action.padEnd(6)} ${source}${entry.log ? ' log' : ''}`;
+}
+
+function showAccessLists(device, name = null) {
+    const lists = device.running.accessLists || {};
+    return Object.keys(lists).filter(key => name === null || key === name).sort(compareAclNames).map(key => {
+        const standard = isStandardAcl(key, lists[key]);
+        const entries = lists[key].entries.filter(entry => entry.remark === undefined).map((entry, index) => {
+            const { packets } = getHits(entry);
+            const matches = packets ? ` (${packets} match${packets === 1 ? '' : 'es'})` : '';
+            return `    ${(index + 1) * 10} ${describeAclEntry(entry, standard)}${matches}`;
+        });
+        return [`${standard ? 'Standard' : 'Extended'} IP access list ${key}`, ...entries].join('\n');
+    }).join('\n');
+}
+
+function showIpInterfaceBrief(device) {
+    const { running, startup } = device;
+    const rows = Object.keys(running.interfaces).sort(compareInterfaceNames).map(name => {
+        const iface = running.interfaces[name];
+        const { status, protocol } = interfaceState(device, name);
+        const saved = startup?.interfaces[name];
+        const method = !iface.address ? 'unset' : saved?.address === iface.address && saved?.mask === iface.mask ? 'NVRAM' : 'manual';
+        return [name, iface.address || 'unassigned', 'YES', method, status, protocol];
+    });
+    return table([
+        { label: 'Interface', truncate: false },
+        { label: 'IP-Address', type: 'address' },
+        'OK?',
+        'Method',
+        'Status',
+        'Protocol'
+    ], rows);
+}
+
+function showVlanBrief(device) {
+    const { running } = device;
+    const accessPorts = id => Object.keys(running.interfaces).sort(compareInterfaceNames)
+        .filter(name => running.interfaces[name].switchport?.mode === 'access' && running.interfaces[name].switchport.accessVlan === id)
+        .map(shortInterfaceName);
+    const rows = Object.keys(running.vlans).map(Number).sort((a, b) => a - b).map(id => [id, running.vlans[id].name, 'active', accessPorts(id)]);
+    if (device.host.group === 'switches') rows.push(...RESERVED_VLANS.map(([id, name]) => [id, name, 'act/unsup', []]));
+
+    const lines = [
+        'VLAN Name                             Status    Ports',
+        '---- -------------------------------- --------- -------------------------------'
+    ];
+    rows.forEach(([id, name, status, ports]) => {
+        const groups = [];
+        for (let i = 0; i < ports.length; i += 4) groups.push(ports.slice(i, i + 4).join(', '));
+        lines.push(`${String(id).padEnd(5)}${name.padEnd(33)}${status.padEnd(10)}${groups[0] || ''}`.trimEnd());
+        groups.slice(1).forEach(group => lines.push(`${' '.repeat(48)}${group}`));
+    });
+    return lines.join('\n');
+}
+
+/** How long ago, as IOS prints ages: 00:04:12, 2d03h, 1w2d */
+function formatAge(since) {
+    const seconds = Math.floor((Date.now() - since) / 1000);
+    const days = Math.floor(seconds / 86400);
+    if (days >= 7) return `${Math.floor(days / 7)}w${days % 7}d`;
+    if (days) return `${days}d${String(Math.floor(seconds / 3600) % 24).padStart(2, '0')}h`;
+    return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+function formatRoute(route, nested, withPrefix) {
+    const code = route.prefix === 0 ? `${route.code}*` : route.code;
+    const head = `${code.padEnd(nested ? 9 : 6)}${formatIPv4(route.network)}${withPrefix ? `/${route.prefix}` : ''} `;
+    const [first] = route.paths;
+    if (first.gateway === null) return `${head}is directly connected, ${first.iface}`;
+    const age = LEARNED_CODES.includes(route.code) ? `, ${formatAge(route.since)}` : '';
+    const metrics = `[${route.distance}/${route.metric}]`;
+    // BGP shows its own next hop; equal-cost paths get a line each
+    if (route.code === 'B') return `${head}${metrics} via ${formatIPv4(route.nextHop)}${age}`;
+    return route.paths.map((path, index) => {
+        const iface = route.code === 'S' ? '' : `, ${path.iface}`;
+        return `${index ? ' '.repeat(head.length) : head}${metrics} via ${formatIPv4(path.gateway)}${age}${iface}`;
+    }).join('\n');
+}
+
+/**
+ * Routes grouped under their classful network, as IOS lists them.
+ */
+function formatRoutes(routes) {
+    const order = route => [route.network, route.prefix, route.code === 'L' ? 1 : 0];
+    const sorted = [...routes].sort((a, b) => {
+        const [x, y] = [order(a), order(b)];
+        return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+    });
+
+    const lines = [];
+    const groups = new Map();
+    sorted.forEach(route => {
+        const classful = classfulPrefix(route.network);
+        if (route.prefix < classful) {
+            lines.push({ key: route.network, text: [formatRoute(route, false, true)] });
+            return;
+        }
+        const major = (route.network & prefixMask(classful)) >>> 0;
+        if (!groups.has(major)) groups.set(major, []);
+        groups.get(major).push(route);
+    });
+    groups.forEach((members, major) => {
+        const classful = classfulPrefix(major);
+        if (members.length === 1 && members[0].prefix === classful) {
+            lines.push({ key: major, text: [formatRoute(members[0], false, true)] });
+            return;
+        }
+        const masks = new Set(members.map(route => route.prefix)).size;
+        const heading = masks > 1
+            ? `      ${formatIPv4(major)}/${classful} is variably subnetted, ${members.length} subnets, ${masks} masks`
+            : `      ${formatIPv4(major)}/${members[0].prefix} is subnetted, ${members.length} subnets`;
+        lines.push({ key: major, text: [heading, ...members.map(route => formatRoute(route, true, masks > 1))] });
+    });
+    return lines.sort((a, b) => a.key - b.key).flatMap(line => line.text);
 }
 
-export function handleNo(args) {
-    const [command] = args;
-    if (!command) {
-        return 'no: missing argument';
+function showIpRoute(device, protocol = null) {
+    const routes = getRoutes(device);
+    const defaultRoute = routes.find(route => route.prefix === 0);
+    const gateway = defaultRoute
+        ? `Gateway of last resort is ${formatIPv4(defaultRoute.nextHop ?? defaultRoute.paths[0].gateway ?? 0)} to network 0.0.0.0`
+        : 'Gateway of last resort is not set';
+    const shown = protocol ? routes.filter(route => ROUTE_PROTOCOLS[protocol].includes(route.code)) : routes;
+    return [ROUTE_CODES, '', gateway, '', ...formatRoutes(shown)].join('\n');
+}
+
+/** Counts down from the 40 second dead interval as hellos arrive every 10 */
+function deadTime(since) {
+    return `00:00:${39 - Math.floor((Date.now() - since) / 1000) % 10}`;
+}
+
+function showIpOspfNeighbor(device) {
+    const rows = getOspf(device).flatMap(process => process.neighbors)
+        .sort((a, b) => a.routerId - b.routerId)
+        .map(neighbor => [
+            formatIPv4(neighbor.routerId),
+            1,
+            `${neighbor.state}/${neighbor.role}`,
+            deadTime(neighbor.since),
+            formatIPv4(neighbor.address),
+            neighbor.iface
+        ]);
+    if (!rows.length) return '';
+    return block(['', table([
+        { label: 'Neighbor ID', type: 'address' },
+        { label: 'Pri', type: 'number' },
+        'State',
+        'Dead Time',
+        { label: 'Address', type: 'address' },
+        { label: 'Interface', truncate: false }
+    ], rows)]);
+}
+
+function showIpEigrpNeighbors(device) {
+    const processes = getEigrp(device);
+    if (!processes.length) return '';
+    return block(processes.flatMap(process => {
+        const rows = process.neighbors.map((neighbor, index) => {
+            const uptime = Math.floor((Date.now() - neighbor.since) / 1000);
+            return [
+                index,
+                formatIPv4(neighbor.address),
+                shortInterfaceName(neighbor.iface),
+                14 - uptime % 5,
+                formatAge(neighbor.since),
+                1,
+                100,
+                0,
+                3 + Math.floor(uptime / 60)
+            ];
+        });
+        return [
+            `EIGRP-IPv4 Neighbors for AS(${process.as})`,
+            table([
+                { label: 'H', type: 'number' },
+                { label: 'Address', type: 'address' },
+                { label: 'Interface', truncate: false },
+                { label: 'Hold (sec)', key: 'hold_sec', type: 'number' },
+                'Uptime',
+                { label: 'SRTT (ms)', key: 'srtt_ms', type: 'number' },
+                { label: 'RTO', type: 'number' },
+                { label: 'Q Cnt', type: 'number' },
+                { label: 'Seq Num', type: 'number' }
+            ], rows)
+        ];
+    }));
+}
+
+function showIpEigrpTopology(device) {
+    return getEigrp(device).map(process => {
+        const entries = process.topology.flatMap(entry => {
+            const successors = entry.connected ? 1 : entry.successors.length;
+            const vias = entry.connected
+                ? [`via Connected, ${entry.connected}`]
+                : [...entry.successors, ...entry.feasible].map(offer => `via ${formatIPv4(offer.gateway)} (${offer.metric}/${offer.reported}), ${offer.iface}`);
+            return [`P ${formatIPv4(entry.network)}/${entry.prefix}, ${successors} successors, FD is ${entry.fd}`, ...vias.map(via => `        ${via}`)];
+        });
+        return [
+            `EIGRP-IPv4 Topology Table for AS(${process.as})/ID(${process.routerId === null ? '0.0.0.0' : formatIPv4(process.routerId)})`,
+            'Codes: P - Passive, A - Active, U - Update, Q - Query, R - Reply,',
+            '       r - reply Status, s - sia Status',
+            '',
+            ...entries
+        ].join('\n');
+    }).join('\n\n');
+}
+
+function bgpNetwork(path) {
+    const address = formatIPv4(path.network);
+    return path.prefix === classfulPrefix(path.network) ? address : `${address}/${path.prefix}`;
+}
+
+function showIpBgpSummary(bgp) {
+    const networks = new Set(bgp.paths.map(path => `${path.network}/${path.prefix}`)).size;
+    const paths = bgp.paths.length;
+    const asPaths = new Set(bgp.paths.map(path => path.asPath.join(' '))).size;
+    const version = bgp.paths.filter(path => path.best).length + 1;
+    const bytes = networks * 144 + paths * 80 + asPaths * (136 + 24);
+    const rows = bgp.sessions.map(session => {
+        const established = session.state === 'Established';
+        const messages = established ? 4 + Math.floor((Date.now() - session.since) / 60000) : 0;
+        return [
+            formatIPv4(session.address),
+            4,
+            session.remoteAs,
+            messages,
+            messages,
+            established ? version : 0,
+            0,
+            0,
+            formatAge(session.since),
+            established ? session.prefixes : session.state
+        ];
+    });
+    return block([[
+        `BGP router identifier ${bgp.routerId === null ? '0.0.0.0' : formatIPv4(bgp.routerId)}, local AS number ${bgp.as}`,
+        `BGP table version is ${version}, main routing table version ${version}`,
+        `${networks} network entries using ${networks * 144} bytes of memory`,
+        `${paths} path entries using ${paths * 80} bytes of memory`,
+        `${asPaths}/${asPaths} BGP path/bestpath attribute entries using ${asPaths * 136} bytes of memory`,
+        `${asPaths} BGP AS-PATH entries using ${asPaths * 24} bytes of memory`,
+        '0 BGP route-map cache entries using 0 bytes of memory',
+        '0 BGP filter-list cache entries using 0 bytes of memory',
+        `BGP using ${bytes} total bytes of memory`,
+        `BGP activity ${networks}/0 prefixes, ${paths}/0 paths, scan interval 60 secs`
+    ].join('\n'), '', table([
+        { label: 'Neighbor', type: 'address' },
+        { label: 'V', type: 'number' },
+        { label: 'AS', type: 'number' },
+        { label: 'MsgRcvd', type: 'number' },
+        { label: 'MsgSent', type: 'number' },
+        { label: 'TblVer', type: 'number' },
+        { label: 'InQ', type: 'number' },
+        { label: 'OutQ', type: 'number' },
+        'Up/Down',
+        // Received prefixes once established, the session state until then
+        { label: 'State/PfxRcd', type: 'number' }
+    ], rows)]);
+}
+
+/** The BGP table: every path, the best first for each network */
+function showIpBgp(bgp) {
+    const sorted = [...bgp.paths].sort((a, b) => a.network - b.network || a.prefix - b.prefix || b.best - a.best);
+    const rows = sorted.map((path, index) => {
+        const previous = sorted[index - 1];
+        const repeated = previous && previous.network === path.network && previous.prefix === path.prefix;
+        const status = `${path.ribFailure ? 'r' : path.valid ? '*' : ' '}${path.best ? '>' : ' '}${path.internal ? 'i' : ' '}`;
+        return [
+            ` ${status} `,
+            (repeated ? '' : bgpNetwork(path)).padEnd(17),
+            formatIPv4(path.nextHop).padEnd(20),
+            (path.med === null ? '' : String(path.med)).padStart(6),
+            (path.internal ? String(path.localPref) : '').padStart(7),
+            String(path.weight).padStart(7),
+            ` ${[...path.asPath, 'i'].join(' ')}`
+        ].join('');
+    });
+    return [
+        `BGP table version is ${bgp.paths.filter(path => path.best).length + 1}, local router ID is ${bgp.routerId === null ? '0.0.0.0' : formatIPv4(bgp.routerId)}`,
+        BGP_STATUS_CODES,
+        '',
+        '     Network          Next Hop            Metric LocPrf Weight Path',
+        ...rows
+    ].join('\n');
+}
+
+/**
+ * show ip bgp [summary], which needs BGP to be running.
+ */
+function showBgp(device, summary, io) {
+    const bgp = getBgp(device);
+    if (!bgp) {
+        io.exitCode = 1;
+        return '% BGP not active';
     }
-    return `no ${command}: command not available in demo mode.`;
+    return summary ? showIpBgpSummary(bgp) : showIpBgp(bgp);
 }
 
-export function handleDo(args) {
-    const [command] = args;
-    if (!command) {
-        return 'do: missing argument';
+/**
+ * show running-config | startup-config | vlan [brief] | [ip] access-lists [n|name] | ip interface brief |
+ * ip route [protocol] | ip ospf neighbor | ip eigrp neighbors|topology | ip bgp [summary]
+ */
+export function handleCiscoShow(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (!session) return onConsole(terminal, ['show', ...args], io);
+    const { device } = session;
+    const what = matchKeyword(args, 0, ['access-lists', 'ip', 'running-config', 'startup-config', 'vlan']);
+    let end = 1;
+    let output;
+    const aclName = () => (args.length > end ? expectAclName(args, end++) : null);
+    if (what === 'access-lists') {
+        output = showAccessLists(device, aclName());
+    } else if (what === 'running-config') {
+        output = showRunningConfig(device);
+    } else if (what === 'startup-config') {
+        output = showStartupConfig(device, io);
+    } else if (what === 'vlan') {
+        if (device.host.group !== 'switches') throw new IosInputError('invalid', args, 0);
+        if (args.length > 1) matchKeyword(args, end++, ['brief']);
+        output = showVlanBrief(device);
+    } else {
+        const table = matchKeyword(args, end++, ['access-lists', 'bgp', 'eigrp', 'interface', 'ospf', 'route']);
+        if (table === 'access-lists') {
+            output = showAccessLists(device, aclName());
+        } else if (table === 'route') {
+            const protocol = args.length > end ? matchKeyword(args, end++, Object.keys(ROUTE_PROTOCOLS)) : null;
+            output = showIpRoute(device, protocol);
+        } else if (table === 'ospf') {
+            matchKeyword(args, end++, ['neighbor']);
+            output = showIpOspfNeighbor(device);
+        } else if (table === 'eigrp') {
+            output = matchKeyword(args, end++, ['neighbors', 'topology']) === 'neighbors'
+                ? showIpEigrpNeighbors(device)
+                : showIpEigrpTopology(device);
+        } else if (table === 'bgp') {
+            const summary = args.length > end && matchKeyword(args, end++, ['summary']) === 'summary';
+            output = showBgp(device, summary, io);
+        } else {
+            matchKeyword(args, end++, ['brief']);
+            output = showIpInterfaceBrief(device);
+        }
     }
-    return `do ${command}: command not available in demo mode.`;
-}
\ No newline at end of file
+    if (args.length > end) throw new IosInputError('invalid', args, end);
+    return output;
+}
+
+/**
+ * write [memory | erase | terminal]
+ */
+export function handleWrite(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (!session) return onConsole(terminal, ['write', ...args], io);
+    const what = args.length ? matchKeyword(args, 0, ['erase', 'memory', 'terminal']) : 'memory';
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    if (what === 'erase') return eraseStartupConfig(session.device);
+    if (what === 'terminal') return showRunningConfig(session.device);
+    return saveRunningConfig(session.device);
+}
+
+/**
+ * copy running-config startup-config | copy startup-config running-config
+ */
+export function handleCopy(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (!session) return onConsole(terminal, ['copy', ...args], io);
+    const files = ['running-config', 'startup-config'];
+    const source = matchKeyword(args, 0, files);
+    const destination = matchKeyword(args, 1, files);
+    if (args.length > 2) throw new IosInputError('invalid', args, 2);
+    const { device } = session;
+    if (source === destination) {
+        io.exitCode = 1;
+        return `%Error opening nvram:/${destination} (Permission denied)`;
+    }
+    if (source === 'running-config') {
+        return `Destination filename [startup-config]? \n${saveRunningConfig(device)}`;
+    }
+    if (!device.startup) {
+        io.exitCode = 1;
+        return '%Error opening nvram:/startup-config (No such file or directory)';
+    }
+    const bytes = renderConfig(device.startup, device.host).length;
+    device.restore();
+    return `Destination filename [running-config]? \n${bytes} bytes copied in 0.${String(bytes % 1000).padStart(3, '0')} secs`;
+}
+
+/**
+ * erase startup-config | erase nvram:
+ */
+export function handleErase(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (!session) return onConsole(terminal, ['erase', ...args], io);
+    matchKeyword(args, 0, ['nvram:', 'startup-config']);
+    if (args.length > 1) throw new IosInputError('invalid', args, 1);
+    return eraseStartupConfig(session.device);
+}
+
+/**
+ * reload: the running-config is thrown away and the device boots from
+ * its startup-config, or blank when there is none. Unsaved changes are
+ * not saved, as if the question had been answered no.
+ */
+export function handleReload(terminal, args = [], io = {}) {
+    const session = terminal.ios;
+    if (!session) return onConsole(terminal, ['reload', ...args], io);
+    if (args.length) throw new IosInputError('invalid', args, 0);
+    const { device } = session;
+    const prelude = device.modified ? ['System configuration has been modified. Save? [yes/no]: no'] : [];
+    prelude.push('Proceed with reload? [confirm]');
+    device.reload();
+    // Over the network the device just drops the connection
+    if (session.link) return [...prelude, closeSession(terminal)].join('\n');
+    session.enter('user');
+    return bootLog(device, prelude, io);
+}
+
+async function* bootLog(device, prelude, io) {
+    const platform = getPlatform(device.host);
+    const interfaces = Object.keys(device.running.interfaces).sort(compareInterfaceNames);
+    const physical = interfaces.filter(name => name.startsWith('GigabitEthernet')).length;
+    const steps = [
+        prelude.join('\n'),
+        '\nSystem Bootstrap, Version 15.0(1r)M16, RELEASE SOFTWARE (fc1)\nCopyright (c) 1986-2012 by Cisco Systems, Inc.',
+        `${platform.family} platform with 524288 Kbytes of main memory`,
+        'Self decompressing the image : ########################################## [OK]',
+        [
+            `Cisco IOS Software, ${platform.family} Software (${platform.image}), Version ${platform.version}, RELEASE SOFTWARE (fc2)`,
+            'Copyright (c) 1986-2015 by Cisco Systems, Inc.',
+            '',
+            `Cisco ${platform.model} (revision 1.0) with 491520K/32768K bytes of memory.`,
+            `${physical} Gigabit Ethernet interfaces`,
+            `${NVRAM_BYTES / 1024 | 0}K bytes of non-volatile configuration memory.`
+        ].join('\n')
+    ];
+    if (!device.startup) {
+        steps.push('\n         --- System Configuration Dialog ---\n\nWould you like to enter the initial configuration dialog? [yes/no]: no');
+    }
+    steps.push('\nPress RETURN to get started!\n');
+    interfaces.filter(name => interfaceState(device, name).protocol === 'up').forEach(name => {
+        steps.push(`${logTimestamp()} %LINK-3-UPDOWN: Interface ${name}, changed state to up\n${logTimestamp()} %LINEPROTO-5-UPDOWN: Line protocol on Interface ${name}, changed state to up`);
+    });
+    steps.push(`${logTimestamp()} %SYS-5-RESTART: System restarted --\nCisco IOS Software, ${platform.family} Software (${platform.image}), Version ${platform.version}, RELEASE SOFTWARE (fc2)`);
+
+    for (const [index, step] of steps.entries()) {
+        if (index && !(await sleep(BOOT_STEP_DELAY, io.signal))) return;
+        yield step;
+    }
+}
@@ -1,6 +1,7 @@
 // js/apps/terminal/commands.js
 
 import { CONFIG } from '../../../config.js';
+import { getCommandMeta } from './manual.js';
 import {
     handlePwd,
     handleCd,
@@ -14,7 +15,6 @@ import {
     handleUname,
     handleHostname,
     handleVersion,
-    handleHistory,
     handleDebug
 } from './core.js';
 import {
@@ -39,6 +39,7 @@ import {
     handleDf,
     handleStat,
     handleFile,
+    handleResetFs,
     handleWc,
     handleSort,
     handleUniq,
@@ -60,8 +61,6 @@ import {
     handleIfconfig,
     handleIp,
     handleNetstat,
-    handlePs,
-    handleTop,
     handleTelnet,
     handleFtp,
     handleSftp,
@@ -73,9 +72,6 @@ import {
     handleIpconfig,
     handleSpeedtest,
     handleNetsh,
-    handleIptables,
-    handleUfw,
-    handleFirewallCmd,
     handleSs,
     handleLsof,
     handleTcpdump,
@@ -84,6 +80,8 @@ import {
     handleHost,
     handleWhois
 } from './network.js';
+import { handleFirewallCmd, handleIptables, handlePacketTracer, handleUfw } from './firewall.js';
+import { handleIp6, handleIpcalc, handleSubnet, handleSupernet, handleVlsm, handleWildcard } from './ipcalc.js';
 import {
     handleColor,
     handleBrightness,
@@ -161,11 +159,25 @@ import {
     handleShift,
     handleGetopts,
     handleTrap,
+    handleBash,
+    handleTest,
+    handleTrue,
+    handleFalse,
+    handleLoopControl,
+    handleReturn,
+    handleShellExit,
+    handleLocal,
     handleUlimit,
     handleUmask
 } from './environment.js';
 import { handleShow, loadResume } from '../content.js';
+import { handleNano } from '../editor.js';
+import { handleHistory } from '../history.js';
+import { handleBg, handleFg, handleJobs, handleKill, handleSleep, handleWait } from '../jobs.js';
+import { handlePs, handleTop } from '../processes.js';
+import { handleEditRc } from '../rc.js';
 import { clear } from '../outputUtils.js';
+import { handleScrollback } from '../scrollback.js';
 import { handleThemes, handleThemeSwitch } from '../theme.js';
 import { 
     testAudio, 
@@ -183,27 +195,35 @@ import {
 } from '../audio.js';
 
 export function registerCommands(commands, terminal) {
+    // Each group's category is the fallback for commands without a manual page
     const commandGroups = [
-        getCoreCommands(terminal),
-        getFileSystemCommands(terminal),
-        getNetworkCommands(terminal),
-        getResumeCommands(terminal),
-        getAudioCommands(terminal),
-        getEffectsCommands(terminal),
-        getAppControlCommands(terminal),
-        getSystemControlCommands(terminal),
-        getCiscoCommands(terminal),
-        getEnvironmentCommands(terminal)
+        ['', getCoreCommands(terminal)],
+        ['filesystem', getFileSystemCommands(terminal)],
+        ['network', getNetworkCommands(terminal)],
+        ['network', getIpCalcCommands()],
+        ['apps', getResumeCommands(terminal)],
+        ['audio', getAudioCommands(terminal)],
+        ['effects', getEffectsCommands(terminal)],
+        ['apps', getAppControlCommands(terminal)],
+        ['system', getSystemControlCommands(terminal)],
+        ['cisco', getCiscoCommands(terminal)],
+        ['help', getEnvironmentCommands(terminal)]
     ];
 
-    commandGroups.flat().forEach(({ name, handler }) => commands.set(name, handler));
+    terminal.commandMeta = new Map();
+    commandGroups.forEach(([category, entries]) => entries.forEach(entry => {
+        entry.meta = getCommandMeta(entry.name, category);
+        if (entry.table) entry.meta.table = true;
+        commands.set(entry.name, entry.handler);
+        terminal.commandMeta.set(entry.name, entry.meta);
+    }));
 }
 
 function getCoreCommands(terminal) {
     return [
         { name: 'help', handler: () => terminal.showHelp() },
-        { name: 'ping', handler: args => handlePing(args) },
-        { name: 'show', handler: args => handleShow(terminal, args) },
+        { name: 'ping', handler: (args, io) => handlePing(args, io) },
+        { name: 'show', handler: (args, io) => handleShow(terminal, args, io) },
         { name: 'clear', handler: () => clear(terminal) },
         { name: 'cls', handler: () => clear(terminal) },
         { name: 'restore-scroll', handler: () => { 
@@ -211,19 +231,21 @@ function getCoreCommands(terminal) {
             terminal.restoreScrolling(); 
             return 'Terminal scrolling restored with comprehensive settings'; 
         } },
-        { name: 'tracert', handler: args => handleTracert(args) },
-        { name: 'traceroute', handler: args => handleTracert(args) },
-        { name: 'nslookup', handler: args => handleNslookup(args) },
-        { name: 'dig', handler: args => handleNslookup(args) },
-        { name: 'arp', handler: () => handleArp() },
-        { name: 'route', handler: () => handleRoute() },
+        { name: 'scrollback', handler: (args, io) => handleScrollback(terminal, args, io) },
+        { name: 'tracert', handler: (args, io) => handleTracert(args, io) },
+        { name: 'traceroute', handler: (args, io) => handleTracert(args, io) },
+        { name: 'nslookup', handler: (args, io) => handleNslookup(args, io) },
+        { name: 'dig', handler: (args, io) => handleNslookup(args, io) },
+        { name: 'arp', handler: () => handleArp(), table: true },
+        { name: 'route', handler: () => handleRoute(), table: true },
         { name: 'ifconfig', handler: () => handleIfconfig() },
-        { name: 'ip', handler: args => handleIp(terminal, args) },
-        { name: 'netstat', handler: () => handleNetstat() },
-        { name: 'ps', handler: () => handlePs() },
-        { name: 'top', handler: () => handleTop() },
-        { name: 'ls', handler: args => handleLs(terminal, args) },
-        { name: 'dir', handler: args => handleLs(terminal, args) },
+        { name: 'ip', handler: (args, io) => handleIp(terminal, args, io) },
+        { name: 'netstat', handler: () => handleNetstat(), table: true },
+        { name: 'ps', handler: (args, io) => handlePs(terminal, args, io), table: true },
+        { name: 'top', handler: (args, io) => handleTop(terminal, args, io), table: true },
+        { name: 'htop', handler: (args, io) => handleTop(terminal, args, io, true), table: true },
+        { name: 'ls', handler: (args, io) => handleLs(terminal, args, io) },
+        { name: 'dir', handler: (args, io) => handleLs(terminal, args, io) },
         { name: 'pwd', handler: () => handlePwd(terminal) },
         { name: 'cd', handler: args => handleCd(terminal, args) },
         { name: 'whoami', handler: () => handleWhoami() },
@@ -236,80 +258,84 @@ function getCoreCommands(terminal) {
         { name: 'hostname', handler: () => handleHostname() },
         { name: 'themes', handler: () => handleThemes(terminal) },
         { name: 'version', handler: () => handleVersion() },
-        { name: 'history', handler: () => handleHistory(terminal) },
-        { name: 'alias', handler: args => terminal.handleAlias(args) },
-        { name: 'unalias', handler: args => terminal.handleUnalias(args) },
-        { name: 'type', handler: args => terminal.handleType(args) },
-        { name: 'which', handler: args => terminal.handleWhich(args) },
+        { name: 'history', handler: (args, io) => handleHistory(terminal, args, io) },
+        { name: 'alias', handler: (args, io) => terminal.handleAlias(args, io) },
+        { name: 'unalias', handler: (args, io) => terminal.handleUnalias(args, io) },
+        { name: 'type', handler: (args, io) => terminal.handleType(args, io) },
+        { name: 'which', handler: (args, io) => terminal.handleWhich(args, io) },
         { name: 'whereis', handler: args => terminal.handleWhereis(args) },
-        { name: 'man', handler: args => terminal.handleMan(args) },
-        { name: 'info', handler: args => terminal.handleInfo(args) },
-        { name: 'whatis', handler: args => terminal.handleWhatis(args) },
-        { name: 'apropos', handler: args => terminal.handleApropos(args) },
-        { name: 'debug', handler: args => handleDebug(terminal, args) }
+        { name: 'man', handler: (args, io) => terminal.handleMan(args, io) },
+        { name: 'info', handler: (args, io) => terminal.handleInfo(args, io) },
+        { name: 'whatis', handler: (args, io) => terminal.handleWhatis(args, io) },
+        { name: 'apropos', handler: (args, io) => terminal.handleApropos(args, io) },
+        { name: 'debug', handler: args => handleDebug(terminal, args) },
+        { name: 'edit-rc', handler: (args, io) => handleEditRc(terminal, args, io) }
     ];
 }
 
 function getFileSystemCommands(terminal) {
     return [
-        { name: 'cat', handler: args => handleCat(terminal, args) },
-        { name: 'head', handler: async args => await handleHead(args) },
-        { name: 'tail', handler: async args => await handleTail(args) },
-        { name: 'more', handler: args => handleMore(terminal, args) },
-        { name: 'less', handler: args => handleLess(terminal, args) },
-        { name: 'grep', handler: args => handleGrep(args) },
-        { name: 'find', handler: args => handleFind(args) },
-        { name: 'locate', handler: args => handleLocate(args) },
-        { name: 'touch', handler: args => handleTouch(args) },
-        { name: 'mkdir', handler: args => handleMkdir(args) },
-        { name: 'rmdir', handler: args => handleRmdir(args) },
-        { name: 'rm', handler: args => handleRm(args) },
-        { name: 'cp', handler: args => handleCp(args) },
-        { name: 'mv', handler: args => handleMv(args) },
-        { name: 'ln', handler: args => handleLn(args) },
-        { name: 'chmod', handler: args => handleChmod(args) },
-        { name: 'chown', handler: args => handleChown(args) },
-        { name: 'du', handler: args => handleDu(terminal, args) },
+        { name: 'cat', handler: (args, io) => handleCat(terminal, args, io) },
+        { name: 'head', handler: (args, io) => handleHead(terminal, args, io) },
+        { name: 'tail', handler: (args, io) => handleTail(terminal, args, io) },
+        { name: 'more', handler: (args, io) => handleMore(terminal, args, io) },
+        { name: 'less', handler: (args, io) => handleLess(terminal, args, io) },
+        { name: 'grep', handler: (args, io) => handleGrep(terminal, args, io) },
+        { name: 'find', handler: (args, io) => handleFind(terminal, args, io) },
+        { name: 'locate', handler: args => handleLocate(terminal, args) },
+        { name: 'touch', handler: args => handleTouch(terminal, args) },
+        { name: 'mkdir', handler: args => handleMkdir(terminal, args) },
+        { name: 'rmdir', handler: args => handleRmdir(terminal, args) },
+        { name: 'rm', handler: args => handleRm(terminal, args) },
+        { name: 'cp', handler: args => handleCp(terminal, args) },
+        { name: 'mv', handler: args => handleMv(terminal, args) },
+        { name: 'ln', handler: args => handleLn(terminal, args) },
+        { name: 'chmod', handler: args => handleChmod(terminal, args) },
+        { name: 'chown', handler: args => handleChown(terminal, args) },
+        { name: 'du', handler: (args, io) => handleDu(terminal, args, io) },
         { name: 'df', handler: args => handleDf() },
-        { name: 'stat', handler: args => handleStat(args) },
-        { name: 'file', handler: args => handleFile(args) },
-        { name: 'wc', handler: args => handleWc(args) },
-        { name: 'sort', handler: args => handleSort(args) },
-        { name: 'uniq', handler: args => handleUniq(args) },
-        { name: 'cut', handler: args => handleCut(args) },
+        { name: 'stat', handler: (args, io) => handleStat(terminal, args, io) },
+        { name: 'file', handler: args => handleFile(terminal, args) },
+        { name: 'reset-fs', handler: () => handleResetFs(terminal) },
+        { name: 'wc', handler: (args, io) => handleWc(terminal, args, io) },
+        { name: 'sort', handler: (args, io) => handleSort(terminal, args, io) },
+        { name: 'uniq', handler: (args, io) => handleUniq(terminal, args, io) },
+        { name: 'cut', handler: (args, io) => handleCut(terminal, args, io) },
         { name: 'paste', handler: args => handlePaste(args) },
         { name: 'join', handler: args => handleJoin(args) },
         { name: 'split', handler: args => handleSplit(args) },
-        { name: 'tr', handler: args => handleTr(args) },
-        { name: 'sed', handler: args => handleSed(args) },
-        { name: 'awk', handler: args => handleAwk(args) }
+        { name: 'tr', handler: (args, io) => handleTr(terminal, args, io) },
+        { name: 'sed', handler: (args, io) => handleSed(terminal, args, io) },
+        { name: 'awk', handler: (args, io) => handleAwk(terminal, args, io) },
+        { name: 'nano', handler: (args, io) => handleNano(terminal, args, io) }
     ];
 }
 
 function getNetworkCommands(terminal) {
     return [
-        { name: 'ssh', handler: args => handleSSH(args) },
-        { name: 'telnet', handler: () => handleTelnet() },
+        { name: 'ssh', handler: (args, io) => handleSSH(terminal, args, io) },
+        { name: 'telnet', handler: (args, io) => handleTelnet(terminal, args, io) },
         { name: 'ftp', handler: () => handleFtp() },
         { name: 'sftp', handler: () => handleSftp() },
         { name: 'scp', handler: args => handleScp(args) },
         { name: 'rsync', handler: args => handleRsync(args) },
         { name: 'wget', handler: args => handleWget(args) },
         { name: 'curl', handler: args => handleCurl(args) },
-        { name: 'nc', handler: args => handleNc(args) },
-        { name: 'netcat', handler: args => handleNc(args) },
+        { name: 'nc', handler: (args, io) => handleNc(args, io) },
+        { name: 'netcat', handler: (args, io) => handleNc(args, io) },
         { name: 'ipconfig', handler: () => handleIpconfig() },
         { name: 'speedtest', handler: () => handleSpeedtest() },
         { name: 'netsh', handler: args => handleNetsh(args) },
-        { name: 'iptables', handler: args => handleIptables(args) },
-        { name: 'ufw', handler: args => handleUfw(args) },
-        { name: 'firewall-cmd', handler: args => handleFirewallCmd(args) },
+        { name: 'iptables', handler: (args, io) => handleIptables(args, io) },
+        { name: 'ufw', handler: (args, io) => handleUfw(args, io) },
+        { name: 'firewall-cmd', handler: (args, io) => handleFirewallCmd(args, io) },
+        { name: 'packet-tracer', handler: (args, io) => handlePacketTracer(args, io) },
         { name: 'ss', handler: args => handleSs(args) },
         { name: 'lsof', handler: args => handleLsof(args) },
         { name: 'tcpdump', handler: args => handleTcpdump(args) },
         { name: 'wireshark', handler: () => handleWireshark() },
         { name: 'nmap', handler: args => handleNmap(args) },
-        { name: 'nslookup', handler: args => handleNslookup(args) },
+        { name: 'nslookup', handler: (args, io) => handleNslookup(args, io) },
         { name: 'host', handler: args => handleHost(args) },
         { name: 'whois', handler: args => handleWhois(args) }
     ];
@@ -384,7 +410,7 @@ function getAppControlCommands(terminal) {
         { name: 'applications', handler: () => listApps() },
         { name: 'windows', handler: () => listWindows() },
         { name: 'close', handler: args => handleClose(args) },
-        { name: 'kill', handler: args => handleClose(args) },
+        { name: 'kill', handler: (args, io) => handleKill(terminal, args, io) },
         { name: 'focus', handler: args => handleFocus(args) },
         { name: 'bring-to-front', handler: args => handleFocus(args) },
         { name: 'minimize', handler: args => handleMinimize(args) },
@@ -411,43 +437,54 @@ function getSystemControlCommands(terminal) {
         { name: 'reboot', handler: () => handleReboot() },
         { name: 'restart', handler: () => handleReboot() },
         { name: 'logout', handler: () => handleLogout() },
-        { name: 'exit', handler: () => handleExit() },
+        { name: 'exit', handler: (args, io) => handleShellExit(terminal, args, io) },
         { name: 'quit', handler: () => handleExit() },
         { name: 'suspend', handler: () => handleSuspend() },
         { name: 'hibernate', handler: () => handleHibernate() },
         { name: 'lock', handler: () => handleLock() },
-        { name: 'sleep', handler: () => handleSuspend() }
+        { name: 'sleep', handler: (args, io) => (args.length ? handleSleep(args, io) : handleSuspend()) }
+    ];
+}
+
+function getIpCalcCommands() {
+    return [
+        { name: 'ipcalc', handler: args => handleIpcalc(args) },
+        { name: 'subnet', handler: args => handleSubnet(args), table: true },
+        { name: 'supernet', handler: args => handleSupernet(args) },
+        { name: 'wildcard', handler: args => handleWildcard(args) },
+        { name: 'ip6', handler: args => handleIp6(args) },
+        { name: 'vlsm', handler: args => handleVlsm(args), table: true }
     ];
 }
 
 function getCiscoCommands(terminal) {
     return [
-        { name: 'configure', handler: () => handleConfigure() },
-        { name: 'conf', handler: () => handleConfigure() },
-        { name: 'interface', handler: () => handleInterface() },
-        { name: 'int', handler: () => handleInterface() },
-        { name: 'vlan', handler: () => handleVlan() },
-        { name: 'ospf', handler: () => handleOspf() },
-        { name: 'bgp', handler: () => handleBgp() },
-        { name: 'eigrp', handler: () => handleEigrp() },
-        { name: 'access-list', handler: () => handleAccessList() },
-        { name: 'acl', handler: () => handleAccessList() },
+        { name: 'configure', handler: (args, io) => handleConfigure(terminal, args, io) },
+        { name: 'conf', handler: (args, io) => handleConfigure(terminal, args, io) },
+        { name: 'interface', handler: (args, io) => handleInterface(terminal, args, io) },
+        { name: 'int', handler: (args, io) => handleInterface(terminal, args, io) },
+        { name: 'vlan', handler: (args, io) => handleVlan(terminal, args, io) },
+        { name: 'ospf', handler: (args, io) => handleOspf(terminal, args, io) },
+        { name: 'bgp', handler: (args, io) => handleBgp(terminal, args, io) },
+        { name: 'eigrp', handler: (args, io) => handleEigrp(terminal, args, io) },
+        { name: 'access-list', handler: (args, io) => handleAccessList(terminal, args, io) },
+        { name: 'acl', handler: (args, io) => handleAccessList(terminal, args, io) },
         { name: 'logging', handler: () => terminal.handleLogging() },
         { name: 'monitor', handler: () => handleMonitor() },
         { name: 'debug', handler: () => handleCiscoDebug() },
-        { name: 'reload', handler: () => handleReload() },
-        { name: 'copy', handler: () => handleCopy() },
-        { name: 'write', handler: () => handleWrite() },
-        { name: 'erase', handler: () => handleErase() },
+        { name: 'reload', handler: (args, io) => handleReload(terminal, args, io) },
+        { name: 'copy', handler: (args, io) => handleCopy(terminal, args, io) },
+        { name: 'write', handler: (args, io) => handleWrite(terminal, args, io) },
+        { name: 'erase', handler: (args, io) => handleErase(terminal, args, io) },
         { name: 'terminal', handler: () => handleTerminal() },
         { name: 'line', handler: () => handleLine() },
-        { name: 'username', handler: () => handleUsername() },
-        { name: 'enable', handler: () => handleEnable() },
-        { name: 'disable', handler: () => handleDisable() },
-        { name: 'end', handler: () => handleEnd() },
-        { name: 'sh', handler: args => handleCiscoShow(args) },
-        { name: 'no', handler: args => handleNo(args) },
-        { name: 'do', handler: args => handleDo(args) }
+        { name: 'username', handler: (args, io) => handleUsername(terminal, args, io) },
+        { name: 'enable', handler: (args, io) => handleEnable(terminal, args, io) },
+        { name: 'disable', handler: (args, io) => handleDisable(terminal, args, io) },
+        { name: 'end', handler: (args, io) => handleEnd(terminal, args, io) },
+        { name: 'sh', handler: (args, io) => handleCiscoShow(terminal, args, io), table: true },
+        { name: 'no', handler: (args, io) => handleNo(terminal, args, io) },
+        { name: 'do', handler: (args, io) => handleDo(terminal, args, io) }
     ];
 }
 
@@ -455,20 +492,34 @@ function getEnvironmentCommands(terminal) {
     return [
         { name: 'env', handler: () => handleEnv(terminal) },
         { name: 'environment', handler: () => handleEnv(terminal) },
-        { name: 'set', handler: args => handleSet(terminal, args) },
+        { name: 'set', handler: (args, io) => handleSet(terminal, args, io) },
         { name: 'unset', handler: args => handleUnset(terminal, args) },
         { name: 'export', handler: args => handleExport(terminal, args) },
         { name: 'echo', handler: args => handleEcho(args) },
         { name: 'print', handler: args => handleEcho(args) },
         { name: 'printf', handler: args => handlePrintf(args) },
-        { name: 'read', handler: args => handleRead(args) },
-        { name: 'source', handler: args => handleSource(args) },
-        { name: '.', handler: args => handleSource(args) },
-        { name: 'exec', handler: args => handleExec(args) },
-        { name: 'eval', handler: args => handleEval(args) },
-        { name: 'shift', handler: args => handleShift(args) },
-        { name: 'getopts', handler: args => handleGetopts(args) },
-        { name: 'trap', handler: args => handleTrap(args) },
+        { name: 'read', handler: (args, io) => handleRead(terminal, args, io) },
+        { name: 'source', handler: (args, io) => handleSource(terminal, args, io) },
+        { name: '.', handler: (args, io) => handleSource(terminal, args, io) },
+        { name: 'exec', handler: (args, io) => handleExec(terminal, args, io) },
+        { name: 'eval', handler: (args, io) => handleEval(terminal, args, io) },
+        { name: 'shift', handler: (args, io) => handleShift(terminal, args, io) },
+        { name: 'getopts', handler: (args, io) => handleGetopts(terminal, args, io) },
+        { name: 'trap', handler: (args, io) => handleTrap(terminal, args, io) },
+        { name: 'jobs', handler: args => handleJobs(terminal, args) },
+        { name: 'fg', handler: (args, io) => handleFg(terminal, args, io) },
+        { name: 'bg', handler: (args, io) => handleBg(terminal, args, io) },
+        { name: 'wait', handler: (args, io) => handleWait(terminal, args, io) },
+        { name: 'bash', handler: (args, io) => handleBash(terminal, args, io) },
+        { name: 'test', handler: (args, io) => handleTest(terminal, args, io) },
+        { name: '[', handler: (args, io) => handleTest(terminal, args, io, true) },
+        { name: 'true', handler: () => handleTrue() },
+        { name: ':', handler: () => handleTrue() },
+        { name: 'false', handler: (args, io) => handleFalse(args, io) },
+        { name: 'break', handler: (args, io) => handleLoopControl('break', args, io) },
+        { name: 'continue', handler: (args, io) => handleLoopControl('continue', args, io) },
+        { name: 'return', handler: (args, io) => handleReturn(terminal, args, io) },
+        { name: 'local', handler: (args, io) => handleLocal(terminal, args, io) },
         { name: 'ulimit', handler: args => handleUlimit(args) },
         { name: 'umask', handler: args => handleUmask(args) }
     ];
@@ -1,5 +1,7 @@
 // js/apps/terminal/commands/core.js
 import { NeuOSLogger } from '../../../utils/utils.js';
+import { VirtualFileSystem, FileTypes } from '../vfs.js';
+import { resolvePath, parseFlags, failures, reportErrors } from '../filesystem.js';
 
 export function handlePwd(terminal) {
     return terminal.workingDirectory;
@@ -7,44 +9,157 @@ export function handlePwd(terminal) {
 
 export function handleCd(terminal, args) {
     const [path] = args;
-    if (!path || path === '~' || path === '~/' || path === '/home/jared') {
-        terminal.workingDirectory = '/home/jared';
-        terminal.updateEnvironment();
-        return '';
+    let target = path;
+    if (!path || path === '~') {
+        target = terminal.fs.home;
+    } else if (path === '-') {
+        target = terminal.environment.OLDPWD || terminal.workingDirectory;
     }
-    if (path === '..') {
-        const parts = terminal.workingDirectory.split('/').filter(Boolean);
-        if (parts.length > 1) {
-            parts.pop();
-            terminal.workingDirectory = '/' + parts.join('/');
-        } else {
-            terminal.workingDirectory = '/';
-        }
-    } else if (path.startsWith('/')) {
-        terminal.workingDirectory = path;
-    } else {
-        terminal.workingDirectory = terminal.workingDirectory + '/' + path;
+
+    const resolved = resolvePath(terminal, target);
+    let inode;
+    try {
+        inode = terminal.fs.lookup(resolved);
+    } catch (error) {
+        return failures([`cd: ${path}: ${error.message}`]);
+    }
+    if (inode.type !== FileTypes.DIRECTORY) {
+        return failures([`cd: ${path}: Not a directory`]);
     }
+    if (!terminal.fs.canAccess(inode, 0o1)) {
+        return failures([`cd: ${path}: Permission denied`]);
+    }
+
+    terminal.environment.OLDPWD = terminal.workingDirectory;
+    terminal.workingDirectory = resolved;
     terminal.updateEnvironment();
-    return '';
+    return path === '-' ? resolved : '';
 }
 
-export function handleLs(terminal, args) {
-    const [path] = args;
-    const targetPath = path || terminal.workingDirectory;
-    
-    if (targetPath === '/home/jared' || targetPath === '~') {
-        return 'resume.txt  network-configs/  scripts/  .bashrc  .profile  Documents/  Downloads/';
-    } else if (targetPath === '/home/jared/network-configs') {
-        return 'router1.conf  switch1.conf  firewall.conf  vlan-config.txt  ospf-config.txt';
-    } else if (targetPath === '/home/jared/scripts') {
-        return 'backup.sh  monitor.sh  deploy.sh  test.sh  utils.py';
-    } else if (targetPath === '/home/jared/Documents') {
-        return 'resume.pdf  certifications/  projects/  notes.txt';
-    } else if (targetPath === '/home/jared/Downloads') {
-        return 'firmware.bin  config-backup.tar.gz  logs.zip  tools/';
+function formatListingDate(ms) {
+    const date = new Date(ms);
+    const month = date.toLocaleString('en-US', { month: 'short' });
+    const day = String(date.getDate()).padStart(2, ' ');
+    const sixMonths = 1000 * 60 * 60 * 24 * 182;
+    const tail = Date.now() - ms > sixMonths
+        ? String(date.getFullYear()).padStart(5, ' ')
+        : `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    return `${month} ${day} ${tail}`;
+}
+
+function humanSize(bytes) {
+    if (bytes < 1024) return String(bytes);
+    const units = ['K', 'M', 'G'];
+    let value = bytes;
+    let unit = -1;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value < 10 ? value.toFixed(1) : Math.round(value)}${units[unit]}`;
+}
+
+function decorateName(name, info) {
+    if (info.type === FileTypes.DIRECTORY) return `${name}/`;
+    if (info.type === FileTypes.SYMLINK) return name;
+    return info.mode & 0o111 ? `${name}*` : name;
+}
+
+function formatLongListing(entries, flags) {
+    const rows = entries.map(({ name, info }) => ({
+        permissions: info.permissions,
+        links: String(info.nlink),
+        owner: info.owner,
+        group: info.group,
+        size: flags.has('h') ? humanSize(info.size) : String(info.size),
+        date: formatListingDate(info.mtime),
+        name: info.type === FileTypes.SYMLINK ? `${name} -> ${info.target}` : name
+    }));
+    const width = key => Math.max(0, ...rows.map(row => row[key].length));
+    const widths = { links: width('links'), owner: width('owner'), group: width('group'), size: width('size') };
+
+    return rows.map(row => [
+        row.permissions,
+        row.links.padStart(widths.links),
+        row.owner.padEnd(widths.owner),
+        row.group.padEnd(widths.group),
+        row.size.padStart(widths.size),
+        row.date,
+        row.name
+    ].join(' ')).join('\n');
+}
+
+function listDirectory(terminal, path, flags) {
+    const all = flags.has('a') || flags.has('A');
+    let names = terminal.fs.readdir(path, { all });
+    if (flags.has('A')) names = names.filter(name => name !== '.' && name !== '..');
+
+    const entries = names.map(name => {
+        const entryPath = name === '.' ? path : name === '..' ? VirtualFileSystem.dirname(path) : `${path === '/' ? '' : path}/${name}`;
+        return { name, path: entryPath, info: terminal.fs.stat(entryPath, { follow: false }) };
+    });
+    if (flags.has('t')) entries.sort((a, b) => b.info.mtime - a.info.mtime);
+    if (flags.has('S')) entries.sort((a, b) => b.info.size - a.info.size);
+    if (flags.has('r')) entries.reverse();
+
+    if (flags.has('l')) {
+        const blocks = entries.reduce((sum, { info }) => sum + Math.max(Math.ceil(info.size / 4096), 1) * 4, 0);
+        return { entries, text: `total ${blocks}${entries.length ? '\n' + formatLongListing(entries, flags) : ''}` };
     }
-    return `ls: cannot access '${path}': No such file or directory`;
+    const separator = flags.has('1') ? '\n' : '  ';
+    return { entries, text: entries.map(({ name, info }) => decorateName(name, info)).join(separator) };
+}
+
+export function handleLs(terminal, args, io) {
+    const { flags, operands } = parseFlags(args);
+    const targets = operands.length ? operands : ['.'];
+    const files = [];
+    const directories = [];
+    const errors = [];
+    // Like GNU ls: 2 when an operand fails, 1 when only a subdirectory does
+    let status = 0;
+
+    for (const target of targets) {
+        const path = resolvePath(terminal, target);
+        try {
+            const info = terminal.fs.stat(path);
+            if (info.type === FileTypes.DIRECTORY && !flags.has('d')) {
+                directories.push({ target, path, operand: true });
+            } else {
+                files.push({ name: target, path, info: terminal.fs.stat(path, { follow: false }) });
+            }
+        } catch (error) {
+            errors.push(`ls: cannot access '${target}': ${error.message}`);
+            status = 2;
+        }
+    }
+
+    const sections = [];
+    if (files.length) {
+        sections.push(flags.has('l')
+            ? formatLongListing(files, flags)
+            : files.map(({ name, info }) => decorateName(name, info)).join('  '));
+    }
+
+    const queue = [...directories];
+    const showHeaders = targets.length > 1 || flags.has('R');
+    while (queue.length) {
+        const { target, path, operand } = queue.shift();
+        try {
+            const { entries, text } = listDirectory(terminal, path, flags);
+            sections.push(showHeaders ? `${target}:\n${text}` : text);
+            if (flags.has('R')) {
+                entries
+                    .filter(({ name, info }) => info.type === FileTypes.DIRECTORY && name !== '.' && name !== '..')
+                    .forEach(({ name, path: childPath }) => queue.push({ target: `${target.replace(/\/$/, '')}/${name}`, path: childPath }));
+            }
+        } catch (error) {
+            errors.push(`ls: cannot open directory '${target}': ${error.message}`);
+            status = Math.max(status, operand ? 2 : 1);
+        }
+    }
+    reportErrors(io, errors, status);
+    return sections.join(showHeaders ? '\n\n' : '\n');
 }
 
 export function handleWhoami() {
@@ -95,13 +210,6 @@ export function handleVersion() {
     return 'neuOS Terminal v2.1 - Enhanced with realistic Unix/Linux commands';
 }
 
-export function handleHistory(terminal) {
-    if (terminal.history.length === 0) {
-        return 'No command history available.';
-    }
-    return terminal.history.map((cmd, index) => `${index + 1}  ${cmd}`).join('\n');
-}
-
 export function handleDebug(terminal, args) {
     const logger = NeuOSLogger.getInstance();
     const [action] = args;
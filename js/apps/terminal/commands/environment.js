@@ -1,20 +1,34 @@
 // js/apps/terminal/commands/environment.js
 
+import { ShellControl, runArgv, runScript, runScriptFile } from '../shell.js';
+import { handleExit } from './system.js';
+import { SIGNALS, signalName } from '../jobs.js';
+
 export function handleEnv(terminal) {
     return Object.entries(terminal.environment)
         .map(([key, value]) => `${key}=${value}`)
         .join('\n');
 }
 
-export function handleSet(terminal, args) {
+/**
+ * set [--] [arg ...]: replace the positional parameters, or list the shell
+ * variables when there are no arguments. `--` (or `-`) lets the first
+ * argument start with a dash; shell options such as -e are not supported.
+ */
+export function handleSet(terminal, args, io = {}) {
     if (args.length === 0) {
         return handleEnv(terminal);
     }
-    const [varName, value] = args;
-    if (!varName) {
-        return 'set: missing argument';
+    const [first] = args;
+    if (first === '--' || first === '-') {
+        terminal.positionalParameters = args.slice(1);
+        return '';
     }
-    terminal.environment[varName] = value || '';
+    if (/^[-+]./.test(first)) {
+        io.exitCode = 2;
+        return `bash: set: ${first}: invalid option`;
+    }
+    terminal.positionalParameters = [...args];
     return '';
 }
 
@@ -32,12 +46,47 @@ export function handleExport(terminal, args) {
     if (!varName) {
         return 'export: missing argument';
     }
+    if (varName.includes('=')) {
+        args.forEach(assignment => {
+            const [name, ...rest] = assignment.split('=');
+            terminal.environment[name] = rest.join('=');
+        });
+        return '';
+    }
     terminal.environment[varName] = value || '';
     return '';
 }
 
+const ECHO_ESCAPES = { a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '\\': '\\' };
+// \0nnn octal (so \033 is ESC), \xHH hex, or a single character
+const ECHO_ESCAPE_PATTERN = /\\(?:0([0-7]{0,3})|x([0-9a-fA-F]{1,2})|([\s\S]))/g;
+
+/** Expand echo -e's escapes as bash does; \c drops the rest of the output */
+function expandEchoEscapes(text) {
+    let result = '';
+    let last = 0;
+    for (const match of text.matchAll(ECHO_ESCAPE_PATTERN)) {
+        const [sequence, octal, hex, char] = match;
+        result += text.slice(last, match.index);
+        last = match.index + sequence.length;
+        if (octal !== undefined) result += String.fromCharCode(parseInt(octal || '0', 8) & 0xff);
+        else if (hex !== undefined) result += String.fromCharCode(parseInt(hex, 16));
+        else if (char === 'c') return result;
+        else result += ECHO_ESCAPES[char] ?? sequence;
+    }
+    return result + text.slice(last);
+}
+
 export function handleEcho(args) {
-    return args.join(' ');
+    let words = args;
+    let escapes = false;
+    while (/^-[neE]+$/.test(words[0] || '')) {
+        if (words[0].includes('e')) escapes = true;
+        if (words[0].includes('E')) escapes = false;
+        words = words.slice(1);
+    }
+    const text = words.join(' ');
+    return escapes ? expandEchoEscapes(text) : text;
 }
 
 export function handlePrintf(args) {
@@ -48,57 +97,391 @@ export function handlePrintf(args) {
     return `printf: ${format} ${values.join(' ')}`;
 }
 
-export function handleRead(args) {
-    const [varName] = args;
-    if (!varName) {
-        return 'read: missing argument';
+/**
+ * read [-r] [name ...]: assign the next line of input to variables. Inside
+ * a piped loop the line is taken from the loop's shared input.
+ */
+export function handleRead(terminal, args, io = {}) {
+    let raw = false;
+    let names = args;
+    while (names[0]?.startsWith('-') && names[0].length > 1) {
+        if (names[0] === '-r') raw = true;
+        else if (names[0] === '-p') names = names.slice(1);
+        else {
+            io.exitCode = 2;
+            return `read: ${names[0]}: invalid option`;
+        }
+        names = names.slice(1);
     }
-    return `read: waiting for input for variable '${varName}'`;
+    if (!names.length) names = ['REPLY'];
+
+    const source = io.input || { text: io.stdin ?? '' };
+    if (!source.text) {
+        io.exitCode = 1;
+        return '';
+    }
+    const newline = source.text.indexOf('\n');
+    let line = newline === -1 ? source.text : source.text.slice(0, newline);
+    source.text = newline === -1 ? '' : source.text.slice(newline + 1);
+    if (!raw) line = line.replace(/\\(.)/g, '$1');
+
+    const fields = line.trim().split(/\s+/);
+    names.forEach((name, index) => {
+        const isLast = index === names.length - 1;
+        terminal.environment[name] = isLast ? fields.slice(index).join(' ') : fields[index] ?? '';
+    });
+    return '';
 }
 
-export function handleSource(args) {
-    const [file] = args;
+export async function handleSource(terminal, args, io = {}) {
+    const [file, ...scriptArgs] = args;
     if (!file) {
-        return 'source: missing argument';
+        io.exitCode = 2;
+        return 'bash: source: filename argument required\nsource: usage: source filename [arguments]';
+    }
+    return runScriptFile(terminal, file, io, { args: scriptArgs.length ? scriptArgs : undefined });
+}
+
+/**
+ * bash [-c command [name [arg ...]]] | bash [file [arg ...]]: run a script
+ * in a subshell, so its variables and directory changes do not leak back.
+ * (`sh` stays the IOS abbreviation for show.)
+ */
+export async function handleBash(terminal, args, io = {}) {
+    if (args[0] === '-c') {
+        const [, command, name, ...scriptArgs] = args;
+        if (command === undefined) {
+            io.exitCode = 2;
+            return 'bash: -c: option requires an argument';
+        }
+        return runScript(terminal, command, io, { name: name || 'bash', args: scriptArgs, subshell: true });
+    }
+    const [file, ...scriptArgs] = args;
+    if (!file) {
+        return io.stdin ? runScript(terminal, io.stdin, io, { name: 'bash', args: [], subshell: true }) : '';
+    }
+    return runScriptFile(terminal, file, io, { args: scriptArgs, subshell: true });
+}
+
+/**
+ * exec command [arg ...]: run the command in place of the shell. Inside a
+ * script, nothing after exec runs.
+ */
+export async function handleExec(terminal, args, io = {}) {
+    if (!args.length) {
+        return '';
+    }
+    const output = await runArgv(terminal, args, io);
+    if (io.context?.scripts) io.context.exec = true;
+    return output;
+}
+
+export async function handleEval(terminal, args, io = {}) {
+    if (!args.length) {
+        return '';
+    }
+    return runScript(terminal, args.join(' '), io);
+}
+
+export function handleShift(terminal, args, io = {}) {
+    const count = args.length ? Number(args[0]) : 1;
+    const positional = terminal.positionalParameters || [];
+    if (!Number.isInteger(count) || count < 0) {
+        io.exitCode = 1;
+        return `bash: shift: ${args[0]}: numeric argument required`;
+    }
+    if (count > positional.length) {
+        io.exitCode = 1;
+        return '';
+    }
+    terminal.positionalParameters = positional.slice(count);
+    return '';
+}
+
+/**
+ * getopts optstring name [arg ...]: parse one option per call, tracking
+ * progress in OPTIND the way POSIX shells do.
+ */
+export function handleGetopts(terminal, args, io = {}) {
+    const [optstring, name, ...rest] = args;
+    if (!optstring || !name) {
+        io.exitCode = 2;
+        return 'getopts: usage: getopts optstring name [arg ...]';
     }
-    return `source: sourced '${file}'`;
+    const words = rest.length ? rest : terminal.positionalParameters || [];
+    const silent = optstring.startsWith(':');
+    const env = terminal.environment;
+    let index = Number(env.OPTIND) || 1;
+    // Position within a grouped argument like -abc; reset whenever OPTIND is
+    if (terminal.getoptsIndex !== index) terminal.getoptsOffset = 1;
+    let offset = terminal.getoptsOffset || 1;
+
+    const finish = () => {
+        env[name] = '?';
+        env.OPTIND = String(index);
+        delete env.OPTARG;
+        terminal.getoptsIndex = index;
+        io.exitCode = 1;
+        return '';
+    };
+
+    const word = words[index - 1];
+    if (word === undefined || word === '-' || !word.startsWith('-')) return finish();
+    if (word === '--') {
+        index++;
+        return finish();
+    }
+
+    const option = word[offset];
+    offset++;
+    if (offset >= word.length) {
+        index++;
+        offset = 1;
+    }
+
+    const spec = option === ':' ? -1 : optstring.indexOf(option);
+    let message = '';
+    delete env.OPTARG;
+    if (spec === -1) {
+        env[name] = '?';
+        if (silent) env.OPTARG = option;
+        else message = `bash: illegal option -- ${option}`;
+    } else if (optstring[spec + 1] === ':') {
+        if (offset > 1) {
+            env.OPTARG = word.slice(offset);
+            index++;
+            offset = 1;
+            env[name] = option;
+        } else if (words[index - 1] !== undefined) {
+            env.OPTARG = words[index - 1];
+            index++;
+            env[name] = option;
+        } else if (silent) {
+            env[name] = ':';
+            env.OPTARG = option;
+        } else {
+            env[name] = '?';
+            message = `bash: option requires an argument -- ${option}`;
+        }
+    } else {
+        env[name] = option;
+    }
+
+    env.OPTIND = String(index);
+    terminal.getoptsIndex = index;
+    terminal.getoptsOffset = offset;
+    return message;
 }
 
-export function handleExec(args) {
-    const [command] = args;
-    if (!command) {
-        return 'exec: missing argument';
+/**
+ * trap [-lp] [action] [signal ...]: EXIT traps run when the subshell
+ * script that set them finishes (bash file, bash -c or ./script); INT
+ * traps run when a command is interrupted.
+ */
+export function handleTrap(terminal, args, io = {}) {
+    if (!terminal.traps) terminal.traps = new Map();
+    const format = ([signal, action]) => `trap -- '${action.replace(/'/g, `'\\''`)}' ${signal === 'EXIT' ? 'EXIT' : `SIG${signal}`}`;
+
+    if (args[0] === '-l') {
+        return Object.entries(SIGNALS).filter(([number]) => number !== '0')
+            .map(([number, signal]) => `${number.padStart(2)}) SIG${signal}`).join('\n');
+    }
+    if (!args.length || args[0] === '-p') {
+        const wanted = args.slice(1).map(signalName);
+        return [...terminal.traps].filter(([signal]) => !wanted.length || wanted.includes(signal)).map(format).join('\n');
     }
-    return `exec: executed '${command}'`;
+
+    // A lone signal, or `-` as the action, restores the default
+    const [action, ...specs] = signalName(args[0]) && args.length === 1 ? ['-', args[0]] : args;
+    const errors = [];
+    specs.forEach(spec => {
+        const signal = signalName(spec);
+        if (!signal) {
+            errors.push(`bash: trap: ${spec}: invalid signal specification`);
+            io.exitCode = 1;
+        } else if (action === '-') {
+            terminal.traps.delete(signal);
+        } else {
+            terminal.traps.set(signal, action);
+        }
+    });
+    return errors.join('\n');
 }
 
-export function handleEval(args) {
-    const [expression] = args;
-    if (!expression) {
-        return 'eval: missing argument';
+/**
+ * test expression / [ expression ]: file, string and integer tests, with
+ * !, -a, -o and parentheses.
+ */
+export function handleTest(terminal, args, io = {}, bracket = false) {
+    let words = args;
+    if (bracket) {
+        if (words[words.length - 1] !== ']') {
+            io.exitCode = 2;
+            return "bash: [: missing `]'";
+        }
+        words = words.slice(0, -1);
+    }
+
+    const stat = path => {
+        try {
+            return terminal.fs.stat(terminal.fs.resolve(terminal.workingDirectory, path));
+        } catch {
+            return null;
+        }
+    };
+    const integer = value => {
+        if (!/^\s*-?\d+\s*$/.test(value)) throw new Error(`${value}: integer expression expected`);
+        return Number(value);
+    };
+    const unary = {
+        '-e': path => stat(path) !== null,
+        '-f': path => stat(path)?.type === 'file',
+        '-d': path => stat(path)?.type === 'directory',
+        '-L': path => {
+            try {
+                return terminal.fs.stat(terminal.fs.resolve(terminal.workingDirectory, path), { follow: false }).type === 'symlink';
+            } catch {
+                return false;
+            }
+        },
+        '-s': path => (stat(path)?.size ?? 0) > 0,
+        '-r': path => stat(path) !== null && terminal.fs.canAccess(terminal.fs.lookup(terminal.fs.resolve(terminal.workingDirectory, path)), 0o4),
+        '-w': path => stat(path) !== null && terminal.fs.canAccess(terminal.fs.lookup(terminal.fs.resolve(terminal.workingDirectory, path)), 0o2),
+        '-x': path => stat(path) !== null && terminal.fs.canAccess(terminal.fs.lookup(terminal.fs.resolve(terminal.workingDirectory, path)), 0o1),
+        '-z': text => text === '',
+        '-n': text => text !== ''
+    };
+    unary['-h'] = unary['-L'];
+    const binary = {
+        '=': (a, b) => a === b,
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b,
+        '-eq': (a, b) => integer(a) === integer(b),
+        '-ne': (a, b) => integer(a) !== integer(b),
+        '-lt': (a, b) => integer(a) < integer(b),
+        '-le': (a, b) => integer(a) <= integer(b),
+        '-gt': (a, b) => integer(a) > integer(b),
+        '-ge': (a, b) => integer(a) >= integer(b)
+    };
+
+    let pos = 0;
+    const primary = () => {
+        const word = words[pos];
+        if (word === undefined) throw new Error('argument expected');
+        if (word === '!' && pos + 1 < words.length) {
+            pos++;
+            return !primary();
+        }
+        if (word === '(' && pos + 1 < words.length) {
+            pos++;
+            const value = or();
+            if (words[pos++] !== ')') throw new Error("`)' expected");
+            return value;
+        }
+        if (binary[words[pos + 1]] && pos + 2 < words.length) {
+            pos += 3;
+            return binary[words[pos - 2]](word, words[pos - 1]);
+        }
+        if (unary[word] && pos + 1 < words.length) {
+            pos += 2;
+            return unary[word](words[pos - 1]);
+        }
+        pos++;
+        return word !== '';
+    };
+    const and = () => {
+        let value = primary();
+        while (words[pos] === '-a') {
+            pos++;
+            value = primary() && value;
+        }
+        return value;
+    };
+    function or() {
+        let value = and();
+        while (words[pos] === '-o') {
+            pos++;
+            value = and() || value;
+        }
+        return value;
     }
-    return `eval: evaluated '${expression}'`;
+
+    if (!words.length) {
+        io.exitCode = 1;
+        return '';
+    }
+    try {
+        const result = or();
+        if (pos < words.length) throw new Error(`${words[pos]}: unexpected operator`);
+        io.exitCode = result ? 0 : 1;
+        return '';
+    } catch (error) {
+        io.exitCode = 2;
+        return `bash: ${bracket ? '[' : 'test'}: ${error.message}`;
+    }
+}
+
+export function handleTrue() {
+    return '';
+}
+
+export function handleFalse(args, io = {}) {
+    io.exitCode = 1;
+    return '';
+}
+
+/** break [n] / continue [n] */
+export function handleLoopControl(kind, args, io = {}) {
+    const context = io.context || {};
+    const count = args.length ? Number(args[0]) : 1;
+    if (!Number.isInteger(count) || count < 1) {
+        io.exitCode = 1;
+        return `bash: ${kind}: ${args[0]}: loop count out of range`;
+    }
+    if (!context.loops) {
+        return `bash: ${kind}: only meaningful in a \`for', \`while', or \`until' loop`;
+    }
+    throw new ShellControl(kind, Math.min(count, context.loops));
 }
 
-export function handleShift(args) {
-    const [count] = args;
-    return `shift: shifted ${count || 1} arguments`;
+export function handleReturn(terminal, args, io = {}) {
+    const context = io.context || {};
+    if (!context.functions && !context.scripts) {
+        io.exitCode = 2;
+        return "bash: return: can only `return' from a function or sourced script";
+    }
+    const status = args.length ? Number(args[0]) : terminal.lastExitCode ?? 0;
+    if (!Number.isInteger(status)) {
+        io.exitCode = 2;
+        return `bash: return: ${args[0]}: numeric argument required`;
+    }
+    throw new ShellControl('return', status & 0xff);
 }
 
-export function handleGetopts(args) {
-    const [optstring, varName] = args;
-    if (!optstring || !varName) {
-        return 'getopts: missing argument';
+/**
+ * exit [n]: ends the current script, or the terminal session when typed
+ * at the prompt.
+ */
+export function handleShellExit(terminal, args, io = {}) {
+    if (!io.context?.scripts) {
+        return handleExit();
     }
-    return `getopts: processing options '${optstring}' for variable '${varName}'`;
+    const status = args.length ? Number(args[0]) : terminal.lastExitCode ?? 0;
+    throw new ShellControl('exit', Number.isInteger(status) ? status & 0xff : 2);
 }
 
-export function handleTrap(args) {
-    const [action, signal] = args;
-    if (!action || !signal) {
-        return 'trap: missing argument';
+export function handleLocal(terminal, args, io = {}) {
+    const locals = io.context?.functions ? io.context.locals : null;
+    if (!locals) {
+        io.exitCode = 1;
+        return 'bash: local: can only be used in a function';
     }
-    return `trap: set trap for signal '${signal}' to '${action}'`;
+    args.forEach(arg => {
+        const [name, ...value] = arg.split('=');
+        if (!locals.has(name)) locals.set(name, terminal.environment[name]);
+        terminal.environment[name] = value.join('=');
+    });
+    return '';
 }
 
 export function handleUlimit(args) {
@@ -0,0 +1,896 @@
+// js/apps/terminal/commands/firewall.js
+
+/**
+ * The shell's packet filter front ends, iptables, ufw and firewall-cmd,
+ * and packet-tracer, which shows what every filter on a path makes of a
+ * packet. The rules themselves live in ../firewall.js.
+ * @author jared u.
+ */
+
+import { formatIPv4, getNetwork, isPublicAddress } from '../netlab.js';
+import {
+    ETC_SERVICES,
+    FIREWALLD_SERVICES,
+    HOOKS,
+    createPacket,
+    getFirewalld,
+    getHits,
+    getIptables,
+    getUfw,
+    iptablesSpec,
+    parseCidr,
+    parsePort,
+    portName,
+    resetHits,
+    resetUfw,
+    ufwRuleText
+} from '../firewall.js';
+
+/** A front end's error, with the exit status its real counterpart uses */
+class FirewallError extends Error {
+    constructor(message, exitCode = 1) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+function runFront(run, args, io) {
+    try {
+        return run(args);
+    } catch (error) {
+        if (!(error instanceof FirewallError)) throw error;
+        io.exitCode = error.exitCode;
+        return error.message;
+    }
+}
+
+/** `a:b` or `a`, by number or /etc/services name, as [low, high] */
+function parsePortRange(text, separator = ':') {
+    const parts = String(text).split(separator);
+    if (parts.length > 2) return null;
+    const ports = parts.map(parsePort);
+    if (ports.includes(null) || (ports.length === 2 && ports[0] > ports[1])) return null;
+    return ports[0] === ports[1] ? [ports[0]] : ports;
+}
+
+// --- iptables ----------------------------------------------------------------
+
+const IPTABLES = 'iptables v1.8.10 (nf_tables)';
+const IPTABLES_HELP = 'Try `iptables -h\' or \'iptables --help\' for more information.';
+
+const IPTABLES_COMMANDS = {
+    '-A': 'append', '--append': 'append',
+    '-I': 'insert', '--insert': 'insert',
+    '-D': 'delete', '--delete': 'delete',
+    '-L': 'list', '--list': 'list',
+    '-S': 'list-rules', '--list-rules': 'list-rules',
+    '-F': 'flush', '--flush': 'flush',
+    '-Z': 'zero', '--zero': 'zero',
+    '-P': 'policy', '--policy': 'policy',
+    '-h': 'help', '--help': 'help'
+};
+
+const IPTABLES_TARGETS = ['ACCEPT', 'DROP', 'REJECT', 'LOG'];
+const IPTABLES_MATCHES = ['tcp', 'udp', 'icmp', 'state', 'conntrack', 'comment'];
+const CONNECTION_STATES = ['NEW', 'ESTABLISHED', 'RELATED', 'INVALID'];
+const REJECT_TYPES = [
+    'icmp-net-unreachable', 'icmp-host-unreachable', 'icmp-port-unreachable', 'icmp-proto-unreachable',
+    'icmp-net-prohibited', 'icmp-host-prohibited', 'icmp-admin-prohibited', 'tcp-reset'
+];
+const ICMP_TYPE_NAMES = { 'echo-reply': 0, 'destination-unreachable': 3, 'echo-request': 8, 'time-exceeded': 11 };
+
+const IPTABLES_USAGE = `iptables v1.8.10
+
+Usage: iptables -[ADI] chain rule-specification [options]
+       iptables -I chain [rulenum] rule-specification [options]
+       iptables -D chain rulenum [options]
+       iptables -[LSFZ] [chain] [options]
+       iptables -P chain target [options]
+
+Commands:
+  --append  -A chain            Append to chain
+  --delete  -D chain            Delete matching rule from chain
+  --delete  -D chain rulenum    Delete rule rulenum (1 = first) from chain
+  --insert  -I chain [rulenum]  Insert in chain as rulenum (default 1=first)
+  --list    -L [chain]          List the rules in a chain or all chains
+  --list-rules -S [chain]       Print the rules in a chain or all chains
+  --flush   -F [chain]          Delete all rules in chain or all chains
+  --zero    -Z [chain]          Zero counters in chain or all chains
+  --policy  -P chain target     Change policy on chain to target
+
+Options:
+  --protocol   -p proto         protocol: tcp, udp, icmp or all
+  --source     -s address[/mask]
+  --destination -d address[/mask]
+  --in-interface -i name        network interface name
+  --out-interface -o name       network interface name
+  --jump       -j target        ACCEPT, DROP, REJECT or LOG
+  --match      -m match         tcp, udp, icmp, state, conntrack or comment
+  --numeric    -n               numeric output of addresses and ports
+  --verbose    -v               verbose mode
+  --line-numbers                print line numbers when listing
+  --table      -t table         table to manipulate (only filter)`;
+
+function iptablesUsageError(message) {
+    return new FirewallError(`${IPTABLES}: ${message}\n${IPTABLES_HELP}`, 2);
+}
+
+function parseIptablesAddress(text) {
+    const cidr = parseCidr(text);
+    if (cidr) return cidr;
+    const resolved = getNetwork().resolve(text);
+    if (!resolved) throw iptablesUsageError(`host/network \`${text}' not found`);
+    return { address: resolved.address, prefix: 32 };
+}
+
+/**
+ * Split an iptables command line into the command and the rule it
+ * specifies.
+ * @throws {FirewallError}
+ */
+function parseIptables(args) {
+    const command = { action: null, flag: null, chain: null, index: null, policy: null, table: 'filter', numeric: false, verbose: false, lineNumbers: false };
+    const rule = {
+        protocol: 'all', source: null, destination: null, inIface: null, outIface: null, sourcePort: null, port: null,
+        icmpType: null, states: null, stateModule: null, target: null, rejectWith: null, comment: null, logPrefix: null
+    };
+    const matches = new Set();
+    let specFlag = null;
+    const value = (index, option) => {
+        if (args[index] === undefined) throw iptablesUsageError(`option "${option}" requires an argument`);
+        return args[index];
+    };
+    const needs = (condition, option) => {
+        if (!condition) throw iptablesUsageError(`unknown option "${option}"`);
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (IPTABLES_COMMANDS[arg]) {
+            if (command.action) throw iptablesUsageError(`Cannot use ${command.flag} with ${arg}`);
+            command.action = IPTABLES_COMMANDS[arg];
+            command.flag = arg;
+            if (command.action === 'help') continue;
+            const next = args[i + 1];
+            if (next !== undefined && !next.startsWith('-')) {
+                command.chain = next;
+                i++;
+            } else if (['append', 'insert', 'delete', 'policy'].includes(command.action)) {
+                throw iptablesUsageError(`option "${arg}" requires an argument`);
+            }
+            if (['insert', 'delete'].includes(command.action) && /^\d+$/.test(args[i + 1] ?? '')) {
+                command.index = Number(args[++i]);
+            }
+            if (command.action === 'policy') command.policy = value(++i, arg);
+            continue;
+        }
+        if (!['-t', '--table', '-n', '--numeric', '-v', '--verbose', '--line-numbers'].includes(arg)) specFlag = specFlag || arg;
+        switch (arg) {
+            case '-t':
+            case '--table':
+                command.table = value(++i, arg);
+                break;
+            case '-n':
+            case '--numeric':
+                command.numeric = true;
+                break;
+            case '-v':
+            case '--verbose':
+                command.verbose = true;
+                break;
+            case '--line-numbers':
+                command.lineNumbers = true;
+                break;
+            case '-p':
+            case '--protocol':
+                rule.protocol = value(++i, arg).toLowerCase();
+                if (!['all', 'tcp', 'udp', 'icmp'].includes(rule.protocol)) {
+                    throw iptablesUsageError(`unknown protocol "${args[i]}" specified`);
+                }
+                break;
+            case '-s':
+            case '--source':
+                rule.source = parseIptablesAddress(value(++i, arg));
+                break;
+            case '-d':
+            case '--destination':
+                rule.destination = parseIptablesAddress(value(++i, arg));
+                break;
+            case '-i':
+            case '--in-interface':
+                rule.inIface = value(++i, arg);
+                break;
+            case '-o':
+            case '--out-interface':
+                rule.outIface = value(++i, arg);
+                break;
+            case '-j':
+            case '--jump':
+                rule.target = value(++i, arg);
+                if (!IPTABLES_TARGETS.includes(rule.target)) {
+                    throw iptablesUsageError(`Couldn't load target \`${rule.target}':No such file or directory`);
+                }
+                break;
+            case '-m':
+            case '--match': {
+                const match = value(++i, arg);
+                if (!IPTABLES_MATCHES.includes(match)) {
+                    throw iptablesUsageError(`Couldn't load match \`${match}':No such file or directory`);
+                }
+                if (['tcp', 'udp', 'icmp'].includes(match) && rule.protocol !== match) {
+                    throw iptablesUsageError(`Need to specify -p ${match} to use -m ${match}`);
+                }
+                matches.add(match);
+                break;
+            }
+            case '--dport':
+            case '--destination-port':
+            case '--sport':
+            case '--source-port': {
+                // -p tcp and -p udp load their match implicitly
+                needs(['tcp', 'udp'].includes(rule.protocol), arg);
+                const text = value(++i, arg);
+                const range = parsePortRange(text);
+                if (!range) throw iptablesUsageError(`invalid port/service \`${text}' specified`);
+                rule[['--sport', '--source-port'].includes(arg) ? 'sourcePort' : 'port'] = range;
+                break;
+            }
+            case '--icmp-type': {
+                needs(rule.protocol === 'icmp', arg);
+                const type = value(++i, arg);
+                if (!(type in ICMP_TYPE_NAMES) && !/^\d+$/.test(type)) throw iptablesUsageError(`Invalid ICMP type \`${type}'`);
+                rule.icmpType = type;
+                break;
+            }
+            case '--state':
+            case '--ctstate': {
+                rule.stateModule = arg === '--state' ? 'state' : 'conntrack';
+                needs(matches.has(rule.stateModule), arg);
+                const states = value(++i, arg).toUpperCase().split(',');
+                const bad = states.find(state => !CONNECTION_STATES.includes(state));
+                if (bad !== undefined) throw iptablesUsageError(`Bad ctstate "${bad}"`);
+                rule.states = states;
+                break;
+            }
+            case '--comment':
+                needs(matches.has('comment'), arg);
+                rule.comment = value(++i, arg);
+                break;
+            case '--reject-with':
+                needs(rule.target === 'REJECT', arg);
+                rule.rejectWith = value(++i, arg);
+                if (!REJECT_TYPES.includes(rule.rejectWith)) throw iptablesUsageError(`unknown reject type "${rule.rejectWith}"`);
+                if (rule.rejectWith === 'tcp-reset' && rule.protocol !== 'tcp') {
+                    throw new FirewallError(`${IPTABLES}: RST can only be set for TCP`, 2);
+                }
+                break;
+            case '--log-prefix':
+                needs(rule.target === 'LOG', arg);
+                rule.logPrefix = value(++i, arg);
+                break;
+            default:
+                throw iptablesUsageError(arg.startsWith('-') ? `unknown option "${arg}"` : `Bad argument \`${arg}'`);
+        }
+    }
+    if (!command.action) throw iptablesUsageError('no command specified');
+    if (specFlag && !['append', 'insert', 'delete'].includes(command.action)) {
+        throw iptablesUsageError(`Illegal option \`${specFlag}' with this command`);
+    }
+    return { command, rule };
+}
+
+function runIptables(args) {
+    const { command, rule } = parseIptables(args);
+    if (command.action === 'help') return IPTABLES_USAGE;
+    if (command.table !== 'filter') {
+        throw new FirewallError(`${IPTABLES}: can't initialize iptables table \`${command.table}': Table does not exist (do you need to insmod?)\nPerhaps iptables or your kernel needs to be upgraded.`, 3);
+    }
+    const iptables = getIptables();
+    if (command.chain && !iptables[command.chain]) {
+        throw new FirewallError('iptables: No chain/target/match by that name.');
+    }
+    const chain = iptables[command.chain];
+    const hooks = command.chain ? [command.chain] : HOOKS;
+
+    switch (command.action) {
+        case 'append':
+            chain.rules.push(rule);
+            return '';
+        case 'insert': {
+            const index = command.index ?? 1;
+            if (index < 1 || index > chain.rules.length + 1) throw new FirewallError('iptables: Index of insertion too big.');
+            chain.rules.splice(index - 1, 0, rule);
+            return '';
+        }
+        case 'delete': {
+            let index = command.index;
+            if (index === null) {
+                const spec = iptablesSpec(command.chain, rule);
+                index = chain.rules.findIndex(existing => iptablesSpec(command.chain, existing) === spec) + 1;
+                if (!index) throw new FirewallError('iptables: Bad rule (does a matching rule exist in that chain?).');
+            } else if (index < 1 || index > chain.rules.length) {
+                throw new FirewallError('iptables: Index of deletion too big.');
+            }
+            chain.rules.splice(index - 1, 1);
+            return '';
+        }
+        case 'policy':
+            if (!['ACCEPT', 'DROP'].includes(command.policy)) {
+                throw new FirewallError('iptables: Bad policy name. Run `dmesg\' for more information.');
+            }
+            chain.policy = command.policy;
+            return '';
+        case 'flush':
+            hooks.forEach(hook => { iptables[hook].rules = []; });
+            return '';
+        case 'zero':
+            hooks.forEach(hook => resetHits(iptables[hook], ...iptables[hook].rules));
+            return '';
+        case 'list-rules':
+            return [
+                ...hooks.map(hook => `-P ${hook} ${iptables[hook].policy}`),
+                ...hooks.flatMap(hook => iptables[hook].rules.map(existing => iptablesSpec(hook, existing)))
+            ].join('\n');
+        default:
+            return hooks.map(hook => listChain(hook, iptables[hook], command)).join('\n\n');
+    }
+}
+
+/** Packet and byte counts the way -v prints them: 1234, 12K, 3M */
+function formatCount(value) {
+    if (value < 100000) return String(value);
+    if (value < 10000000) return `${Math.round(value / 1000)}K`;
+    return `${Math.round(value / 1000000)}M`;
+}
+
+function listAddress(cidr, numeric) {
+    if (!cidr) return numeric ? '0.0.0.0/0' : 'anywhere';
+    const address = formatIPv4(cidr.address);
+    if (cidr.prefix !== 32) return `${address}/${cidr.prefix}`;
+    return numeric ? address : getNetwork().reverse(cidr.address) || address;
+}
+
+function listPorts(label, range, numeric) {
+    const name = port => (numeric ? String(port) : portName(port) || String(port));
+    return range.length === 1 ? `${label}:${name(range[0])}` : `${label}s:${range.map(name).join(':')}`;
+}
+
+/** The last column of iptables -L: the matches and target options */
+function listExtras(rule, numeric) {
+    const extras = [];
+    if (rule.comment) extras.push(`/* ${rule.comment} */`);
+    const ports = [
+        ...(rule.sourcePort ? [listPorts('spt', rule.sourcePort, numeric)] : []),
+        ...(rule.port ? [listPorts('dpt', rule.port, numeric)] : [])
+    ];
+    if (ports.length) extras.push(`${rule.protocol} ${ports.join(' ')}`);
+    if (rule.icmpType) {
+        const type = ICMP_TYPE_NAMES[rule.icmpType] ?? rule.icmpType;
+        extras.push(numeric ? `icmptype ${type}` : `icmp ${Object.keys(ICMP_TYPE_NAMES).find(name => ICMP_TYPE_NAMES[name] === Number(type)) || type}`);
+    }
+    if (rule.states) extras.push(`${rule.stateModule === 'state' ? 'state' : 'ctstate'} ${rule.states.join(',')}`);
+    if (rule.target === 'REJECT') extras.push(`reject-with ${rule.rejectWith || 'icmp-port-unreachable'}`);
+    if (rule.target === 'LOG') extras.push(`LOG flags 0 level 4${rule.logPrefix ? ` prefix "${rule.logPrefix}"` : ''}`);
+    return extras.join(' ');
+}
+
+function listChain(hook, chain, { numeric, verbose, lineNumbers }) {
+    const policy = getHits(chain);
+    const title = `Chain ${hook} (policy ${chain.policy}${verbose ? ` ${formatCount(policy.packets)} packets, ${formatCount(policy.bytes)} bytes` : ''})`;
+    const number = lineNumbers ? 'num  ' : '';
+    const header = verbose
+        ? `${number} pkts bytes target     prot opt in     out     source               destination`
+        : `${number}target     prot opt source               destination`;
+    const rows = chain.rules.map((rule, index) => {
+        const hits = getHits(rule);
+        return [
+            lineNumbers ? String(index + 1).padEnd(5) : '',
+            verbose ? `${formatCount(hits.packets).padStart(5)} ${formatCount(hits.bytes).padStart(5)} ` : '',
+            (rule.target || '').padEnd(11),
+            rule.protocol.padEnd(5),
+            '--  ',
+            verbose ? `${(rule.inIface || '*').padEnd(7)}${(rule.outIface || '*').padEnd(7)}` : '',
+            listAddress(rule.source, numeric).padEnd(21),
+            listAddress(rule.destination, numeric).padEnd(21),
+            listExtras(rule, numeric)
+        ].join('').trimEnd();
+    });
+    return [title, header, ...rows].join('\n');
+}
+
+/**
+ * iptables -[ADI] chain rule | -L|-S [chain] | -P chain target | -F|-Z [chain]
+ * The filter table of the shell's host. Rules match -p, -s, -d, -i, -o,
+ * ports, ICMP types, connection state and comments, and jump to ACCEPT,
+ * DROP, REJECT or LOG.
+ */
+export function handleIptables(args, io = {}) {
+    return runFront(runIptables, args, io);
+}
+
+// --- ufw ---------------------------------------------------------------------
+
+const UFW_USAGE = `Usage: ufw COMMAND
+
+Commands:
+ enable                          enables the firewall
+ disable                         disables the firewall
+ default ARG                     set default policy
+ allow ARGS                      add allow rule
+ deny ARGS                       add deny rule
+ reject ARGS                     add reject rule
+ limit ARGS                      add limit rule
+ delete RULE|NUM                 delete RULE
+ insert NUM RULE                 insert RULE at NUM
+ reload                          reload firewall
+ reset                           reset firewall
+ status                          show firewall status
+ status numbered                 show firewall status as numbered list of RULES
+ status verbose                  show verbose firewall status
+ version                         display version information`;
+
+const UFW_ACTIONS = ['allow', 'deny', 'reject', 'limit'];
+
+function ufwError(message) {
+    return new FirewallError(`ERROR: ${message}`);
+}
+
+function ufwPort(text, protocol) {
+    const range = parsePortRange(text);
+    if (!range) throw ufwError('Bad port');
+    if (range.length > 1 && !protocol) throw ufwError('Must specify \'tcp\' or \'udp\' with multiple ports');
+    return range;
+}
+
+function ufwAddress(text, which) {
+    if (text === 'any') return null;
+    const cidr = parseCidr(text);
+    if (!cidr) throw ufwError(`Bad ${which} address`);
+    return cidr;
+}
+
+/**
+ * A rule in either of ufw's syntaxes: `allow [in|out] 22/tcp` or
+ * `allow [in|out] [proto P] [from A [port P]] [to A [port P]]`.
+ * @throws {FirewallError}
+ */
+function parseUfwRule(action, words) {
+    const rule = { action, direction: 'in', protocol: null, from: null, to: null, sourcePort: null, port: null, service: null };
+    let i = 0;
+    if (['in', 'out'].includes(words[i])) rule.direction = words[i++];
+    if (i === words.length) throw ufwError('Wrong number of arguments');
+
+    if (!['proto', 'from', 'to'].includes(words[i])) {
+        if (words.length !== i + 1) throw ufwError('Wrong number of arguments');
+        const [portText, protocol, extra] = words[i].split('/');
+        if (extra !== undefined || (protocol !== undefined && !['tcp', 'udp'].includes(protocol))) throw ufwError('Bad port');
+        if (ETC_SERVICES[portText] && !protocol) {
+            [rule.port, rule.protocol] = [[ETC_SERVICES[portText][0]], ETC_SERVICES[portText][1]];
+            rule.service = portText;
+        } else if (/^[\d:]+$/.test(portText)) {
+            rule.protocol = protocol || null;
+            rule.port = ufwPort(portText, rule.protocol);
+        } else {
+            throw ufwError(`Could not find a profile matching '${portText}'`);
+        }
+        return rule;
+    }
+
+    const ports = {};
+    while (i < words.length) {
+        const keyword = words[i++];
+        const value = words[i++];
+        if (value === undefined) throw ufwError('Invalid syntax');
+        switch (keyword) {
+            case 'proto':
+                if (!['tcp', 'udp'].includes(value)) throw ufwError(`Unsupported protocol '${value}'`);
+                rule.protocol = value;
+                break;
+            case 'from':
+            case 'to':
+                rule[keyword] = ufwAddress(value, keyword === 'from' ? 'source' : 'destination');
+                if (words[i] === 'port') {
+                    if (words[i + 1] === undefined) throw ufwError('Invalid syntax');
+                    ports[keyword] = words[i + 1];
+                    i += 2;
+                }
+                break;
+            default:
+                throw ufwError('Invalid syntax');
+        }
+    }
+    if (ports.from !== undefined) rule.sourcePort = ufwPort(ports.from, rule.protocol);
+    if (ports.to !== undefined) rule.port = ufwPort(ports.to, rule.protocol);
+    return rule;
+}
+
+function sameUfwRule(a, b) {
+    return a.direction === b.direction && ufwRuleText({ ...a, action: '' }) === ufwRuleText({ ...b, action: '' });
+}
+
+function ufwEndpoint(cidr, range, protocol, service) {
+    const address = cidr ? `${formatIPv4(cidr.address)}${cidr.prefix === 32 ? '' : `/${cidr.prefix}`}` : null;
+    const port = range ? `${service || range.join(':')}${protocol && !service ? `/${protocol}` : ''}` : null;
+    if (address && port) return `${address} ${port}`;
+    return address || port || `Anywhere${protocol && !cidr ? `/${protocol}` : ''}`;
+}
+
+function ufwStatus(option) {
+    const ufw = getUfw();
+    if (option !== undefined && !['verbose', 'numbered'].includes(option)) throw ufwError('Invalid syntax');
+    if (!ufw.enabled) return 'Status: inactive';
+    const lines = ['Status: active'];
+    if (option === 'verbose') {
+        const { incoming, outgoing, routed } = ufw.defaults;
+        lines.push('Logging: on (low)', `Default: ${incoming} (incoming), ${outgoing} (outgoing), ${routed} (routed)`, 'New profiles: skip');
+    }
+    if (!ufw.rules.length) return lines.join('\n');
+    const numbered = option === 'numbered';
+    const indent = numbered ? '     ' : '';
+    const rows = ufw.rules.map((rule, index) => {
+        const out = rule.direction === 'out';
+        const action = `${rule.action.toUpperCase()}${out ? ' OUT' : option ? ' IN' : ''}`;
+        // ufw names a service rule by the service on both ends
+        const protocol = rule.service ? null : rule.protocol;
+        return [
+            numbered ? `[${String(index + 1).padStart(2)}] ` : '',
+            ufwEndpoint(rule.to, rule.port, protocol, rule.service).padEnd(27),
+            action.padEnd(12),
+            ufwEndpoint(rule.from, rule.sourcePort, rule.sourcePort ? protocol : null, null),
+            out ? ' (out)' : ''
+        ].join('');
+    });
+    return [...lines, '', `${indent}To                         Action      From`, `${indent}--                         ------      ----`, ...rows].join('\n');
+}
+
+function ufwDefault(words) {
+    const [policy, direction = 'incoming', extra] = words;
+    if (!['allow', 'deny', 'reject'].includes(policy) || !['incoming', 'outgoing', 'routed'].includes(direction) || extra !== undefined) {
+        throw ufwError('Invalid syntax');
+    }
+    getUfw().defaults[direction] = policy;
+    return `Default ${direction} policy changed to '${policy}'\n(be sure to update your rules accordingly)`;
+}
+
+function ufwDelete(words) {
+    const { rules } = getUfw();
+    let index;
+    if (words.length === 1 && /^\d+$/.test(words[0])) {
+        index = Number(words[0]) - 1;
+        if (!rules[index]) throw ufwError(`Could not find rule '${words[0]}'`);
+    } else {
+        if (!UFW_ACTIONS.includes(words[0])) throw ufwError('Invalid syntax');
+        const rule = parseUfwRule(words[0], words.slice(1));
+        index = rules.findIndex(existing => existing.action === rule.action && sameUfwRule(existing, rule));
+        if (index < 0) return 'Could not delete non-existent rule';
+    }
+    rules.splice(index, 1);
+    return 'Rule deleted';
+}
+
+function ufwAdd(action, words, position = null) {
+    const ufw = getUfw();
+    const rule = parseUfwRule(action, words);
+    const existing = ufw.rules.findIndex(candidate => sameUfwRule(candidate, rule));
+    if (existing >= 0 && ufw.rules[existing].action === rule.action) return 'Skipping adding existing rule';
+    if (existing >= 0) {
+        ufw.rules[existing] = rule;
+        return 'Rule updated';
+    }
+    if (position === null) {
+        ufw.rules.push(rule);
+        return ufw.enabled ? 'Rule added' : 'Rules updated';
+    }
+    ufw.rules.splice(position, 0, rule);
+    return 'Rule inserted';
+}
+
+function runUfw(args) {
+    const [command, ...words] = args;
+    const ufw = getUfw();
+    switch (command) {
+        case undefined:
+            throw ufwError('not enough args');
+        case 'enable':
+            ufw.enabled = true;
+            return 'Firewall is active and enabled on system startup';
+        case 'disable':
+            ufw.enabled = false;
+            return 'Firewall stopped and disabled on system startup';
+        case 'reload':
+            return ufw.enabled ? 'Firewall reloaded' : 'Firewall not enabled (skipping reload)';
+        case 'reset':
+            resetUfw();
+            return 'Resetting all rules to installed defaults.';
+        case 'status':
+            return ufwStatus(words[0]);
+        case 'default':
+            return ufwDefault(words);
+        case 'delete':
+            return ufwDelete(words);
+        case 'insert': {
+            const position = Number(words[0]);
+            if (!Number.isInteger(position) || position < 1 || position > ufw.rules.length) {
+                throw ufwError(`Invalid position '${words[0] ?? ''}'`);
+            }
+            if (!UFW_ACTIONS.includes(words[1])) throw ufwError('Invalid syntax');
+            return ufwAdd(words[1], words.slice(2), position - 1);
+        }
+        case 'version':
+        case '--version':
+            return 'ufw 0.36.2\nCopyright 2008-2023 Canonical Ltd.';
+        case 'help':
+        case '--help':
+        case '-h':
+            return UFW_USAGE;
+        default:
+            if (UFW_ACTIONS.includes(command)) return ufwAdd(command, words);
+            throw ufwError(`Invalid syntax\n\n${UFW_USAGE}`);
+    }
+}
+
+/**
+ * ufw enable|disable|status|default|allow|deny|reject|limit|delete|insert|reset
+ * Uncomplicated firewall on the shell's host. While it is enabled its
+ * rules filter what the host sends and receives, after iptables' own.
+ */
+export function handleUfw(args, io = {}) {
+    return runFront(runUfw, args, io);
+}
+
+// --- firewall-cmd ------------------------------------------------------------
+
+const FIREWALLD_ZONES = ['block', 'dmz', 'drop', 'external', 'home', 'internal', 'public', 'trusted', 'work'];
+
+function firewalldPort(text) {
+    const match = /^(\d+)(?:-(\d+))?\/(tcp|udp)$/.exec(text);
+    const valid = match && Number(match[1]) <= 65535 && (match[2] === undefined || (Number(match[2]) <= 65535 && Number(match[1]) <= Number(match[2])));
+    if (!valid) throw new FirewallError(`Error: INVALID_PORT: ${text}`, 102);
+    return text;
+}
+
+function firewalldService(name) {
+    if (!FIREWALLD_SERVICES[name]) throw new FirewallError(`Error: INVALID_SERVICE: '${name}' not among existing services`, 101);
+    return name;
+}
+
+function listAll(zone, config) {
+    const interfaces = getNetwork().localHost.interfaces.map(iface => iface.name).join(' ');
+    const fields = [
+        ['target', 'default'],
+        ['icmp-block-inversion', 'no'],
+        ['interfaces', interfaces],
+        ['sources', ''],
+        ['services', config.services.join(' ')],
+        ['ports', config.ports.join(' ')],
+        ['protocols', ''],
+        ['forward', 'yes'],
+        ['masquerade', 'no'],
+        ['forward-ports', ''],
+        ['source-ports', ''],
+        ['icmp-blocks', ''],
+        ['rich rules', '']
+    ];
+    return [`${zone} (active)`, ...fields.map(([key, value]) => `  ${key}:${value ? ` ${value}` : ''}`)].join('\n');
+}
+
+function runFirewallCmd(args) {
+    if (!args.length) throw new FirewallError('usage: see firewall-cmd man page\nNo option specified.', 2);
+    const firewalld = getFirewalld();
+    let permanent = false;
+    let zone = firewalld.zone;
+    const actions = [];
+    for (const arg of args) {
+        if (arg === '--permanent') permanent = true;
+        else if (arg.startsWith('--zone=')) zone = arg.slice('--zone='.length);
+        else if (arg.startsWith('--')) actions.push(arg);
+        else throw new FirewallError(`firewall-cmd: error: unrecognized arguments: ${arg}`, 2);
+    }
+    if (!FIREWALLD_ZONES.includes(zone)) throw new FirewallError(`Error: INVALID_ZONE: ${zone}`, 112);
+    if (zone !== firewalld.zone) {
+        // Only the zone the host's interfaces are in is modelled
+        throw new FirewallError(`Error: INVALID_ZONE: ${zone} has no interfaces; only ${firewalld.zone} is active`, 112);
+    }
+    const config = permanent ? firewalld.permanent : firewalld.runtime;
+    const lines = [];
+    let changed = false;
+    let exitCode = 0;
+    for (const action of actions) {
+        const [option, value] = action.includes('=') ? [action.slice(0, action.indexOf('=')), action.slice(action.indexOf('=') + 1)] : [action, null];
+        const needsValue = ['--add-service', '--remove-service', '--query-service', '--add-port', '--remove-port', '--query-port'].includes(option);
+        if (needsValue && !value) throw new FirewallError(`firewall-cmd: error: argument ${option}: expected one argument`, 2);
+        switch (option) {
+            case '--state':
+                lines.push('running');
+                break;
+            case '--version':
+                lines.push('2.1.1');
+                break;
+            case '--reload':
+                firewalld.runtime = structuredClone(firewalld.permanent);
+                changed = true;
+                break;
+            case '--runtime-to-permanent':
+                firewalld.permanent = structuredClone(firewalld.runtime);
+                changed = true;
+                break;
+            case '--get-default-zone':
+                lines.push(firewalld.zone);
+                break;
+            case '--get-active-zones':
+                lines.push(firewalld.zone, `  interfaces: ${getNetwork().localHost.interfaces.map(iface => iface.name).join(' ')}`);
+                break;
+            case '--get-zones':
+                lines.push(FIREWALLD_ZONES.join(' '));
+                break;
+            case '--get-services':
+                lines.push(Object.keys(FIREWALLD_SERVICES).join(' '));
+                break;
+            case '--list-all':
+                lines.push(listAll(zone, config));
+                break;
+            case '--list-services':
+                lines.push(config.services.join(' '));
+                break;
+            case '--list-ports':
+                lines.push(config.ports.join(' '));
+                break;
+            case '--add-service':
+            case '--add-port': {
+                const kind = option === '--add-service' ? 'services' : 'ports';
+                const item = kind === 'services' ? firewalldService(value) : firewalldPort(value);
+                if (config[kind].includes(item)) lines.push(`Warning: ALREADY_ENABLED: ${item}`);
+                else config[kind].push(item);
+                changed = true;
+                break;
+            }
+            case '--remove-service':
+            case '--remove-port': {
+                const kind = option === '--remove-service' ? 'services' : 'ports';
+                const item = kind === 'services' ? firewalldService(value) : firewalldPort(value);
+                if (!config[kind].includes(item)) lines.push(`Warning: NOT_ENABLED: ${item}`);
+                else config[kind].splice(config[kind].indexOf(item), 1);
+                changed = true;
+                break;
+            }
+            case '--query-service':
+            case '--query-port': {
+                const kind = option === '--query-service' ? 'services' : 'ports';
+                const item = kind === 'services' ? firewalldService(value) : firewalldPort(value);
+                const enabled = config[kind].includes(item);
+                lines.push(enabled ? 'yes' : 'no');
+                if (!enabled) exitCode = 1;
+                break;
+            }
+            default:
+                throw new FirewallError(`firewall-cmd: error: unrecognized arguments: ${action}`, 2);
+        }
+    }
+    if (!actions.length) throw new FirewallError('usage: see firewall-cmd man page\nNo option specified.', 2);
+    // firewalld's own confirmation, shown as the plain word like any other stdout
+    if (changed) lines.push('success');
+    if (exitCode) throw new FirewallError(lines.join('\n'), exitCode);
+    return lines.join('\n');
+}
+
+/**
+ * firewall-cmd [--permanent] [--zone=public] --add-service=S | --add-port=P/proto | --list-all | ...
+ * firewalld on the shell's host, with its public zone: what is not an
+ * allowed service or port is rejected. --permanent changes take effect
+ * with --reload.
+ */
+export function handleFirewallCmd(args, io = {}) {
+    return runFront(runFirewallCmd, args, io);
+}
+
+// --- packet-tracer -----------------------------------------------------------
+
+const PACKET_TRACER_USAGE = 'Usage: packet-tracer <source> <destination> <tcp|udp|icmp> [port]';
+
+// Why a packet that no filter stopped did not get there
+const DROP_REASONS = {
+    'network-unreachable': '(no-route) No route to host',
+    'host-unreachable': '(no-adjacency) No ARP reply from the next hop',
+    timeout: '(no-route) Packet lost on the way: no route further on'
+};
+
+function hostWithAddress(network, address) {
+    if (address >>> 24 === 127) return network.localHost;
+    const owner = [...network.hosts.values()].find(host => host.group !== 'isp' && host.ownsAddress(address));
+    if (owner) return owner;
+    // Anything on the Internet comes in through the ISP
+    return isPublicAddress(address) ? [...network.hosts.values()].find(host => host.group === 'isp') : null;
+}
+
+function hostName(host) {
+    return host.fqdn || host.hostname;
+}
+
+/**
+ * packet-tracer source destination tcp|udp|icmp [port]
+ * Follows a simulated packet from the host that owns `source` through the
+ * lab and shows each packet filter it meets: the chain, the rule that
+ * decided and the verdict, then what became of it. Counters are left alone.
+ */
+export function handlePacketTracer(args, io = {}) {
+    const [sourceText, destinationText, protocolText = '', portText] = args;
+    if (args.length < 3 || args.length > 4) {
+        io.exitCode = 2;
+        return PACKET_TRACER_USAGE;
+    }
+    const protocol = protocolText.toLowerCase();
+    if (!['tcp', 'udp', 'icmp'].includes(protocol)) {
+        io.exitCode = 2;
+        return `packet-tracer: unknown protocol '${protocolText}'\n${PACKET_TRACER_USAGE}`;
+    }
+    let port = null;
+    if (protocol !== 'icmp') {
+        port = portText === undefined ? null : parsePort(portText);
+        if (port === null) {
+            io.exitCode = 2;
+            return portText === undefined ? `packet-tracer: ${protocol} needs a destination port\n${PACKET_TRACER_USAGE}` : `packet-tracer: invalid port '${portText}'`;
+        }
+    } else if (portText !== undefined && !['echo', 'echo-reply'].includes(portText)) {
+        io.exitCode = 2;
+        return `packet-tracer: invalid ICMP type '${portText}' (echo or echo-reply)`;
+    }
+
+    const network = getNetwork();
+    const [source, destination] = [sourceText, destinationText].map(text => network.resolve(text));
+    const unknown = !source ? sourceText : !destination ? destinationText : null;
+    if (unknown !== null) {
+        io.exitCode = 2;
+        return `packet-tracer: ${unknown}: Name or service not known`;
+    }
+    const host = hostWithAddress(network, source.address);
+    if (!host) {
+        io.exitCode = 2;
+        return `packet-tracer: no host in the lab has the address ${formatIPv4(source.address)}`;
+    }
+
+    // localhost names the host; to anywhere else it sends from an interface address
+    const loopback = source.address >>> 24 === 127 && !host.ownsAddress(destination.address);
+    const packet = createPacket(host, destination.address, {
+        protocol,
+        port,
+        source: loopback ? undefined : source.address,
+        simulated: true,
+        ...(protocol === 'icmp' ? { icmpType: portText || 'echo' } : {})
+    });
+    const path = network.trace(host, destination.address, packet);
+    const ports = protocol === 'icmp' ? ` (${packet.icmpType})` : '';
+    const endpoint = (address, value) => `${formatIPv4(address)}${protocol === 'icmp' ? '' : `:${value}`}`;
+    const lines = [`Packet: ${protocol} ${endpoint(packet.source, packet.sourcePort)} -> ${endpoint(packet.destination, packet.port)}${ports} from ${hostName(host)}`];
+
+    path.filters.forEach((check, index) => {
+        lines.push(
+            '',
+            `Phase: ${index + 1}`,
+            'Type: ACCESS-LIST',
+            `Subtype: ${check.chain}`,
+            `Host: ${hostName(check.host)}`,
+            `Result: ${{ accept: 'ALLOW', drop: 'DROP', reject: 'REJECT' }[check.verdict]}`,
+            'Config:',
+            check.text,
+            'Additional Information:',
+            check.rule ? `Matched rule ${check.position}` : 'No rule matched; the chain\'s default applies'
+        );
+    });
+    if (!path.filters.length) lines.push('', 'No packet filters apply on this path.');
+
+    const hops = [hostName(host), ...path.hops.map(hop => hop.name || formatIPv4(hop.address))];
+    lines.push('', 'Result:', `path: ${hops.join(' -> ')}`);
+    if (path.reached) {
+        lines.push('Action: allow');
+        return lines.join('\n');
+    }
+    io.exitCode = 1;
+    lines.push('Action: drop');
+    if (path.error === 'filtered' || path.error === 'rejected') {
+        lines.push(`Drop-reason: (acl-drop) Flow is denied by configured rule on ${hostName(path.blockedBy)}`);
+        if (path.rejectWith) lines.push(`Response: ${path.rejectWith === 'tcp-reset' ? 'TCP reset' : `ICMP ${path.rejectWith}`} from ${formatIPv4(path.reporter)}`);
+    } else {
+        lines.push(`Drop-reason: ${DROP_REASONS[path.error]}`);
+    }
+    return lines.join('\n');
+}
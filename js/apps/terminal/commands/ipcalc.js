@@ -0,0 +1,500 @@
+// js/apps/terminal/commands/ipcalc.js
+
+/**
+ * IP address arithmetic: ipcalc, subnet, supernet, wildcard, ip6 and the
+ * vlsm planner. Everything here is pure calculation on the arguments; bad
+ * input throws an AppError naming the command and the offending word.
+ * @author jared u.
+ */
+
+import { AppError, ErrorTypes } from '../../../utils/utils.js';
+import { classfulPrefix, formatIPv4, inSubnet, maskPrefix, parseIPv4, prefixMask } from '../netlab.js';
+import { block, table } from '../outputNodes.js';
+
+// The most rows subnet and vlsm print; more is a mistake, not a plan
+const MAX_ROWS = 4096;
+
+// Special-purpose IPv4 ranges, most specific first
+const IPV4_RANGES = [
+    ['0.0.0.0', 8, 'This network'],
+    ['10.0.0.0', 8, 'Private Internet'],
+    ['100.64.0.0', 10, 'Shared Address Space (CGNAT)'],
+    ['127.0.0.0', 8, 'Loopback'],
+    ['169.254.0.0', 16, 'Link-local'],
+    ['172.16.0.0', 12, 'Private Internet'],
+    ['192.0.2.0', 24, 'Documentation (TEST-NET-1)'],
+    ['192.168.0.0', 16, 'Private Internet'],
+    ['198.18.0.0', 15, 'Benchmarking'],
+    ['198.51.100.0', 24, 'Documentation (TEST-NET-2)'],
+    ['203.0.113.0', 24, 'Documentation (TEST-NET-3)'],
+    ['224.0.0.0', 4, 'Multicast'],
+    ['240.0.0.0', 4, 'Reserved']
+];
+
+// The same for IPv6, as [first groups, prefix, name]
+const IPV6_RANGES = [
+    [[0, 0, 0, 0, 0, 0, 0, 0], 128, 'Unspecified'],
+    [[0, 0, 0, 0, 0, 0, 0, 1], 128, 'Loopback'],
+    [[0, 0, 0, 0, 0, 0xffff], 96, 'IPv4-mapped'],
+    [[0x2001, 0xdb8], 32, 'Documentation'],
+    [[0x2000], 3, 'Global unicast'],
+    [[0xfc00], 7, 'Unique local'],
+    [[0xfe80], 10, 'Link-local unicast'],
+    [[0xff00], 8, 'Multicast']
+];
+
+function ipError(command, message) {
+    return new AppError(`${command}: ${message}`, ErrorTypes.VALIDATION);
+}
+
+// --- IPv4 --------------------------------------------------------------------
+
+/**
+ * A prefix length, `/22` or `22`, or a contiguous netmask.
+ * @returns {?number}
+ */
+function parsePrefix(text) {
+    const match = /^\/?(\d{1,2})$/.exec(text);
+    if (match) return Number(match[1]) <= 32 ? Number(match[1]) : null;
+    const mask = parseIPv4(text);
+    if (mask === null) return null;
+    const prefix = maskPrefix(mask);
+    return Number.isInteger(prefix) && prefixMask(prefix) === mask ? prefix : null;
+}
+
+/**
+ * `address/prefix`, `address/netmask` or an address followed by a netmask
+ * as the next argument. Without either the address's classful prefix is
+ * used.
+ * @param {string} command - For error messages
+ * @param {string} text
+ * @param {string} [maskText]
+ * @returns {{address: number, prefix: number}} address as given, host bits
+ *   and all
+ * @throws {AppError}
+ */
+function parseIPv4Network(command, text, maskText) {
+    const [addressText, suffix, extra] = String(text).split('/');
+    const address = parseIPv4(addressText);
+    if (address === null || extra !== undefined) throw ipError(command, `invalid IPv4 address '${text}'`);
+    if (suffix !== undefined && maskText !== undefined) throw ipError(command, `'${text}' already has a prefix; unexpected '${maskText}'`);
+    const prefixText = suffix ?? maskText;
+    if (prefixText === undefined) return { address, prefix: classfulPrefix(address) };
+    const prefix = parsePrefix(prefixText);
+    if (prefix === null) throw ipError(command, `invalid prefix or netmask '${prefixText}'`);
+    return { address, prefix };
+}
+
+function networkOf({ address, prefix }) {
+    return (address & prefixMask(prefix)) >>> 0;
+}
+
+function blockSize(prefix) {
+    return 2 ** (32 - prefix);
+}
+
+/** The first and last usable host; a /31 uses both addresses, a /32 its one */
+function hostRange(network, prefix) {
+    const broadcast = network + blockSize(prefix) - 1;
+    return prefix >= 31 ? [network, broadcast] : [network + 1, broadcast - 1];
+}
+
+function usableHosts(prefix) {
+    return prefix >= 31 ? blockSize(prefix) : blockSize(prefix) - 2;
+}
+
+function formatCidr(network, prefix) {
+    return `${formatIPv4(network)}/${prefix}`;
+}
+
+/** The bits of an address, with a space where the network part ends */
+function binary(address, prefix) {
+    const bits = address.toString(2).padStart(32, '0');
+    let text = '';
+    for (let i = 0; i < 32; i++) {
+        if (i && i % 8 === 0) text += '.';
+        if (i === prefix) text += ' ';
+        text += bits[i];
+    }
+    return text;
+}
+
+function ipv4Kind(address) {
+    const first = address >>> 24;
+    const cls = first < 128 ? 'A' : first < 192 ? 'B' : first < 224 ? 'C' : first < 240 ? 'D' : 'E';
+    const range = IPV4_RANGES.find(([network, prefix]) => inSubnet(address, parseIPv4(network), prefix));
+    return `Class ${cls}${range ? `, ${range[2]}` : ''}`;
+}
+
+/** Split [first, last] into the fewest CIDR blocks that cover it exactly */
+function rangeToCidrs(first, last) {
+    const blocks = [];
+    let start = first;
+    while (start <= last) {
+        let prefix = 32;
+        while (prefix > 0) {
+            const size = blockSize(prefix - 1);
+            if (start % size !== 0 || start + size - 1 > last) break;
+            prefix--;
+        }
+        blocks.push([start, prefix]);
+        start += blockSize(prefix);
+    }
+    return blocks;
+}
+
+/** Merge overlapping and adjacent networks into address ranges */
+function mergeRanges(networks) {
+    const ranges = networks
+        .map(({ address, prefix }) => [networkOf({ address, prefix }), networkOf({ address, prefix }) + blockSize(prefix) - 1])
+        .sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [first, last] of ranges) {
+        const previous = merged[merged.length - 1];
+        if (previous && first <= previous[1] + 1) previous[1] = Math.max(previous[1], last);
+        else merged.push([first, last]);
+    }
+    return merged;
+}
+
+// --- IPv6 --------------------------------------------------------------------
+
+/**
+ * Parse an IPv6 address, with `::` and an IPv4 tail allowed.
+ * @param {string} text
+ * @returns {?number[]} Its eight 16-bit groups
+ */
+function parseIPv6(text) {
+    let value = String(text).toLowerCase();
+    if (!/^[0-9a-f:.]+$/.test(value) || !value.includes(':')) return null;
+    if (value.includes('.')) {
+        const colon = value.lastIndexOf(':');
+        const v4 = parseIPv4(value.slice(colon + 1));
+        if (v4 === null) return null;
+        value = `${value.slice(0, colon + 1)}${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+    }
+    const halves = value.split('::');
+    if (halves.length > 2) return null;
+    const [head, tail] = halves.map(half => (half ? half.split(':') : []));
+    const groups = [...head, ...(tail || [])];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+    if (halves.length === 1 ? groups.length !== 8 : groups.length > 7) return null;
+    const numbers = groups.map(group => parseInt(group, 16));
+    if (halves.length === 1) return numbers;
+    return [...numbers.slice(0, head.length), ...new Array(8 - groups.length).fill(0), ...numbers.slice(head.length)];
+}
+
+/** All eight groups, four digits each */
+function expandIPv6(groups) {
+    return groups.map(group => group.toString(16).padStart(4, '0')).join(':');
+}
+
+/**
+ * The canonical text form of RFC 5952: lower case, no leading zeros, the
+ * longest run of two or more zero groups as `::` (the first on a tie), and
+ * IPv4-mapped addresses with their IPv4 part dotted.
+ */
+function compressIPv6(groups) {
+    if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+        return `::ffff:${formatIPv4(((groups[6] << 16) | groups[7]) >>> 0)}`;
+    }
+    let best = { start: -1, length: 1 };
+    for (let start = 0; start < 8; start++) {
+        let length = 0;
+        while (start + length < 8 && groups[start + length] === 0) length++;
+        if (length > best.length) best = { start, length };
+    }
+    const hex = list => list.map(group => group.toString(16)).join(':');
+    if (best.start < 0) return hex(groups);
+    return `${hex(groups.slice(0, best.start))}::${hex(groups.slice(best.start + best.length))}`;
+}
+
+function maskIPv6(groups, prefix) {
+    return groups.map((group, index) => {
+        const bits = Math.min(16, Math.max(0, prefix - index * 16));
+        return group & (bits ? (0xffff << (16 - bits)) & 0xffff : 0);
+    });
+}
+
+function ipv6Kind(groups) {
+    const range = IPV6_RANGES.find(([start, prefix]) => {
+        const full = [...start, ...new Array(8 - start.length).fill(0)];
+        return maskIPv6(groups, prefix).every((group, index) => group === maskIPv6(full, prefix)[index]);
+    });
+    return range ? range[2] : 'Reserved';
+}
+
+/**
+ * `address[/prefix]` for IPv6; the prefix defaults to 128.
+ * @throws {AppError}
+ */
+function parseIPv6Network(command, text) {
+    const [addressText, suffix, extra] = String(text).split('/');
+    const groups = parseIPv6(addressText);
+    if (!groups || extra !== undefined) throw ipError(command, `invalid IPv6 address '${text}'`);
+    if (suffix === undefined) return { groups, prefix: 128 };
+    const prefix = Number(suffix);
+    if (!/^\d{1,3}$/.test(suffix) || prefix > 128) throw ipError(command, `invalid IPv6 prefix '/${suffix}'`);
+    return { groups, prefix };
+}
+
+// --- commands ----------------------------------------------------------------
+
+function ipcalc6(text) {
+    const { groups, prefix } = parseIPv6Network('ipcalc', text);
+    const network = maskIPv6(groups, prefix);
+    const mask = maskIPv6(new Array(8).fill(0xffff), prefix);
+    const last = network.map((group, index) => group | (~mask[index] & 0xffff));
+    return [
+        `Address:   ${compressIPv6(groups)}`,
+        `Expanded:  ${expandIPv6(groups)}`,
+        `Netmask:   ${compressIPv6(mask)} = ${prefix}`,
+        `Prefix:    ${compressIPv6(network)}/${prefix}`,
+        `HostMin:   ${compressIPv6(network)}`,
+        `HostMax:   ${compressIPv6(last)}`,
+        `Addresses: ${(1n << BigInt(128 - prefix)).toString()}`,
+        `Type:      ${ipv6Kind(groups)}`
+    ].join('\n');
+}
+
+/**
+ * ipcalc [-b] address[/prefix|/netmask] [netmask]
+ * Network, netmask, wildcard, host range and broadcast of an IPv4 network,
+ * in binary too unless -b is given; an IPv6 address gets its prefix,
+ * range and address type.
+ */
+export function handleIpcalc(args) {
+    const options = args.filter(arg => arg.startsWith('-') && !/^-?\d/.test(arg));
+    const operands = args.filter(arg => !options.includes(arg));
+    const unknown = options.find(option => !['-b', '--nobinary'].includes(option));
+    if (unknown) throw ipError('ipcalc', `unknown option '${unknown}'`);
+    if (!operands.length || operands.length > 2) {
+        throw ipError('ipcalc', 'usage: ipcalc [-b] address[/prefix|/netmask] [netmask]');
+    }
+    if (operands[0].includes(':')) {
+        if (operands.length > 1) throw ipError('ipcalc', `unexpected '${operands[1]}' after an IPv6 address`);
+        return ipcalc6(operands[0]);
+    }
+
+    const { address, prefix } = parseIPv4Network('ipcalc', operands[0], operands[1]);
+    const showBinary = !options.length;
+    const network = networkOf({ address, prefix });
+    const mask = prefixMask(prefix);
+    const [first, last] = hostRange(network, prefix);
+    const broadcast = network + blockSize(prefix) - 1;
+    const row = (label, text, value, bitsPrefix = prefix) =>
+        `${label.padEnd(11)}${showBinary ? `${text.padEnd(21)}${binary(value, bitsPrefix)}` : text}`;
+    const lines = [
+        row('Address:', formatIPv4(address), address),
+        row('Netmask:', `${formatIPv4(mask)} = ${prefix}`, mask),
+        row('Wildcard:', formatIPv4(~mask >>> 0), ~mask >>> 0),
+        '=>',
+        row('Network:', formatCidr(network, prefix), network)
+    ];
+    if (prefix === 32) {
+        lines.push(row('Hostroute:', formatIPv4(network), network));
+    } else {
+        lines.push(row('HostMin:', formatIPv4(first), first), row('HostMax:', formatIPv4(last), last));
+        if (prefix < 31) lines.push(row('Broadcast:', formatIPv4(broadcast), broadcast));
+    }
+    const kind = prefix === 31 ? `${ipv4Kind(address)}, point-to-point link (RFC 3021)` : ipv4Kind(address);
+    lines.push(`${'Hosts/Net:'.padEnd(11)}${String(usableHosts(prefix)).padEnd(21)}${kind}`);
+    return lines.join('\n');
+}
+
+function subnetTable(rows) {
+    return table([
+        { label: 'Subnet', type: 'address' },
+        { label: 'Network', type: 'address' },
+        { label: 'First host', type: 'address' },
+        { label: 'Last host', type: 'address' },
+        { label: 'Broadcast', type: 'address' }
+    ], rows.map(([network, prefix]) => {
+        const [first, last] = hostRange(network, prefix);
+        return [formatCidr(network, prefix), formatIPv4(network), formatIPv4(first), formatIPv4(last), formatIPv4(network + blockSize(prefix) - 1)];
+    }));
+}
+
+/**
+ * subnet network/prefix into count | into /prefix
+ * Split a network into equal subnets: a count is rounded up to a power of
+ * two, or the new prefix is given directly.
+ */
+export function handleSubnet(args) {
+    const usage = 'usage: subnet <network/prefix> into <count | /prefix>';
+    const [networkText, keyword, countText, extra] = args;
+    if (!networkText || keyword !== 'into' || countText === undefined || extra !== undefined) throw ipError('subnet', usage);
+    if (!networkText.includes('/')) throw ipError('subnet', `'${networkText}' needs a prefix length`);
+    const base = parseIPv4Network('subnet', networkText);
+    const network = networkOf(base);
+
+    let prefix;
+    if (countText.startsWith('/')) {
+        prefix = parsePrefix(countText);
+        if (prefix === null) throw ipError('subnet', `invalid prefix '${countText}'`);
+        if (prefix < base.prefix) throw ipError('subnet', `${countText} is larger than ${formatCidr(network, base.prefix)}`);
+    } else {
+        const count = Number(countText);
+        if (!/^\d+$/.test(countText) || count < 1) throw ipError('subnet', `invalid subnet count '${countText}'`);
+        prefix = base.prefix + Math.ceil(Math.log2(count));
+        if (prefix > 32) {
+            throw ipError('subnet', `${formatCidr(network, base.prefix)} cannot be split into ${count} subnets (at most ${blockSize(base.prefix)} /32s)`);
+        }
+    }
+    const count = 2 ** (prefix - base.prefix);
+    if (count > MAX_ROWS) throw ipError('subnet', `${count} subnets is too many to list (at most ${MAX_ROWS})`);
+
+    const rounded = !countText.startsWith('/') && Number(countText) !== count ? ` (${countText} rounded up to a power of two)` : '';
+    const rows = Array.from({ length: count }, (_, index) => [network + index * blockSize(prefix), prefix]);
+    return block([
+        [
+            `${formatCidr(network, base.prefix)} split into ${count} /${prefix} subnet${count === 1 ? '' : 's'}${rounded}`,
+            `Netmask ${formatIPv4(prefixMask(prefix))}, ${usableHosts(prefix)} usable host${usableHosts(prefix) === 1 ? '' : 's'} each`
+        ].join('\n'),
+        '',
+        subnetTable(rows)
+    ]);
+}
+
+/**
+ * supernet network/prefix...
+ * The smallest single network that holds all the given ones, and whether
+ * it holds anything else; if it does, the exact aggregate too.
+ */
+export function handleSupernet(args) {
+    if (!args.length) throw ipError('supernet', 'usage: supernet <network/prefix> [network/prefix...]');
+    const networks = args.map(text => {
+        if (!text.includes('/')) throw ipError('supernet', `'${text}' needs a prefix length`);
+        return parseIPv4Network('supernet', text);
+    });
+    const ranges = mergeRanges(networks);
+    const first = ranges[0][0];
+    const last = ranges[ranges.length - 1][1];
+    let prefix = 32;
+    while (prefix > 0 && !inSubnet(last, first, prefix)) prefix--;
+    const network = networkOf({ address: first, prefix });
+    const covered = ranges.reduce((sum, [low, high]) => sum + high - low + 1, 0);
+    const extra = blockSize(prefix) - covered;
+    const mask = prefixMask(prefix);
+    const lines = [
+        `Supernet:  ${formatCidr(network, prefix)}`,
+        `Netmask:   ${formatIPv4(mask)}`,
+        `Wildcard:  ${formatIPv4(~mask >>> 0)}`,
+        `Range:     ${formatIPv4(network)} - ${formatIPv4(network + blockSize(prefix) - 1)} (${blockSize(prefix)} addresses)`,
+        `Exact:     ${extra ? `no, ${extra} of its addresses are outside the given networks` : 'yes'}`
+    ];
+    if (extra) {
+        const blocks = ranges.flatMap(([low, high]) => rangeToCidrs(low, high));
+        lines.push(`Aggregate: ${blocks.map(([start, size]) => formatCidr(start, size)).join(' ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * wildcard mask | /prefix | wildcard
+ * Convert between a netmask and the wildcard mask IOS access lists and
+ * OSPF network statements take. A non-contiguous wildcard, which only an
+ * access list can use, is explained bit by bit.
+ */
+export function handleWildcard(args) {
+    const [text, extra] = args;
+    if (!text || extra !== undefined) throw ipError('wildcard', 'usage: wildcard <netmask | /prefix | wildcard>');
+    const prefix = parsePrefix(text);
+    if (prefix !== null) {
+        const mask = prefixMask(prefix);
+        return `Netmask:   ${formatIPv4(mask)} = /${prefix}\nWildcard:  ${formatIPv4(~mask >>> 0)}`;
+    }
+    const value = parseIPv4(text);
+    if (value === null) throw ipError('wildcard', `invalid mask '${text}'`);
+    const inverse = ~value >>> 0;
+    const inversePrefix = parsePrefix(formatIPv4(inverse));
+    if (inversePrefix !== null) {
+        return `Wildcard:  ${formatIPv4(value)}\nNetmask:   ${formatIPv4(inverse)} = /${inversePrefix}`;
+    }
+    return [
+        `Wildcard:  ${formatIPv4(value)} (non-contiguous: not a netmask)`,
+        `Binary:    ${binary(value, 32)}`,
+        'Bits set to 1 may be anything; bits set to 0 must match the address.'
+    ].join('\n');
+}
+
+/**
+ * ip6 expand|compress|type address...
+ * Rewrite IPv6 addresses in full or in their canonical short form.
+ */
+export function handleIp6(args) {
+    const usage = 'usage: ip6 expand|compress|type <address[/prefix]> ...';
+    const [action, ...addresses] = args;
+    if (!['expand', 'compress', 'type'].includes(action) || !addresses.length) throw ipError('ip6', usage);
+    return addresses.map(text => {
+        const { groups, prefix } = parseIPv6Network('ip6', text);
+        const suffix = text.includes('/') ? `/${prefix}` : '';
+        if (action === 'type') return `${compressIPv6(groups)}${suffix}: ${ipv6Kind(groups)}`;
+        return `${action === 'expand' ? expandIPv6(groups) : compressIPv6(groups)}${suffix}`;
+    }).join('\n');
+}
+
+/**
+ * vlsm network/prefix [name:]hosts...
+ * Plan variable-length subnets: each requirement gets the smallest subnet
+ * that holds its hosts plus network and broadcast, allocated largest first
+ * so the blocks pack without gaps.
+ */
+export function handleVlsm(args) {
+    const usage = 'usage: vlsm <network/prefix> [name:]hosts ...';
+    const [networkText, ...requirements] = args;
+    if (!networkText || !requirements.length) throw ipError('vlsm', usage);
+    if (!networkText.includes('/')) throw ipError('vlsm', `'${networkText}' needs a prefix length`);
+    const base = parseIPv4Network('vlsm', networkText);
+    const network = networkOf(base);
+    if (requirements.length > MAX_ROWS) throw ipError('vlsm', `too many subnets (at most ${MAX_ROWS})`);
+
+    const wanted = requirements.map((text, index) => {
+        const match = /^(?:([^:]+):)?(\d+)$/.exec(text);
+        const hosts = match ? Number(match[2]) : 0;
+        if (!match || hosts < 1) throw ipError('vlsm', `invalid requirement '${text}' (expected hosts or name:hosts)`);
+        const name = match[1] || `net${index + 1}`;
+        const prefix = 32 - Math.ceil(Math.log2(hosts + 2));
+        if (prefix < base.prefix) throw ipError('vlsm', `${name} needs ${hosts} hosts, more than ${formatCidr(network, base.prefix)} holds`);
+        return { name, hosts, prefix, order: index };
+    });
+    const needed = wanted.reduce((sum, { prefix }) => sum + blockSize(prefix), 0);
+    if (needed > blockSize(base.prefix)) {
+        throw ipError('vlsm', `the plan needs ${needed} addresses but ${formatCidr(network, base.prefix)} has ${blockSize(base.prefix)}`);
+    }
+
+    // Largest first, then in the order given
+    wanted.sort((a, b) => a.prefix - b.prefix || a.order - b.order);
+    let next = network;
+    const rows = wanted.map(({ name, hosts, prefix }) => {
+        const start = next;
+        next += blockSize(prefix);
+        const [first, last] = hostRange(start, prefix);
+        return [
+            name, hosts, usableHosts(prefix), formatCidr(start, prefix), formatIPv4(prefixMask(prefix)),
+            formatIPv4(first), formatIPv4(last), formatIPv4(start + blockSize(prefix) - 1)
+        ];
+    });
+
+    const total = blockSize(base.prefix);
+    const free = next <= network + total - 1 ? rangeToCidrs(next, network + total - 1) : [];
+    return block([
+        `VLSM plan for ${formatCidr(network, base.prefix)} (${total} addresses)`,
+        '',
+        table([
+            'Name',
+            { label: 'Hosts', type: 'number' },
+            { label: 'Usable', type: 'number' },
+            { label: 'Subnet', type: 'address' },
+            { label: 'Netmask', type: 'address' },
+            { label: 'First host', type: 'address' },
+            { label: 'Last host', type: 'address' },
+            { label: 'Broadcast', type: 'address' }
+        ], rows),
+        '',
+        [
+            `Used ${needed} of ${total} addresses (${((needed / total) * 100).toFixed(1)}%)`,
+            `Free: ${free.length ? free.map(([start, prefix]) => formatCidr(start, prefix)).join(' ') : 'none'}`
+        ].join('\n')
+    ]);
+}
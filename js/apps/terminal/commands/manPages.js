@@ -0,0 +1,1331 @@
+// js/apps/terminal/commands/manPages.js
+
+/**
+ * Manual pages for terminal commands. registerCommands attaches the page
+ * for each registered name (or the page listing it under `aliases`) to the
+ * command's metadata; man, whatis, apropos, info, type, which and whereis
+ * all read from there.
+ *
+ * Page fields:
+ *   category    - styling/grouping category (filesystem, network, ...)
+ *   summary     - one-line description used by whatis and apropos
+ *   synopsis    - usage line(s)
+ *   description - free text, wrapped when rendered
+ *   options     - [flag, description] pairs
+ *   examples    - [command, description] pairs
+ *   aliases     - other registered names for the same command
+ *   builtin     - true for shell builtins, which have no path
+ *   subcommands - words accepted as the first argument, offered by tab completion
+ *   seeAlso     - related pages
+ * @author jared u.
+ */
+
+export const MANUAL_PAGES = {
+    // --- help and shell builtins ------------------------------------------
+    help: {
+        category: 'help',
+        builtin: true,
+        summary: 'display the list of available commands',
+        synopsis: 'help',
+        description: 'Print an overview of the commands the terminal understands, grouped by area. Use man for the full page of a single command.',
+        seeAlso: ['man', 'apropos']
+    },
+    man: {
+        category: 'help',
+        summary: 'an interface to the system reference manuals',
+        synopsis: 'man [-k keyword] [-f name] name ...',
+        description: 'Display the manual page for each named command. Aliases resolve to the page of the command they stand for. Pages longer than the window open in the pager; see less for its keys.',
+        options: [
+            ['-k keyword', 'search page names and descriptions, equivalent to apropos'],
+            ['-f name', 'show one-line descriptions, equivalent to whatis']
+        ],
+        examples: [
+            ['man grep', 'read the grep manual'],
+            ['man -k network', 'list commands related to networking']
+        ],
+        seeAlso: ['whatis', 'apropos', 'info']
+    },
+    info: {
+        category: 'help',
+        summary: 'read documentation in info format',
+        synopsis: 'info [name]',
+        description: 'Without arguments, show the directory of commands by category. With a name, show that command\'s documentation as an info node.',
+        seeAlso: ['man']
+    },
+    whatis: {
+        category: 'help',
+        summary: 'display one-line manual page descriptions',
+        synopsis: 'whatis name ...',
+        seeAlso: ['apropos', 'man']
+    },
+    apropos: {
+        category: 'help',
+        summary: 'search the manual page names and descriptions',
+        synopsis: 'apropos keyword ...',
+        description: 'Each keyword is matched case-insensitively against command names, one-line summaries and descriptions. Pages matching any keyword are listed.',
+        examples: [['apropos file', 'commands that deal with files']],
+        seeAlso: ['whatis', 'man']
+    },
+    type: {
+        category: 'help',
+        builtin: true,
+        summary: 'describe how each name would be interpreted as a command',
+        synopsis: 'type [-t] name ...',
+        description: 'Report whether each name is an alias, a shell function, a shell keyword, a shell builtin or a program on disk.',
+        options: [['-t', 'print a single word: alias, function, keyword, builtin or file']],
+        seeAlso: ['which', 'alias']
+    },
+    which: {
+        category: 'help',
+        summary: 'locate a command',
+        synopsis: 'which name ...',
+        description: 'Print the full path of each program that would run for the given names. Shell builtins and aliases have no path.',
+        seeAlso: ['type', 'whereis']
+    },
+    whereis: {
+        category: 'help',
+        summary: 'locate the binary and manual page for a command',
+        synopsis: 'whereis name ...',
+        seeAlso: ['which', 'man']
+    },
+    alias: {
+        category: 'help',
+        builtin: true,
+        summary: 'define or display aliases',
+        synopsis: "alias [name[='value'] ...]",
+        description: 'Without arguments, print every alias in a form that can be reused as input. With name=value, define an alias; aliases are expanded when they are the first word of a command and are saved between sessions.',
+        examples: [
+            ["alias ll='ls -l'", 'make ll list in long format'],
+            ['alias ll', 'show the definition of ll']
+        ],
+        seeAlso: ['unalias', 'type']
+    },
+    unalias: {
+        category: 'help',
+        builtin: true,
+        summary: 'remove alias definitions',
+        synopsis: 'unalias [-a] name ...',
+        options: [['-a', 'remove all alias definitions']],
+        seeAlso: ['alias']
+    },
+    history: {
+        category: 'help',
+        builtin: true,
+        summary: 'display or manipulate the command history list',
+        synopsis: 'history [n]\nhistory -c\nhistory -d offset',
+        description: 'List previous commands, numbered, optionally only the last n. Lines typed at the prompt are expanded before they run: !! is the previous command, !n command n, !-n the command n back, !prefix the newest command starting with prefix, and ^old^new repeats the previous command with old replaced by new. Ctrl+R searches the history backwards as you type; press it again for older matches, Enter to run the match, Escape to edit it or Ctrl+G to give up.',
+        options: [
+            ['-c', 'clear the history list'],
+            ['-d offset', 'delete the entry at offset; negative offsets count back from the end']
+        ],
+        examples: [
+            ['history | grep ssh', 'find earlier ssh commands'],
+            ['!42', 'run command 42 again'],
+            ['!! | less', 'page the output of the previous command']
+        ],
+        seeAlso: ['alias']
+    },
+    env: {
+        category: 'help',
+        summary: 'print the environment',
+        synopsis: 'env',
+        aliases: ['environment'],
+        seeAlso: ['export', 'set']
+    },
+    set: {
+        category: 'help',
+        builtin: true,
+        summary: 'set positional parameters or display shell variables',
+        synopsis: 'set [--] [arg ...]',
+        description: 'With arguments, make them the positional parameters $1, $2, ... in place of the current ones, as in a script or function. Without arguments, list the shell variables. Use -- before arguments that start with a dash; set -- alone clears the positional parameters. Shell options such as -e and -x are not supported. To set a variable, use name=value or export.',
+        examples: [['set -- a b c; echo $2 $#', 'prints b 3']],
+        seeAlso: ['shift', 'unset', 'export']
+    },
+    unset: {
+        category: 'help',
+        builtin: true,
+        summary: 'unset values of shell variables',
+        synopsis: 'unset name',
+        seeAlso: ['set', 'export']
+    },
+    export: {
+        category: 'help',
+        builtin: true,
+        summary: 'set environment variables',
+        synopsis: 'export name=value ...',
+        examples: [['export EDITOR=nano', 'set EDITOR for later commands']],
+        seeAlso: ['env', 'set']
+    },
+    echo: {
+        category: 'help',
+        builtin: true,
+        summary: 'display a line of text',
+        synopsis: 'echo [-neE] [string ...]',
+        options: [
+            ['-n', 'accepted for compatibility; output is always a whole line'],
+            ['-e', 'interpret backslash escapes: \\n, \\t, \\e (ESC), \\0nnn octal such as \\033, \\xHH hex such as \\x1b; \\c ends the output'],
+            ['-E', 'do not interpret backslash escapes (the default)']
+        ],
+        aliases: ['print'],
+        examples: [['echo $HOME', 'print the home directory']],
+        seeAlso: ['printf']
+    },
+    printf: {
+        category: 'help',
+        builtin: true,
+        summary: 'format and print data',
+        synopsis: 'printf format [argument ...]',
+        seeAlso: ['echo']
+    },
+    read: {
+        category: 'help',
+        builtin: true,
+        summary: 'read a line into variables',
+        synopsis: 'read [-r] [name ...]',
+        description: 'Read one line of standard input and split it into words. Each name receives one word and the last name receives the rest of the line; with no names the line is stored in REPLY. The exit status is 1 at end of input, which ends a `while read` loop.',
+        options: [['-r', 'do not treat backslashes as escape characters']],
+        examples: [["cut -d: -f1 /etc/passwd | while read user; do echo \"hello $user\"; done", 'greet every user']]
+    },
+    source: {
+        category: 'help',
+        builtin: true,
+        summary: 'execute commands from a file in the current shell',
+        synopsis: 'source file [arguments]',
+        description: 'Read and run the commands in file. Variables, functions, aliases and directory changes made by the file stay in effect afterwards. When arguments are given they become the positional parameters while the file runs.',
+        aliases: ['.'],
+        examples: [['source ~/.bashrc', 'reload shell settings']],
+        seeAlso: ['bash', 'eval']
+    },
+    bash: {
+        category: 'help',
+        summary: 'run a shell script',
+        synopsis: 'bash file [arguments]\n       bash -c command [name [arguments]]',
+        description: 'Run a script in a subshell: variables, functions, traps and directory changes made by the script are discarded when it finishes. Scripts support pipelines, redirection, && and ||, if/elif/else/fi, for and while/until loops, break and continue, functions with local variables and return, positional parameters ($1, $#, "$@") with shift and getopts, $? and $((arithmetic)). A script with its execute bit set can also be run by path, as in ./deploy.sh; its EXIT trap runs when it finishes.',
+        options: [['-c command', 'run command instead of a file; name sets $0 and the remaining arguments $1 onwards']],
+        examples: [
+            ['bash ~/scripts/backup.sh', 'run the backup script'],
+            ['~/scripts/demo.sh -v lab', 'run the demo script with options']
+        ],
+        seeAlso: ['source', 'test', 'getopts']
+    },
+    exec: {
+        category: 'help',
+        builtin: true,
+        summary: 'replace the shell with the given command',
+        synopsis: 'exec command [arguments]',
+        description: 'Run command in place of the shell. Inside a script, nothing after exec runs.'
+    },
+    eval: {
+        category: 'help',
+        builtin: true,
+        summary: 'execute arguments as a shell command',
+        synopsis: 'eval [arg ...]',
+        description: 'Join the arguments with spaces and run the result as a command line in the current shell.',
+        examples: [['eval "echo \\$$name"', 'print the variable whose name is in $name']]
+    },
+    shift: {
+        category: 'help',
+        builtin: true,
+        summary: 'shift positional parameters',
+        synopsis: 'shift [n]',
+        description: 'Rename positional parameters n+1 onwards to $1 onwards. Fails without changing anything if n is greater than $#.'
+    },
+    getopts: {
+        category: 'help',
+        builtin: true,
+        summary: 'parse option arguments',
+        synopsis: 'getopts optstring name [arg ...]',
+        description: 'Each call stores the next option letter from the positional parameters (or the given args) in name, with its argument in OPTARG when the letter is followed by : in optstring. OPTIND holds the index of the next argument to process. Unknown options set name to ?; a leading : in optstring silences the error message. The exit status is 1 when the options are used up.',
+        examples: [['while getopts "vn:" opt; do ...; done; shift $((OPTIND - 1))', 'the usual option loop']]
+    },
+    trap: {
+        category: 'help',
+        builtin: true,
+        summary: 'trap signals and other events',
+        synopsis: 'trap [-lp] [action] [signal ...]',
+        description: 'Run action when the shell receives signal. An EXIT trap runs when the script that set it finishes, and scripts run with bash or by path start with no traps set; an INT trap runs when a command is interrupted. An action of - restores the default, and trap with no arguments lists the traps that are set.',
+        options: [
+            ['-l', 'list signal names and numbers'],
+            ['-p', 'print the traps for the given signals']
+        ],
+        examples: [["trap 'rm -f /tmp/lock' EXIT", 'clean up when the script ends']]
+    },
+    jobs: {
+        category: 'help',
+        builtin: true,
+        summary: 'display status of jobs',
+        synopsis: 'jobs [-l | -p]',
+        description: 'List background and stopped jobs. The current job is marked + and the previous one -; these are the jobs %+ and %- refer to. A job spec is %n for job n, %prefix for the job whose command starts with prefix, or %+ / %% / %- .',
+        options: [
+            ['-l', 'also list process IDs'],
+            ['-p', 'list only process IDs']
+        ],
+        examples: [['sleep 30 &', 'start a background job'], ['jobs', 'see it listed']],
+        seeAlso: ['fg', 'bg', 'kill', 'wait']
+    },
+    fg: {
+        category: 'help',
+        builtin: true,
+        summary: 'move job to the foreground',
+        synopsis: 'fg [job]',
+        description: 'Continue job (the current job by default) in the foreground, where Ctrl+C interrupts it and Ctrl+Z stops it again.',
+        seeAlso: ['bg', 'jobs']
+    },
+    bg: {
+        category: 'help',
+        builtin: true,
+        summary: 'move jobs to the background',
+        synopsis: 'bg [job ...]',
+        description: 'Continue stopped jobs in the background, as if they had been started with &.',
+        seeAlso: ['fg', 'jobs']
+    },
+    wait: {
+        category: 'help',
+        builtin: true,
+        summary: 'wait for job completion and return exit status',
+        synopsis: 'wait [job ...]',
+        description: 'Wait for the given jobs, or all background jobs, to finish. The exit status is that of the last job waited for.',
+        seeAlso: ['jobs']
+    },
+    test: {
+        category: 'help',
+        builtin: true,
+        summary: 'evaluate a conditional expression',
+        synopsis: 'test expression\n       [ expression ]',
+        description: 'Exit with status 0 if expression is true and 1 if it is false. Expressions combine with ! (not), -a (and), -o (or) and parentheses.',
+        options: [
+            ['-e file', 'file exists'],
+            ['-f file', 'file is a regular file'],
+            ['-d file', 'file is a directory'],
+            ['-L file', 'file is a symbolic link'],
+            ['-s file', 'file is not empty'],
+            ['-r, -w, -x file', 'file is readable, writable or executable'],
+            ['-z string', 'string is empty'],
+            ['-n string', 'string is not empty'],
+            ['s1 = s2', 'the strings are equal; != tests for inequality'],
+            ['n1 -eq n2', 'the integers are equal; also -ne, -lt, -le, -gt and -ge']
+        ],
+        aliases: ['['],
+        examples: [['if [ -f ~/.bashrc ]; then source ~/.bashrc; fi', 'load .bashrc when it exists']],
+        seeAlso: ['bash']
+    },
+    true: {
+        category: 'help',
+        builtin: true,
+        summary: 'do nothing, successfully',
+        synopsis: 'true',
+        aliases: [':'],
+        seeAlso: ['false']
+    },
+    false: {
+        category: 'help',
+        builtin: true,
+        summary: 'do nothing, unsuccessfully',
+        synopsis: 'false',
+        seeAlso: ['true']
+    },
+    break: {
+        category: 'help',
+        builtin: true,
+        summary: 'exit from for, while or until loops',
+        synopsis: 'break [n]',
+        description: 'Leave the innermost loop, or the n innermost loops.',
+        seeAlso: ['continue']
+    },
+    continue: {
+        category: 'help',
+        builtin: true,
+        summary: 'resume the next iteration of a loop',
+        synopsis: 'continue [n]',
+        seeAlso: ['break']
+    },
+    return: {
+        category: 'help',
+        builtin: true,
+        summary: 'return from a shell function or sourced script',
+        synopsis: 'return [n]',
+        description: 'Stop the current function or sourced script with exit status n, or the status of the last command when n is omitted.'
+    },
+    local: {
+        category: 'help',
+        builtin: true,
+        summary: 'define variables local to a function',
+        synopsis: 'local name[=value] ...',
+        description: 'Give each name a value that lasts until the current function returns; the previous value is then restored.'
+    },
+    ulimit: {
+        category: 'help',
+        builtin: true,
+        summary: 'modify shell resource limits',
+        synopsis: 'ulimit [-a]'
+    },
+    umask: {
+        category: 'help',
+        builtin: true,
+        summary: 'display or set the file mode creation mask',
+        synopsis: 'umask [mode]'
+    },
+    'edit-rc': {
+        category: 'help',
+        summary: 'edit and reload the terminal startup file',
+        synopsis: 'edit-rc',
+        description: 'Open ~/.neurc in the editor, creating it from the default template if it is missing, and run it again once saved. ~/.neurc runs every time a terminal opens and is the place for aliases, exported variables, the theme and a welcome banner.',
+        seeAlso: ['nano', 'source', 'alias']
+    },
+    debug: {
+        category: 'help',
+        summary: 'toggle debug logging',
+        synopsis: 'debug [on|off]'
+    },
+
+    // --- files and directories --------------------------------------------
+    ls: {
+        category: 'filesystem',
+        summary: 'list directory contents',
+        synopsis: 'ls [-laAhdRtSr1] [file ...]',
+        description: 'List information about the files, or the contents of the directories, given as arguments. With no arguments the current directory is listed. Directories are marked with a trailing / and executables with *.',
+        options: [
+            ['-l', 'use a long listing format'],
+            ['-a', 'do not ignore entries starting with .'],
+            ['-A', 'like -a, but omit . and ..'],
+            ['-h', 'with -l, print sizes like 1K and 2.5M'],
+            ['-d', 'list directories themselves, not their contents'],
+            ['-R', 'list subdirectories recursively'],
+            ['-t', 'sort by modification time, newest first'],
+            ['-S', 'sort by file size, largest first'],
+            ['-r', 'reverse the sort order'],
+            ['-1', 'list one file per line']
+        ],
+        examples: [
+            ['ls -la', 'everything in the current directory, hidden files included'],
+            ['ls -lhS Downloads', 'downloads, biggest first']
+        ],
+        aliases: ['dir'],
+        seeAlso: ['cd', 'stat', 'find']
+    },
+    cd: {
+        category: 'filesystem',
+        builtin: true,
+        summary: 'change the working directory',
+        synopsis: 'cd [dir]',
+        description: 'Change the current directory to dir. With no argument, go to $HOME; "cd -" returns to the previous directory.',
+        examples: [
+            ['cd network-configs', 'enter a subdirectory'],
+            ['cd -', 'go back to where you were']
+        ],
+        seeAlso: ['pwd', 'ls']
+    },
+    pwd: {
+        category: 'filesystem',
+        builtin: true,
+        summary: 'print name of current working directory',
+        synopsis: 'pwd',
+        seeAlso: ['cd']
+    },
+    cat: {
+        category: 'filesystem',
+        summary: 'concatenate files and print on the standard output',
+        synopsis: 'cat [-n] [file ...]',
+        description: 'Print each file in turn. With no file, read standard input.',
+        options: [['-n', 'number all output lines']],
+        examples: [['cat resume.txt', 'print the resume']],
+        seeAlso: ['head', 'tail', 'less']
+    },
+    head: {
+        category: 'filesystem',
+        summary: 'output the first part of files',
+        synopsis: 'head [-n count] [file ...]',
+        options: [['-n count', 'print the first count lines instead of 10']],
+        seeAlso: ['tail', 'cat']
+    },
+    tail: {
+        category: 'filesystem',
+        summary: 'output the last part of files',
+        synopsis: 'tail [-n [+]count] [file ...]',
+        options: [['-n count', 'print the last count lines; with +count, start at line count']],
+        seeAlso: ['head', 'cat']
+    },
+    more: {
+        category: 'filesystem',
+        summary: 'file perusal filter',
+        synopsis: 'more [file ...]',
+        description: 'Like less, but paging past the end of the text closes the pager.',
+        seeAlso: ['less', 'cat']
+    },
+    less: {
+        category: 'filesystem',
+        summary: 'view a file one screen at a time',
+        synopsis: 'less [file ...]',
+        description: 'Show files, or standard input, one screen at a time. Text that fits in the window, or that is piped onward, is printed as cat would print it.',
+        options: [
+            ['space, f', 'forward one screen'],
+            ['b', 'back one screen'],
+            ['j, k', 'forward or back one line'],
+            ['d, u', 'forward or back half a screen'],
+            ['g, G', 'go to the first or last line'],
+            ['/pattern', 'search forward for a regular expression'],
+            ['n, N', 'repeat the search forward or backward'],
+            ['q', 'quit']
+        ],
+        examples: [['ls -l /etc | less', 'page through piped output']],
+        seeAlso: ['more', 'cat', 'man']
+    },
+    find: {
+        category: 'filesystem',
+        summary: 'search for files in a directory hierarchy',
+        synopsis: 'find [path ...] [-name pattern] [-iname pattern] [-type f|d|l] [-maxdepth n] [-mindepth n]',
+        options: [
+            ['-name pattern', 'base name matches the shell pattern'],
+            ['-iname pattern', 'like -name, ignoring case'],
+            ['-type t', 'file is of type t: f regular file, d directory, l symbolic link'],
+            ['-maxdepth n', 'descend at most n levels'],
+            ['-mindepth n', 'ignore entries above depth n']
+        ],
+        examples: [["find . -name '*.conf'", 'every config file under the current directory']],
+        seeAlso: ['locate', 'ls']
+    },
+    locate: {
+        category: 'filesystem',
+        summary: 'find files by name',
+        synopsis: 'locate pattern',
+        seeAlso: ['find']
+    },
+    touch: {
+        category: 'filesystem',
+        summary: 'change file timestamps, creating files that do not exist',
+        synopsis: 'touch [-c] file ...',
+        options: [['-c', 'do not create any files']]
+    },
+    mkdir: {
+        category: 'filesystem',
+        summary: 'make directories',
+        synopsis: 'mkdir [-p] dir ...',
+        options: [['-p', 'make parent directories as needed, no error if existing']],
+        seeAlso: ['rmdir']
+    },
+    rmdir: {
+        category: 'filesystem',
+        summary: 'remove empty directories',
+        synopsis: 'rmdir dir ...',
+        seeAlso: ['mkdir', 'rm']
+    },
+    rm: {
+        category: 'filesystem',
+        summary: 'remove files or directories',
+        synopsis: 'rm [-rf] file ...',
+        options: [
+            ['-r, -R', 'remove directories and their contents recursively'],
+            ['-f', 'ignore nonexistent files, never complain']
+        ],
+        seeAlso: ['rmdir', 'reset-fs']
+    },
+    cp: {
+        category: 'filesystem',
+        summary: 'copy files and directories',
+        synopsis: 'cp [-r] source ... dest',
+        options: [['-r, -R', 'copy directories recursively']],
+        seeAlso: ['mv']
+    },
+    mv: {
+        category: 'filesystem',
+        summary: 'move (rename) files',
+        synopsis: 'mv source ... dest',
+        seeAlso: ['cp']
+    },
+    ln: {
+        category: 'filesystem',
+        summary: 'make links between files',
+        synopsis: 'ln [-s] target link_name',
+        options: [['-s', 'make a symbolic link instead of a hard link']]
+    },
+    chmod: {
+        category: 'filesystem',
+        summary: 'change file mode bits',
+        synopsis: 'chmod [-R] mode file ...',
+        description: 'Mode is either octal, such as 755, or symbolic, such as u+x or go-w.',
+        options: [['-R', 'change files and directories recursively']],
+        examples: [['chmod +x scripts/backup.sh', 'make a script executable']],
+        seeAlso: ['chown', 'ls']
+    },
+    chown: {
+        category: 'filesystem',
+        summary: 'change file owner and group',
+        synopsis: 'chown [-R] owner[:group] file ...',
+        options: [['-R', 'operate on files and directories recursively']],
+        seeAlso: ['chmod']
+    },
+    du: {
+        category: 'filesystem',
+        summary: 'estimate file space usage',
+        synopsis: 'du [-sha] [file ...]',
+        options: [
+            ['-s', 'display only a total for each argument'],
+            ['-h', 'print sizes in human readable format'],
+            ['-a', 'write counts for all files, not just directories']
+        ],
+        seeAlso: ['df']
+    },
+    df: {
+        category: 'filesystem',
+        summary: 'report file system disk space usage',
+        synopsis: 'df',
+        seeAlso: ['du']
+    },
+    stat: {
+        category: 'filesystem',
+        summary: 'display file status',
+        synopsis: 'stat file ...',
+        seeAlso: ['ls', 'file']
+    },
+    file: {
+        category: 'filesystem',
+        summary: 'determine file type',
+        synopsis: 'file file ...',
+        seeAlso: ['stat']
+    },
+    nano: {
+        category: 'filesystem',
+        summary: 'edit a text file',
+        synopsis: 'nano file',
+        description: 'Open file in a full-window editor, creating it when saved if it does not exist yet. The terminal is back once the editor closes.',
+        options: [
+            ['^O, ^S', 'write the file'],
+            ['^X', 'exit, asking whether to save unsaved changes'],
+            ['^K', 'cut the current line'],
+            ['^U', 'paste the last cut line'],
+            ['^C', 'show the cursor position']
+        ],
+        examples: [['nano ~/.neurc', 'edit the startup file']],
+        seeAlso: ['edit-rc', 'cat']
+    },
+    'reset-fs': {
+        category: 'filesystem',
+        summary: 'restore the filesystem and environment to their factory defaults',
+        synopsis: 'reset-fs',
+        description: 'Discard every change made to the virtual filesystem and the shell variables, including the saved copy, and start again from the files and environment the terminal shipped with.',
+        seeAlso: ['rm']
+    },
+
+    // --- text processing --------------------------------------------------
+    grep: {
+        category: 'filesystem',
+        summary: 'print lines that match patterns',
+        synopsis: 'grep [-invcwlqrE] [-e] pattern [file ...]',
+        description: 'Search each file, or standard input, for lines matching pattern, a basic regular expression unless -E is given.',
+        options: [
+            ['-i', 'ignore case distinctions'],
+            ['-n', 'prefix each line with its line number'],
+            ['-v', 'select non-matching lines'],
+            ['-c', 'print only a count of matching lines per file'],
+            ['-w', 'match only whole words'],
+            ['-l', 'print only the names of files with matches'],
+            ['-q', 'print nothing; exit with status 0 on the first match'],
+            ['-r', 'search directories recursively'],
+            ['-E', 'interpret pattern as an extended regular expression']
+        ],
+        examples: [
+            ['grep -i cisco resume.txt', 'every line of the resume mentioning Cisco'],
+            ['grep -rn "ip address" network-configs', 'addresses across all configs']
+        ],
+        seeAlso: ['sed', 'awk']
+    },
+    wc: {
+        category: 'filesystem',
+        summary: 'print newline, word, and byte counts',
+        synopsis: 'wc [-lwmc] [file ...]',
+        options: [
+            ['-l', 'print the newline counts'],
+            ['-w', 'print the word counts'],
+            ['-m', 'print the character counts'],
+            ['-c', 'print the byte counts']
+        ],
+        examples: [['wc -w resume.txt', 'how long is the resume']]
+    },
+    sort: {
+        category: 'filesystem',
+        summary: 'sort lines of text',
+        synopsis: 'sort [-rnfu] [-k key] [-t sep] [file ...]',
+        options: [
+            ['-r', 'reverse the result of comparisons'],
+            ['-n', 'compare according to numerical value'],
+            ['-f', 'fold lower case to upper case'],
+            ['-u', 'output only the first of equal lines'],
+            ['-k start[,end]', 'sort by the fields from start to end'],
+            ['-t sep', 'use sep as the field separator']
+        ],
+        examples: [["awk '{ print $1 }' file | sort | uniq -c | sort -rn", 'most frequent first words']],
+        seeAlso: ['uniq']
+    },
+    uniq: {
+        category: 'filesystem',
+        summary: 'report or omit repeated lines',
+        synopsis: 'uniq [-cdui] [file]',
+        options: [
+            ['-c', 'prefix lines by the number of occurrences'],
+            ['-d', 'only print duplicate lines'],
+            ['-u', 'only print unique lines'],
+            ['-i', 'ignore differences in case']
+        ],
+        seeAlso: ['sort']
+    },
+    cut: {
+        category: 'filesystem',
+        summary: 'remove sections from each line of files',
+        synopsis: 'cut -f list [-d delim] [-s] [file ...]\n       cut -c list [file ...]',
+        options: [
+            ['-f list', 'select only these fields, such as 1,3-5'],
+            ['-d delim', 'use delim instead of TAB as the field delimiter'],
+            ['-c list', 'select only these characters'],
+            ['-s', 'do not print lines without delimiters']
+        ],
+        examples: [['cut -d: -f1,7 /etc/passwd', 'user names and shells']]
+    },
+    paste: {
+        category: 'filesystem',
+        summary: 'merge lines of files',
+        synopsis: 'paste file ...'
+    },
+    join: {
+        category: 'filesystem',
+        summary: 'join lines of two files on a common field',
+        synopsis: 'join file1 file2'
+    },
+    split: {
+        category: 'filesystem',
+        summary: 'split a file into pieces',
+        synopsis: 'split file'
+    },
+    tr: {
+        category: 'filesystem',
+        summary: 'translate, squeeze, or delete characters',
+        synopsis: 'tr [-cds] set1 [set2]',
+        description: 'Copy standard input to standard output with characters translated. Sets may contain ranges such as a-z, classes such as [:upper:] and escapes such as \\n.',
+        options: [
+            ['-c', 'use the complement of set1'],
+            ['-d', 'delete characters in set1'],
+            ['-s', 'squeeze repeated characters into one']
+        ],
+        examples: [["echo hello | tr a-z A-Z", 'upper-case text']]
+    },
+    sed: {
+        category: 'filesystem',
+        summary: 'stream editor for filtering and transforming text',
+        synopsis: 'sed [-nEi] [-e] script [file ...]',
+        description: 'Supports the s, d, p, q and = commands, separated by ; or newlines, each optionally preceded by an address: a line number, $ for the last line, /regex/, or a range of two addresses.',
+        options: [
+            ['-n', 'suppress automatic printing of pattern space'],
+            ['-E, -r', 'use extended regular expressions'],
+            ['-i', 'edit files in place'],
+            ['-e script', 'add the script to the commands to be executed']
+        ],
+        examples: [
+            ["sed 's/GigabitEthernet/Gi/g' network-configs/router1.conf", 'shorten interface names'],
+            ["sed -n '/^interface/,/^!/p' network-configs/switch1.conf", 'print only interface blocks']
+        ],
+        seeAlso: ['grep', 'awk', 'tr']
+    },
+    awk: {
+        category: 'filesystem',
+        summary: 'pattern scanning and processing language',
+        synopsis: "awk [-F fs] [-v var=value] 'program' [file ...]",
+        description: 'Supports BEGIN and END blocks, pattern-action rules and ranges, fields ($1, $NF), NR, NF, FS and OFS, print and printf, variables, associative arrays, if, while, for and for-in, next, exit, and the length, substr, index, split, sub, gsub, match, tolower, toupper, int and sprintf functions.',
+        options: [
+            ['-F fs', 'use fs for the input field separator'],
+            ['-v var=value', 'assign value to var before execution']
+        ],
+        examples: [
+            ["awk -F: '{ print $1 }' /etc/passwd", 'list user names'],
+            ["awk '/ip address/ { print $3 }' network-configs/*.conf", 'every configured address']
+        ],
+        seeAlso: ['sed', 'grep', 'cut']
+    },
+
+    // --- networking -------------------------------------------------------
+    ping: {
+        category: 'network',
+        summary: 'send ICMP ECHO_REQUEST to network hosts',
+        synopsis: 'ping [-c count] [-i interval] [-q] host',
+        description: 'Ping a host in the simulated lab network (see traceroute) or on the Internet beyond it. Replies print as they arrive, with round-trip times that add up the links on the way; addresses nobody owns time out, or report Destination Host Unreachable when they are on a local LAN. Packet filters on the way apply both ways: an echo or reply they drop times out, one they reject reports why (Packet filtered, Destination Host Prohibited, ...), and this host\'s own OUTPUT chain refusing it prints Operation not permitted. Ctrl+C stops early and still prints the statistics.',
+        options: [
+            ['-c count', 'stop after sending count packets (default 4)'],
+            ['-i interval', 'seconds to wait between packets (default 1)'],
+            ['-q', 'quiet; print only the summary']
+        ],
+        seeAlso: ['traceroute', 'packet-tracer']
+    },
+    traceroute: {
+        category: 'network',
+        summary: 'print the route packets trace to network host',
+        synopsis: 'traceroute [-m max_ttl] host',
+        description: 'Print the routers a packet passes through, found by following each router\'s routing table in the simulated lab. The lab is built from the network topology in the site config: the terminal (neuos, 192.168.1.100) sits on the switch\'s LAN behind the router and firewall, which lead to an ISP and the Internet. Hops that do not answer print * * *. Probes are UDP to port 33434; a packet filter that rejects them ends the trace with !X.',
+        options: [['-m max_ttl', 'give up after this many hops (default 30)']],
+        examples: [['traceroute example.com', 'out through the firewall'], ['traceroute server-1', 'a host on the local LAN']],
+        aliases: ['tracert'],
+        seeAlso: ['ping', 'route']
+    },
+    ipcalc: {
+        category: 'network',
+        summary: 'calculate IPv4 and IPv6 network parameters',
+        synopsis: 'ipcalc [-b] address[/prefix|/netmask] [netmask]',
+        description: 'Show the netmask, wildcard, network, first and last host, broadcast and host count of an IPv4 network, each with its bits, and the address class and range (private, loopback, documentation, ...). Without a prefix or netmask the classful one is used. A /31 is a point-to-point link with two usable hosts. An IPv6 address gets its prefix, first and last address, number of addresses and type.',
+        options: [['-b', 'leave out the binary column']],
+        examples: [['ipcalc 10.1.0.0/22', 'a /22 in full'], ['ipcalc 192.168.1.77 255.255.255.0', 'netmask as a second argument'], ['ipcalc 2001:db8::1/64', 'an IPv6 prefix']],
+        seeAlso: ['subnet', 'supernet', 'wildcard', 'ip6', 'vlsm']
+    },
+    subnet: {
+        category: 'network',
+        summary: 'split a network into equal subnets',
+        synopsis: 'subnet network/prefix into count | into /prefix [--json | --csv]',
+        description: 'List the subnets a network splits into, with each one\'s network, first and last host and broadcast. A count is rounded up to the next power of two. At most 4096 subnets are listed.',
+        options: [['--json', 'print the table as a JSON array of objects'], ['--csv', 'print the table as CSV']],
+        examples: [['subnet 10.1.0.0/22 into 4', 'four /24s'], ['subnet 192.168.1.0/24 into /26', 'by prefix']],
+        seeAlso: ['ipcalc', 'vlsm']
+    },
+    supernet: {
+        category: 'network',
+        summary: 'summarize networks into one',
+        synopsis: 'supernet network/prefix...',
+        description: 'Find the smallest network that contains all the given ones, as a summary route would. If it also covers addresses outside them, say how many and list the exact aggregate: the fewest prefixes covering just the given networks.',
+        examples: [['supernet 10.1.0.0/24 10.1.1.0/24', '10.1.0.0/23, exactly']],
+        seeAlso: ['ipcalc', 'subnet']
+    },
+    wildcard: {
+        category: 'network',
+        summary: 'convert between netmasks and wildcard masks',
+        synopsis: 'wildcard netmask | /prefix | wildcard',
+        description: 'Turn a netmask or prefix length into the wildcard mask access lists and OSPF network statements use, or a wildcard back into a netmask. A non-contiguous wildcard, which only an access list accepts, is shown in binary.',
+        examples: [['wildcard 255.255.252.0', '0.0.3.255'], ['wildcard 0.0.0.255', '255.255.255.0']],
+        seeAlso: ['ipcalc', 'access-list']
+    },
+    ip6: {
+        category: 'network',
+        summary: 'expand, compress and classify IPv6 addresses',
+        synopsis: 'ip6 expand|compress|type address[/prefix]...',
+        description: 'expand writes every group in full; compress writes the canonical RFC 5952 form (lower case, no leading zeros, the longest run of zero groups as ::, IPv4-mapped addresses dotted); type names the address\'s range: global unicast, unique local, link-local, multicast, loopback, documentation, ... A prefix length is kept.',
+        examples: [['ip6 expand 2001:db8::1', '2001:0db8:0000:0000:0000:0000:0000:0001'], ['ip6 compress fe80:0:0:0:0:0:0:1', 'fe80::1']],
+        seeAlso: ['ipcalc']
+    },
+    vlsm: {
+        category: 'network',
+        summary: 'plan variable-length subnets',
+        synopsis: 'vlsm network/prefix [name:]hosts... [--json | --csv]',
+        description: 'Give each requirement the smallest subnet that holds its hosts plus the network and broadcast addresses, allocating the largest first so the subnets pack without gaps, and print the allocation table with what is left free. Requirements without a name are called net1, net2, ... in the order given. Fails if the plan does not fit.',
+        options: [['--json', 'print the table as a JSON array of objects'], ['--csv', 'print the table as CSV']],
+        examples: [['vlsm 192.168.1.0/24 LAN-A:50 LAN-B:20 10 2 2', 'two LANs, a small one and two links']],
+        seeAlso: ['subnet', 'ipcalc']
+    },
+    nslookup: {
+        category: 'network',
+        summary: 'query Internet name servers',
+        synopsis: 'nslookup name | address',
+        description: 'Ask the lab\'s DNS server. Every device has a name in lab.local (router, firewall, server-1, pc-1, ...), which is also searched for short names; a few well-known Internet names resolve too. An address is looked up in reverse.',
+        aliases: ['dig'],
+        seeAlso: ['host']
+    },
+    host: {
+        category: 'network',
+        summary: 'DNS lookup utility',
+        synopsis: 'host name',
+        seeAlso: ['nslookup']
+    },
+    whois: {
+        category: 'network',
+        summary: 'client for the whois directory service',
+        synopsis: 'whois domain'
+    },
+    arp: {
+        category: 'network',
+        summary: 'show the neighbour (ARP) cache',
+        synopsis: 'arp [-a] [--json | --csv]',
+        description: 'List the hardware addresses this host has learned. The gateway is always known; other hosts appear once they have been pinged or traced through.',
+        options: [['--json', 'print the table as a JSON array of objects'], ['--csv', 'print the table as CSV']],
+        seeAlso: ['ip']
+    },
+    route: {
+        category: 'network',
+        summary: 'show the IP routing table',
+        synopsis: 'route [--json | --csv]',
+        description: 'Show the local routing table: the connected LAN and the default route through the router.',
+        options: [['--json', 'print the table as a JSON array of objects'], ['--csv', 'print the table as CSV']],
+        seeAlso: ['ip', 'traceroute']
+    },
+    ifconfig: {
+        category: 'network',
+        summary: 'configure a network interface',
+        synopsis: 'ifconfig',
+        seeAlso: ['ip']
+    },
+    ipconfig: {
+        category: 'network',
+        summary: 'display Windows-style IP configuration',
+        synopsis: 'ipconfig',
+        seeAlso: ['ifconfig']
+    },
+    ip: {
+        category: 'network',
+        summary: 'show routing, devices and neighbours',
+        synopsis: 'ip addr | ip route | ip link | ip neigh',
+        subcommands: ['address', 'link', 'route', 'neigh'],
+        seeAlso: ['ifconfig', 'route', 'arp']
+    },
+    netstat: {
+        category: 'network',
+        summary: 'print network connections and statistics',
+        synopsis: 'netstat [--json | --csv]',
+        options: [['--json', 'print the table as a JSON array of objects'], ['--csv', 'print the table as CSV']],
+        seeAlso: ['ss']
+    },
+    ssh: {
+        category: 'network',
+        summary: 'OpenSSH remote login client',
+        synopsis: 'ssh [-l login_name] [-p port] [user@]host',
+        description: 'Log in to a router, switch or firewall of the lab, reached through its routing like ping is. The prompt becomes the device\'s, such as R1>, and each device has its own running-config and commands: routers have router, switches have vlan and switchport. ssh and telnet work inside a session too, nesting another one; exit from EXEC mode returns to the session or shell it was opened from. Servers and PCs refuse the connection.',
+        options: [['-l login_name', 'user to log in as'], ['-p port', 'port to connect to (22)']],
+        examples: [['ssh R1', 'log in to the first router'], ['ssh r2', 'then from R1#, on to the next one']],
+        seeAlso: ['telnet', 'enable']
+    },
+    telnet: {
+        category: 'network',
+        summary: 'user interface to the TELNET protocol',
+        synopsis: 'telnet host [port]',
+        description: 'Log in to a lab device as ssh does. In an IOS session a host name typed on its own is a telnet to it, as on IOS.',
+        examples: [['telnet 10.0.0.2', 'log in to R1 by address']],
+        seeAlso: ['ssh']
+    },
+    ftp: { category: 'network', summary: 'file transfer program', synopsis: 'ftp host' },
+    sftp: { category: 'network', summary: 'secure file transfer program', synopsis: 'sftp host' },
+    scp: { category: 'network', summary: 'secure copy', synopsis: 'scp source target' },
+    rsync: { category: 'network', summary: 'remote and local file copying tool', synopsis: 'rsync source dest' },
+    wget: { category: 'network', summary: 'non-interactive network downloader', synopsis: 'wget url' },
+    curl: { category: 'network', summary: 'transfer a URL', synopsis: 'curl url' },
+    nc: {
+        category: 'network',
+        summary: 'arbitrary TCP and UDP connections',
+        synopsis: 'nc [-nuvz] [-w timeout] host port[-port]',
+        description: 'Connect to a port on a lab host or on the Internet, through every packet filter on the way. A refused connection fails at once; one a filter drops waits out the timeout. Lab routers, switches and firewalls listen on ssh and telnet, servers on ssh, http and https, and the DNS server on domain. UDP has no handshake, so a UDP port counts as open unless an ICMP error comes back.',
+        options: [
+            ['-n', 'do not resolve host names'],
+            ['-u', 'use UDP instead of TCP'],
+            ['-v', 'report how each connection went'],
+            ['-z', 'only check whether the port is open'],
+            ['-w timeout', 'seconds to wait for an unanswered connection (default 5)']
+        ],
+        examples: [['nc -zv server-1 20-25', 'scan a range of ports'], ['nc -zvu server-1 53', 'probe a UDP port']],
+        aliases: ['netcat'],
+        seeAlso: ['packet-tracer', 'iptables']
+    },
+    speedtest: { category: 'network', summary: 'test internet bandwidth', synopsis: 'speedtest' },
+    netsh: { category: 'network', summary: 'Windows network shell', synopsis: 'netsh command' },
+    iptables: {
+        category: 'network',
+        summary: 'administration tool for IPv4 packet filtering',
+        synopsis: 'iptables -[ADI] chain rule | -L|-S [chain] [-nv] [--line-numbers] | -P chain ACCEPT|DROP | -F|-Z [chain]',
+        description: 'The filter table of this host: INPUT for packets addressed to it, OUTPUT for packets it sends and FORWARD for packets passing through. Rules match -p tcp|udp|icmp|all, -s and -d address[/prefix], -i and -o interface, --sport and --dport port[:port] (with -p tcp or udp), --icmp-type, -m state --state or -m conntrack --ctstate NEW,ESTABLISHED,RELATED, and -m comment --comment; they jump to ACCEPT, DROP, REJECT [--reject-with type] or LOG [--log-prefix text]. Replies count as ESTABLISHED. The first rule that decides wins, else the chain\'s policy. -L -v shows how many packets each rule matched. ufw and firewalld filter after iptables, and a packet has to get through each.',
+        examples: [
+            ['iptables -A INPUT -p tcp --dport 22 -j ACCEPT', 'let ssh in'],
+            ['iptables -P INPUT DROP', 'drop everything else'],
+            ['iptables -L -n -v --line-numbers', 'rules with their counters']
+        ],
+        seeAlso: ['ufw', 'firewall-cmd', 'packet-tracer']
+    },
+    ufw: {
+        category: 'network',
+        summary: 'uncomplicated firewall',
+        synopsis: 'ufw enable | disable | status [verbose|numbered] | default allow|deny|reject [incoming|outgoing] | allow|deny|reject|limit [in|out] rule | delete rule|num | insert num rule | reset',
+        description: 'A simpler front end to this host\'s packet filter. A rule is a port or service (22/tcp, ssh) or [proto tcp|udp] [from address [port p]] [to address [port p]]. Rules only apply while ufw is enabled; replies and pings are let in by its before rules, and the default policy decides the rest.',
+        examples: [['ufw allow ssh', 'let ssh in'], ['ufw deny from 10.0.0.0/8 to any port 80 proto tcp', 'block a network from the web server'], ['ufw status numbered', 'rules with their numbers']],
+        seeAlso: ['iptables', 'packet-tracer']
+    },
+    'firewall-cmd': {
+        category: 'network',
+        summary: 'firewalld command line client',
+        synopsis: 'firewall-cmd [--permanent] [--zone=public] --state | --list-all | --list-services | --list-ports | --add-service=s | --remove-service=s | --query-service=s | --add-port=p/proto | --remove-port=p/proto | --query-port=p/proto | --reload | --runtime-to-permanent | --get-services',
+        description: 'firewalld\'s public zone, which this host\'s interfaces are in: it lets in replies, ICMP and the services and ports it lists (ssh and dhcpv6-client to begin with) and rejects the rest with icmp-host-prohibited. Changes apply to the runtime configuration; with --permanent they are kept for --reload instead.',
+        examples: [['firewall-cmd --add-service=http', 'let the web in'], ['firewall-cmd --permanent --add-port=8080/tcp', 'open a port from the next reload']],
+        seeAlso: ['iptables', 'ufw']
+    },
+    'packet-tracer': {
+        category: 'network',
+        summary: 'trace a simulated packet through the packet filters',
+        synopsis: 'packet-tracer source destination tcp|udp|icmp [port|echo|echo-reply]',
+        description: 'Follow a packet from the lab host that owns the source address (this host for 127.x, the ISP for Internet addresses) to the destination, and show each packet filter it meets on the way: the iptables, ufw and firewalld chains of this host and the access lists applied to lab routers\' interfaces. Each phase names the chain, the host, the rule or policy that decided and the verdict; the result gives the path and why the packet was dropped, if it was. Nothing is sent, so no counters change.',
+        examples: [['packet-tracer neuos r3 tcp 23', 'may this host telnet to R3?'], ['packet-tracer 8.8.8.8 neuos tcp 22', 'ssh in from the Internet']],
+        seeAlso: ['iptables', 'access-list', 'traceroute']
+    },
+    lsof: { category: 'network', summary: 'list open files', synopsis: 'lsof [-i]' },
+    tcpdump: { category: 'network', summary: 'dump traffic on a network', synopsis: 'tcpdump [-i interface]' },
+    wireshark: { category: 'network', summary: 'interactively dump and analyze network traffic', synopsis: 'wireshark' },
+    nmap: { category: 'network', summary: 'network exploration tool and security scanner', synopsis: 'nmap target' },
+
+    // --- system -----------------------------------------------------------
+    ps: {
+        category: 'system',
+        summary: 'report a snapshot of the current processes',
+        synopsis: 'ps [aux | -e | -ef] [--json | --csv]',
+        description: 'Without options, list the terminal\'s own processes: the shell and its jobs. With aux (or -e, -ef) list everything neuOS is running, in the same table top shows: open windows, the particle system, background music, the starfield animation and terminal jobs.',
+        options: [['--json', 'print the table as a JSON array of objects'], ['--csv', 'print the table as CSV']],
+        examples: [['ps aux', 'every process, with CPU and memory estimates']],
+        seeAlso: ['top', 'jobs', 'kill']
+    },
+    top: {
+        category: 'system',
+        summary: 'display neuOS processes',
+        synopsis: 'top [-b] [-n iterations] [-d delay] [--json | --csv]',
+        description: 'Show a full-window view of neuOS\'s processes that refreshes every few seconds, with the frame rate and heap usage from the performance monitor. CPU and memory per process are estimates, scaled up as the frame rate drops. Keys: P, M, N and T sort by CPU, memory, PID and time; R reverses the order; space refreshes; q or Ctrl+C quits. Piped output gets a single snapshot, and so do --json and --csv.',
+        options: [
+            ['-b', 'batch mode: print snapshots instead of the live view'],
+            ['-n iterations', 'exit after this many refreshes'],
+            ['-d delay', 'seconds between refreshes (default 3)'],
+            ['--json', 'print the process table as a JSON array of objects'],
+            ['--csv', 'print the process table as CSV']
+        ],
+        seeAlso: ['htop', 'ps']
+    },
+    htop: {
+        category: 'system',
+        summary: 'interactive process viewer',
+        synopsis: 'htop [-b] [-n iterations] [-d delay] [--json | --csv]',
+        description: 'top with CPU and memory meters in place of the summary lines, refreshing every 1.5 seconds by default. Takes the same keys and options as top.',
+        seeAlso: ['top', 'ps']
+    },
+    kill: {
+        category: 'system',
+        builtin: true,
+        summary: 'send a signal to a job',
+        synopsis: 'kill [-s sigspec | -sigspec] job|pid ...\n       kill -l',
+        description: 'Send a signal (TERM by default) to each job, given as a job spec such as %1 or as a process ID. STOP and TSTP stop the job and CONT continues it; any other signal ends it. Arguments that are neither close the window of that name, as close does.',
+        options: [
+            ['-s sigspec', 'the signal to send, by name or number'],
+            ['-sigspec', 'the same, e.g. -9 or -KILL'],
+            ['-l', 'list signal names and numbers']
+        ],
+        examples: [['kill %1', 'end job 1'], ['kill -STOP %+', 'stop the current job']],
+        seeAlso: ['jobs', 'close']
+    },
+    whoami: { category: 'system', summary: 'print effective user name', synopsis: 'whoami' },
+    who: { category: 'system', summary: 'show who is logged on', synopsis: 'who' },
+    w: { category: 'system', summary: 'show who is logged on and what they are doing', synopsis: 'w' },
+    date: { category: 'system', summary: 'print the system date and time', synopsis: 'date' },
+    time: { category: 'system', summary: 'print the current time', synopsis: 'time' },
+    uptime: { category: 'system', summary: 'tell how long the system has been running', synopsis: 'uptime' },
+    uname: {
+        category: 'system',
+        summary: 'print system information',
+        synopsis: 'uname [-a]',
+        options: [['-a', 'print all information']]
+    },
+    hostname: { category: 'system', summary: 'show the system\'s host name', synopsis: 'hostname' },
+    version: { category: 'system', summary: 'print the neuOS version', synopsis: 'version' },
+    system: {
+        category: 'system',
+        summary: 'show system information',
+        synopsis: 'system',
+        aliases: ['sys']
+    },
+    performance: {
+        category: 'system',
+        summary: 'show or tune performance monitoring',
+        synopsis: 'performance [status|optimize|reset|mode|help]',
+        subcommands: ['status', 'optimize', 'reset', 'mode', 'help'],
+        aliases: ['perf']
+    },
+    screensaver: {
+        category: 'system',
+        summary: 'control the screensaver',
+        synopsis: 'screensaver',
+        aliases: ['ss']
+    },
+    shutdown: { category: 'system', summary: 'power off neuOS', synopsis: 'shutdown' },
+    reboot: {
+        category: 'system',
+        summary: 'restart neuOS',
+        synopsis: 'reboot',
+        aliases: ['restart']
+    },
+    logout: { category: 'system', builtin: true, summary: 'end the session', synopsis: 'logout' },
+    exit: {
+        category: 'system',
+        builtin: true,
+        summary: 'exit the shell',
+        synopsis: 'exit [n]',
+        description: 'Inside a script, stop the script with exit status n (default: the status of the last command). At the prompt, end the terminal session.',
+        aliases: ['quit']
+    },
+    suspend: {
+        category: 'system',
+        summary: 'suspend neuOS',
+        synopsis: 'suspend',
+        description: 'Put neuOS to sleep. sleep with no arguments does the same.',
+        seeAlso: ['sleep']
+    },
+    sleep: {
+        category: 'system',
+        summary: 'delay for a specified amount of time',
+        synopsis: 'sleep number[smhd] ...',
+        description: 'Pause for the sum of the given durations; the suffix is s for seconds (the default), m for minutes, h for hours or d for days. Ctrl+C cuts the pause short. With no arguments, suspend neuOS.',
+        examples: [['sleep 30 &', 'a background job to try jobs, fg and kill on']],
+        seeAlso: ['suspend', 'jobs']
+    },
+    hibernate: { category: 'system', summary: 'hibernate neuOS', synopsis: 'hibernate' },
+    lock: { category: 'system', summary: 'lock the screen', synopsis: 'lock' },
+
+    // --- terminal and content ---------------------------------------------
+    clear: {
+        category: 'apps',
+        summary: 'clear the terminal screen',
+        synopsis: 'clear',
+        aliases: ['cls']
+    },
+    'restore-scroll': {
+        category: 'apps',
+        summary: 'restore terminal scrolling',
+        synopsis: 'restore-scroll'
+    },
+    scrollback: {
+        category: 'apps',
+        summary: 'show or set how much output the terminal keeps',
+        synopsis: 'scrollback [lines]',
+        description: 'The terminal keeps the most recent output lines for scrolling back, 100000 by default, and drops the oldest beyond that. Only the lines on screen are drawn, so a long session stays fast. With no operand, print how many lines are kept out of the limit; with one, change the limit for this session. Put it in ~/.neurc to change it for every session. A table or other formatted block counts as one line.',
+        examples: [['scrollback 20000', 'keep the last 20000 lines']],
+        seeAlso: ['clear', 'restore-scroll']
+    },
+    show: {
+        category: 'apps',
+        summary: 'show a section of the resume',
+        synopsis: 'show [section] [--no-pager]',
+        subcommands: ['resume', 'jared', 'demoscene'],
+        options: [['--no-pager', 'print the formatted resume instead of paging it']],
+        description: 'Long sections open in the pager; --no-pager prints the formatted resume into the terminal instead.',
+        examples: [['show resume', 'the full resume']],
+        seeAlso: ['resume']
+    },
+    resume: {
+        category: 'apps',
+        summary: 'print Jared\'s resume',
+        synopsis: 'resume',
+        aliases: ['jared', 'about', 'bio'],
+        seeAlso: ['show']
+    },
+    'test-resume': {
+        category: 'apps',
+        summary: 'check that the resume loads',
+        synopsis: 'test-resume'
+    },
+    demoscene: { category: 'apps', summary: 'run the demoscene effect', synopsis: 'demoscene' },
+
+    // --- apps and windows -------------------------------------------------
+    launch: {
+        category: 'apps',
+        summary: 'launch an application',
+        synopsis: 'launch app',
+        aliases: ['open', 'start', 'run']
+    },
+    apps: {
+        category: 'apps',
+        summary: 'list available applications',
+        synopsis: 'apps',
+        aliases: ['applications']
+    },
+    windows: { category: 'apps', summary: 'list open windows', synopsis: 'windows' },
+    close: {
+        category: 'apps',
+        summary: 'close a window',
+        synopsis: 'close window',
+        description: 'kill also closes windows when given a window name rather than a job or process.',
+        seeAlso: ['kill']
+    },
+    focus: {
+        category: 'apps',
+        summary: 'bring a window to the front',
+        synopsis: 'focus window',
+        aliases: ['bring-to-front']
+    },
+    minimize: { category: 'effects', summary: 'minimize a window', synopsis: 'minimize window' },
+    maximize: { category: 'effects', summary: 'maximize a window', synopsis: 'maximize window' },
+    restore: { category: 'effects', summary: 'restore a minimized or maximized window', synopsis: 'restore window' },
+    desktop: { category: 'apps', summary: 'show the desktop', synopsis: 'desktop' },
+    network: { category: 'apps', summary: 'open the network topology view', synopsis: 'network' },
+    devices: {
+        category: 'apps',
+        summary: 'list network devices',
+        synopsis: 'devices',
+        description: 'List every host in the simulated lab: its name, its kind (routers, switches, firewalls, servers, pcs) and the addresses of its interfaces. These are the names ping, ssh and packet-tracer accept.',
+        seeAlso: ['ping', 'packet-tracer']
+    },
+    status: { category: 'apps', summary: 'show system status', synopsis: 'status' },
+    skills: { category: 'apps', summary: 'show the skills overview', synopsis: 'skills' },
+    projects: { category: 'apps', summary: 'show the projects overview', synopsis: 'projects' },
+
+    // --- audio ------------------------------------------------------------
+    'test-audio': { category: 'audio', summary: 'play a test sound', synopsis: 'test-audio' },
+    'play-music': { category: 'audio', summary: 'start background music', synopsis: 'play-music' },
+    'pause-music': { category: 'audio', summary: 'pause background music', synopsis: 'pause-music' },
+    'stop-music': { category: 'audio', summary: 'stop background music', synopsis: 'stop-music' },
+    'next-track': { category: 'audio', summary: 'skip to the next track', synopsis: 'next-track' },
+    'prev-track': { category: 'audio', summary: 'go back to the previous track', synopsis: 'prev-track' },
+    volume: { category: 'audio', summary: 'get or set the volume', synopsis: 'volume [0-100]' },
+    mute: { category: 'audio', summary: 'mute audio', synopsis: 'mute' },
+    unmute: { category: 'audio', summary: 'unmute audio', synopsis: 'unmute' },
+    mechvibes: {
+        category: 'audio',
+        summary: 'toggle mechanical keyboard sounds',
+        synopsis: 'mechvibes',
+        aliases: ['keyboard', 'kb']
+    },
+    'mechvibes-status': { category: 'audio', summary: 'show keyboard sound settings', synopsis: 'mechvibes-status' },
+    audio: {
+        category: 'audio',
+        summary: 'show audio controls',
+        synopsis: 'audio',
+        aliases: ['sound']
+    },
+
+    // --- visual effects ---------------------------------------------------
+    theme: {
+        category: 'effects',
+        summary: 'switch the terminal theme',
+        synopsis: 'theme [name]',
+        examples: [['theme dracula', 'switch to the dracula theme']],
+        seeAlso: ['themes']
+    },
+    themes: {
+        category: 'effects',
+        summary: 'list available themes',
+        synopsis: 'themes',
+        seeAlso: ['theme']
+    },
+    bg: {
+        category: 'effects',
+        summary: 'control the desktop background',
+        synopsis: 'bg [options]',
+        aliases: ['background']
+    },
+    particles: { category: 'effects', summary: 'control the particle system', synopsis: 'particles [options]' },
+    fx: {
+        category: 'effects',
+        summary: 'control visual effects',
+        synopsis: 'fx [options]',
+        aliases: ['effects']
+    },
+    color: { category: 'effects', summary: 'adjust display colors', synopsis: 'color value' },
+    brightness: { category: 'effects', summary: 'adjust display brightness', synopsis: 'brightness value' },
+    contrast: { category: 'effects', summary: 'adjust display contrast', synopsis: 'contrast value' },
+    blur: { category: 'effects', summary: 'adjust background blur', synopsis: 'blur value' },
+    saturation: { category: 'effects', summary: 'adjust color saturation', synopsis: 'saturation value' },
+    solar: {
+        category: 'effects',
+        summary: 'show the solar system',
+        synopsis: 'solar',
+        aliases: ['planets', 'sun']
+    },
+
+    // --- Cisco IOS --------------------------------------------------------
+    configure: {
+        category: 'cisco',
+        summary: 'enter configuration mode',
+        synopsis: 'configure terminal',
+        description: 'Enter global configuration mode; the prompt becomes R1(config)#. From the shell this first opens the console of the lab\'s router, as enable does. In configuration mode keywords may be abbreviated (int gi0/1, sh), ? lists the commands of the mode, no undoes a command, do runs an EXEC command, exit goes up one mode and end or Ctrl+Z returns to privileged EXEC mode.',
+        examples: [['conf t', 'configure the console device'], ['int gi0/1', 'then configure an interface']],
+        aliases: ['conf']
+    },
+    interface: {
+        category: 'cisco',
+        summary: 'configure an interface',
+        synopsis: 'interface name',
+        description: 'In configuration mode, select an interface and enter interface configuration mode, R1(config-if)#: description, ip address, ip ospf cost, bandwidth, shutdown, ip access-group and, on switches, switchport. Loopback, Vlan and Tunnel interfaces are created by naming them and removed with no interface.',
+        aliases: ['int']
+    },
+    vlan: {
+        category: 'cisco',
+        summary: 'configure a VLAN',
+        synopsis: 'vlan id[,id|-id...]',
+        description: 'On a switch, in configuration mode, create VLANs and enter VLAN configuration mode, where name sets their name. no vlan deletes them; VLAN 1 cannot be deleted.'
+    },
+    ospf: {
+        category: 'cisco',
+        summary: 'configure an OSPF process',
+        synopsis: 'router ospf process-id',
+        description: 'In configuration mode, start OSPF and enter router configuration mode: network address wildcard area id, router-id and passive-interface.'
+    },
+    bgp: {
+        category: 'cisco',
+        summary: 'configure BGP',
+        synopsis: 'router bgp as-number',
+        description: 'In configuration mode, start BGP and enter router configuration mode: neighbor address remote-as n, neighbor address description, network address mask m and bgp router-id. Only one BGP process can run.'
+    },
+    eigrp: {
+        category: 'cisco',
+        summary: 'configure an EIGRP process',
+        synopsis: 'router eigrp as-number',
+        description: 'In configuration mode, start EIGRP and enter router configuration mode: network address [wildcard], eigrp router-id and passive-interface.'
+    },
+    'access-list': {
+        category: 'cisco',
+        summary: 'configure an access list',
+        synopsis: 'access-list 1-99|1300-1999 permit|deny source [wildcard] | access-list 100-199|2000-2699 permit|deny ip|tcp|udp|icmp source [port] destination [port] [established] [log] | access-list number remark text | ip access-list standard|extended name',
+        description: 'In configuration mode, add an entry to a standard or extended IP access list. Addresses are any, host address or address wildcard; TCP and UDP ports take eq, neq, lt, gt or range, by number or name (www, telnet, domain, ...); ICMP takes echo or echo-reply. ip access-list standard|extended name creates a named list and enters its configuration mode, R1(config-ext-nacl)#, where permit, deny and remark take the same arguments and no removes an entry. Apply a list to an interface with ip access-group number|name in|out: packets the list does not permit are dropped, with an administratively prohibited unreachable, and everything else the lab sends through that interface is filtered too. show access-lists counts the matches. no access-list number and no ip access-list standard|extended name delete the whole list.',
+        examples: [['access-list 101 deny tcp 192.168.1.0 0.0.0.255 any eq telnet', 'no telnet from the LAN'], ['access-list 101 permit ip any any', 'let the rest through'], ['ip access-list extended WEB', 'then permit tcp any any eq www']],
+        aliases: ['acl'],
+        seeAlso: ['interface', 'packet-tracer']
+    },
+    logging: { category: 'cisco', summary: 'configure logging', synopsis: 'logging' },
+    monitor: { category: 'cisco', summary: 'monitor sessions', synopsis: 'monitor' },
+    reload: {
+        category: 'cisco',
+        summary: 'reload the device',
+        synopsis: 'reload',
+        description: 'Restart the device: unsaved changes are dropped, the boot log streams into the terminal and the running-config is rebuilt from the startup-config. With no startup-config the device comes up blank, with its interfaces shut down. The session returns to user EXEC mode.',
+        seeAlso: ['write', 'copy']
+    },
+    copy: {
+        category: 'cisco',
+        summary: 'copy configuration',
+        synopsis: 'copy running-config startup-config | copy startup-config running-config',
+        description: 'copy run start saves the running-config to NVRAM, like write memory. copy start run merges the saved configuration back over the running one.',
+        examples: [['copy run start', 'save the configuration']],
+        seeAlso: ['write', 'reload']
+    },
+    write: {
+        category: 'cisco',
+        summary: 'write the running configuration',
+        synopsis: 'write [memory | erase | terminal]',
+        description: 'Save the running-config as the startup-config. Startup-configs are kept in localStorage, one per lab device, so they survive a page reload. write erase deletes it and write terminal prints the running-config.',
+        examples: [['wr', 'save the configuration']],
+        seeAlso: ['copy', 'erase', 'reload']
+    },
+    erase: {
+        category: 'cisco',
+        summary: 'erase the startup configuration',
+        synopsis: 'erase startup-config | erase nvram:',
+        description: 'Delete the saved startup-config. The running-config is untouched until the next reload.',
+        seeAlso: ['write', 'reload']
+    },
+    terminal: { category: 'cisco', summary: 'set terminal line parameters', synopsis: 'terminal length n' },
+    line: { category: 'cisco', summary: 'configure a terminal line', synopsis: 'line vty 0 4' },
+    username: { category: 'cisco', summary: 'configure a local user', synopsis: 'username name secret password' },
+    enable: {
+        category: 'cisco',
+        summary: 'enter privileged EXEC mode',
+        synopsis: 'enable',
+        description: 'From the shell, open the console of the lab\'s router in privileged EXEC mode (R1#); every line then goes to the router until exit leaves EXEC mode. From user EXEC mode (R1>), return to privileged EXEC mode.'
+    },
+    disable: { category: 'cisco', summary: 'leave privileged EXEC mode', synopsis: 'disable', description: 'Drop to user EXEC mode, R1>.' },
+    end: { category: 'cisco', summary: 'return to privileged EXEC mode', synopsis: 'end', description: 'Leave any configuration mode for privileged EXEC mode. Ctrl+Z does the same.' },
+    sh: {
+        category: 'cisco',
+        summary: 'show device information',
+        synopsis: 'sh running-config | startup-config | ip interface brief | ip route [connected|static|ospf|eigrp|bgp] | ip ospf neighbor | ip eigrp neighbors|topology | ip bgp [summary] | [ip] access-lists [number|name] | vlan brief [| include|exclude|begin|section regex] [--json | --csv]',
+        description: 'IOS show, rendered from the device\'s current state. From the shell it runs on the lab router\'s console; in an IOS session show and its abbreviations work in every mode, and from configuration mode through do. Output can be filtered with | include, exclude, begin or section. From the shell, --json and --csv print the interface and neighbor tables as data. The routing table and neighbor tables come from simulating OSPF, EIGRP and BGP across every device in the lab, and change as soon as an interface or routing process is reconfigured.',
+        examples: [['sh ip int br', 'interface addresses and status'], ['sh run | section router', 'routing processes only'], ['sh ip route ospf', 'routes learned through OSPF'], ['sh ip bgp summary', 'BGP sessions and prefixes received'], ['sh ip ospf neighbor --json', 'OSPF adjacencies as JSON']]
+    },
+    no: {
+        category: 'cisco',
+        summary: 'negate a configuration command',
+        synopsis: 'no command',
+        description: 'Undo a configuration command or restore its default: no shutdown, no ip address, no vlan 10, no router ospf 1.'
+    },
+    do: { category: 'cisco', summary: 'run an EXEC command from configuration mode', synopsis: 'do command', examples: [['do show running-config', 'without leaving configuration mode']] }
+};
+
+/** Shell reserved words, reported by type */
+export const SHELL_KEYWORDS = ['if', 'then', 'else', 'elif', 'fi', 'for', 'in', 'do', 'done', 'while', 'until', 'function', '{', '}', '!'];
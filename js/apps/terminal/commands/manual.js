@@ -0,0 +1,312 @@
+// js/apps/terminal/commands/manual.js
+
+/**
+ * Command metadata and the commands that read it: man, whatis, apropos,
+ * info, type, which and whereis.
+ * @author jared u.
+ */
+
+import { MANUAL_PAGES, SHELL_KEYWORDS } from './manPages.js';
+import { needsPager, openPager } from '../pager.js';
+
+const PAGE_WIDTH = 72;
+const INDENT = '       ';
+
+// Registered names that are another page's alias, e.g. dir -> ls
+const PAGE_ALIASES = new Map(
+    Object.entries(MANUAL_PAGES).flatMap(([name, page]) => (page.aliases || []).map(alias => [alias, name]))
+);
+
+/**
+ * Build the metadata for a registered command.
+ * @param {string} command - Registered name
+ * @param {string} [category] - Category of the group the command was registered in
+ * @returns {object} The command's manual page plus `name` (the page name) and `category`
+ */
+export function getCommandMeta(command, category = '') {
+    const name = MANUAL_PAGES[command] ? command : PAGE_ALIASES.get(command) || command;
+    const page = MANUAL_PAGES[name] || { summary: '', synopsis: command };
+    return { ...page, name, category: page.category || category };
+}
+
+/**
+ * Resolve a name to its metadata, following an alias like `ll` to `ls`.
+ * @param {Terminal} terminal
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+function lookup(terminal, name) {
+    const meta = terminal.commandMeta?.get(name);
+    if (meta) return meta;
+    const alias = terminal.aliases?.get(name);
+    return alias ? terminal.commandMeta?.get(alias.trim().split(/\s+/)[0]) : undefined;
+}
+
+/** One entry per manual page, in name order */
+function allPages(terminal) {
+    const pages = new Map();
+    terminal.commandMeta?.forEach(meta => pages.set(meta.name, meta));
+    return [...pages.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function wrap(text, indent = INDENT) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            if (line && indent.length + line.length + word.length + 1 > PAGE_WIDTH) {
+                lines.push(indent + line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        lines.push(indent + line);
+    });
+    return lines;
+}
+
+/** Render a term and its explanation the way man lays out option lists */
+function definition(term, text) {
+    const hanging = `${INDENT}       `;
+    if (term.length < 6) {
+        const [first, ...rest] = wrap(text, hanging);
+        return [`${INDENT}${term.padEnd(7)}${first.trimStart()}`, ...rest];
+    }
+    return [`${INDENT}${term}`, ...wrap(text, hanging)];
+}
+
+/** The body sections shared by man and info */
+function renderSections(meta) {
+    const sections = [
+        ['NAME', [`${INDENT}${meta.name} - ${meta.summary || 'no description available'}`]],
+        ['SYNOPSIS', meta.synopsis.split('\n').map(line => `${INDENT}${line.trimStart()}`)]
+    ];
+    if (meta.description) sections.push(['DESCRIPTION', wrap(meta.description)]);
+    if (meta.options?.length) {
+        sections.push(['OPTIONS', meta.options.flatMap(([flag, text]) => definition(flag, text))]);
+    }
+    if (meta.examples?.length) {
+        sections.push(['EXAMPLES', meta.examples.flatMap(([example, text]) => [`${INDENT}${example}`, ...wrap(text, `${INDENT}       `)])]);
+    }
+    if (meta.aliases?.length) sections.push(['ALIASES', [`${INDENT}${meta.aliases.join(', ')}`]]);
+    if (meta.seeAlso?.length) sections.push(['SEE ALSO', [`${INDENT}${meta.seeAlso.map(name => `${name}(1)`).join(', ')}`]]);
+    return sections.map(([title, body]) => [title, ...body].join('\n')).join('\n\n');
+}
+
+function renderManPage(meta) {
+    const title = `${meta.name.toUpperCase()}(1)`;
+    const center = 'neuOS Manual';
+    const gap = Math.max(1, PAGE_WIDTH - title.length * 2 - center.length);
+    const left = Math.floor(gap / 2);
+    const header = `${title}${' '.repeat(left)}${center}${' '.repeat(gap - left)}${title}`;
+    const footer = `neuOS${' '.repeat(Math.max(1, PAGE_WIDTH - 5 - title.length))}${title}`;
+    return `${header}\n\n${renderSections(meta)}\n\n${footer}`;
+}
+
+/**
+ * Path a command would be found at, or null for shell builtins.
+ * @param {object} meta
+ * @param {string} command - Registered name
+ * @returns {string|null}
+ */
+function commandPath(meta, command) {
+    if (meta.builtin) return null;
+    return `${meta.category === 'filesystem' ? '/bin' : '/usr/bin'}/${command}`;
+}
+
+function whatisLine(meta) {
+    return `${meta.name} (1)${' '.repeat(Math.max(1, 14 - meta.name.length))}- ${meta.summary}`;
+}
+
+/**
+ * man [-k keyword] [-f name] name ...
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string|Promise<string>} Long pages shown on the screen go
+ *   through the pager and resolve to '' once it is closed
+ */
+export function handleMan(terminal, args, io = {}) {
+    if (args[0] === '-k') return handleApropos(terminal, args.slice(1), io);
+    if (args[0] === '-f') return handleWhatis(terminal, args.slice(1), io);
+    if (!args.length) {
+        io.exitCode = 1;
+        return 'What manual page do you want?\nFor example, try \'man man\'.';
+    }
+
+    const pages = args.map(name => {
+        const meta = lookup(terminal, name);
+        if (!meta) {
+            io.exitCode = 16;
+            return `No manual entry for ${name}`;
+        }
+        return renderManPage(meta);
+    });
+    const text = pages.join('\n\n');
+    if (!io.tty || io.exitCode || !needsPager(terminal, text)) return text;
+    return openPager(terminal, text, { title: `Manual page ${args.join(' ')}` }).then(() => '');
+}
+
+/**
+ * whatis name ...
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleWhatis(terminal, args, io = {}) {
+    if (!args.length) {
+        io.exitCode = 1;
+        return 'whatis what?';
+    }
+    return args.map(name => {
+        const meta = lookup(terminal, name);
+        if (!meta) {
+            io.exitCode = 16;
+            return `${name}: nothing appropriate.`;
+        }
+        return whatisLine(meta);
+    }).join('\n');
+}
+
+/**
+ * apropos keyword ...
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleApropos(terminal, args, io = {}) {
+    if (!args.length) {
+        io.exitCode = 1;
+        return 'apropos what?';
+    }
+    const keywords = args.map(keyword => keyword.toLowerCase());
+    const matches = allPages(terminal).filter(meta => {
+        const text = [meta.name, meta.summary, meta.description, ...(meta.aliases || [])].join(' ').toLowerCase();
+        return keywords.some(keyword => text.includes(keyword));
+    });
+    if (!matches.length) {
+        io.exitCode = 16;
+        return args.map(keyword => `${keyword}: nothing appropriate.`).join('\n');
+    }
+    return matches.map(whatisLine).join('\n');
+}
+
+/**
+ * info [name]
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleInfo(terminal, args, io = {}) {
+    if (!args.length) {
+        const byCategory = new Map();
+        allPages(terminal).forEach(meta => {
+            const category = meta.category || 'other';
+            if (!byCategory.has(category)) byCategory.set(category, []);
+            byCategory.get(category).push(meta);
+        });
+        const menu = [...byCategory].map(([category, pages]) => [
+            category.charAt(0).toUpperCase() + category.slice(1),
+            ...pages.map(meta => `* ${`${meta.name}: (${meta.name}).`.padEnd(30)}${meta.summary}`)
+        ].join('\n'));
+        return ['File: dir,  Node: Top,  This is the top of the INFO tree.', '', '* Menu:', '', menu.join('\n\n')].join('\n');
+    }
+
+    const [name] = args;
+    const meta = lookup(terminal, name);
+    if (!meta) {
+        io.exitCode = 1;
+        return `info: No menu item '${name}' in node '(dir)Top'`;
+    }
+    return `File: ${meta.name}.info,  Node: Top,  Up: (dir)\n\n${renderSections(meta)}`;
+}
+
+/**
+ * type [-t] name ...
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleType(terminal, args, io = {}) {
+    const terse = args[0] === '-t';
+    const names = terse ? args.slice(1) : args;
+
+    return names.map(name => {
+        const meta = terminal.commandMeta?.get(name);
+        let kind;
+        let description;
+        if (terminal.aliases?.has(name)) {
+            kind = 'alias';
+            description = `${name} is aliased to \`${terminal.aliases.get(name)}'`;
+        } else if (terminal.functions?.has(name)) {
+            kind = 'function';
+            description = `${name} is a function`;
+        } else if (SHELL_KEYWORDS.includes(name)) {
+            kind = 'keyword';
+            description = `${name} is a shell keyword`;
+        } else if (meta?.builtin) {
+            kind = 'builtin';
+            description = `${name} is a shell builtin`;
+        } else if (meta) {
+            kind = 'file';
+            description = `${name} is ${commandPath(meta, name)}`;
+        } else {
+            io.exitCode = 1;
+            return terse ? '' : `bash: type: ${name}: not found`;
+        }
+        return terse ? kind : description;
+    }).filter(line => line !== '').join('\n');
+}
+
+/**
+ * which name ...
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleWhich(terminal, args, io = {}) {
+    const path = terminal.environment?.PATH || '/usr/local/bin:/usr/bin:/bin';
+    return args.map(name => {
+        const meta = terminal.commandMeta?.get(name);
+        const location = meta && commandPath(meta, name);
+        if (!location) {
+            io.exitCode = 1;
+            return `which: no ${name} in (${path})`;
+        }
+        return location;
+    }).join('\n');
+}
+
+/**
+ * whereis name ...
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @returns {string}
+ */
+export function handleWhereis(terminal, args) {
+    return args.map(name => {
+        const meta = terminal.commandMeta?.get(name);
+        if (!meta) return `${name}:`;
+        const locations = [commandPath(meta, name)];
+        if (MANUAL_PAGES[meta.name]) locations.push(`/usr/share/man/man1/${meta.name}.1.gz`);
+        return `${name}: ${locations.filter(Boolean).join(' ')}`.trimEnd();
+    }).join('\n');
+}
+
+/**
+ * Styling category for a command line, taken from the metadata of its
+ * first word (after alias expansion).
+ * @param {Terminal} terminal
+ * @param {string} command
+ * @returns {string}
+ */
+export function getCommandCategory(terminal, command) {
+    const name = command.trim().split(/\s+/)[0].toLowerCase();
+    return lookup(terminal, name)?.category || '';
+}
@@ -1,65 +1,436 @@
 // js/apps/terminal/commands/network.js
 
-export function handlePing(args) {
-    const [host] = args;
-    if (!host) return 'Usage: ping <host>';
-    return `Pinging ${host}...\nReply from ${host}: time=10ms\nReply from ${host}: time=12ms\nReply from ${host}: time=8ms`;
+import { sleep } from '../jobs.js';
+import { formatIPv4, getNetwork, parseIPv4, prefixMask, stableHash } from '../netlab.js';
+import { getDevice } from '../ios.js';
+import { connectTcp, createPacket, exchange, parsePort, portName } from '../firewall.js';
+import { connect } from './cisco.js';
+import { block, table } from '../outputNodes.js';
+
+// How long a probe that gets no answer is waited for, in milliseconds
+const PROBE_TIMEOUT = 300;
+
+/**
+ * Round-trip time for a probe along a traced path, with a little jitter
+ * that depends only on the destination and the probe number.
+ */
+function roundTrip(latency, key) {
+    const jitter = (stableHash(key) % 200) / 1000;
+    return (2 * latency + 0.03) * (1 + jitter);
 }
 
-export function handleTracert(args) {
-    const [host] = args;
-    if (!host) return 'Usage: tracert <host>';
-    return `Tracing route to ${host}...\n1  10ms  10ms  10ms  router.local\n2  15ms  12ms  14ms  ${host}`;
+/** Three significant figures, as ping prints them */
+function formatRtt(ms) {
+    return ms < 1 ? ms.toFixed(3) : ms.toPrecision(3);
 }
 
-export function handleNslookup(args) {
-    const [domain] = args;
-    if (!domain) return 'Usage: nslookup <domain>';
-    return `Name: ${domain}\nAddress: 192.168.1.100\nAliases: www.${domain}`;
+// What ping says about the ICMP errors a filter answers with
+const REJECT_MESSAGES = {
+    'net-unreachable': 'Destination Net Unreachable',
+    'host-unreachable': 'Destination Host Unreachable',
+    'port-unreachable': 'Destination Port Unreachable',
+    'proto-unreachable': 'Destination Protocol Unreachable',
+    'net-prohibited': 'Destination Net Prohibited',
+    'host-prohibited': 'Destination Host Prohibited',
+    'admin-prohibited': 'Packet filtered'
+};
+
+/** `name (address)`, or just the address when it has no name */
+function hopLabel(name, address) {
+    return name ? `${name} (${formatIPv4(address)})` : formatIPv4(address);
+}
+
+/**
+ * ping [-c count] [-i interval] [-q] host
+ * Streams one reply per interval; Ctrl+C stops it early and still prints
+ * the statistics, as the real ping does. Round-trip times follow the path
+ * through the lab; hosts that do not exist time out, and so do echoes the
+ * packet filters on the way, or on the way back, drop.
+ */
+export function handlePing(args, io = {}) {
+    const options = { count: 4, interval: 1, quiet: false };
+    let host;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-q') {
+            options.quiet = true;
+        } else if (arg === '-c' || arg === '-i') {
+            const value = Number(args[++i]);
+            if (!(value > 0) || (arg === '-c' && !Number.isInteger(value))) {
+                io.exitCode = 1;
+                return `ping: invalid argument: '${args[i] ?? ''}'`;
+            }
+            options[arg === '-c' ? 'count' : 'interval'] = value;
+        } else if (arg.startsWith('-')) {
+            io.exitCode = 2;
+            return `ping: invalid option -- '${arg.slice(1)}'\nUsage: ping [-c count] [-i interval] [-q] host`;
+        } else {
+            host = arg;
+        }
+    }
+    if (!host) {
+        io.exitCode = 2;
+        return 'Usage: ping [-c count] [-i interval] [-q] host';
+    }
+
+    const network = getNetwork();
+    const target = network.resolve(host);
+    if (!target) {
+        io.exitCode = 2;
+        return `ping: ${host}: Name or service not known`;
+    }
+    if (network.trace(network.localHost, target.address).error === 'network-unreachable') {
+        io.exitCode = 2;
+        return 'ping: connect: Network is unreachable';
+    }
+    return pingStream(network, target, options, io);
+}
+
+async function* pingStream(network, target, { count, interval, quiet }, io) {
+    const address = formatIPv4(target.address);
+    const from = hopLabel(network.reverse(target.address), target.address);
+    const times = [];
+    let sent = 0;
+    let errors = 0;
+    const started = Date.now();
+    yield `PING ${target.name} (${address}) 56(84) bytes of data.`;
+    try {
+        for (let seq = 1; seq <= count; seq++) {
+            sent++;
+            const path = exchange(network.localHost, target.address, { protocol: 'icmp', size: 84 });
+            if (path.reached) {
+                const latency = path.hops[path.hops.length - 1]?.latency ?? 0.01;
+                const time = roundTrip(latency, `${address}:${seq}`);
+                const ttl = (path.target?.initialTtl ?? 64) - Math.max(0, path.hops.length - 1);
+                times.push(time);
+                if (!quiet) yield `64 bytes from ${from}: icmp_seq=${seq} ttl=${ttl} time=${formatRtt(time)} ms`;
+            } else if (path.error === 'host-unreachable') {
+                errors++;
+                if (!quiet) yield `From ${formatIPv4(path.reporter)} icmp_seq=${seq} Destination Host Unreachable`;
+            } else if (path.blockedBy === network.localHost) {
+                // The host's own OUTPUT chain refused to send it
+                if (!quiet) yield 'ping: sendmsg: Operation not permitted';
+            } else if (path.error === 'rejected') {
+                errors++;
+                if (!quiet) yield `From ${formatIPv4(path.reporter)} icmp_seq=${seq} ${REJECT_MESSAGES[path.rejectWith] || REJECT_MESSAGES['port-unreachable']}`;
+            }
+            if (seq < count && !(await sleep(interval * 1000, io.signal))) break;
+        }
+    } finally {
+        // Runs on Ctrl+C too, when the executor closes the stream
+        const loss = Math.round(((sent - times.length) / sent) * 100);
+        const lines = [
+            '',
+            `--- ${target.name} ping statistics ---`,
+            `${sent} packets transmitted, ${times.length} received, ${errors ? `+${errors} errors, ` : ''}${loss}% packet loss, time ${Date.now() - started}ms`
+        ];
+        if (times.length) {
+            const min = Math.min(...times);
+            const max = Math.max(...times);
+            const avg = times.reduce((sum, time) => sum + time, 0) / times.length;
+            const mdev = Math.sqrt(times.reduce((sum, time) => sum + (time - avg) ** 2, 0) / times.length);
+            lines.push(`rtt min/avg/max/mdev = ${[min, avg, max, mdev].map(value => value.toFixed(3)).join('/')} ms`);
+        }
+        if (!times.length) io.exitCode = 1;
+        if (io.signal?.aborted) await io.context?.write(lines.join('\n'));
+        else yield lines.join('\n');
+    }
 }
 
+/**
+ * traceroute [-m max_ttl] host (also tracert)
+ * Prints one line per router on the way, following each hop's routing
+ * table; hops that do not answer print * * * until max_ttl. Probes are UDP
+ * to port 33434, so filters that reject them end the trace with !X.
+ */
+export function handleTracert(args, io = {}) {
+    let maxHops = 30;
+    let host;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '-m') {
+            maxHops = Number(args[++i]);
+            if (!Number.isInteger(maxHops) || maxHops < 1 || maxHops > 255) {
+                io.exitCode = 2;
+                return `first hop out of range`;
+            }
+        } else {
+            host = args[i];
+        }
+    }
+    if (!host) {
+        io.exitCode = 2;
+        return 'Usage: traceroute [-m max_ttl] host';
+    }
+
+    const network = getNetwork();
+    const target = network.resolve(host);
+    if (!target) {
+        io.exitCode = 2;
+        return `${host}: Name or service not known\nCannot handle "host" cmdline arg \`${host}' on position 1 (argc 1)`;
+    }
+    return tracerouteStream(network, target, maxHops, io);
+}
+
+async function* tracerouteStream(network, target, maxHops, io) {
+    const packet = createPacket(network.localHost, target.address, { protocol: 'udp', port: 33434 });
+    const path = network.trace(network.localHost, target.address, packet);
+    yield `traceroute to ${target.name} (${formatIPv4(target.address)}), ${maxHops} hops max, 60 byte packets`;
+    if (path.error === 'network-unreachable') {
+        io.exitCode = 1;
+        yield 'connect: Network is unreachable';
+        return;
+    }
+    if (path.blockedBy === network.localHost) {
+        io.exitCode = 1;
+        yield 'send: Operation not permitted';
+        return;
+    }
+
+    const hops = path.reached && !path.hops.length
+        ? [{ address: target.address, name: network.reverse(target.address), latency: 0.01 }]
+        : path.hops;
+    for (let ttl = 1; ttl <= maxHops; ttl++) {
+        const hop = hops[ttl - 1];
+        const number = String(ttl).padStart(2);
+        if (hop) {
+            const probes = [1, 2, 3].map(probe => `${roundTrip(hop.latency, `${formatIPv4(hop.address)}:${ttl}:${probe}`).toFixed(3)} ms`);
+            yield ` ${number}  ${hopLabel(hop.name, hop.address)}  ${probes.join('  ')}`;
+            if (!(await sleep(50, io.signal))) return;
+            continue;
+        }
+        if (path.reached) return;
+        if (path.error === 'host-unreachable') {
+            const probe = `${(PROBE_TIMEOUT * 10 + 4.1).toFixed(3)} ms !H`;
+            yield ` ${number}  ${hopLabel(network.reverse(path.reporter), path.reporter)}  ${probe}  ${probe}  ${probe}`;
+            return;
+        }
+        if (path.error === 'rejected') {
+            // A port unreachable is what the destination says anyway
+            const marker = path.rejectWith === 'port-unreachable' ? '' : ' !X';
+            const latency = hops[hops.length - 1]?.latency ?? 0.01;
+            const probes = [1, 2, 3].map(probe => `${roundTrip(latency, `${formatIPv4(path.reporter)}:${ttl}:${probe}`).toFixed(3)} ms${marker}`);
+            yield ` ${number}  ${hopLabel(network.reverse(path.reporter), path.reporter)}  ${probes.join('  ')}`;
+            return;
+        }
+        yield ` ${number}  * * *`;
+        if (!(await sleep(PROBE_TIMEOUT, io.signal))) return;
+    }
+}
+
+/**
+ * nslookup name | address (also dig)
+ * Answers from the lab's DNS zone, with the lab domain as the search domain.
+ */
+export function handleNslookup(args, io = {}) {
+    const [query] = args;
+    if (!query) {
+        io.exitCode = 1;
+        return 'Usage: nslookup <name | address>';
+    }
+    const network = getNetwork();
+    const server = formatIPv4(network.nameServer);
+    const header = `Server:\t\t${server}\nAddress:\t${server}#53\n`;
+    const address = network.resolve(query);
+
+    if (address && address.name === query && /^[\d.]+$/.test(query)) {
+        const name = network.reverse(address.address);
+        if (!name) {
+            io.exitCode = 1;
+            return `** server can't find ${query.split('.').reverse().join('.')}.in-addr.arpa: NXDOMAIN`;
+        }
+        return `${query.split('.').reverse().join('.')}.in-addr.arpa\tname = ${name}.`;
+    }
+    if (!address) {
+        io.exitCode = 1;
+        return `${header}\n** server can't find ${query}: NXDOMAIN`;
+    }
+    const alias = address.alias ? `${address.alias}\tcanonical name = ${address.name}.\n` : '';
+    return `${header}\n${alias}Name:\t${address.name}\nAddress: ${formatIPv4(address.address)}`;
+}
+
+/**
+ * arp [-a]: the local host's ARP cache, filled in as hosts are reached.
+ */
 export function handleArp() {
-    return 'Internet Address      Physical Address      Type\n192.168.1.1           aa-bb-cc-dd-ee-ff     dynamic\n192.168.1.100         ff-ee-dd-cc-bb-aa     dynamic';
+    const { localHost } = getNetwork();
+    return table([
+        { label: 'Internet Address', type: 'address' },
+        { label: 'Physical Address', type: 'address' },
+        'Type'
+    ], [...localHost.arp].map(([address, entry]) => [formatIPv4(address), entry.mac.replace(/:/g, '-'), 'dynamic']));
 }
 
+/**
+ * route: the local host's routing table.
+ */
 export function handleRoute() {
-    return 'Network Destination        Netmask          Gateway       Interface  Metric\n0.0.0.0                0.0.0.0          192.168.1.1    192.168.1.100      1';
+    const { localHost } = getNetwork();
+    return table([
+        { label: 'Network Destination', type: 'address' },
+        { label: 'Netmask', type: 'address' },
+        { label: 'Gateway', type: 'address' },
+        { label: 'Interface', type: 'address' },
+        { label: 'Metric', type: 'number' }
+    ], localHost.routes.map(route => {
+        const iface = localHost.interfaces.find(candidate => candidate.name === route.iface);
+        return [
+            formatIPv4(route.network),
+            formatIPv4(prefixMask(route.prefix)),
+            route.gateway === null ? 'On-link' : formatIPv4(route.gateway),
+            formatIPv4(iface.address),
+            route.metric || 1
+        ];
+    }));
+}
+
+// Why connect() could not log in, as the shell's clients word it
+const CONNECT_ERRORS = {
+    unreachable: 'No route to host',
+    timeout: 'Connection timed out',
+    refused: 'Connection refused'
+};
+
+/**
+ * ssh [-l login] [-p port] [user@]host
+ * Logs in to a router, switch or firewall in the lab; the shell's lines
+ * then go to its IOS session until `exit` closes it. Other hosts refuse.
+ */
+export function handleSSH(terminal, args = [], io = {}) {
+    const usage = 'usage: ssh [-l login_name] [-p port] destination';
+    let port = 22;
+    let host = null;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-l' || arg === '-p') {
+            const value = args[++i];
+            if (value === undefined) {
+                io.exitCode = 255;
+                return `ssh: option requires an argument -- ${arg[1]}\n${usage}`;
+            }
+            if (arg === '-p') {
+                port = Number(value);
+                if (!/^\d+$/.test(value) || port < 1 || port > 65535) {
+                    io.exitCode = 255;
+                    return `ssh: Bad port '${value}'`;
+                }
+            }
+        } else if (arg.startsWith('-')) {
+            io.exitCode = 255;
+            return `ssh: unknown option -- ${arg.slice(1)}\n${usage}`;
+        } else if (host) {
+            io.exitCode = 255;
+            return 'ssh: remote commands are not supported; log in and run them there';
+        } else {
+            host = arg.slice(arg.indexOf('@') + 1);
+        }
+    }
+    if (!host) {
+        io.exitCode = 255;
+        return usage;
+    }
+    const { error, banner } = connect(terminal, host, 'ssh', port);
+    if (error) {
+        io.exitCode = 255;
+        return error === 'unknown-host'
+            ? `ssh: Could not resolve hostname ${host}: Name or service not known`
+            : `ssh: connect to host ${host} port ${port}: ${CONNECT_ERRORS[error]}`;
+    }
+    return banner;
 }
 
-export function handleSSH(args) {
-    const [host] = args;
-    if (!host) return 'Usage: ssh <host>';
-    return `Connecting to ${host}...\nSSH connection established\nWelcome to ${host}`;
+function broadcastAddress(iface) {
+    return formatIPv4((iface.network | ~prefixMask(iface.prefix)) >>> 0);
 }
 
 export function handleIfconfig() {
-    return `eth0: flags=4163<UP,BROADCAST,RUNNING,MULTICAST>  mtu 1500\n        inet 192.168.1.100  netmask 255.255.255.0  broadcast 192.168.1.255\n        inet6 fe80::1234:5678:9abc:def0  prefixlen 64  scopeid 0x20<link>\n        ether 00:11:22:33:44:55  txqueuelen 1000  (Ethernet)\n        RX packets 12345  bytes 9876543 (9.4 MiB)\n        RX errors 0  dropped 0  overruns 0  frame 0\n        TX packets 6789  bytes 5432109 (5.1 MiB)\n        TX errors 0  dropped 0 overruns 0  carrier 0  collisions 0`;
+    const [iface] = getNetwork().localHost.interfaces;
+    return `${iface.name}: flags=4163<UP,BROADCAST,RUNNING,MULTICAST>  mtu 1500\n        inet ${formatIPv4(iface.address)}  netmask ${formatIPv4(prefixMask(iface.prefix))}  broadcast ${broadcastAddress(iface)}\n        inet6 fe80::1234:5678:9abc:def0  prefixlen 64  scopeid 0x20<link>\n        ether ${iface.mac}  txqueuelen 1000  (Ethernet)\n        RX packets 12345  bytes 9876543 (9.4 MiB)\n        RX errors 0  dropped 0  overruns 0  frame 0\n        TX packets 6789  bytes 5432109 (5.1 MiB)\n        TX errors 0  dropped 0 overruns 0  carrier 0  collisions 0`;
 }
 
-export function handleIp(terminal, args) {
+/**
+ * ip addr | ip link | ip route | ip neigh, with the usual abbreviations.
+ */
+export function handleIp(terminal, args, io = {}) {
     const [subcommand] = args;
-    if (subcommand === 'addr') {
-        return handleIfconfig();
-    } else if (subcommand === 'route') {
-        return handleRoute();
+    const { localHost } = getNetwork();
+    const withAddresses = subcommand && 'address'.startsWith(subcommand);
+    if (withAddresses || (subcommand && 'link'.startsWith(subcommand))) {
+        const interfaces = localHost.interfaces.map((iface, index) => [
+            `${index + 2}: ${iface.name}: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1500 qdisc fq_codel state UP group default qlen 1000`,
+            `    link/ether ${iface.mac} brd ff:ff:ff:ff:ff:ff`,
+            ...(withAddresses ? [
+                `    inet ${formatIPv4(iface.address)}/${iface.prefix} brd ${broadcastAddress(iface)} scope global ${iface.name}`,
+                '       valid_lft forever preferred_lft forever'
+            ] : [])
+        ].join('\n'));
+        return [
+            '1: lo: <LOOPBACK,UP,LOWER_UP> mtu 65536 qdisc noqueue state UNKNOWN group default qlen 1000',
+            '    link/loopback 00:00:00:00:00:00 brd 00:00:00:00:00:00',
+            ...(withAddresses ? ['    inet 127.0.0.1/8 scope host lo', '       valid_lft forever preferred_lft forever'] : []),
+            ...interfaces
+        ].join('\n');
     }
-    return `ip: unknown command '${subcommand}'`;
+    if (subcommand && 'route'.startsWith(subcommand)) {
+        return localHost.routes.map(route => {
+            const iface = localHost.interfaces.find(candidate => candidate.name === route.iface);
+            return route.gateway === null
+                ? `${formatIPv4(route.network)}/${route.prefix} dev ${iface.name} proto kernel scope link src ${formatIPv4(iface.address)}`
+                : `${route.prefix ? `${formatIPv4(route.network)}/${route.prefix}` : 'default'} via ${formatIPv4(route.gateway)} dev ${iface.name} proto static metric ${route.metric}`;
+        }).join('\n');
+    }
+    if (subcommand && ('neighbour'.startsWith(subcommand) || 'neighbor'.startsWith(subcommand))) {
+        return [...localHost.arp].map(([address, entry]) =>
+            `${formatIPv4(address)} dev ${entry.iface} lladdr ${entry.mac} REACHABLE`).join('\n');
+    }
+    io.exitCode = 1;
+    return subcommand
+        ? `Object "${subcommand}" is unknown, try "ip help".`
+        : 'Usage: ip OBJECT { COMMAND | help }\nwhere  OBJECT := { address | link | route | neigh }';
 }
 
 export function handleNetstat() {
-    return `Active Internet connections (w/o servers)\nProto Recv-Q Send-Q Local Address           Foreign Address         State\ntcp        0      0 192.168.1.100:22        192.168.1.50:12345      ESTABLISHED\ntcp        0      0 192.168.1.100:80        192.168.1.50:54321      ESTABLISHED`;
-}
-
-export function handlePs() {
-    return `  PID TTY          TIME CMD\n 1234 pts/0    00:00:00 bash\n 1235 pts/0    00:00:00 ps`;
+    return block([
+        'Active Internet connections (w/o servers)',
+        table([
+            'Proto',
+            { label: 'Recv-Q', type: 'number' },
+            { label: 'Send-Q', type: 'number' },
+            { label: 'Local Address', type: 'address' },
+            { label: 'Foreign Address', type: 'address' },
+            'State'
+        ], [
+            ['tcp', 0, 0, '192.168.1.100:22', '192.168.1.50:12345', 'ESTABLISHED'],
+            ['tcp', 0, 0, '192.168.1.100:80', '192.168.1.50:54321', 'ESTABLISHED']
+        ])
+    ]);
 }
 
-export function handleTop() {
-    return `top - 09:30:30 up 15 days, 23:45,  1 user,  load average: 0.52, 0.48, 0.44\nTasks: 123 total,   1 running, 122 sleeping,   0 stopped,   0 zombie\n%Cpu(s):  2.5 us,  1.2 sy,  0.0 ni, 96.3 id,  0.0 wa,  0.0 hi,  0.0 si,  0.0 st\nMiB Mem :   8192.0 total,   2048.0 free,   3072.0 used,   3072.0 buff/cache\nMiB Swap:   4096.0 total,   4096.0 free,      0.0 used.   4096.0 avail Mem\n\n  PID USER      PR  NI    VIRT    RES    SHR S  %CPU  %MEM     TIME+ COMMAND\n 1234 jared     20   0   12345   6789   1234 S   2.5   0.1   0:00.01 bash`;
-}
-
-export function handleTelnet() {
-    return 'telnet: connection refused (telnet is disabled for security)';
+/**
+ * telnet host [port]
+ * Like ssh, but announced the way telnet does it.
+ */
+export function handleTelnet(terminal, args = [], io = {}) {
+    const [host, portText = '23'] = args;
+    const port = Number(portText);
+    if (!host || args.length > 2) {
+        io.exitCode = 1;
+        return 'usage: telnet host [port]';
+    }
+    if (!/^\d+$/.test(portText) || port < 1 || port > 65535) {
+        io.exitCode = 1;
+        return `telnet: could not resolve ${host}/${portText}: Servname not supported for ai_socktype`;
+    }
+    const { address, error, banner } = connect(terminal, host, 'telnet', port);
+    if (error === 'unknown-host') {
+        io.exitCode = 1;
+        return `telnet: could not resolve ${host}/${portText}: Name or service not known`;
+    }
+    const trying = `Trying ${formatIPv4(address)}...`;
+    if (error) {
+        io.exitCode = 1;
+        return `${trying}\ntelnet: Unable to connect to remote host: ${CONNECT_ERRORS[error]}`;
+    }
+    return [trying, `Connected to ${host}.`, 'Escape character is \'^]\'.', ...(banner ? ['', banner] : [])].join('\n');
 }
 
 export function handleFtp() {
@@ -102,16 +473,94 @@ export function handleCurl(args) {
     return `curl: connection refused (curl is disabled for security)`;
 }
 
-export function handleNc(args) {
-    const [host, port] = args;
-    if (!host || !port) {
-        return 'nc: missing argument';
+const NC_USAGE = 'usage: nc [-nuvz] [-w timeout] destination port[-port]';
+
+/**
+ * nc [-n] [-u] [-v] [-z] [-w timeout] host port[-port] (also netcat)
+ * Connects through the lab, packet filters included. -z only checks each
+ * port, -v says how each attempt went. A TCP connect nobody answers waits
+ * out -w seconds, 5 by default; UDP has no handshake, so only an ICMP
+ * error tells a closed port from an open one.
+ */
+export function handleNc(args, io = {}) {
+    const options = { numeric: false, udp: false, verbose: false, scan: false, timeout: 5 };
+    const operands = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!/^-./.test(arg)) {
+            operands.push(arg);
+            continue;
+        }
+        for (const flag of arg.slice(1)) {
+            if (flag === 'w') {
+                const value = Number(args[++i]);
+                if (!(value > 0)) {
+                    io.exitCode = 1;
+                    return `nc: timeout ${args[i] === undefined ? 'missing' : `invalid: ${args[i]}`}`;
+                }
+                options.timeout = value;
+            } else if ('nuvz'.includes(flag)) {
+                options[{ n: 'numeric', u: 'udp', v: 'verbose', z: 'scan' }[flag]] = true;
+            } else {
+                io.exitCode = 1;
+                return `nc: invalid option -- '${flag}'\n${NC_USAGE}`;
+            }
+        }
+    }
+    const [host, portText, extra] = operands;
+    if (!host || !portText || extra !== undefined) {
+        io.exitCode = 1;
+        return NC_USAGE;
+    }
+    const bounds = portText.split('-').map(parsePort);
+    const [low, high = low] = bounds;
+    if (bounds.length > 2 || bounds.includes(null) || low > high) {
+        io.exitCode = 1;
+        return `nc: port range not valid: ${portText}`;
     }
-    return `nc: connection refused (nc is disabled for security)`;
+    const network = getNetwork();
+    const target = options.numeric ? { address: parseIPv4(host) } : network.resolve(host);
+    if (!target || target.address === null) {
+        io.exitCode = 1;
+        return `nc: getaddrinfo for host "${host}" port ${portText}: Name or service not known`;
+    }
+    const ports = Array.from({ length: high - low + 1 }, (_, index) => low + index);
+    return ncStream(network, host, target.address, ports, options, io);
+}
+
+/** Why a UDP datagram went unanswered, if an ICMP error said so */
+function udpError(network, address, port) {
+    const path = exchange(network.localHost, address, { protocol: 'udp', port });
+    if (path.reached) return network.listens(path.target, 'udp', port) ? null : 'refused';
+    return ['rejected', 'network-unreachable', 'host-unreachable'].includes(path.error) ? 'refused' : null;
+}
+
+async function* ncStream(network, host, address, ports, options, io) {
+    const protocol = options.udp ? 'udp' : 'tcp';
+    const label = host === formatIPv4(address) ? host : `${host} (${formatIPv4(address)})`;
+    let connected = 0;
+    for (const port of ports) {
+        const error = options.udp ? udpError(network, address, port) : connectTcp(network.localHost, address, port).error;
+        if (error === 'timeout' && !(await sleep(options.timeout * 1000, io.signal))) return;
+        if (error) {
+            if (options.verbose) yield `nc: connect to ${host} port ${port} (${protocol}) failed: ${CONNECT_ERRORS[error]}`;
+            continue;
+        }
+        connected++;
+        if (options.verbose) yield `Connection to ${label} ${port} port [${protocol}/${portName(port) || '*'}] succeeded!`;
+        if (!options.scan && protocol === 'tcp' && port === 22) {
+            const owner = network.findHost(formatIPv4(address));
+            yield owner && getDevice(owner) ? 'SSH-2.0-Cisco-1.25' : 'SSH-2.0-OpenSSH_9.6';
+        }
+    }
+    if (!connected) io.exitCode = 1;
 }
 
 export function handleIpconfig() {
-    return 'Windows IP Configuration\n\nEthernet adapter Ethernet:\n   Connection-specific DNS Suffix  . : local\n   IPv4 Address. . . . . . . . . . . : 192.168.1.100\n   Subnet Mask . . . . . . . . . . . : 255.255.255.0\n   Default Gateway . . . . . . . . . : 192.168.1.1';
+    const { localHost } = getNetwork();
+    const [iface] = localHost.interfaces;
+    const gateway = localHost.routes.find(route => route.prefix === 0)?.gateway;
+    return `Windows IP Configuration\n\nEthernet adapter Ethernet:\n   Connection-specific DNS Suffix  . : lab.local\n   IPv4 Address. . . . . . . . . . . : ${formatIPv4(iface.address)}\n   Subnet Mask . . . . . . . . . . . : ${formatIPv4(prefixMask(iface.prefix))}\n   Default Gateway . . . . . . . . . : ${gateway === undefined ? '' : formatIPv4(gateway)}`;
 }
 
 export function handleSpeedtest() {
@@ -123,30 +572,6 @@ export function handleNetsh(args) {
     return `netsh: executed '${command}'`;
 }
 
-export function handleIptables(args) {
-    const [action] = args;
-    if (!action) {
-        return 'iptables: missing argument';
-    }
-    return `iptables: ${action} rule applied`;
-}
-
-export function handleUfw(args) {
-    const [action] = args;
-    if (!action) {
-        return 'ufw: missing argument';
-    }
-    return `ufw: ${action} rule applied`;
-}
-
-export function handleFirewallCmd(args) {
-    const [action] = args;
-    if (!action) {
-        return 'firewall-cmd: missing argument';
-    }
-    return `firewall-cmd: ${action} rule applied`;
-}
-
 export function handleSs(args) {
     return `Netid  State   Recv-Q  Send-Q  Local Address:Port    Peer Address:Port\ntcp    ESTAB   0       0       192.168.1.100:22      192.168.1.50:12345`;
 }
@@ -0,0 +1,208 @@
+// js/apps/terminal/completion.js
+
+/**
+ * Tab completion. Looks at where the cursor is in the command line and
+ * offers command names, paths, variables, flags from the command's manual
+ * page, or the command's own arguments (themes, show sections, ...).
+ * @author jared u.
+ */
+
+import { VirtualFileSystem } from './vfs.js';
+import { SHELL_KEYWORDS } from './commands/manPages.js';
+import { getIosKeywords } from './commands/cisco.js';
+
+// Characters that end a word
+const WORD_BREAK = /[\s|;&<>()]/;
+// Characters escaped with a backslash when a completion is inserted
+const SPECIAL_CHARACTERS = /([\s\\'"|;&<>()`])/g;
+const FLAG_PATTERN = /(?:^|[\s,])(--?[A-Za-z0-9][\w-]*)/g;
+const GRID_WIDTH = 80;
+
+// Commands whose arguments are command names
+const COMMAND_ARGUMENTS = ['man', 'whatis', 'info', 'type', 'which', 'whereis', 'unalias', 'exec'];
+
+// Commands whose arguments are directories
+const DIRECTORY_ARGUMENTS = ['cd', 'rmdir'];
+
+// Arguments that come from somewhere other than the filesystem
+const ARGUMENT_COMPLETERS = {
+    theme: () => window.themeManagerInstance?.getAllThemes?.() || ['default', 'dracula', 'sunset', 'cyberpunk'],
+    unset: terminal => Object.keys(terminal.environment)
+};
+
+function commonPrefix(words) {
+    if (!words.length) return '';
+    let prefix = words[0];
+    for (const word of words.slice(1)) {
+        while (!word.startsWith(prefix)) prefix = prefix.slice(0, -1);
+    }
+    return prefix;
+}
+
+/**
+ * Split the text before the cursor into the word being completed and the
+ * words of the current simple command before it.
+ */
+function parseLine(before) {
+    let start = before.length;
+    while (start > 0 && !WORD_BREAK.test(before[start - 1])) start--;
+    const head = before.slice(0, start);
+
+    // The current simple command starts after the last operator; words
+    // like `then` or `!` before the cursor still leave it in command position
+    const segment = head.split(/\|\||&&|[|;&(]/).pop();
+    const previous = segment.trim() ? segment.trim().split(/\s+/) : [];
+    return {
+        start,
+        word: before.slice(start),
+        previous,
+        commandPosition: previous.every(word => SHELL_KEYWORDS.includes(word))
+    };
+}
+
+function commandNames(terminal) {
+    return [...new Set([
+        ...terminal.commands.keys(),
+        ...(terminal.aliases?.keys() || []),
+        ...(terminal.functions?.keys() || [])
+    ])];
+}
+
+/**
+ * Complete a path; directories get a trailing slash.
+ */
+function pathCandidates(terminal, word, { directoriesOnly = false, executablesOnly = false } = {}) {
+    const slash = word.lastIndexOf('/');
+    const dirPart = slash === -1 ? '' : word.slice(0, slash + 1);
+    const base = word.slice(slash + 1);
+    const directory = terminal.fs.resolve(terminal.workingDirectory, dirPart || '.');
+
+    let names;
+    try {
+        names = terminal.fs.readdir(directory, { all: base.startsWith('.') });
+    } catch {
+        return [];
+    }
+    return names
+        .filter(name => name.startsWith(base) && name !== '.' && name !== '..')
+        .map(name => {
+            const path = `${directory === '/' ? '' : directory}/${name}`;
+            const isDirectory = terminal.fs.isDirectory(path);
+            if (directoriesOnly && !isDirectory) return null;
+            if (executablesOnly && !isDirectory && !(terminal.fs.stat(path).mode & 0o111)) return null;
+            return `${dirPart}${name}${isDirectory ? '/' : ''}`;
+        })
+        .filter(Boolean);
+}
+
+function flagCandidates(terminal, command) {
+    const options = terminal.commandMeta?.get(command)?.options || [];
+    const flags = options.flatMap(([term]) => [...term.matchAll(FLAG_PATTERN)].map(match => match[1]));
+    return [...new Set(flags)];
+}
+
+/**
+ * Work out what the word under the cursor could be completed to.
+ * @param {Terminal} terminal
+ * @param {string} line - The whole input line
+ * @param {number} cursor - Cursor offset in the line
+ * @returns {{start: number, end: number, word: string, candidates: string[]}}
+ *   The word spans [start, end); candidates are sorted and unique
+ */
+export function getCompletions(terminal, line, cursor = line.length) {
+    const { start, word, previous, commandPosition } = parseLine(line.slice(0, cursor));
+    let end = cursor;
+    while (end < line.length && !WORD_BREAK.test(line[end])) end++;
+
+    let candidates;
+    if (terminal.ios) {
+        // An IOS session completes its own keywords, and only the first
+        candidates = previous.length ? [] : getIosKeywords(terminal.ios).filter(keyword => keyword.startsWith(word.toLowerCase()));
+    } else if (word.startsWith('$')) {
+        const name = word.slice(word.startsWith('${') ? 2 : 1);
+        const open = word.startsWith('${') ? '${' : '$';
+        candidates = Object.keys(terminal.environment)
+            .filter(variable => variable.startsWith(name))
+            .map(variable => `${open}${variable}${open === '${' ? '}' : ''}`);
+    } else if (commandPosition && !word.includes('/')) {
+        const keywords = SHELL_KEYWORDS.filter(keyword => /^\w/.test(keyword));
+        candidates = [...commandNames(terminal), ...keywords].filter(name => name.startsWith(word));
+    } else if (commandPosition) {
+        candidates = pathCandidates(terminal, word, { executablesOnly: true });
+    } else {
+        // Skip leading keywords (`if [ -f`) and see through aliases (`ll -`)
+        const words = previous.slice(previous.findIndex(word => !SHELL_KEYWORDS.includes(word)));
+        const command = terminal.aliases?.get(words[0])?.trim().split(/\s+/)[0] || words[0];
+        const argumentIndex = words.length - 1;
+        const meta = terminal.commandMeta?.get(command);
+
+        if (word.startsWith('-')) {
+            candidates = flagCandidates(terminal, command).filter(flag => flag.startsWith(word));
+        } else if (argumentIndex === 0 && meta?.subcommands) {
+            candidates = meta.subcommands.filter(name => name.startsWith(word));
+        } else if (COMMAND_ARGUMENTS.includes(command)) {
+            candidates = commandNames(terminal).filter(name => name.startsWith(word));
+        } else if (ARGUMENT_COMPLETERS[command]) {
+            candidates = ARGUMENT_COMPLETERS[command](terminal).filter(name => name.startsWith(word));
+        } else {
+            candidates = pathCandidates(terminal, word, { directoriesOnly: DIRECTORY_ARGUMENTS.includes(command) });
+        }
+    }
+
+    return { start, end, word, candidates: [...new Set(candidates)].sort() };
+}
+
+/**
+ * Lay candidates out in columns, filled top to bottom like bash and ls.
+ * @param {string[]} candidates
+ * @param {number} [width] - Line width in characters
+ * @returns {string}
+ */
+export function formatCompletionGrid(candidates, width = GRID_WIDTH) {
+    const columnWidth = Math.max(...candidates.map(candidate => candidate.length)) + 2;
+    const columns = Math.max(1, Math.floor(width / columnWidth));
+    const rows = Math.ceil(candidates.length / columns);
+    const lines = [];
+    for (let row = 0; row < rows; row++) {
+        let line = '';
+        for (let column = 0; column < columns; column++) {
+            const candidate = candidates[column * rows + row];
+            if (candidate !== undefined) line += candidate.padEnd(columnWidth);
+        }
+        lines.push(line.trimEnd());
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Listed candidates are the last path component only, as bash does.
+ */
+function displayName(candidate) {
+    if (candidate.endsWith('/')) return `${VirtualFileSystem.basename(candidate)}/`;
+    return candidate.includes('/') ? VirtualFileSystem.basename(candidate) : candidate;
+}
+
+/**
+ * Complete the word at the cursor. A single candidate replaces the word
+ * (followed by a space unless it is a directory); several fill in their
+ * common prefix, or are returned for listing when there is nothing to add.
+ * @param {Terminal} terminal
+ * @param {string} line
+ * @param {number} cursor
+ * @returns {{line: string, cursor: number, list: string[]}}
+ */
+export function completeLine(terminal, line, cursor = line.length) {
+    const { start, end, word, candidates } = getCompletions(terminal, line, cursor);
+    const replace = (text, suffix = '') => {
+        const escaped = text.replace(SPECIAL_CHARACTERS, '\\$1') + suffix;
+        return { line: line.slice(0, start) + escaped + line.slice(end), cursor: start + escaped.length, list: [] };
+    };
+
+    if (candidates.length === 1) {
+        const [candidate] = candidates;
+        return replace(candidate, candidate.endsWith('/') ? '' : ' ');
+    }
+    const prefix = commonPrefix(candidates);
+    if (prefix.length > word.length) return replace(prefix);
+    return { line, cursor, list: candidates.map(displayName) };
+}
@@ -1,5 +1,8 @@
 // js/apps/terminal/content.js
 
+import { needsPager, openPager } from './pager.js';
+import { block, line } from './outputNodes.js';
+
 const RESUME_CONTENT = `
 ╭─────────────────────────────────────────────────────────────────────────────╮
 │                        JARED UBRIACO                                      │
@@ -152,202 +155,136 @@ export function loadResume() {
     return RESUME_CONTENT.trimStart();
 }
 
-export function handleShow(terminal, args) {
-    const [section] = args;
+/**
+ * Lay the resume text out as output nodes: the boxed header, section
+ * titles, job entries, bullets and paragraphs each get a resume-* class.
+ */
+function formatResume(resumeContent) {
+    const content = [];
+    let header = null;
+    let currentSection = '';
+    let paragraphBuffer = '';
+    let currentJobTitle = '';
+    let lastBullet = null;
+    const flushParagraph = () => {
+        if (paragraphBuffer.trim()) content.push(line(paragraphBuffer.trim(), 'resume-paragraph'));
+        paragraphBuffer = '';
+    };
+
+    for (const row of resumeContent.split('\n')) {
+        // Handle header section
+        if (row.includes('╭─') && row.includes('╮')) {
+            header = block([], 'resume-header-border');
+            content.push(header);
+            continue;
+        }
+        
+        if (row.includes('╰─') && row.includes('╯')) {
+            header = null;
+            continue;
+        }
+        
+        if (header && row.includes('│')) {
+            const text = row.replace(/^│\s*/, '').replace(/\s*│$/, '');
+            let className = 'resume-line';
+            if (text.includes('JARED UBRIACO')) className = 'resume-name';
+            else if (text.includes('Senior Network Engineer')) className = 'resume-title';
+            else if (text.includes('@') || text.includes('linkedin')) className = 'resume-contact';
+            header.children.push(line(text, className));
+            continue;
+        }
+        
+        // Handle section headers
+        if (row.match(/^[A-Z\s]+$/)) {
+            flushParagraph();
+            currentSection = row.trim();
+            content.push(line(row, 'resume-section-title'));
+            continue;
+        }
+        
+        // Handle dividers
+        if (row.match(/^─+$/)) {
+            flushParagraph();
+            content.push(line(row, 'resume-divider'));
+            continue;
+        }
+        
+        // Handle job titles (standalone lines), kept for the next company/date line
+        if ((row.includes('Engineer') || row.includes('Consultant') || row.includes('Specialist') || row.includes('Manager')) && 
+            !row.includes('|') && !row.includes('•') && row.trim().length > 0) {
+            currentJobTitle = row.trim();
+            continue;
+        }
+        
+        // Handle company and date lines
+        if (row.includes('|') && (row.includes('WA') || row.includes('FL') || row.includes('Present'))) {
+            flushParagraph();
+            const parts = row.split('|');
+            if (parts.length >= 2) {
+                const company = parts[0].trim();
+                const date = parts[1].trim();
+                content.push(block([
+                    line(currentJobTitle || 'Job Title', 'resume-job-title'),
+                    line(`${company} | ${date}`, 'resume-job-company')
+                ], 'resume-job-entry'));
+                currentJobTitle = '';
+                content.push(line([], 'resume-job-spacer'));
+            } else {
+                content.push(line(row, 'resume-line'));
+            }
+            continue;
+        }
+        
+        // Handle bullet points, keeping the bullet character
+        if (row.trim().startsWith('•')) {
+            flushParagraph();
+            lastBullet = line(row.trim(), 'resume-bullet');
+            content.push(lastBullet);
+            continue;
+        }
+        
+        // Continuation lines of an experience bullet are appended to it
+        if (row.trim() && (row.startsWith('  ') || row.startsWith('\t')) &&
+            currentSection === 'PROFESSIONAL EXPERIENCE') {
+            lastBullet?.children.push(` ${row.trim()}`);
+            continue;
+        }
+        
+        if (!row.trim()) {
+            // Empty line - flush paragraph buffer but don't add extra spacing
+            flushParagraph();
+        } else if (currentSection === 'SKILLS' && row.includes(':')) {
+            // Skills are one per line, like certifications
+            flushParagraph();
+            content.push(line(row, 'resume-line'));
+        } else {
+            // Add to paragraph buffer for continuous text
+            paragraphBuffer = paragraphBuffer ? `${paragraphBuffer} ${row.trim()}` : row.trim();
+        }
+    }
+    flushParagraph();
+    
+    return block(block(block(content, 'resume-content-text'), 'resume-container'), 'resume-content');
+}
+
+export async function handleShow(terminal, args, io) {
+    const noPager = args.includes('--no-pager');
+    const [section] = args.filter(arg => arg !== '--no-pager');
     if (!section) {
         return 'Usage: show <section>\nSections: resume, jared, demoscene';
     }
     switch (section.toLowerCase()) {
         case 'resume':
-        case 'jared':
-            // Create properly formatted resume output with responsive styling
+        case 'jared': {
             const resumeContent = loadResume();
-            const outputDiv = document.createElement('div');
-            outputDiv.className = 'terminal-result resume-content';
-            outputDiv.style.animation = 'resultSlideIn 0.3s ease-out';
-            
-            // Parse and format the resume content properly
-            const lines = resumeContent.split('\n');
-            let formattedContent = '';
-            let inHeader = false;
-            let currentSection = '';
-            let paragraphBuffer = '';
-            let currentJobTitle = '';
-            
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                
-                // Handle header section
-                if (line.includes('╭─') && line.includes('╮')) {
-                    inHeader = true;
-                    formattedContent += '<div class="resume-header-border">';
-                    continue;
-                }
-                
-                if (line.includes('╰─') && line.includes('╯')) {
-                    inHeader = false;
-                    formattedContent += '</div>';
-                    continue;
-                }
-                
-                if (inHeader && line.includes('│')) {
-                    const content = line.replace(/^│\s*/, '').replace(/\s*│$/, '');
-                    if (content.includes('JARED UBRIACO')) {
-                        formattedContent += `<div class="resume-name">${content}</div>`;
-                    } else if (content.includes('Senior Network Engineer')) {
-                        formattedContent += `<div class="resume-title">${content}</div>`;
-                    } else if (content.includes('@') || content.includes('linkedin')) {
-                        formattedContent += `<div class="resume-contact">${content}</div>`;
-                    } else {
-                        formattedContent += `<div class="resume-line">${content}</div>`;
-                    }
-                    continue;
-                }
-                
-                // Handle section headers
-                if (line.match(/^[A-Z\s]+$/)) {
-                    // Flush any pending paragraph content
-                    if (paragraphBuffer.trim()) {
-                        formattedContent += `<div class="resume-paragraph">${paragraphBuffer.trim()}</div>`;
-                        paragraphBuffer = '';
-                    }
-                    
-                    currentSection = line.trim();
-                    formattedContent += `<div class="resume-section-title">${line}</div>`;
-                    continue;
-                }
-                
-                // Handle dividers
-                if (line.match(/^─+$/)) {
-                    // Flush any pending paragraph content
-                    if (paragraphBuffer.trim()) {
-                        formattedContent += `<div class="resume-paragraph">${paragraphBuffer.trim()}</div>`;
-                        paragraphBuffer = '';
-                    }
-                    
-                    formattedContent += `<div class="resume-divider">${line}</div>`;
-                    continue;
-                }
-                
-                // Handle job titles (standalone lines)
-                if ((line.includes('Engineer') || line.includes('Consultant') || line.includes('Specialist') || line.includes('Manager')) && 
-                    !line.includes('|') && !line.includes('•') && line.trim().length > 0) {
-                    // This is a job title line - store it for the next company/date line
-                    currentJobTitle = line.trim();
-                    continue;
-                }
-                
-                // Handle company and date lines
-                if (line.includes('|') && (line.includes('WA') || line.includes('FL') || line.includes('Present'))) {
-                    // Flush any pending paragraph content
-                    if (paragraphBuffer.trim()) {
-                        formattedContent += `<div class="resume-paragraph">${paragraphBuffer.trim()}</div>`;
-                        paragraphBuffer = '';
-                    }
-                    
-                    const parts = line.split('|');
-                    if (parts.length >= 2) {
-                        const company = parts[0].trim();
-                        const date = parts[1].trim();
-                        
-                        formattedContent += `<div class="resume-job-entry">
-                            <div class="resume-job-title">${currentJobTitle || 'Job Title'}</div>
-                            <div class="resume-job-company">${company} | ${date}</div>
-                        </div>`;
-                        currentJobTitle = ''; // Reset for next job
-                        // Add minimal spacing after job entry
-                        formattedContent += `<div style="margin-bottom: 5px; border-bottom: 1px solid rgba(255,255,255,0.1); padding-bottom: 2px;"></div>`;
-                    } else {
-                        formattedContent += `<div class="resume-line">${line}</div>`;
-                    }
-                    continue;
-                }
-                
-                // Handle bullet points
-                if (line.trim().startsWith('•')) {
-                    // Flush any pending paragraph content
-                    if (paragraphBuffer.trim()) {
-                        formattedContent += `<div class="resume-paragraph">${paragraphBuffer.trim()}</div>`;
-                        paragraphBuffer = '';
-                    }
-                    
-                    // Keep the bullet character in the HTML
-                    const bulletContent = line.trim();
-                    formattedContent += `<div class="resume-bullet">${bulletContent}</div>`;
-                    continue;
-                }
-                
-                // Handle continuation of bullet points (lines that start with spaces after a bullet)
-                if (line.trim() && !line.trim().startsWith('•') && 
-                    (line.startsWith('  ') || line.startsWith('\t')) && 
-                    currentSection === 'PROFESSIONAL EXPERIENCE') {
-                    // This is a continuation of the previous bullet point
-                    const continuationContent = line.trim();
-                    // Find the last bullet point and append to it
-                    const lastBullet = formattedContent.lastIndexOf('<div class="resume-bullet">');
-                    if (lastBullet !== -1) {
-                        const endTag = formattedContent.indexOf('</div>', lastBullet);
-                        if (endTag !== -1) {
-                            const beforeContent = formattedContent.substring(0, endTag);
-                            const afterContent = formattedContent.substring(endTag);
-                            formattedContent = beforeContent + ' ' + continuationContent + afterContent;
-                        }
-                    }
-                    continue;
-                }
-                
-                // Handle regular content with better formatting
-                if (line.trim()) {
-                    // Check if this is a skills section
-                    if (currentSection === 'SKILLS' && line.includes(':')) {
-                        // Flush any pending paragraph content
-                        if (paragraphBuffer.trim()) {
-                            formattedContent += `<div class="resume-paragraph">${paragraphBuffer.trim()}</div>`;
-                            paragraphBuffer = '';
-                        }
-                        
-                        // Use simple line formatting for skills, just like certifications
-                        formattedContent += `<div class="resume-line">${line}</div>`;
-                    } else {
-                        // Add to paragraph buffer for continuous text
-                        if (paragraphBuffer) {
-                            paragraphBuffer += ' ' + line.trim();
-                        } else {
-                            paragraphBuffer = line.trim();
-                        }
-                    }
-                } else {
-                    // Empty line - flush paragraph buffer but don't add extra spacing
-                    if (paragraphBuffer.trim()) {
-                        formattedContent += `<div class="resume-paragraph">${paragraphBuffer.trim()}</div>`;
-                        paragraphBuffer = '';
-                    }
-                    // Don't add any extra spacing for empty lines
-                }
-            }
-            
-            // Flush any remaining paragraph content
-            if (paragraphBuffer.trim()) {
-                formattedContent += `<div class="resume-paragraph">${paragraphBuffer.trim()}</div>`;
-            }
-            
-            outputDiv.innerHTML = `
-                <div class="resume-container">
-                    <div class="resume-content-text">
-                        ${formattedContent}
-                    </div>
-                </div>
-            `;
-            
-            terminal.outputElement.appendChild(outputDiv);
-            
-            // Handle scrolling and trimming
-            terminal.trimOutput();
-            if (!terminal._disableAutoScroll) {
-                terminal.scrollToBottom();
+            // Pipes and files get the plain text
+            if (io && !io.tty) return resumeContent;
+            if (io?.tty && !noPager && needsPager(terminal, resumeContent)) {
+                await openPager(terminal, resumeContent, { title: 'resume' });
+                return '';
             }
-            
-            return ''; // Return empty string to prevent further processing
+            return formatResume(resumeContent);
+        }
         case 'demoscene':
             window.open('./demoscene/demoscene.html', '_blank');
             return 'Opening demoscene...';
@@ -0,0 +1,209 @@
+// js/apps/terminal/editor.js
+
+/**
+ * A small nano-style text editor that takes over the terminal window while
+ * a file from the virtual filesystem is being edited.
+ * @author jared u.
+ */
+
+import { VirtualFileSystem } from './vfs.js';
+import { scheduleSessionSave } from './persistence.js';
+
+const TAB = '    ';
+
+const SHORTCUTS = [
+    ['^O', 'Write Out'],
+    ['^X', 'Exit'],
+    ['^K', 'Cut Line'],
+    ['^U', 'Paste'],
+    ['^C', 'Location']
+];
+
+function element(tag, className, text = '') {
+    const node = document.createElement(tag);
+    node.className = className;
+    node.textContent = text;
+    return node;
+}
+
+/**
+ * Start and end offsets of the line containing `offset`.
+ */
+function lineBounds(text, offset) {
+    const start = text.lastIndexOf('\n', offset - 1) + 1;
+    const newline = text.indexOf('\n', offset);
+    return { start, end: newline === -1 ? text.length : newline + 1 };
+}
+
+/**
+ * Edit a file in place of the terminal output. Resolves when the editor
+ * is closed.
+ * @param {Terminal} terminal
+ * @param {string} path - Path as typed by the user
+ * @returns {Promise<{saved: boolean, error?: string}>} `saved` is true when
+ *   the file was written at least once
+ */
+export function openEditor(terminal, path) {
+    const absolute = terminal.fs.resolve(terminal.workingDirectory, path);
+    const display = terminal.fs.displayPath(absolute);
+    let original = '';
+    let status = '';
+
+    if (terminal.fs.isDirectory(absolute)) {
+        return Promise.resolve({ saved: false, error: `nano: ${path}: Is a directory` });
+    }
+    if (terminal.fs.exists(absolute)) {
+        try {
+            original = terminal.fs.readFile(absolute);
+        } catch (error) {
+            return Promise.resolve({ saved: false, error: `nano: ${path}: ${error.message}` });
+        }
+    } else {
+        status = '[ New File ]';
+    }
+
+    const host = terminal.outputElement.parentElement || terminal.outputElement;
+    const editor = element('div', 'terminal-editor');
+    const header = element('div', 'terminal-editor-header');
+    const title = element('span', 'terminal-editor-title', 'neuOS nano');
+    const fileName = element('span', 'terminal-editor-file', `File: ${display}`);
+    const modifiedFlag = element('span', 'terminal-editor-modified');
+    header.append(title, fileName, modifiedFlag);
+
+    const buffer = element('textarea', 'terminal-editor-buffer');
+    buffer.value = original;
+    buffer.spellcheck = false;
+    buffer.setAttribute('aria-label', `Editing ${display}`);
+
+    const statusLine = element('div', 'terminal-editor-status', status);
+    const help = element('div', 'terminal-editor-help');
+    SHORTCUTS.forEach(([key, label]) => {
+        const item = element('span', 'terminal-editor-shortcut');
+        item.append(element('kbd', '', key), document.createTextNode(` ${label}`));
+        help.append(item);
+    });
+    editor.append(header, buffer, statusLine, help);
+
+    let saved = false;
+    let cutBuffer = '';
+    let confirmingExit = false;
+
+    const isModified = () => buffer.value !== original;
+    const setStatus = message => {
+        statusLine.textContent = message;
+    };
+    const refreshModified = () => {
+        modifiedFlag.textContent = isModified() ? 'Modified' : '';
+    };
+
+    const save = () => {
+        try {
+            const text = buffer.value && !buffer.value.endsWith('\n') ? `${buffer.value}\n` : buffer.value;
+            terminal.fs.writeFile(absolute, text);
+            original = buffer.value;
+            saved = true;
+            scheduleSessionSave(terminal);
+            const lines = text ? text.split('\n').length - 1 : 0;
+            setStatus(`[ Wrote ${lines} line${lines === 1 ? '' : 's'} ]`);
+            refreshModified();
+            return true;
+        } catch (error) {
+            setStatus(`[ Error writing ${VirtualFileSystem.basename(absolute)}: ${error.message} ]`);
+            return false;
+        }
+    };
+
+    return new Promise(resolve => {
+        const close = () => {
+            editor.remove();
+            terminal.inputElement?.focus();
+            resolve({ saved });
+        };
+
+        buffer.addEventListener('input', () => {
+            refreshModified();
+            if (!confirmingExit) setStatus('');
+        });
+
+        buffer.addEventListener('keydown', e => {
+            const key = e.key.toLowerCase();
+
+            if (confirmingExit) {
+                e.preventDefault();
+                if (key === 'y') {
+                    if (save()) close();
+                    else confirmingExit = false;
+                } else if (key === 'n') {
+                    close();
+                } else if ((e.ctrlKey && key === 'c') || key === 'escape') {
+                    confirmingExit = false;
+                    setStatus('[ Cancelled ]');
+                }
+                return;
+            }
+
+            if (key === 'tab' && !e.ctrlKey && !e.altKey) {
+                e.preventDefault();
+                buffer.setRangeText(TAB, buffer.selectionStart, buffer.selectionEnd, 'end');
+                refreshModified();
+                return;
+            }
+            if (!e.ctrlKey || e.altKey) return;
+
+            if (key === 'o' || key === 's') {
+                e.preventDefault();
+                save();
+            } else if (key === 'x') {
+                e.preventDefault();
+                if (!isModified()) {
+                    close();
+                    return;
+                }
+                confirmingExit = true;
+                setStatus('Save modified buffer?  Y Yes  N No  ^C Cancel');
+            } else if (key === 'k') {
+                e.preventDefault();
+                const { start, end } = lineBounds(buffer.value, buffer.selectionStart);
+                cutBuffer = buffer.value.slice(start, end);
+                buffer.setRangeText('', start, end, 'start');
+                refreshModified();
+            } else if (key === 'u') {
+                e.preventDefault();
+                if (cutBuffer) buffer.setRangeText(cutBuffer, buffer.selectionStart, buffer.selectionStart, 'end');
+                refreshModified();
+            } else if (key === 'c') {
+                e.preventDefault();
+                const before = buffer.value.slice(0, buffer.selectionStart);
+                const line = before.split('\n').length;
+                const column = before.length - before.lastIndexOf('\n');
+                const total = buffer.value.split('\n').length;
+                setStatus(`[ line ${line}/${total}, col ${column} ]`);
+            }
+        });
+
+        host.append(editor);
+        buffer.focus();
+        buffer.setSelectionRange(0, 0);
+    });
+}
+
+/**
+ * nano file
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {Promise<string>}
+ */
+export async function handleNano(terminal, args, io = {}) {
+    const [path] = args.filter(arg => !arg.startsWith('-'));
+    if (!path) {
+        io.exitCode = 1;
+        return 'nano: missing file operand';
+    }
+    const result = await openEditor(terminal, path);
+    if (result.error) {
+        io.exitCode = 1;
+        return result.error;
+    }
+    return '';
+}
@@ -7,6 +7,22 @@ import { NeuOSLogger } from '../../utils/utils.js';
  * @author jared u.
  */
 
+/**
+ * The variables a new terminal starts with
+ * @returns {Object<string, string>}
+ */
+export function defaultEnvironment() {
+    return {
+        'USER': 'jared',
+        'HOME': '/home/jared',
+        'PWD': '/home/jared',
+        'PATH': '/usr/local/bin:/usr/bin:/bin',
+        'SHELL': '/bin/bash',
+        'TERM': 'xterm-256color',
+        'LANG': 'en_US.UTF-8'
+    };
+}
+
 /**
  * Update the terminal environment
  */
@@ -26,7 +42,7 @@ export function updateEnvironment(terminal) {
         ...terminal.environment,
         PWD: terminal.workingDirectory || '~',
         USER: 'jared',
-        HOME: '~',
+        HOME: terminal.fs?.home || '~',
         TERM: 'xterm-256color'
     };
 }
@@ -40,6 +56,9 @@ export function getPrompt(terminal) {
     logger.debug('getPrompt called with terminal:', terminal);
     logger.debug('terminal.workingDirectory:', terminal?.workingDirectory);
     
+    // An open IOS session shows the device's prompt instead
+    if (terminal.ios) return terminal.ios.prompt;
+
     const cwd = terminal.workingDirectory || '~';
     const user = terminal.environment?.USER || 'jared';
     const host = window.location.hostname || 'neuOS';
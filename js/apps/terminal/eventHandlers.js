@@ -1,5 +1,15 @@
 // js/apps/terminal/eventHandlers.js
 
+import { startHistorySearch, handleHistorySearchKey } from './history.js';
+import { completeLine, formatCompletionGrid } from './completion.js';
+import { interruptForeground, suspendForeground } from './jobs.js';
+import { endConfiguration } from './commands/cisco.js';
+import { openFind } from './find.js';
+
+// Used until the output area has been laid out
+const DEFAULT_COLUMNS = 80;
+const MIN_COLUMNS = 20;
+
 export function setupEventListeners(terminal) {
     terminal.inputElement.addEventListener('keydown', e => terminal.handleKeyDown(e), { capture: true });
     terminal.inputElement.addEventListener('input', () => terminal.handleInput(), { passive: true });
@@ -118,8 +128,9 @@ export function setupOptimizedResizeHandler(terminal) {
             terminal._statusBarDisabled = false;
             isResizing = false;
             
-            // Update status bar after resize
+            // Update status bar and table widths after resize
             terminal.updateStatusBar();
+            updateColumns(terminal);
         }, 150);
     }, { passive: true });
     
@@ -141,6 +152,7 @@ export function setupOptimizedResizeHandler(terminal) {
         if (e.detail.window.id === 'terminalWindow') {
             // Restore terminal functionality after resize
             setTimeout(() => {
+                updateColumns(terminal);
                 if (terminal.inputElement) {
                     terminal.inputElement.focus();
                 }
@@ -164,6 +176,7 @@ export function setupOptimizedResizeHandler(terminal) {
     window.addEventListener('windowMaximize', (e) => {
         if (e.detail.window.id === 'terminalWindow') {
             setTimeout(() => {
+                updateColumns(terminal);
                 if (terminal.inputElement) {
                     terminal.inputElement.focus();
                 }
@@ -178,6 +191,7 @@ export function setupOptimizedResizeHandler(terminal) {
     window.addEventListener('windowUnmaximize', (e) => {
         if (e.detail.window.id === 'terminalWindow') {
             setTimeout(() => {
+                updateColumns(terminal);
                 if (terminal.inputElement) {
                     terminal.inputElement.focus();
                 }
@@ -201,6 +215,42 @@ export function setupOptimizedResizeHandler(terminal) {
     }, 5000); // Check every 5 seconds
 }
 
+/**
+ * Measure how many characters fit across a result line and store it as
+ * terminal.columns. Tables and completion listings are sized to it.
+ * @returns {number}
+ */
+export function measureColumns(terminal) {
+    const line = document.createElement('div');
+    line.className = 'terminal-result';
+    line.style.visibility = 'hidden';
+    const probe = document.createElement('span');
+    probe.textContent = 'M'.repeat(10);
+    line.appendChild(probe);
+    terminal.outputElement.appendChild(line);
+    const charWidth = probe.getBoundingClientRect().width / 10;
+    const style = getComputedStyle(line);
+    const width = line.clientWidth - parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+    line.remove();
+    if (charWidth > 0 && width > 0) {
+        terminal.columns = Math.max(MIN_COLUMNS, Math.floor(width / charWidth));
+    } else {
+        terminal.columns ??= DEFAULT_COLUMNS;
+    }
+    return terminal.columns;
+}
+
+/**
+ * Re-measure the width after a resize. If it changed, tables are laid out
+ * again and line heights re-estimated; either way the scrollback renders
+ * whatever the new viewport shows.
+ */
+export function updateColumns(terminal) {
+    const before = terminal.columns;
+    if (measureColumns(terminal) !== before) terminal.scrollback.refit();
+    else terminal.scrollback.render();
+}
+
 export function handleTerminalResize(terminal, size) {
     // Store current scroll position before any operations
     const currentScrollTop = terminal.outputElement.scrollTop;
@@ -208,11 +258,7 @@ export function handleTerminalResize(terminal, size) {
     const clientHeight = terminal.outputElement.clientHeight;
     const wasAtBottom = currentScrollTop >= (scrollHeight - clientHeight - 10); // 10px tolerance
     
-    // Ultra-minimal resize handling for maximum performance
-    if (terminal.outputElement.children.length > 50) {
-        // Only trim if there's a lot of content
-        terminal.trimOutput();
-    }
+    updateColumns(terminal);
     
     // Restore scroll position after resize
     setTimeout(() => {
@@ -238,6 +284,18 @@ export function handleKeyDown(terminal, e) {
     try {
         // Don't process during IME composition
         if (terminal.isComposing) return;
+
+        // An open pager takes every key until it is closed
+        if (terminal.pager) {
+            terminal.pager.handleKey(e);
+            return;
+        }
+
+        // So does Ctrl+R search, except for shortcuts that end it
+        if (terminal.historySearch) {
+            handleHistorySearchKey(terminal, e);
+            if (e.defaultPrevented || terminal.historySearch) return;
+        }
         
         terminal.playTypingSound(e.key);
         
@@ -260,7 +318,8 @@ export function handleKeyDown(terminal, e) {
                 break;
             case 'Escape':
                 e.preventDefault();
-                terminal.handleEscape();
+                if (terminal.find) terminal.find.close();
+                else terminal.handleEscape();
                 break;
             case 'Backspace':
                 if (e.ctrlKey) {
@@ -292,6 +351,19 @@ export function handleKeyDown(terminal, e) {
                     terminal.handleCtrlR();
                 }
                 break;
+            case 'f':
+            case 'F':
+                if (e.ctrlKey && e.shiftKey) {
+                    e.preventDefault();
+                    openFind(terminal);
+                }
+                break;
+            case 'z':
+                if (e.ctrlKey) {
+                    e.preventDefault();
+                    terminal.handleCtrlZ();
+                }
+                break;
             case 'u':
                 if (e.ctrlKey) {
                     e.preventDefault();
@@ -368,6 +440,9 @@ export function handleCtrlDelete(terminal) {
 }
 
 export function handleCtrlC(terminal) {
+    // While a command runs, Ctrl+C interrupts it rather than editing the line
+    if (interruptForeground(terminal)) return;
+
     if (terminal.inputElement.selectionStart !== terminal.inputElement.selectionEnd) {
         // Copy selected text
         const selectedText = terminal.inputElement.value.slice(
@@ -382,22 +457,19 @@ export function handleCtrlC(terminal) {
     }
 }
 
-export function handleCtrlR(terminal) {
-    // Reverse search through history
-    const searchTerm = terminal.inputElement.value;
-    if (!searchTerm) return;
-    
-    const matchingHistory = terminal.history
-        .slice()
-        .reverse()
-        .find(cmd => cmd.includes(searchTerm));
-    
-    if (matchingHistory) {
-        terminal.inputElement.value = matchingHistory;
-        terminal.currentInput = matchingHistory;
+export function handleCtrlZ(terminal) {
+    if (suspendForeground(terminal)) return;
+    // In IOS configuration mode Ctrl+Z is `end`
+    if (terminal.ios?.inConfigMode) {
+        terminal.displayCommand('^Z');
+        endConfiguration(terminal);
     }
 }
 
+export function handleCtrlR(terminal) {
+    startHistorySearch(terminal);
+}
+
 export function handleCtrlU(terminal) {
     // Clear from cursor to beginning of line
     const cursorPos = terminal.inputElement.selectionStart;
@@ -475,31 +547,18 @@ export function navigateHistory(terminal, direction) {
 }
 
 export function handleTabCompletion(terminal) {
-    const input = terminal.inputElement.value.trim();
-    if (!input) return;
-    
-    const words = input.split(/\s+/);
-    const lastWord = words[words.length - 1];
-    const prefix = words.slice(0, -1).join(' ') + (words.length > 1 ? ' ' : '');
-    
-    // Get all available commands and files
-    const availableCommands = [...terminal.commands.keys()];
-    const availableFiles = ['resume.txt', 'network-configs/', 'scripts/', 'config.json', 'manifest.json'];
-    const allOptions = [...availableCommands, ...availableFiles];
-    
-    const matchingOptions = allOptions.filter(option => option.startsWith(lastWord));
-    
-    if (matchingOptions.length === 1) {
-        // Single match - complete it
-        terminal.inputElement.value = prefix + matchingOptions[0] + ' ';
-        terminal.currentInput = terminal.inputElement.value;
-    } else if (matchingOptions.length > 1) {
-        // Multiple matches - show options
-        terminal.writeOutput(`<div class="terminal-completion">Completions:</div>`);
-        matchingOptions.forEach(option => {
-            terminal.writeOutput(`<div class="terminal-completion-item">${option}</div>`);
-        });
+    const input = terminal.inputElement;
+    const { line, cursor, list } = completeLine(terminal, input.value, input.selectionStart ?? input.value.length);
+
+    if (line !== input.value) {
+        input.value = line;
+        input.setSelectionRange(cursor, cursor);
+        terminal.currentInput = line;
+    } else if (list.length) {
+        // Nothing to add: list the candidates in columns that fit the window
+        terminal.scrollback.appendText(formatCompletionGrid(list, terminal.columns), 'terminal-completion');
+        terminal.scrollToBottom();
     }
-    
-    terminal.inputElement.focus();
+
+    input.focus();
 }
\ No newline at end of file
@@ -1,226 +1,836 @@
 // js/apps/terminal/commands/filesystem.js
 
-import { loadResume } from './content.js';
-import { AppError, ErrorTypes, eventEmitter } from '../../utils/utils.js';
+import { VirtualFileSystem, FileTypes, globToRegExp } from './vfs.js';
+import { AppError, ErrorTypes } from '../../utils/utils.js';
+import { createFactoryFileSystem } from './fsImage.js';
+import { clearSession } from './persistence.js';
+import { defaultEnvironment } from './environment.js';
+import { compilePattern } from './posixRegex.js';
+import { compileSedScript, runSed } from './sed.js';
+import { runAwk } from './awk.js';
+import { needsPager, openPager } from './pager.js';
+import { success } from './outputNodes.js';
 
-export function handleCat(terminal, args) {
-    const [file] = args;
-    if (!file) {
-        return 'cat: missing argument';
-    }
-    if (file === 'resume.txt') {
-        return loadResume();
-    }
-    return `cat: ${file}: No such file or directory`;
+/**
+ * Resolve a user-supplied path against the terminal's working directory.
+ * @param {Terminal} terminal
+ * @param {string} path
+ * @returns {string} Absolute path
+ */
+export function resolvePath(terminal, path) {
+    return terminal.fs.resolve(terminal.workingDirectory, path);
 }
 
-export async function handleHead(args) {
-    const [file] = args;
-    if (!file) {
-        return 'head: missing argument';
+/**
+ * Split arguments into single-letter flags and operands. Everything after
+ * `--` is treated as an operand. Letters listed in `valued` take a value,
+ * either attached (`-k2`) or as the next argument (`-k 2`).
+ * @param {string[]} args
+ * @param {string} [valued=''] - Flags that take a value
+ * @returns {{flags: Set<string>, values: Map<string, string>, operands: string[]}}
+ */
+export function parseFlags(args, valued = '') {
+    const flags = new Set();
+    const values = new Map();
+    const operands = [];
+    let flagsDone = false;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!flagsDone && arg === '--') {
+            flagsDone = true;
+        } else if (!flagsDone && (/^-[a-zA-Z]+$/.test(arg) || (valued && /^-[a-zA-Z]/.test(arg) && valued.includes(arg[1])))) {
+            for (let j = 1; j < arg.length; j++) {
+                if (valued.includes(arg[j])) {
+                    values.set(arg[j], j + 1 < arg.length ? arg.slice(j + 1) : args[++i]);
+                    break;
+                }
+                flags.add(arg[j]);
+            }
+        } else {
+            operands.push(arg);
+        }
     }
-    if (file === 'resume.txt') {
-        const content = await loadResume();
-        const lines = content.split('\n');
-        return lines.slice(0, 10).join('\n');
+    return { flags, values, operands };
+}
+
+/**
+ * Format a filesystem failure as `cmd: <context>: <reason>`. Anything that
+ * is not a filesystem error is rethrown so real bugs still surface.
+ */
+function describeError(command, context, error) {
+    if (!(error instanceof AppError) || !error.details?.code) throw error;
+    return `${command}: ${context}: ${error.message}`;
+}
+
+/**
+ * The result of a command whose only output is its failures: an error, so
+ * the lines go to stderr and the command exits 1, or '' when all went well.
+ * @param {string[]} errors
+ * @returns {AppError|string}
+ */
+export function failures(errors) {
+    return errors.length ? new AppError(errors.join('\n'), ErrorTypes.VALIDATION) : '';
+}
+
+/**
+ * Send error lines to stderr for a command that also has output, and set
+ * its exit status. See io.stderr in shell.js.
+ * @param {object} [io]
+ * @param {string[]} errors
+ * @param {number} [status=1]
+ */
+export function reportErrors(io, errors, status = 1) {
+    if (!errors.length || !io) return;
+    io.exitCode = status;
+    io.stderr?.push(...errors);
+}
+
+/**
+ * Gather input for filter commands: the named files in order, or piped
+ * stdin when no files are given. A '-' operand also reads stdin. Files
+ * that cannot be read set io.exitCode to 1; their messages are returned
+ * for the caller to pass to reportErrors().
+ * @param {Terminal} terminal
+ * @param {string} name - Command name for error messages
+ * @param {string[]} files - File operands
+ * @param {object} [io] - Pipeline io, see shell.js
+ * @returns {{sources: Array<{name: string, text: string}>, errors: string[]}}
+ */
+export function readInputs(terminal, name, files, io) {
+    const sources = [];
+    const errors = [];
+    const operands = files.length ? files : ['-'];
+    for (const file of operands) {
+        if (file === '-') {
+            sources.push({ name: '', text: io?.stdin ?? '' });
+            continue;
+        }
+        try {
+            sources.push({ name: file, text: terminal.fs.readFile(resolvePath(terminal, file)) });
+        } catch (error) {
+            errors.push(describeError(name, file, error));
+        }
     }
-    return `head: ${file}: No such file or directory`;
+    if (errors.length && io) io.exitCode = 1;
+    return { sources, errors };
 }
 
-export async function handleTail(args) {
-    const [file] = args;
-    if (!file) {
-        return 'tail: missing argument';
+/**
+ * Split text into lines, ignoring the newline that terminates the last one.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+    if (!text) return [];
+    return text.replace(/\n$/, '').split('\n');
+}
+
+function formatTimestamp(ms) {
+    const date = new Date(ms);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.000000000 +0000`;
+}
+
+export function handleCat(terminal, args, io) {
+    const { flags, operands } = parseFlags(args);
+    if (!operands.length && typeof io?.stdin !== 'string') {
+        return 'cat: missing argument';
     }
-    if (file === 'resume.txt') {
-        const content = await loadResume();
-        const lines = content.split('\n');
-        return lines.slice(-10).join('\n');
+
+    const { sources, errors } = readInputs(terminal, 'cat', operands, io);
+    reportErrors(io, errors);
+    const text = sources.map(source => source.text).join('');
+    if (!flags.has('n')) return text.replace(/\n$/, '');
+    return text.replace(/\n$/, '').split('\n')
+        .map((line, index) => `${String(index + 1).padStart(6)}\t${line}`)
+        .join('\n');
+}
+
+/**
+ * Parse `-n N`, `-nN` and `-N` line counts shared by head and tail.
+ * @returns {{count: number, fromStart: boolean, files: string[]}}
+ */
+function parseLineCount(args) {
+    let count = 10;
+    let fromStart = false;
+    const files = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = arg === '-n' ? args[++i] : arg.startsWith('-n') ? arg.slice(2) : /^-\d+$/.test(arg) ? arg.slice(1) : null;
+        if (value === null) {
+            files.push(arg);
+            continue;
+        }
+        fromStart = value.startsWith('+');
+        count = parseInt(value, 10);
     }
-    return `tail: ${file}: No such file or directory`;
+    return { count: Math.abs(count) || 0, fromStart, files };
 }
 
-export function handleMore(terminal, args) {
-    const [file] = args;
-    if (!file) {
-        return 'more: missing argument';
+function sliceFiles(terminal, name, args, io, slicer) {
+    const { count, fromStart, files } = parseLineCount(args);
+    if (!files.length && typeof io?.stdin !== 'string') {
+        return `${name}: missing argument`;
     }
-    return terminal.handleCat(args);
+
+    const errors = [];
+    const sections = (files.length ? files : ['-']).map(file => {
+        let text;
+        try {
+            text = file === '-' ? io?.stdin ?? '' : terminal.fs.readFile(resolvePath(terminal, file));
+        } catch (error) {
+            errors.push(describeError(name, `cannot open '${file}' for reading`, error));
+            return null;
+        }
+        const body = slicer(splitLines(text), count, fromStart).join('\n');
+        return files.length > 1 ? `==> ${file} <==\n${body}` : body;
+    });
+    reportErrors(io, errors);
+    return sections.filter(section => section !== null).join('\n\n');
 }
 
-export function handleLess(terminal, args) {
-    const [file] = args;
-    if (!file) {
-        return 'less: missing argument';
+export function handleHead(terminal, args, io) {
+    return sliceFiles(terminal, 'head', args, io, (lines, count) => lines.slice(0, count));
+}
+
+export function handleTail(terminal, args, io) {
+    return sliceFiles(terminal, 'tail', args, io, (lines, count, fromStart) =>
+        fromStart ? lines.slice(Math.max(count - 1, 0)) : lines.slice(-count || lines.length));
+}
+
+/**
+ * Read files (or stdin) for more and less, paging them when the output is
+ * going to the screen and is longer than the window.
+ */
+async function pageInputs(terminal, name, args, io, options) {
+    const { operands } = parseFlags(args);
+    if (!operands.length && typeof io?.stdin !== 'string') {
+        return `${name}: missing argument`;
     }
-    return terminal.handleCat(args);
+
+    const { sources, errors } = readInputs(terminal, name, operands, io);
+    reportErrors(io, errors);
+    const text = sources.map(source => source.text).join('').replace(/\n$/, '');
+    if (!io?.tty || !text || !needsPager(terminal, text)) {
+        return text;
+    }
+    const title = sources.length === 1 ? sources[0].name : '';
+    await openPager(terminal, text, { ...options, title });
+    return '';
 }
 
-export function handleGrep(args) {
-    const [pattern, file] = args;
-    if (!pattern) {
-        return 'grep: missing argument';
+export function handleMore(terminal, args, io) {
+    return pageInputs(terminal, 'more', args, io, { quitAtEnd: true });
+}
+
+export function handleLess(terminal, args, io) {
+    return pageInputs(terminal, 'less', args, io, {});
+}
+
+/**
+ * Expand operands for grep -r: directories contribute every regular file
+ * beneath them.
+ */
+function expandRecursive(terminal, operands) {
+    return operands.flatMap(operand => {
+        const path = resolvePath(terminal, operand);
+        if (!terminal.fs.isDirectory(path)) return [operand];
+        return [...terminal.fs.walk(path)]
+            .filter(entry => entry.stat.type === FileTypes.FILE)
+            .map(entry => (operand.startsWith('/') ? entry.path : `${operand.replace(/\/$/, '')}${entry.path.slice(path.length)}`));
+    });
+}
+
+export function handleGrep(terminal, args, io = {}) {
+    const { flags, values, operands } = parseFlags(args, 'e');
+    const pattern = values.has('e') ? values.get('e') : operands.shift();
+    if (pattern === undefined || (!operands.length && typeof io.stdin !== 'string')) {
+        io.exitCode = 2;
+        return failures([pattern === undefined ? 'grep: missing argument' : 'grep: missing file operand']);
     }
-    if (!file) {
-        return 'grep: missing file operand';
+
+    let regex;
+    try {
+        regex = compilePattern(pattern, { extended: flags.has('E'), ignoreCase: flags.has('i'), wholeWord: flags.has('w') });
+    } catch (error) {
+        io.exitCode = 2;
+        return failures([`grep: ${error.message}`]);
     }
-    if (file === 'resume.txt') {
-        return `grep: searching for "${pattern}" in ${file}...\nNo matches found.`;
+
+    const files = flags.has('r') || flags.has('R') ? expandRecursive(terminal, operands) : operands;
+    const { sources, errors } = readInputs(terminal, 'grep', files, io);
+    const showNames = files.length > 1 || flags.has('r') || flags.has('R');
+    const invert = flags.has('v');
+    const lines = [];
+    let total = 0;
+
+    for (const { name, text } of sources) {
+        const prefix = showNames ? `${name || '(standard input)'}:` : '';
+        let count = 0;
+        splitLines(text).forEach((line, index) => {
+            if (regex.test(line) === invert) return;
+            count++;
+            if (!flags.has('c') && !flags.has('l')) {
+                lines.push(`${prefix}${flags.has('n') ? `${index + 1}:` : ''}${line}`);
+            }
+        });
+        total += count;
+        if (flags.has('c')) lines.push(`${prefix}${count}`);
+        else if (flags.has('l') && count) lines.push(name || '(standard input)');
     }
-    return `grep: ${file}: No such file or directory`;
+
+    io.exitCode = total ? 0 : 1;
+    reportErrors(io, errors, 2);
+    // -q: the exit status is the whole answer, as in `if grep -q ...`
+    if (flags.has('q')) {
+        if (total) io.exitCode = 0;
+        return '';
+    }
+    return lines.join('\n');
 }
 
-export function handleFind(args) {
-    const [path, ...options] = args;
-    if (!path) {
-        return 'find: missing argument';
+export function handleFind(terminal, args, io) {
+    const starts = [];
+    let i = 0;
+    while (i < args.length && !args[i].startsWith('-')) {
+        starts.push(args[i++]);
+    }
+    if (!starts.length) starts.push('.');
+
+    const tests = [];
+    let maxDepth = Infinity;
+    let minDepth = 0;
+    for (; i < args.length; i++) {
+        const option = args[i];
+        const value = args[i + 1];
+        if (value === undefined) {
+            return `find: missing argument to '${option}'`;
+        }
+        i++;
+        switch (option) {
+            case '-name':
+                tests.push(entry => globToRegExp(value).test(entry.stat.name));
+                break;
+            case '-iname':
+                tests.push(entry => globToRegExp(value, 'i').test(entry.stat.name));
+                break;
+            case '-type': {
+                const type = { f: FileTypes.FILE, d: FileTypes.DIRECTORY, l: FileTypes.SYMLINK }[value];
+                if (!type) return `find: Unknown argument to -type: ${value}`;
+                tests.push(entry => entry.stat.type === type);
+                break;
+            }
+            case '-maxdepth':
+                maxDepth = parseInt(value, 10);
+                break;
+            case '-mindepth':
+                minDepth = parseInt(value, 10);
+                break;
+            default:
+                return `find: unknown predicate '${option}'`;
+        }
+    }
+
+    const results = [];
+    const errors = [];
+    for (const start of starts) {
+        const root = resolvePath(terminal, start);
+        try {
+            for (const entry of terminal.fs.walk(root)) {
+                if (entry.depth > maxDepth || entry.depth < minDepth) continue;
+                if (tests.every(test => test(entry))) {
+                    const suffix = entry.path.slice(root.length).replace(/^\//, '');
+                    results.push(suffix ? `${start.replace(/\/$/, '')}/${suffix}` : start);
+                }
+            }
+        } catch (error) {
+            errors.push(describeError('find', `'${start}'`, error));
+        }
     }
-    return `find: searching in ${path}...\nNo files found matching criteria.`;
+    reportErrors(io, errors);
+    return results.join('\n');
 }
 
-export function handleLocate(args) {
+export function handleLocate(terminal, args) {
     const [pattern] = args;
     if (!pattern) {
         return 'locate: missing argument';
     }
-    return `locate: searching for "${pattern}"...\nNo files found.`;
+
+    const matcher = /[*?[]/.test(pattern)
+        ? path => globToRegExp(pattern).test(path)
+        : path => path.includes(pattern);
+    const previousUid = terminal.fs.uid;
+    const matches = [];
+
+    // locate reads a root-built database, so it sees every path
+    terminal.fs.uid = 0;
+    try {
+        for (const { path } of terminal.fs.walk('/')) {
+            if (matcher(path)) matches.push(path);
+        }
+    } finally {
+        terminal.fs.uid = previousUid;
+    }
+    return matches.join('\n');
 }
 
-export function handleTouch(args) {
-    const [file] = args;
-    if (!file) {
+export function handleTouch(terminal, args) {
+    const { flags, operands } = parseFlags(args);
+    if (!operands.length) {
         return 'touch: missing argument';
     }
-    return `touch: created file '${file}'`;
+
+    const errors = [];
+    for (const file of operands) {
+        const path = resolvePath(terminal, file);
+        if (flags.has('c') && !terminal.fs.exists(path)) continue;
+        try {
+            terminal.fs.touch(path);
+        } catch (error) {
+            errors.push(describeError('touch', `cannot touch '${file}'`, error));
+        }
+    }
+    return failures(errors);
 }
 
-export function handleMkdir(args) {
-    const [dir] = args;
-    if (!dir) {
+export function handleMkdir(terminal, args) {
+    const { flags, operands } = parseFlags(args);
+    if (!operands.length) {
         return 'mkdir: missing argument';
     }
-    return `mkdir: created directory '${dir}'`;
+
+    const errors = [];
+    for (const dir of operands) {
+        try {
+            terminal.fs.mkdir(resolvePath(terminal, dir), { parents: flags.has('p') });
+        } catch (error) {
+            errors.push(describeError('mkdir', `cannot create directory '${dir}'`, error));
+        }
+    }
+    return failures(errors);
 }
 
-export function handleRmdir(args) {
-    const [dir] = args;
-    if (!dir) {
+export function handleRmdir(terminal, args) {
+    const { operands } = parseFlags(args);
+    if (!operands.length) {
         return 'rmdir: missing argument';
     }
-    return `rmdir: removed directory '${dir}'`;
+
+    const errors = [];
+    for (const dir of operands) {
+        try {
+            terminal.fs.rmdir(resolvePath(terminal, dir));
+        } catch (error) {
+            errors.push(describeError('rmdir', `failed to remove '${dir}'`, error));
+        }
+    }
+    return failures(errors);
 }
 
-export function handleRm(args) {
-    const [file] = args;
-    if (!file) {
+export function handleRm(terminal, args) {
+    const { flags, operands } = parseFlags(args);
+    if (!operands.length) {
         return 'rm: missing argument';
     }
-    return `rm: removed '${file}'`;
-}
 
-export function handleCp(args) {
-    const [source, dest] = args;
-    if (!source || !dest) {
-        return 'cp: missing argument';
+    const recursive = flags.has('r') || flags.has('R');
+    const errors = [];
+    for (const file of operands) {
+        const path = resolvePath(terminal, file);
+        if (path === '/') {
+            errors.push(`rm: it is dangerous to operate recursively on '/'`);
+            continue;
+        }
+        if (flags.has('f') && !terminal.fs.tryLookup(path, { follow: false })) continue;
+        try {
+            terminal.fs.remove(path, { recursive });
+        } catch (error) {
+            errors.push(describeError('rm', `cannot remove '${file}'`, error));
+        }
     }
-    return `cp: copied '${source}' to '${dest}'`;
+    return failures(errors);
 }
 
-export function handleMv(args) {
-    const [source, dest] = args;
-    if (!source || !dest) {
-        return 'mv: missing argument';
+/**
+ * Shared driver for cp and mv: a single source may be renamed, several
+ * sources must land in an existing directory.
+ */
+function transfer(terminal, name, args, operation) {
+    const { flags, operands } = parseFlags(args);
+    if (operands.length < 2) {
+        return `${name}: missing argument`;
+    }
+
+    const sources = operands.slice(0, -1);
+    const dest = operands[operands.length - 1];
+    const destPath = resolvePath(terminal, dest);
+    if (sources.length > 1 && !terminal.fs.isDirectory(destPath)) {
+        return failures([`${name}: target '${dest}' is not a directory`]);
+    }
+
+    const errors = [];
+    for (const source of sources) {
+        try {
+            operation(resolvePath(terminal, source), destPath, flags);
+        } catch (error) {
+            errors.push(describeError(name, `cannot ${name === 'cp' ? 'copy' : 'move'} '${source}'`, error));
+        }
     }
-    return `mv: moved '${source}' to '${dest}'`;
+    return failures(errors);
+}
+
+export function handleCp(terminal, args) {
+    return transfer(terminal, 'cp', args, (source, dest, flags) =>
+        terminal.fs.copy(source, dest, { recursive: flags.has('r') || flags.has('R') }));
+}
+
+export function handleMv(terminal, args) {
+    return transfer(terminal, 'mv', args, (source, dest) => terminal.fs.rename(source, dest));
 }
 
-export function handleLn(args) {
-    const [target, link] = args;
-    if (!target || !link) {
+export function handleLn(terminal, args) {
+    const { flags, operands } = parseFlags(args);
+    const [target, link] = operands;
+    if (!target) {
         return 'ln: missing argument';
     }
-    return `ln: created link '${link}' to '${target}'`;
-}
 
-export function handleChmod(args) {
-    const [mode, file] = args;
-    if (!mode || !file) {
-        return 'chmod: missing argument';
+    const linkPath = terminal.fs.destinationFor(target, resolvePath(terminal, link || VirtualFileSystem.basename(target)));
+    try {
+        if (flags.has('s')) {
+            terminal.fs.symlink(target, linkPath);
+        } else {
+            terminal.fs.hardlink(resolvePath(terminal, target), linkPath);
+        }
+    } catch (error) {
+        return failures([describeError('ln', `failed to create ${flags.has('s') ? 'symbolic ' : ''}link '${link || target}'`, error)]);
     }
-    return `chmod: changed permissions of '${file}' to ${mode}`;
+    return '';
 }
 
-export function handleChown(args) {
-    const [owner, file] = args;
-    if (!owner || !file) {
-        return 'chown: missing argument';
+/**
+ * Apply an ownership or permission change to each operand, descending into
+ * directories when -R is given.
+ */
+function changeAttributes(terminal, name, args, apply) {
+    const { flags, operands } = parseFlags(args);
+    const [spec, ...files] = operands;
+    if (!spec || !files.length) {
+        return `${name}: missing argument`;
+    }
+
+    const errors = [];
+    for (const file of files) {
+        const root = resolvePath(terminal, file);
+        try {
+            const paths = flags.has('R') ? [...terminal.fs.walk(root)].map(entry => entry.path) : [root];
+            paths.forEach(path => apply(path, spec));
+        } catch (error) {
+            errors.push(describeError(name, `changing ${name === 'chmod' ? 'permissions' : 'ownership'} of '${file}'`, error));
+        }
     }
-    return `chown: changed owner of '${file}' to ${owner}`;
+    return failures(errors);
+}
+
+export function handleChmod(terminal, args) {
+    return changeAttributes(terminal, 'chmod', args, (path, spec) => terminal.fs.chmod(path, spec));
 }
 
-export function handleDu(terminal, args) {
-    const [path] = args;
-    const targetPath = path || terminal.workingDirectory;
-    return `4.0K\t${targetPath}`;
+export function handleChown(terminal, args) {
+    return changeAttributes(terminal, 'chown', args, (path, spec) => terminal.fs.chown(path, spec));
+}
+
+function formatSize(kilobytes, human) {
+    if (!human) return String(kilobytes);
+    if (kilobytes < 1024) return `${kilobytes}K`;
+    return `${(kilobytes / 1024).toFixed(1)}M`;
+}
+
+export function handleDu(terminal, args, io) {
+    const { flags, operands } = parseFlags(args);
+    const targets = operands.length ? operands : ['.'];
+    const human = flags.has('h');
+    const lines = [];
+    const errors = [];
+
+    for (const target of targets) {
+        const root = resolvePath(terminal, target);
+        const totals = new Map();
+        try {
+            const entries = [...terminal.fs.walk(root)];
+            // Walk deepest-first so each directory can sum its children
+            for (const entry of entries.reverse()) {
+                const own = Math.max(Math.ceil(entry.stat.size / 4096), 1) * 4;
+                const total = (totals.get(entry.path) || 0) + own;
+                totals.set(entry.path, total);
+                if (entry.path !== root) {
+                    const parent = VirtualFileSystem.dirname(entry.path);
+                    totals.set(parent, (totals.get(parent) || 0) + total);
+                }
+                const show = entry.path === root || (!flags.has('s') && (entry.stat.type === FileTypes.DIRECTORY || flags.has('a')));
+                if (show) {
+                    const display = entry.path === root ? target : `${target.replace(/\/$/, '')}${entry.path.slice(root.length)}`;
+                    lines.push(`${formatSize(total, human)}\t${display}`);
+                }
+            }
+        } catch (error) {
+            errors.push(describeError('du', `cannot access '${target}'`, error));
+        }
+    }
+    reportErrors(io, errors);
+    return lines.join('\n');
 }
 
 export function handleDf() {
     return `Filesystem     1K-blocks    Used Available Use% Mounted on\n/dev/sda1      104857600  52428800  52428800  50% /\n/dev/sdb1      209715200 104857600 104857600  50% /home`;
 }
 
-export function handleStat(args) {
-    const [file] = args;
-    if (!file) {
+export function handleStat(terminal, args, io) {
+    const { operands } = parseFlags(args);
+    if (!operands.length) {
         return 'stat: missing argument';
     }
-    return `  File: ${file}\n  Size: 1024\t\tBlocks: 8          IO Block: 4096   regular file\nAccess: (0644/-rw-r--r--)  Uid: ( 1000/   jared)   Gid: ( 1000/   jared)\nAccess: 2024-01-15 10:30:00.000000000 +0000\nModify: 2024-01-15 10:30:00.000000000 +0000\nChange: 2024-01-15 10:30:00.000000000 +0000`;
+
+    const errors = [];
+    const reports = operands.map(file => {
+        let info;
+        try {
+            info = terminal.fs.stat(resolvePath(terminal, file), { follow: false });
+        } catch (error) {
+            errors.push(describeError('stat', `cannot stat '${file}'`, error));
+            return null;
+        }
+        const kind = info.device ? 'character special file' : {
+            [FileTypes.FILE]: info.size ? 'regular file' : 'regular empty file',
+            [FileTypes.DIRECTORY]: 'directory',
+            [FileTypes.SYMLINK]: 'symbolic link'
+        }[info.type];
+        const name = info.type === FileTypes.SYMLINK ? `${file} -> ${info.target}` : file;
+        const octal = info.mode.toString(8).padStart(4, '0');
+        return `  File: ${name}\n` +
+            `  Size: ${info.size}\t\tBlocks: ${info.blocks}          IO Block: 4096   ${kind}\n` +
+            `Device: 801h/2049d\tInode: ${info.ino}        Links: ${info.nlink}\n` +
+            `Access: (${octal}/${info.permissions})  Uid: (${String(info.uid).padStart(5)}/${info.owner.padStart(8)})   Gid: (${String(info.gid).padStart(5)}/${info.group.padStart(8)})\n` +
+            `Access: ${formatTimestamp(info.atime)}\n` +
+            `Modify: ${formatTimestamp(info.mtime)}\n` +
+            `Change: ${formatTimestamp(info.ctime)}`;
+    });
+    reportErrors(io, errors);
+    return reports.filter(Boolean).join('\n');
 }
 
-export function handleFile(args) {
-    const [file] = args;
-    if (!file) {
+/**
+ * Guess a description from a file's contents, falling back to its name.
+ */
+function describeContent(name, content) {
+    if (!content.length) return 'empty';
+    if (content.startsWith('\u007fELF')) return 'ELF 64-bit LSB executable, x86-64';
+    if (content.startsWith('\u001f\u008b')) return 'gzip compressed data';
+    if (content.startsWith('PK\u0003\u0004')) return 'Zip archive data';
+    if (content.startsWith('%PDF')) return 'PDF document';
+
+    const shebang = content.match(/^#!\s*(\S+)(?:\s+(\S+))?/);
+    if (shebang) {
+        const interpreter = VirtualFileSystem.basename(shebang[2] && shebang[1].endsWith('env') ? shebang[2] : shebang[1]);
+        if (/python/.test(interpreter)) return 'Python script, ASCII text executable';
+        if (interpreter === 'bash') return 'Bourne-Again shell script, ASCII text executable';
+        return `${interpreter} script, ASCII text executable`;
+    }
+    if (name.endsWith('.sh')) return 'Bourne-Again shell script, ASCII text executable';
+    if (name.endsWith('.py')) return 'Python script, ASCII text executable';
+    return /[^\x00-\x7f]/.test(content) ? 'UTF-8 Unicode text' : 'ASCII text';
+}
+
+export function handleFile(terminal, args) {
+    const { operands } = parseFlags(args);
+    if (!operands.length) {
         return 'file: missing argument';
     }
-    if (file.endsWith('.txt')) {
-        return `${file}: ASCII text`;
-    } else if (file.endsWith('.sh')) {
-        return `${file}: Bourne-Again shell script, ASCII text executable`;
-    } else if (file.endsWith('.py')) {
-        return `${file}: Python script, ASCII text executable`;
+
+    return operands.map(file => {
+        const path = resolvePath(terminal, file);
+        try {
+            const info = terminal.fs.stat(path, { follow: false });
+            if (info.type === FileTypes.DIRECTORY) return `${file}: directory`;
+            if (info.type === FileTypes.SYMLINK) return `${file}: symbolic link to ${info.target}`;
+            if (info.device) return `${file}: character special (1/3)`;
+            return `${file}: ${describeContent(info.name, terminal.fs.readFile(path))}`;
+        } catch (error) {
+            return describeError('file', file, error);
+        }
+    }).join('\n');
+}
+
+export async function handleResetFs(terminal) {
+    terminal.fs = createFactoryFileSystem();
+    terminal.environment = defaultEnvironment();
+    if (!terminal.fs.isDirectory(terminal.workingDirectory)) {
+        terminal.workingDirectory = terminal.fs.home;
     }
-    return `${file}: data`;
+    terminal.updateEnvironment();
+    await clearSession();
+    return success('filesystem and environment restored to factory defaults');
 }
 
-export function handleWc(args) {
-    const [file] = args;
-    if (!file) {
-        return 'wc: missing argument';
+export function handleWc(terminal, args, io = {}) {
+    const { flags, operands } = parseFlags(args);
+    const counters = {
+        l: text => (text.match(/\n/g) || []).length,
+        w: text => (text.match(/\S+/g) || []).length,
+        m: text => [...text].length,
+        c: text => new TextEncoder().encode(text).length
+    };
+    const selected = Object.keys(counters).filter(flag => flags.has(flag));
+    const columns = selected.length ? selected : ['l', 'w', 'c'];
+
+    const { sources, errors } = readInputs(terminal, 'wc', operands, io);
+    const rows = sources.map(({ name, text }) => ({ name, counts: columns.map(column => counters[column](text)) }));
+    if (rows.length > 1) {
+        rows.push({ name: 'total', counts: columns.map((column, i) => rows.reduce((sum, row) => sum + row.counts[i], 0)) });
     }
-    return `     50     200    1500 ${file}`;
+
+    // Like GNU wc, a lone count is printed bare and piped input gets wide columns
+    const bare = rows.length === 1 && columns.length === 1;
+    const width = bare ? 1 : sources.some(source => !source.name)
+        ? 7
+        : Math.max(...rows.flatMap(row => row.counts.map(count => String(count).length)), 1);
+    const lines = rows.map(({ name, counts }) =>
+        [...counts.map(count => String(count).padStart(width)), name].join(' ').trimEnd());
+    reportErrors(io, errors);
+    return lines.join('\n');
 }
 
-export function handleSort(args) {
-    const [file] = args;
-    if (!file) {
-        return 'sort: missing argument';
+/**
+ * Parse a sort key such as `2`, `2,2` or `3,3nr`.
+ * @returns {{start: number, end: ?number, numeric: boolean, reverse: boolean}|null}
+ */
+function parseSortKey(spec) {
+    const match = spec.match(/^(\d+)(?:\.\d+)?([bfnr]*)(?:,(\d+)(?:\.\d+)?([bfnr]*))?$/);
+    if (!match || Number(match[1]) < 1) return null;
+    const options = `${match[2]}${match[4] || ''}`;
+    return {
+        start: Number(match[1]),
+        end: match[3] ? Number(match[3]) : null,
+        numeric: options.includes('n'),
+        reverse: options.includes('r'),
+        fold: options.includes('f')
+    };
+}
+
+export function handleSort(terminal, args, io = {}) {
+    const { flags, values, operands } = parseFlags(args, 'kt');
+    let key = null;
+    if (values.has('k')) {
+        key = parseSortKey(values.get('k') || '');
+        if (!key) {
+            io.exitCode = 2;
+            return failures([`sort: invalid number at field start: invalid count at start of '${values.get('k')}'`]);
+        }
+    }
+    const separator = values.get('t');
+    if (separator !== undefined && separator.length !== 1) {
+        io.exitCode = 2;
+        return failures(['sort: the field separator must be a single character']);
     }
-    return `sort: sorted '${file}'`;
+
+    const numeric = flags.has('n') || Boolean(key?.numeric);
+    const fold = flags.has('f') || Boolean(key?.fold);
+    const reverse = flags.has('r') !== Boolean(key?.reverse);
+    const keyOf = line => {
+        if (!key) return line;
+        const fields = separator !== undefined ? line.split(separator) : line.trim().split(/\s+/);
+        return fields.slice(key.start - 1, key.end ?? fields.length).join(separator ?? ' ');
+    };
+    const byKey = (a, b) => {
+        if (numeric) return (parseFloat(a) || 0) - (parseFloat(b) || 0);
+        const left = fold ? a.toUpperCase() : a;
+        const right = fold ? b.toUpperCase() : b;
+        return left < right ? -1 : left > right ? 1 : 0;
+    };
+
+    const { sources, errors } = readInputs(terminal, 'sort', operands, io);
+    reportErrors(io, errors, 2);
+    const rows = sources.flatMap(source => splitLines(source.text)).map(line => ({ line, key: keyOf(line) }));
+    // Equal keys fall back to comparing whole lines, as GNU sort does
+    rows.sort((a, b) => byKey(a.key, b.key) || (a.line < b.line ? -1 : a.line > b.line ? 1 : 0));
+    if (reverse) rows.reverse();
+
+    const lines = flags.has('u')
+        ? rows.filter((row, index) => index === 0 || byKey(row.key, rows[index - 1].key) !== 0)
+        : rows;
+    return lines.map(row => row.line).join('\n');
 }
 
-export function handleUniq(args) {
-    const [file] = args;
-    if (!file) {
-        return 'uniq: missing argument';
+export function handleUniq(terminal, args, io = {}) {
+    const { flags, operands } = parseFlags(args);
+    const { sources, errors } = readInputs(terminal, 'uniq', operands.slice(0, 1), io);
+    reportErrors(io, errors);
+    const same = (a, b) => (flags.has('i') ? a.toLowerCase() === b.toLowerCase() : a === b);
+
+    const groups = [];
+    for (const line of sources.flatMap(source => splitLines(source.text))) {
+        const last = groups[groups.length - 1];
+        if (last && same(last.line, line)) last.count++;
+        else groups.push({ line, count: 1 });
     }
-    return `uniq: removed duplicates from '${file}'`;
+
+    const lines = groups
+        .filter(group => (!flags.has('d') || group.count > 1) && (!flags.has('u') || group.count === 1))
+        .map(group => (flags.has('c') ? `${String(group.count).padStart(7)} ${group.line}` : group.line));
+    return lines.join('\n');
 }
 
-export function handleCut(args) {
-    const [file] = args;
-    if (!file) {
-        return 'cut: missing argument';
+/**
+ * Parse a cut list such as `1,3-5,7-`.
+ * @returns {Array<[number, number]>|null} Inclusive ranges, or null when invalid
+ */
+function parseCutList(list) {
+    const ranges = [];
+    for (const range of list.split(',')) {
+        const match = range.match(/^(\d*)(-?)(\d*)$/);
+        if (!match || (!match[1] && !match[3])) return null;
+        const from = match[1] ? Number(match[1]) : 1;
+        const to = match[2] ? (match[3] ? Number(match[3]) : Infinity) : from;
+        if (from < 1 || to < from) return null;
+        ranges.push([from, to]);
+    }
+    return ranges;
+}
+
+export function handleCut(terminal, args, io = {}) {
+    const { flags, values, operands } = parseFlags(args, 'dfc');
+    const list = values.get('f') ?? values.get('c');
+    if (list === undefined) {
+        return failures(['cut: you must specify a list of bytes, characters, or fields']);
+    }
+    const ranges = parseCutList(list);
+    if (!ranges) {
+        return failures([`cut: invalid field range '${list}'`]);
+    }
+    const delimiter = values.get('d') ?? '\t';
+    if (delimiter.length !== 1) {
+        return failures(['cut: the delimiter must be a single character']);
+    }
+
+    const selected = position => ranges.some(([from, to]) => position >= from && position <= to);
+    const { sources, errors } = readInputs(terminal, 'cut', operands, io);
+    reportErrors(io, errors);
+    const lines = [];
+    for (const line of sources.flatMap(source => splitLines(source.text))) {
+        if (!values.has('f')) {
+            lines.push([...line].filter((char, index) => selected(index + 1)).join(''));
+            continue;
+        }
+        const fields = line.split(delimiter);
+        if (fields.length === 1) {
+            if (!flags.has('s')) lines.push(line);
+            continue;
+        }
+        lines.push(fields.filter((field, index) => selected(index + 1)).join(delimiter));
     }
-    return `cut: processed '${file}'`;
+    return lines.join('\n');
 }
 
 export function handlePaste(args) {
@@ -247,26 +857,170 @@ export function handleSplit(args) {
     return `split: split '${file}' into multiple files`;
 }
 
-export function handleTr(args) {
-    const [file] = args;
-    if (!file) {
-        return 'tr: missing argument';
+const TR_CLASSES = {
+    alpha: /[a-zA-Z]/,
+    digit: /[0-9]/,
+    alnum: /[a-zA-Z0-9]/,
+    upper: /[A-Z]/,
+    lower: /[a-z]/,
+    space: /\s/,
+    blank: /[ \t]/,
+    punct: /[!-/:-@[-`{-~]/,
+    xdigit: /[0-9A-Fa-f]/,
+    cntrl: /[\x00-\x1f\x7f]/,
+    print: /[\x20-\x7e]/,
+    graph: /[\x21-\x7e]/
+};
+const TR_ESCAPES = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v', '\\': '\\' };
+
+/**
+ * Expand a tr set such as `a-z`, `[:upper:]` or `\n` into its characters.
+ * @returns {string[]|null} The characters, or null for an unknown class
+ */
+function expandTrSet(spec) {
+    const chars = [];
+    const readChar = index => (spec[index] === '\\' && index + 1 < spec.length
+        ? { char: TR_ESCAPES[spec[index + 1]] ?? spec[index + 1], width: 2 }
+        : { char: spec[index], width: 1 });
+
+    let i = 0;
+    while (i < spec.length) {
+        const named = spec.slice(i).match(/^\[:([a-z]+):\]/);
+        if (named) {
+            if (!TR_CLASSES[named[1]]) return null;
+            for (let code = 0; code < 128; code++) {
+                const char = String.fromCharCode(code);
+                if (TR_CLASSES[named[1]].test(char)) chars.push(char);
+            }
+            i += named[0].length;
+            continue;
+        }
+        const first = readChar(i);
+        if (spec[i + first.width] === '-' && i + first.width + 1 < spec.length) {
+            const last = readChar(i + first.width + 1);
+            for (let code = first.char.charCodeAt(0); code <= last.char.charCodeAt(0); code++) {
+                chars.push(String.fromCharCode(code));
+            }
+            i += first.width + 1 + last.width;
+            continue;
+        }
+        chars.push(first.char);
+        i += first.width;
     }
-    return `tr: translated '${file}'`;
+    return chars;
 }
 
-export function handleSed(args) {
-    const [file] = args;
-    if (!file) {
+export function handleTr(terminal, args, io = {}) {
+    const { flags, operands } = parseFlags(args);
+    const [from, to] = operands;
+    const translating = !flags.has('d');
+    if (from === undefined || (translating && to === undefined && !flags.has('s'))) {
+        return failures(['tr: missing operand']);
+    }
+
+    const source = expandTrSet(from);
+    const target = to === undefined ? null : expandTrSet(to);
+    if (!source || (to !== undefined && !target)) {
+        return failures(['tr: invalid character class']);
+    }
+    const inSource = new Set(source);
+    const matchesSource = char => inSource.has(char) !== flags.has('c');
+
+    let chars = [...(io.stdin ?? '')];
+    if (!translating) {
+        chars = chars.filter(char => !matchesSource(char));
+    } else if (target?.length) {
+        const map = new Map(source.map((char, index) => [char, target[Math.min(index, target.length - 1)]]));
+        const fill = target[target.length - 1];
+        chars = chars.map(char => (!matchesSource(char) ? char : flags.has('c') ? fill : map.get(char)));
+    }
+
+    if (flags.has('s')) {
+        const squeeze = new Set(target && (translating || to !== undefined) ? target : source);
+        chars = chars.filter((char, index) => !(index > 0 && char === chars[index - 1] && squeeze.has(char)));
+    }
+    return chars.join('');
+}
+
+export function handleSed(terminal, args, io = {}) {
+    const { flags, values, operands } = parseFlags(args, 'e');
+    const script = values.has('e') ? values.get('e') : operands.shift();
+    if (script === undefined) {
         return 'sed: missing argument';
     }
-    return `sed: processed '${file}'`;
+
+    let commands;
+    try {
+        commands = compileSedScript(script, { extended: flags.has('E') || flags.has('r') });
+    } catch (error) {
+        io.exitCode = 1;
+        return failures([`sed: -e expression #1: ${error.message}`]);
+    }
+    const quiet = flags.has('n');
+
+    if (flags.has('i')) {
+        if (!operands.length) {
+            return 'sed: no input files';
+        }
+        const errors = [];
+        for (const file of operands) {
+            try {
+                const path = resolvePath(terminal, file);
+                const lines = runSed(commands, splitLines(terminal.fs.readFile(path)), { quiet });
+                terminal.fs.writeFile(path, lines.length ? `${lines.join('\n')}\n` : '');
+            } catch (error) {
+                errors.push(describeError('sed', `couldn't edit ${file}`, error));
+            }
+        }
+        if (errors.length) io.exitCode = 4;
+        return failures(errors);
+    }
+
+    const { sources, errors } = readInputs(terminal, 'sed', operands, io);
+    const lines = runSed(commands, sources.flatMap(source => splitLines(source.text)), { quiet });
+    reportErrors(io, errors, 2);
+    return lines.join('\n');
 }
 
-export function handleAwk(args) {
-    const [file] = args;
-    if (!file) {
+export function handleAwk(terminal, args, io = {}) {
+    let fieldSeparator = ' ';
+    const variables = {};
+    let i = 0;
+    for (; i < args.length; i++) {
+        if (args[i] === '--') {
+            i++;
+            break;
+        }
+        const option = args[i].match(/^-([Fv])(.*)$/s);
+        if (!option) break;
+        const value = option[2] || (args[++i] ?? '');
+        if (option[1] === 'F') {
+            fieldSeparator = value;
+            continue;
+        }
+        const assignment = value.match(/^([A-Za-z_]\w*)=(.*)$/s);
+        if (!assignment) {
+            io.exitCode = 2;
+            return failures([`awk: invalid -v argument: ${value}`]);
+        }
+        variables[assignment[1]] = assignment[2];
+    }
+
+    const [program, ...files] = args.slice(i);
+    if (program === undefined) {
         return 'awk: missing argument';
     }
-    return `awk: processed '${file}'`;
-}
\ No newline at end of file
+    if (fieldSeparator === 't' || fieldSeparator === '\\t') fieldSeparator = '\t';
+
+    const { sources, errors } = readInputs(terminal, 'awk', files, io);
+    try {
+        const { output, status } = runAwk(program, sources, { fieldSeparator, variables });
+        io.exitCode = status;
+        reportErrors(io, errors, 2);
+        return output.replace(/\n$/, '');
+    } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        io.exitCode = 2;
+        return failures([`awk: ${error.message}`]);
+    }
+}
@@ -0,0 +1,225 @@
+// js/apps/terminal/find.js
+
+/**
+ * Find bar for the terminal (Ctrl+Shift+F). It searches the lines kept by
+ * the scrollback rather than the page, so output far above the rendered
+ * viewport is found too, and marks matches with CSS custom highlights.
+ * While it has focus it takes its own keys: Enter and Shift+Enter step
+ * through the matches, Alt+C and Alt+R toggle case and regex matching,
+ * Escape closes it.
+ * @author jared u.
+ */
+
+// More matches than this are counted as "10000+"
+const MAX_MATCHES = 10000;
+const MATCH_HIGHLIGHT = 'terminal-find-match';
+const CURRENT_HIGHLIGHT = 'terminal-find-current';
+
+function element(tag, className, text = '') {
+    const node = document.createElement(tag);
+    node.className = className;
+    node.textContent = text;
+    return node;
+}
+
+function button(label, title) {
+    const node = element('button', 'terminal-find-button', label);
+    node.type = 'button';
+    node.title = title;
+    node.setAttribute('aria-label', title);
+    return node;
+}
+
+/**
+ * The expression for a query. Without `regex` the query is matched
+ * literally; with it, an invalid pattern throws a SyntaxError.
+ * @param {string} query
+ * @param {{caseSensitive?: boolean, regex?: boolean}} [options]
+ * @returns {RegExp}
+ */
+export function compileQuery(query, { caseSensitive = false, regex = false } = {}) {
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Every match in the scrollback, oldest first, up to MAX_MATCHES.
+ * @param {Scrollback} scrollback
+ * @param {RegExp} pattern - A global expression
+ * @returns {Array<{sequence: number, start: number, end: number}>}
+ */
+export function searchScrollback(scrollback, pattern) {
+    const matches = [];
+    for (let index = 0; index < scrollback.size && matches.length < MAX_MATCHES; index++) {
+        const sequence = scrollback.sequenceAt(index);
+        for (const match of scrollback.textAt(index).matchAll(pattern)) {
+            // Empty matches such as /x*/ have nothing to highlight
+            if (!match[0]) continue;
+            matches.push({ sequence, start: match.index, end: match.index + match[0].length });
+            if (matches.length >= MAX_MATCHES) break;
+        }
+    }
+    return matches;
+}
+
+function byLine(matches) {
+    const lines = new Map();
+    matches.forEach(({ sequence, start, end }) => {
+        if (!lines.has(sequence)) lines.set(sequence, []);
+        lines.get(sequence).push([start, end]);
+    });
+    return lines;
+}
+
+/**
+ * Open the find bar over the terminal output, or focus it if it is open.
+ * @param {Terminal} terminal
+ */
+export function openFind(terminal) {
+    if (terminal.find) {
+        terminal.find.focus();
+        return;
+    }
+
+    const { scrollback } = terminal;
+    const host = terminal.outputElement.parentElement || terminal.outputElement;
+    const bar = element('div', 'terminal-find');
+    bar.setAttribute('role', 'search');
+    const input = element('input', 'terminal-find-input');
+    input.type = 'text';
+    input.placeholder = 'Find';
+    input.setAttribute('aria-label', 'Find in terminal output');
+    const caseToggle = button('Aa', 'Match case (Alt+C)');
+    const regexToggle = button('.*', 'Use regular expression (Alt+R)');
+    const count = element('span', 'terminal-find-count');
+    count.setAttribute('aria-live', 'polite');
+    const previous = button('↑', 'Previous match (Enter)');
+    const next = button('↓', 'Next match (Shift+Enter)');
+    const closeButton = button('×', 'Close (Escape)');
+    bar.append(input, caseToggle, regexToggle, count, previous, next, closeButton);
+
+    const options = { caseSensitive: false, regex: false };
+    let matches = [];
+    let current = -1;
+    let error = '';
+    // Output added since the last search makes the matches stale
+    let searchedAt = '';
+    const snapshot = () => `${scrollback.size}:${scrollback.sequence}`;
+
+    const render = () => {
+        caseToggle.setAttribute('aria-pressed', String(options.caseSensitive));
+        regexToggle.setAttribute('aria-pressed', String(options.regex));
+        input.classList.toggle('terminal-find-invalid', Boolean(error));
+        if (error) count.textContent = error;
+        else if (!input.value) count.textContent = '';
+        else if (!matches.length) count.textContent = 'No results';
+        else count.textContent = `${current + 1} of ${matches.length}${matches.length >= MAX_MATCHES ? '+' : ''}`;
+
+        scrollback.mark(MATCH_HIGHLIGHT, byLine(matches));
+        scrollback.mark(CURRENT_HIGHLIGHT, current >= 0 ? byLine([matches[current]]) : null);
+    };
+
+    /** Bring the current match into view, down to its characters where they are drawn */
+    const reveal = () => {
+        const match = matches[current];
+        if (!match) return;
+        scrollback.reveal(match.sequence);
+        render();
+        const [range] = scrollback.markedRanges(CURRENT_HIGHLIGHT);
+        if (!range) return;
+        const output = terminal.outputElement;
+        const view = output.getBoundingClientRect();
+        const rect = range.getBoundingClientRect();
+        if (rect.top < view.top || rect.bottom > view.bottom) {
+            output.scrollTop += rect.top - view.top - (view.height - rect.height) / 2;
+        }
+    };
+
+    /**
+     * Search again. The current match is kept if it still matches;
+     * otherwise it is the newest one at or above the bottom of the viewport.
+     */
+    const search = () => {
+        const kept = matches[current];
+        error = '';
+        matches = [];
+        current = -1;
+        searchedAt = snapshot();
+        if (input.value) {
+            try {
+                matches = searchScrollback(scrollback, compileQuery(input.value, options));
+            } catch {
+                error = 'Invalid regular expression';
+            }
+        }
+        if (matches.length) {
+            current = kept
+                ? matches.findIndex(({ sequence, start }) => sequence === kept.sequence && start === kept.start)
+                : -1;
+            if (current === -1) {
+                const bottom = scrollback.sequenceAt(scrollback.visibleRange(0).last);
+                const above = matches.filter(({ sequence }) => sequence <= bottom).length;
+                current = (above || matches.length) - 1;
+            }
+        }
+        render();
+        reveal();
+    };
+
+    /** Step to an older (-1) or newer (1) match, wrapping around */
+    const step = direction => {
+        if (snapshot() !== searchedAt) search();
+        if (!matches.length) return;
+        current = (current + direction + matches.length) % matches.length;
+        render();
+        reveal();
+    };
+
+    const toggle = name => {
+        options[name] = !options[name];
+        search();
+    };
+
+    const close = () => {
+        bar.remove();
+        scrollback.mark(MATCH_HIGHLIGHT, null);
+        scrollback.mark(CURRENT_HIGHLIGHT, null);
+        terminal.find = null;
+        terminal.inputElement?.focus();
+    };
+
+    input.addEventListener('input', search);
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            // As in other terminals, Enter looks back through older output
+            step(e.shiftKey ? 1 : -1);
+        } else if (e.key === 'Escape') {
+            close();
+        } else if (e.altKey && e.code === 'KeyC') {
+            toggle('caseSensitive');
+        } else if (e.altKey && e.code === 'KeyR') {
+            toggle('regex');
+        } else if (e.ctrlKey && e.shiftKey && e.code === 'KeyF') {
+            input.select();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
+    caseToggle.addEventListener('click', () => toggle('caseSensitive'));
+    regexToggle.addEventListener('click', () => toggle('regex'));
+    previous.addEventListener('click', () => step(-1));
+    next.addEventListener('click', () => step(1));
+    closeButton.addEventListener('click', close);
+
+    terminal.find = {
+        focus: () => {
+            input.focus();
+            input.select();
+        },
+        close
+    };
+    host.append(bar);
+    render();
+    terminal.find.focus();
+}
@@ -0,0 +1,585 @@
+// js/apps/terminal/firewall.js
+
+/**
+ * Packet filtering in the lab. Whatever configures it, each host's
+ * filtering compiles into one ordered rule set: a list of chains, each an
+ * ordered list of rules that ends in a policy for packets no rule
+ * matched. On an IOS device the chains are the access lists applied to
+ * its interfaces with `ip access-group`. On the shell's host they are the
+ * iptables chains, then ufw's and firewalld's while those are on; like
+ * separate nftables tables, a packet has to be accepted by each of them.
+ *
+ * netlab's trace() hands every packet it follows to evaluate() at each
+ * host on the way, so ping, traceroute, nc, ssh and packet-tracer all see
+ * the same verdicts. Rules are matched on protocol, addresses, ports, ICMP
+ * type, connection state and interface; a reply counts as ESTABLISHED.
+ * @author jared u.
+ */
+
+import { formatIPv4, getNetwork, parseIPv4, prefixMask, setLabState } from './netlab.js';
+import { formatAclEntry, getDevice, isNamedAcl, isStandardAcl } from './ios.js';
+
+// The shell's host's packet filters
+export const HOOKS = ['INPUT', 'FORWARD', 'OUTPUT'];
+
+// /etc/services: what a port is called, and the protocol it is known on
+// (null for both)
+export const ETC_SERVICES = {
+    'ftp-data': [20, 'tcp'],
+    ftp: [21, 'tcp'],
+    ssh: [22, 'tcp'],
+    telnet: [23, 'tcp'],
+    smtp: [25, 'tcp'],
+    domain: [53, null],
+    bootps: [67, 'udp'],
+    bootpc: [68, 'udp'],
+    tftp: [69, 'udp'],
+    http: [80, 'tcp'],
+    pop3: [110, 'tcp'],
+    ntp: [123, 'udp'],
+    imap: [143, 'tcp'],
+    snmp: [161, 'udp'],
+    bgp: [179, 'tcp'],
+    https: [443, 'tcp'],
+    syslog: [514, 'udp'],
+    'dhcpv6-client': [546, 'udp'],
+    mysql: [3306, 'tcp'],
+    postgresql: [5432, 'tcp']
+};
+
+// firewalld's services, as protocol/port
+export const FIREWALLD_SERVICES = {
+    'dhcpv6-client': ['546/udp'],
+    dns: ['53/tcp', '53/udp'],
+    ftp: ['21/tcp'],
+    http: ['80/tcp'],
+    https: ['443/tcp'],
+    mysql: ['3306/tcp'],
+    ntp: ['123/udp'],
+    postgresql: ['5432/tcp'],
+    smtp: ['25/tcp'],
+    ssh: ['22/tcp'],
+    telnet: ['23/tcp']
+};
+
+// How big each kind of packet is on the wire, for the byte counters
+const PACKET_SIZES = { icmp: 84, tcp: 60, udp: 60 };
+
+// The port a client sends from
+const EPHEMERAL_PORT = 49152;
+
+function createIptables() {
+    return Object.fromEntries(HOOKS.map(hook => [hook, { policy: 'ACCEPT', rules: [] }]));
+}
+
+function createUfw() {
+    return { enabled: false, defaults: { incoming: 'deny', outgoing: 'allow', routed: 'disabled' }, rules: [] };
+}
+
+function createZone() {
+    return { services: ['dhcpv6-client', 'ssh'], ports: [] };
+}
+
+// The shell's host's filters, as its three front ends left them
+const iptables = createIptables();
+let ufw = createUfw();
+const firewalld = { zone: 'public', runtime: createZone(), permanent: createZone() };
+
+// Packets and bytes each rule, or each chain's policy, has matched
+const hits = new WeakMap();
+
+/** iptables' chains, {INPUT|FORWARD|OUTPUT: {policy, rules}} */
+export function getIptables() {
+    return iptables;
+}
+
+/** ufw's state: {enabled, defaults: {incoming, outgoing, routed}, rules} */
+export function getUfw() {
+    return ufw;
+}
+
+/** ufw reset */
+export function resetUfw() {
+    ufw = createUfw();
+    return ufw;
+}
+
+/** firewalld's zone: {zone, runtime: {services, ports}, permanent: {...}} */
+export function getFirewalld() {
+    return firewalld;
+}
+
+/**
+ * Packets and bytes a rule, or a chain's policy, has matched.
+ * @param {object} entry - The rule or chain as it is configured
+ * @returns {{packets: number, bytes: number}}
+ */
+export function getHits(entry) {
+    return hits.get(entry) || { packets: 0, bytes: 0 };
+}
+
+/** Zero the counters, as iptables -Z does */
+export function resetHits(...entries) {
+    entries.forEach(entry => hits.delete(entry));
+}
+
+function count(entry, packet) {
+    if (!entry || packet.simulated) return;
+    const { packets, bytes } = getHits(entry);
+    hits.set(entry, { packets: packets + 1, bytes: bytes + (packet.size || PACKET_SIZES[packet.protocol] || 60) });
+}
+
+/**
+ * An address with an optional prefix or mask: `10.0.0.0/8`,
+ * `10.0.0.0/255.0.0.0` or `10.0.0.1`.
+ * @param {string} text
+ * @returns {?{address: number, prefix: number}} The network, or null if
+ *   the text is not one
+ */
+export function parseCidr(text) {
+    const [addressText, suffix, extra] = String(text).split('/');
+    const address = parseIPv4(addressText);
+    if (address === null || extra !== undefined) return null;
+    let prefix = 32;
+    if (suffix !== undefined) {
+        const mask = parseIPv4(suffix);
+        prefix = mask !== null ? 32 - Math.log2((~mask >>> 0) + 1) : Number(suffix);
+        if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32 || !/^\d/.test(suffix)) return null;
+    }
+    return { address: (address & prefixMask(prefix)) >>> 0, prefix };
+}
+
+/**
+ * The port an /etc/services name or a number stands for.
+ * @param {string} text
+ * @returns {?number}
+ */
+export function parsePort(text) {
+    if (ETC_SERVICES[text]) return ETC_SERVICES[text][0];
+    const port = Number(text);
+    return /^\d+$/.test(text) && port <= 65535 ? port : null;
+}
+
+/**
+ * The /etc/services name of a port, if it has one.
+ * @param {number} port
+ * @returns {?string}
+ */
+export function portName(port) {
+    return Object.keys(ETC_SERVICES).find(name => ETC_SERVICES[name][0] === port) || null;
+}
+
+// --- compiling ---------------------------------------------------------------
+
+function cidrMatch(cidr) {
+    return cidr && cidr.prefix ? { address: cidr.address, mask: prefixMask(cidr.prefix) } : null;
+}
+
+function rangeMatch(range) {
+    if (!range) return null;
+    const [low, high = low] = range;
+    return low === high ? { operator: 'eq', ports: [low] } : { operator: 'range', ports: [low, high] };
+}
+
+function wildcardMatch({ address, wildcard }) {
+    const mask = ~parseIPv4(wildcard) >>> 0;
+    return mask ? { address: parseIPv4(address), mask } : null;
+}
+
+/**
+ * iptables' specification of a rule, as -S prints it.
+ * @param {string} chain
+ * @param {object} rule
+ * @returns {string}
+ */
+export function iptablesSpec(chain, rule) {
+    const parts = [`-A ${chain}`];
+    const cidr = ({ address, prefix }) => `${formatIPv4(address)}/${prefix}`;
+    if (rule.source) parts.push(`-s ${cidr(rule.source)}`);
+    if (rule.destination) parts.push(`-d ${cidr(rule.destination)}`);
+    if (rule.inIface) parts.push(`-i ${rule.inIface}`);
+    if (rule.outIface) parts.push(`-o ${rule.outIface}`);
+    if (rule.protocol !== 'all') parts.push(`-p ${rule.protocol}`);
+    if (rule.comment) parts.push(`-m comment --comment "${rule.comment}"`);
+    if (rule.sourcePort || rule.port || rule.icmpType) parts.push(`-m ${rule.protocol}`);
+    if (rule.sourcePort) parts.push(`--sport ${rule.sourcePort.join(':')}`);
+    if (rule.port) parts.push(`--dport ${rule.port.join(':')}`);
+    if (rule.icmpType) parts.push(`--icmp-type ${rule.icmpType}`);
+    if (rule.states) parts.push(rule.stateModule === 'state' ? `-m state --state ${rule.states.join(',')}` : `-m conntrack --ctstate ${rule.states.join(',')}`);
+    if (rule.target) parts.push(`-j ${rule.target}`);
+    if (rule.rejectWith) parts.push(`--reject-with ${rule.rejectWith}`);
+    if (rule.logPrefix) parts.push(`--log-prefix "${rule.logPrefix}"`);
+    return parts.join(' ');
+}
+
+/**
+ * A ufw rule as it would be typed after `ufw`.
+ * @param {object} rule
+ * @returns {string}
+ */
+export function ufwRuleText(rule) {
+    const direction = rule.direction === 'out' ? ' out' : '';
+    const portText = range => range.join(':');
+    if (!rule.from && !rule.to && !rule.sourcePort && rule.port) {
+        return `${rule.action}${direction} ${rule.service || portText(rule.port)}${rule.protocol && !rule.service ? `/${rule.protocol}` : ''}`;
+    }
+    const address = cidr => (cidr ? `${formatIPv4(cidr.address)}${cidr.prefix === 32 ? '' : `/${cidr.prefix}`}` : 'any');
+    return [
+        `${rule.action}${direction}`,
+        rule.protocol ? `proto ${rule.protocol}` : '',
+        `from ${address(rule.from)}`,
+        rule.sourcePort ? `port ${portText(rule.sourcePort)}` : '',
+        `to ${address(rule.to)}`,
+        rule.port ? `port ${portText(rule.port)}` : ''
+    ].filter(Boolean).join(' ');
+}
+
+const ICMP_TYPES = { 'echo-request': 'echo', 8: 'echo', 'echo-reply': 'echo-reply', 0: 'echo-reply' };
+
+function compileIptablesRule(chain, rule) {
+    return {
+        // A rule without a target only counts what it matches
+        action: rule.target ? rule.target.toLowerCase() : null,
+        rejectWith: rule.target === 'REJECT' ? (rule.rejectWith || 'icmp-port-unreachable').replace(/^icmp-/, '') : null,
+        protocol: rule.protocol === 'all' ? null : rule.protocol,
+        source: cidrMatch(rule.source),
+        destination: cidrMatch(rule.destination),
+        sourcePort: rangeMatch(rule.sourcePort),
+        port: rangeMatch(rule.port),
+        icmpType: rule.icmpType ? ICMP_TYPES[rule.icmpType] || rule.icmpType : null,
+        states: rule.states,
+        inIface: rule.inIface,
+        outIface: rule.outIface,
+        text: iptablesSpec(chain, rule),
+        entry: rule
+    };
+}
+
+function compileUfwRule(rule) {
+    return {
+        action: { allow: 'accept', limit: 'accept', deny: 'drop', reject: 'reject' }[rule.action],
+        rejectWith: rule.protocol === 'tcp' ? 'tcp-reset' : 'port-unreachable',
+        protocol: rule.protocol,
+        source: cidrMatch(rule.from),
+        destination: cidrMatch(rule.to),
+        sourcePort: rangeMatch(rule.sourcePort),
+        port: rangeMatch(rule.port),
+        states: null,
+        text: `ufw ${ufwRuleText(rule)}`,
+        entry: rule
+    };
+}
+
+function acceptRule(text, fields) {
+    return { action: 'accept', text, ...fields };
+}
+
+// What ufw's before rules let through in each direction
+const UFW_BEFORE_RULES = {
+    in: [
+        acceptRule('-A ufw-before-input -i lo -j ACCEPT', { inIface: 'lo' }),
+        acceptRule('-A ufw-before-input -m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT', { states: ['ESTABLISHED', 'RELATED'] }),
+        acceptRule('-A ufw-before-input -p icmp -m icmp --icmp-type 8 -j ACCEPT', { protocol: 'icmp', icmpType: 'echo' })
+    ],
+    out: [
+        acceptRule('-A ufw-before-output -o lo -j ACCEPT', { outIface: 'lo' }),
+        acceptRule('-A ufw-before-output -m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT', { states: ['ESTABLISHED', 'RELATED'] })
+    ]
+};
+
+const UFW_POLICIES = { allow: 'accept', deny: 'drop', reject: 'reject' };
+
+function ufwChain(hook, direction) {
+    const policy = ufw.defaults[direction === 'in' ? 'incoming' : 'outgoing'];
+    return {
+        label: `ufw-user-${direction === 'in' ? 'input' : 'output'}`,
+        hook,
+        direction,
+        rules: [...UFW_BEFORE_RULES[direction], ...ufw.rules.filter(rule => rule.direction === direction).map(compileUfwRule)],
+        policy: UFW_POLICIES[policy],
+        rejectWith: 'port-unreachable',
+        policyText: `default ${policy} (${direction === 'in' ? 'incoming' : 'outgoing'})`,
+        entry: ufw.defaults
+    };
+}
+
+function firewalldChain() {
+    const zone = firewalld.runtime;
+    const allowed = [
+        ...zone.services.flatMap(service => FIREWALLD_SERVICES[service].map(port => [port, `service ${service}`])),
+        ...zone.ports.map(port => [port, `port ${port}`])
+    ];
+    return {
+        label: `filter_IN_${firewalld.zone}`,
+        hook: 'INPUT',
+        direction: 'in',
+        rules: [
+            acceptRule('ct state established,related accept', { states: ['ESTABLISHED', 'RELATED'] }),
+            acceptRule('iifname "lo" accept', { inIface: 'lo' }),
+            acceptRule('meta l4proto icmp accept', { protocol: 'icmp' }),
+            ...allowed.map(([port, text]) => {
+                const [range, protocol] = port.split('/');
+                return acceptRule(text, { protocol, port: rangeMatch(range.split('-').map(Number)) });
+            })
+        ],
+        policy: 'reject',
+        rejectWith: 'host-prohibited',
+        policyText: `zone ${firewalld.zone}: reject with icmp-host-prohibited`,
+        entry: firewalld
+    };
+}
+
+function linuxChains() {
+    const chains = HOOKS.map(hook => ({
+        label: hook,
+        hook,
+        direction: hook === 'INPUT' ? 'in' : 'out',
+        rules: iptables[hook].rules.map(rule => compileIptablesRule(hook, rule)),
+        policy: iptables[hook].policy.toLowerCase(),
+        rejectWith: null,
+        policyText: `-P ${hook} ${iptables[hook].policy}`,
+        entry: iptables[hook]
+    }));
+    if (ufw.enabled) chains.push(ufwChain('INPUT', 'in'), ufwChain('OUTPUT', 'out'));
+    chains.push(firewalldChain());
+    return chains;
+}
+
+/** How an access list's entries are configured: `access-list 101` or `ip access-list extended WEB` */
+function aclCommand(name, list) {
+    if (!isNamedAcl(name)) return `access-list ${name}`;
+    return `ip access-list ${isStandardAcl(name, list) ? 'standard' : 'extended'} ${name}`;
+}
+
+function compileAcl(name, list) {
+    const standard = isStandardAcl(name, list);
+    const command = aclCommand(name, list);
+    return list.entries.filter(entry => entry.remark === undefined).map(entry => ({
+        action: entry.action === 'permit' ? 'accept' : 'reject',
+        rejectWith: 'admin-prohibited',
+        protocol: standard || entry.protocol === 'ip' ? null : entry.protocol,
+        source: wildcardMatch(entry.source),
+        destination: standard ? null : wildcardMatch(entry.destination),
+        sourcePort: entry.sourcePort || null,
+        port: entry.port || null,
+        icmpType: entry.icmpType || null,
+        // `established` matches TCP segments with ACK or RST set: replies
+        states: entry.established ? ['ESTABLISHED'] : null,
+        text: `${command} ${formatAclEntry(entry, standard)}`,
+        entry
+    }));
+}
+
+function iosChains(device) {
+    const { interfaces, accessLists = {} } = device.running;
+    return Object.entries(interfaces).flatMap(([name, iface]) => ['in', 'out'].flatMap(direction => {
+        const list = iface.accessGroups?.[direction];
+        // An access group naming a list that does not exist lets everything through
+        if (!list || !accessLists[list]) return [];
+        return [{
+            label: `ip access-group ${list} ${direction} (${name})`,
+            iface: name,
+            direction,
+            rules: compileAcl(list, accessLists[list]),
+            policy: 'reject',
+            rejectWith: 'admin-prohibited',
+            policyText: `${aclCommand(list, accessLists[list])} implicit deny`,
+            entry: accessLists[list]
+        }];
+    }));
+}
+
+/**
+ * A host's packet filtering as one ordered rule set.
+ * @param {Host} host
+ * @returns {object[]} Chains, each {label, direction, rules, policy,
+ *   policyText} and either hook (INPUT, FORWARD or OUTPUT) or iface; rules
+ *   are {action, protocol, source, destination, sourcePort, port, icmpType,
+ *   states, inIface, outIface, text}
+ */
+export function getRuleSet(host) {
+    if (host === getNetwork().localHost) return linuxChains();
+    const device = getDevice(host);
+    return device ? iosChains(device) : [];
+}
+
+// --- evaluating --------------------------------------------------------------
+
+function addressMatches(match, address) {
+    return !match || ((address ^ match.address) & match.mask) === 0;
+}
+
+function portMatches(match, port) {
+    if (!match) return true;
+    if (port === null || port === undefined) return false;
+    const [low, high] = match.ports;
+    switch (match.operator) {
+        case 'eq': return port === low;
+        case 'neq': return port !== low;
+        case 'lt': return port < low;
+        case 'gt': return port > low;
+        default: return port >= low && port <= high;
+    }
+}
+
+function ruleMatches(rule, packet, inbound, outbound) {
+    return (!rule.protocol || rule.protocol === packet.protocol)
+        && addressMatches(rule.source, packet.source)
+        && addressMatches(rule.destination, packet.destination)
+        && portMatches(rule.sourcePort, packet.sourcePort)
+        && portMatches(rule.port, packet.port)
+        && (!rule.icmpType || rule.icmpType === packet.icmpType)
+        && (!rule.states || rule.states.includes(packet.state))
+        && (!rule.inIface || rule.inIface === inbound?.name)
+        && (!rule.outIface || rule.outIface === outbound?.name);
+}
+
+function runChain(chain, packet, inbound, outbound) {
+    let rule = null;
+    for (const candidate of chain.rules) {
+        if (!ruleMatches(candidate, packet, inbound, outbound)) continue;
+        count(candidate.entry, packet);
+        // LOG, like a rule without a target, records the packet and lets
+        // the next rule decide
+        if (!candidate.action || candidate.action === 'log') continue;
+        rule = candidate;
+        break;
+    }
+    if (!rule) count(chain.entry, packet);
+    const verdict = rule ? rule.action : chain.policy;
+    return {
+        chain: chain.label,
+        direction: chain.direction,
+        verdict,
+        rule,
+        position: rule ? chain.rules.indexOf(rule) + 1 : null,
+        text: rule ? rule.text : chain.policyText,
+        rejectWith: verdict === 'reject' ? (rule ? rule.rejectWith : chain.rejectWith) : null
+    };
+}
+
+/**
+ * Which of a host's chains a packet goes through, in order. On the shell's
+ * host that depends on whether the packet starts, ends or passes through
+ * there; an IOS device filters what comes in on an interface, and what
+ * leaves on one unless the device sent it itself.
+ */
+function chainsFor(host, inbound, outbound) {
+    const chains = getRuleSet(host);
+    if (host === getNetwork().localHost) {
+        const hook = !inbound ? 'OUTPUT' : !outbound ? 'INPUT' : 'FORWARD';
+        return chains.filter(chain => chain.hook === hook);
+    }
+    return [
+        ...chains.filter(chain => chain.direction === 'in' && chain.iface === inbound?.name),
+        ...chains.filter(chain => chain.direction === 'out' && inbound && chain.iface === outbound?.name)
+    ];
+}
+
+/**
+ * Run a packet through a host's filters, stopping at the first chain that
+ * does not accept it. Rules that match count it, unless the packet is a
+ * simulated one.
+ * @param {Host} host
+ * @param {object} packet - {protocol, source, destination, sourcePort, port,
+ *   icmpType, state, simulated}
+ * @param {?object} inbound - The interface it came in on; null where it starts
+ * @param {?object} outbound - The interface it leaves on; null where it ends
+ * @returns {object[]} A verdict per chain: {host, chain, direction, verdict,
+ *   rule, position, text, rejectWith}
+ */
+export function evaluate(host, packet, inbound, outbound) {
+    const checks = [];
+    for (const chain of chainsFor(host, inbound, outbound)) {
+        const check = { host, ...runChain(chain, packet, inbound, outbound) };
+        checks.push(check);
+        if (check.verdict !== 'accept') break;
+    }
+    return checks;
+}
+
+function sourceAddress(host, destination) {
+    const route = host.lookupRoute(destination);
+    const iface = host.interfaces.find(candidate => candidate.name === route?.iface);
+    return iface?.address ?? host.address;
+}
+
+/**
+ * Fill in what a caller left out of a packet: the source address the
+ * host would send from, a client port for TCP and UDP, and that it opens
+ * a new connection.
+ * @param {Host} host
+ * @param {number} destination
+ * @param {object} packet
+ * @returns {object}
+ */
+export function createPacket(host, destination, packet) {
+    const ported = packet.protocol === 'tcp' || packet.protocol === 'udp';
+    return {
+        state: 'NEW',
+        port: null,
+        sourcePort: ported ? EPHEMERAL_PORT : null,
+        icmpType: packet.protocol === 'icmp' ? 'echo' : null,
+        ...packet,
+        source: packet.source ?? sourceAddress(host, destination),
+        destination
+    };
+}
+
+function replyTo(packet) {
+    return {
+        ...packet,
+        source: packet.destination,
+        destination: packet.source,
+        sourcePort: packet.port,
+        port: packet.sourcePort,
+        icmpType: packet.icmpType === 'echo' ? 'echo-reply' : packet.icmpType,
+        state: 'ESTABLISHED'
+    };
+}
+
+/**
+ * Send a packet and follow its reply back. A reply the filters stop on
+ * its way never arrives, so the exchange times out.
+ * @param {Host} source
+ * @param {number} destination
+ * @param {object} packet - See createPacket()
+ * @returns {object} The forward trace, as Network.trace() gives it
+ */
+export function exchange(source, destination, packet) {
+    const network = getNetwork();
+    const request = createPacket(source, destination, packet);
+    const path = network.trace(source, destination, request);
+    if (!path.reached) return path;
+    const replier = path.target || [...network.hosts.values()].find(host => host.group === 'isp');
+    const reply = network.trace(replier, request.source, replyTo(request));
+    if (reply.reached) return path;
+    return { ...path, reached: false, error: 'timeout', filters: [...path.filters, ...reply.filters] };
+}
+
+/**
+ * Open a TCP connection, the way a client sees it go.
+ * @param {Host} source
+ * @param {number} destination
+ * @param {number} port
+ * @returns {{path: object, error: ?string}} error is 'unreachable' (no
+ *   route, or an ICMP unreachable came back), 'refused' (a reset, or a
+ *   port unreachable) or 'timeout'
+ */
+export function connectTcp(source, destination, port) {
+    const path = exchange(source, destination, { protocol: 'tcp', port });
+    if (path.reached) {
+        return { path, error: getNetwork().listens(path.target, 'tcp', port) ? null : 'refused' };
+    }
+    switch (path.error) {
+        case 'network-unreachable':
+        case 'host-unreachable':
+            return { path, error: 'unreachable' };
+        case 'rejected':
+            return { path, error: ['tcp-reset', 'port-unreachable'].includes(path.rejectWith) ? 'refused' : 'unreachable' };
+        default:
+            return { path, error: 'timeout' };
+    }
+}
+
+setLabState({ filter: evaluate });
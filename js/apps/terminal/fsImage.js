@@ -0,0 +1,293 @@
+// js/apps/terminal/fsImage.js
+
+/**
+ * Factory image for the terminal's virtual filesystem
+ * @author jared u.
+ */
+
+import { VirtualFileSystem, FileTypes } from './vfs.js';
+import { loadResume } from './content.js';
+
+const FACTORY_TIME = Date.UTC(2024, 0, 15, 10, 30);
+// Bump when FACTORY_ENTRIES gains files that saved sessions should get too;
+// 1 is every snapshot saved before images were versioned
+export const FACTORY_IMAGE_VERSION = 3;
+const HOME = '/home/jared';
+
+const ROUTER_CONFIG = `hostname edge-router-01
+!
+interface GigabitEthernet0/0
+ description uplink to firewall-01
+ ip address 10.0.0.2 255.255.255.252
+ no shutdown
+!
+interface GigabitEthernet0/1
+ description lan
+ ip address 192.168.1.1 255.255.255.0
+ no shutdown
+!
+router ospf 1
+ router-id 10.0.0.2
+ network 10.0.0.0 0.0.0.3 area 0
+ network 192.168.1.0 0.0.0.255 area 0
+!
+ip route 0.0.0.0 0.0.0.0 10.0.0.1
+!
+end
+`;
+
+const SWITCH_CONFIG = `hostname core-switch-01
+!
+vlan 10
+ name users
+vlan 20
+ name servers
+vlan 99
+ name management
+!
+interface GigabitEthernet1/0/1
+ description uplink to edge-router-01
+ switchport mode trunk
+ switchport trunk allowed vlan 10,20,99
+!
+interface range GigabitEthernet1/0/2 - 24
+ switchport mode access
+ switchport access vlan 10
+ spanning-tree portfast
+!
+end
+`;
+
+const FIREWALL_CONFIG = `hostname firewall-01
+!
+interface outside
+ ip address 203.0.113.2 255.255.255.252
+interface inside
+ ip address 10.0.0.1 255.255.255.252
+!
+access-list OUTSIDE_IN extended permit tcp any host 192.168.1.100 eq 443
+access-list OUTSIDE_IN extended deny ip any any log
+access-group OUTSIDE_IN in interface outside
+!
+route outside 0.0.0.0 0.0.0.0 203.0.113.1
+!
+end
+`;
+
+const VLAN_NOTES = `VLAN  NAME        SUBNET            GATEWAY
+10    users       192.168.10.0/24   192.168.10.1
+20    servers     192.168.20.0/24   192.168.20.1
+99    management  192.168.99.0/24   192.168.99.1
+`;
+
+const OSPF_NOTES = `router ospf 1
+ router-id 10.0.0.2
+ passive-interface default
+ no passive-interface GigabitEthernet0/0
+ network 10.0.0.0 0.0.0.3 area 0
+ network 192.168.0.0 0.0.255.255 area 0
+`;
+
+const BACKUP_SCRIPT = `#!/bin/bash
+# nightly config backup
+for device in edge-router-01 core-switch-01 firewall-01; do
+    echo "backing up $device"
+done
+`;
+
+const MONITOR_SCRIPT = `#!/bin/bash
+# ping sweep of core devices
+for host in 192.168.1.1 10.0.0.1; do
+    ping -c 1 $host
+done
+`;
+
+const DEPLOY_SCRIPT = `#!/bin/bash
+# push staged configs to the lab
+echo "deploying network-configs/*.conf"
+`;
+
+const TEST_SCRIPT = `#!/bin/bash
+echo "all checks passed"
+`;
+
+const DEMO_SCRIPT = `#!/bin/bash
+# tour of the shell: options, functions, loops and tests
+# usage: demo.sh [-v] [-n count] [name ...]
+
+verbose=0
+count=3
+while getopts "vn:" opt; do
+    if [ "$opt" = v ]; then
+        verbose=1
+    elif [ "$opt" = n ]; then
+        count=$OPTARG
+    else
+        echo "usage: $0 [-v] [-n count] [name ...]"
+        exit 2
+    fi
+done
+shift $((OPTIND - 1))
+
+trap 'echo "demo finished"' EXIT
+
+log() {
+    [ $verbose -eq 1 ] && echo "[debug] $*"
+    return 0
+}
+
+greet() {
+    local who=$1
+    echo "hello, $who"
+}
+
+if [ $# -eq 0 ]; then
+    greet "$USER"
+else
+    for name in "$@"; do
+        greet "$name"
+    done
+fi
+
+i=1
+while [ $i -le $count ]; do
+    log "iteration $i of $count"
+    echo "$i squared is $((i * i))"
+    i=$((i + 1))
+done
+
+for file in ~/network-configs/*.conf; do
+    [ -f "$file" ] || continue
+    log "scanning $file"
+    grep -q hostname "$file" && echo "$file has a hostname"
+done
+`;
+
+const UTILS_SCRIPT = `#!/usr/bin/env python3
+"""helpers for parsing show command output"""
+
+
+def parse_interfaces(text):
+    return [line.split()[0] for line in text.splitlines() if line.strip()]
+`;
+
+const BASHRC = `# ~/.bashrc
+export PS1='\\u@\\h:\\w\\$ '
+alias ll='ls -l'
+alias la='ls -a'
+`;
+
+/** Startup file run by every new terminal; see rc.js */
+export const DEFAULT_NEURC = `# ~/.neurc - runs every time the terminal starts
+# edit with 'edit-rc' (reloads straight away) or 'nano ~/.neurc'
+
+# environment
+export EDITOR=nano
+
+# aliases
+alias configs='cd ~/network-configs && ls'
+alias scripts='ls ~/scripts'
+
+# theme: default, dracula, sunset or cyberpunk
+# theme dracula
+
+# welcome banner
+echo "welcome back, $USER. type 'edit-rc' to change this greeting"
+`;
+
+const PROFILE = `# ~/.profile
+if [ -f ~/.bashrc ]; then
+    . ~/.bashrc
+fi
+`;
+
+const NOTES = `todo:
+- finish isc2 cc
+- lab rdma over converged ethernet
+- renew ccna
+`;
+
+/**
+ * Every node in the factory image. Parent directories are created
+ * implicitly and belong to root unless listed here.
+ */
+const FACTORY_ENTRIES = [
+    ['/bin', { type: FileTypes.DIRECTORY }],
+    ['/dev/null', { device: 'null', mode: 0o666 }],
+    ['/usr/bin', { type: FileTypes.DIRECTORY }],
+    ['/usr/local/bin', { type: FileTypes.DIRECTORY }],
+    ['/etc', { type: FileTypes.DIRECTORY }],
+    ['/etc/hostname', { content: 'neuos\n' }],
+    ['/etc/hosts', { content: '127.0.0.1\tlocalhost\n192.168.1.100\tneuos\n' }],
+    ['/etc/motd', { content: 'welcome to neuOS\n' }],
+    ['/etc/os-release', { content: 'NAME="neuOS"\nVERSION="2.1"\nID=neuos\n' }],
+    ['/etc/passwd', { content: 'root:x:0:0:root:/root:/bin/bash\njared:x:1000:1000:Jared Ubriaco:/home/jared:/bin/bash\n' }],
+    ['/root', { type: FileTypes.DIRECTORY, mode: 0o700 }],
+    ['/tmp', { type: FileTypes.DIRECTORY, mode: 0o1777 }],
+    ['/var/log', { type: FileTypes.DIRECTORY }],
+    ['/var/log/syslog', { content: 'neuos kernel: network interface eth0 up\nneuos sshd[812]: server listening on 0.0.0.0 port 22\n', mode: 0o640 }],
+    [HOME, { type: FileTypes.DIRECTORY, owner: 'jared' }],
+    [`${HOME}/resume.txt`, { content: () => loadResume(), owner: 'jared' }],
+    [`${HOME}/.bashrc`, { content: BASHRC, owner: 'jared' }],
+    [`${HOME}/.profile`, { content: PROFILE, owner: 'jared' }],
+    [`${HOME}/.neurc`, { content: DEFAULT_NEURC, owner: 'jared' }],
+    [`${HOME}/network-configs`, { type: FileTypes.DIRECTORY, owner: 'jared' }],
+    [`${HOME}/network-configs/router1.conf`, { content: ROUTER_CONFIG, owner: 'jared' }],
+    [`${HOME}/network-configs/switch1.conf`, { content: SWITCH_CONFIG, owner: 'jared' }],
+    [`${HOME}/network-configs/firewall.conf`, { content: FIREWALL_CONFIG, owner: 'jared' }],
+    [`${HOME}/network-configs/vlan-config.txt`, { content: VLAN_NOTES, owner: 'jared' }],
+    [`${HOME}/network-configs/ospf-config.txt`, { content: OSPF_NOTES, owner: 'jared' }],
+    [`${HOME}/scripts`, { type: FileTypes.DIRECTORY, owner: 'jared' }],
+    [`${HOME}/scripts/backup.sh`, { content: BACKUP_SCRIPT, owner: 'jared', mode: 0o755 }],
+    [`${HOME}/scripts/monitor.sh`, { content: MONITOR_SCRIPT, owner: 'jared', mode: 0o755 }],
+    [`${HOME}/scripts/deploy.sh`, { content: DEPLOY_SCRIPT, owner: 'jared', mode: 0o755 }],
+    [`${HOME}/scripts/test.sh`, { content: TEST_SCRIPT, owner: 'jared', mode: 0o755 }],
+    [`${HOME}/scripts/demo.sh`, { content: DEMO_SCRIPT, owner: 'jared', mode: 0o755 }],
+    [`${HOME}/scripts/utils.py`, { content: UTILS_SCRIPT, owner: 'jared', mode: 0o755 }],
+    [`${HOME}/Documents`, { type: FileTypes.DIRECTORY, owner: 'jared' }],
+    [`${HOME}/Documents/resume.pdf`, { content: '%PDF-1.7\n', owner: 'jared' }],
+    [`${HOME}/Documents/certifications`, { type: FileTypes.DIRECTORY, owner: 'jared' }],
+    [`${HOME}/Documents/projects`, { type: FileTypes.DIRECTORY, owner: 'jared' }],
+    [`${HOME}/Documents/notes.txt`, { content: NOTES, owner: 'jared' }],
+    [`${HOME}/Downloads`, { type: FileTypes.DIRECTORY, owner: 'jared' }],
+    [`${HOME}/Downloads/firmware.bin`, { content: '\u007fELF\u0002\u0001\u0001', owner: 'jared' }],
+    [`${HOME}/Downloads/config-backup.tar.gz`, { content: '\u001f\u008b\u0008', owner: 'jared' }],
+    [`${HOME}/Downloads/logs.zip`, { content: 'PK\u0003\u0004', owner: 'jared' }],
+    [`${HOME}/Downloads/tools`, { type: FileTypes.DIRECTORY, owner: 'jared' }]
+];
+
+/**
+ * Build a fresh filesystem populated with the factory image.
+ * @returns {VirtualFileSystem}
+ */
+export function createFactoryFileSystem() {
+    const fs = new VirtualFileSystem({ home: HOME, user: 'jared' });
+    for (const [path, spec] of FACTORY_ENTRIES) {
+        const content = typeof spec.content === 'function' ? spec.content() : spec.content;
+        fs.install(path, { ...spec, content });
+    }
+    // Installing children bumps directory times, so stamp everything last
+    for (const inode of fs.inodes.values()) {
+        inode.atime = inode.mtime = inode.ctime = FACTORY_TIME;
+    }
+    return fs;
+}
+
+/**
+ * Bring a filesystem restored from an older image up to date: factory
+ * entries it lacks, such as ~/.neurc and ~/scripts, are installed, and
+ * everything already there, changed or not, is left alone.
+ * @param {VirtualFileSystem} fs
+ * @returns {number} How many entries were installed
+ */
+export function upgradeFileSystem(fs) {
+    let installed = 0;
+    for (const [path, spec] of FACTORY_ENTRIES) {
+        if (fs.tryLookup(path, { follow: false })) continue;
+        const content = typeof spec.content === 'function' ? spec.content() : spec.content;
+        const inode = fs.install(path, { ...spec, content });
+        inode.atime = inode.mtime = inode.ctime = FACTORY_TIME;
+        installed++;
+    }
+    return installed;
+}
@@ -1,66 +1,336 @@
 // js/apps/terminal/history.js
 
 /**
- * Terminal command history management
+ * Terminal command history management: storage, the history builtin,
+ * bash-style history expansion and reverse incremental search (Ctrl+R)
  * @author jared u.
  */
 
+import { AppError, ErrorTypes } from '../../utils/utils.js';
+
 const MAX_HISTORY_SIZE = 1000;
+const STORAGE_KEY = 'neuOS_terminal_history';
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
 
 /**
  * Add a command to history
+ * @param {Terminal} terminal
  * @param {string} command - The command to add
  */
-export function addToHistory(command) {
+export function addToHistory(terminal, command) {
     if (!command || typeof command !== 'string') {
         return;
     }
-    
+
     // Remove leading/trailing whitespace
     command = command.trim();
-    
+
     // Don't add empty commands or duplicates
-    if (!command || (this.history.length > 0 && this.history[this.history.length - 1] === command)) {
+    if (!command || (terminal.history.length > 0 && terminal.history[terminal.history.length - 1] === command)) {
         return;
     }
-    
-    this.history.push(command);
-    
+
+    terminal.history.push(command);
+
     // Limit history size
-    if (this.history.length > MAX_HISTORY_SIZE) {
-        this.history.shift();
+    if (terminal.history.length > MAX_HISTORY_SIZE) {
+        terminal.history.shift();
     }
-    
+
     // Reset history index
-    this.historyIndex = -1;
-    
+    terminal.historyIndex = -1;
+
     // Save to localStorage
-    this.saveHistory();
+    saveHistory(terminal);
 }
 
 /**
  * Load history from localStorage
+ * @param {Terminal} terminal
  */
-export function loadHistory() {
+export function loadHistory(terminal) {
     try {
-        const savedHistory = localStorage.getItem('neuOS_terminal_history');
+        const savedHistory = localStorage.getItem(STORAGE_KEY);
         if (savedHistory) {
-            this.history = JSON.parse(savedHistory);
-            this.historyIndex = -1;
+            terminal.history = JSON.parse(savedHistory);
+            terminal.historyIndex = -1;
         }
     } catch (error) {
         console.warn('neuOS: Failed to load terminal history:', error);
-        this.history = [];
+        terminal.history = [];
     }
 }
 
 /**
  * Save history to localStorage
+ * @param {Terminal} terminal
  */
-export function saveHistory() {
+export function saveHistory(terminal) {
     try {
-        localStorage.setItem('neuOS_terminal_history', JSON.stringify(this.history));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(terminal.history));
     } catch (error) {
         console.warn('neuOS: Failed to save terminal history:', error);
     }
-} 
\ No newline at end of file
+}
+
+/**
+ * history [n] | history -c | history -d offset
+ * Entries are numbered from 1, the same numbers `!n` and `-d` use.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleHistory(terminal, args = [], io = {}) {
+    const [option, value] = args;
+
+    if (option === '-c') {
+        terminal.history = [];
+        terminal.historyIndex = -1;
+        saveHistory(terminal);
+        return '';
+    }
+
+    if (option === '-d') {
+        const offset = Number.parseInt(value, 10);
+        // Negative offsets count back from the end, as in bash 5
+        const index = offset < 0 ? terminal.history.length + offset : offset - 1;
+        if (!/^-?\d+$/.test(value ?? '') || index < 0 || index >= terminal.history.length) {
+            io.exitCode = 1;
+            return `bash: history: ${value ?? ''}: history position out of range`;
+        }
+        terminal.history.splice(index, 1);
+        terminal.historyIndex = -1;
+        saveHistory(terminal);
+        return '';
+    }
+
+    if (option !== undefined && !/^\d+$/.test(option)) {
+        io.exitCode = option.startsWith('-') ? 2 : 1;
+        return option.startsWith('-')
+            ? `bash: history: ${option}: invalid option\nhistory: usage: history [-c] [-d offset] [n]`
+            : `bash: history: ${option}: numeric argument required`;
+    }
+
+    const count = option === undefined ? terminal.history.length : Number(option);
+    const start = Math.max(0, terminal.history.length - count);
+    return terminal.history
+        .slice(start)
+        .map((command, index) => `${String(start + index + 1).padStart(5)}  ${command}`)
+        .join('\n');
+}
+
+/**
+ * Find the history event a `!` designator refers to.
+ * @returns {string}
+ */
+function findEvent(terminal, designator) {
+    const { history } = terminal;
+    let event;
+    if (designator === '!') {
+        event = history[history.length - 1];
+    } else if (/^-?\d+$/.test(designator)) {
+        const number = Number(designator);
+        event = history[number < 0 ? history.length + number : number - 1];
+    } else {
+        event = [...history].reverse().find(command => command.startsWith(designator));
+    }
+    if (event === undefined) {
+        throw new AppError(`bash: !${designator}: event not found`, ErrorTypes.VALIDATION);
+    }
+    return event;
+}
+
+/**
+ * Apply bash history expansion to a command line: `!!`, `!n`, `!-n`,
+ * `!prefix` anywhere outside single quotes, and `^old^new` at the start
+ * of the line. A `!` followed by a blank, `=` or `(` is left alone, as is `$!`.
+ * @param {Terminal} terminal
+ * @param {string} line
+ * @returns {string} The expanded line
+ * @throws {AppError} When an event or substitution does not match
+ */
+export function expandHistory(terminal, line) {
+    const quick = line.match(/^\^([^^]*)\^([^^]*)\^?(.*)$/);
+    if (quick) {
+        const [, search, replacement, rest] = quick;
+        const previous = findEvent(terminal, '!');
+        if (!search || !previous.includes(search)) {
+            throw new AppError(`bash: :s^${search}^${replacement}^: substitution failed`, ErrorTypes.VALIDATION);
+        }
+        return previous.replace(search, replacement) + rest;
+    }
+
+    let result = '';
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '\\' && quote !== "'") {
+            result += char + (line[i + 1] ?? '');
+            i++;
+            continue;
+        }
+        if (char === "'" && quote !== '"') quote = quote ? null : "'";
+        else if (char === '"' && quote !== "'") quote = quote ? null : '"';
+
+        const next = line[i + 1];
+        if (char !== '!' || quote === "'" || line[i - 1] === '$' || next === undefined || /[\s=(]/.test(next)) {
+            result += char;
+            continue;
+        }
+
+        const designator = next === '!' ? '!' : line.slice(i + 1).match(/^(-?\d+|[^\s;&|<>()'"]+)/)?.[0];
+        if (!designator) {
+            result += char;
+            continue;
+        }
+        result += findEvent(terminal, designator);
+        i += designator.length;
+    }
+    return result;
+}
+
+function searchPrompt(terminal) {
+    return terminal.inputElement.parentElement?.querySelector('.prompt');
+}
+
+/**
+ * Find the newest entry at or before `from` containing the query.
+ * @returns {number} History index, or -1
+ */
+function findMatch(terminal, query, from) {
+    for (let index = Math.min(from, terminal.history.length - 1); index >= 0; index--) {
+        if (terminal.history[index].includes(query)) return index;
+    }
+    return -1;
+}
+
+function renderSearch(terminal) {
+    const search = terminal.historySearch;
+    const label = search.failed ? 'failed reverse-i-search' : 'reverse-i-search';
+    const prompt = searchPrompt(terminal);
+    if (prompt) prompt.textContent = `(${label})\`${search.query}': `;
+
+    const value = search.index === -1 ? search.original : terminal.history[search.index];
+    terminal.inputElement.value = value;
+    const cursor = search.index === -1 ? value.length : Math.max(0, value.indexOf(search.query));
+    terminal.inputElement.setSelectionRange(cursor, cursor);
+}
+
+/**
+ * Search again for the current query, starting at `from`. A failed search
+ * keeps the last match on the line, as bash does.
+ */
+function updateSearch(terminal, from) {
+    const search = terminal.historySearch;
+    if (!search.query) {
+        search.failed = false;
+        search.index = -1;
+        return;
+    }
+    const index = findMatch(terminal, search.query, from);
+    search.failed = index === -1;
+    if (index !== -1) search.index = index;
+}
+
+/**
+ * Leave search mode, restoring the normal prompt.
+ * @param {Terminal} terminal
+ * @param {boolean} accept - Keep the match on the line rather than the original input
+ */
+function endHistorySearch(terminal, accept) {
+    const search = terminal.historySearch;
+    terminal.historySearch = null;
+    const prompt = searchPrompt(terminal);
+    if (prompt) prompt.textContent = search.prompt;
+
+    const value = accept && search.index !== -1 ? terminal.history[search.index] : search.original;
+    terminal.inputElement.value = value;
+    terminal.inputElement.setSelectionRange(value.length, value.length);
+    terminal.currentInput = value;
+    terminal.historyIndex = -1;
+}
+
+/**
+ * Ctrl+R: enter reverse incremental search, or look for an older match
+ * when already searching.
+ * @param {Terminal} terminal
+ */
+export function startHistorySearch(terminal) {
+    const search = terminal.historySearch;
+    if (search) {
+        if (search.query && search.index > 0) updateSearch(terminal, search.index - 1);
+        else if (search.query) search.failed = true;
+        renderSearch(terminal);
+        return;
+    }
+
+    terminal.historySearch = {
+        query: '',
+        index: -1,
+        failed: false,
+        original: terminal.inputElement.value,
+        prompt: searchPrompt(terminal)?.textContent ?? ''
+    };
+    renderSearch(terminal);
+}
+
+/**
+ * Keys typed while reverse search is active. Printable keys extend the
+ * query; Enter runs the match; Escape and the arrow keys put the match on
+ * the line for editing; Ctrl+C or Ctrl+G cancel the search.
+ * @param {Terminal} terminal
+ * @param {KeyboardEvent} e
+ */
+export function handleHistorySearchKey(terminal, e) {
+    const search = terminal.historySearch;
+    if (MODIFIER_KEYS.includes(e.key)) return;
+
+    if (e.ctrlKey && e.key === 'r') {
+        e.preventDefault();
+        startHistorySearch(terminal);
+        return;
+    }
+    if (e.ctrlKey && (e.key === 'c' || e.key === 'g')) {
+        e.preventDefault();
+        endHistorySearch(terminal, false);
+        return;
+    }
+
+    switch (e.key) {
+        case 'Enter':
+            e.preventDefault();
+            endHistorySearch(terminal, true);
+            terminal.executeCommand();
+            return;
+        case 'Escape':
+        case 'ArrowLeft':
+        case 'ArrowRight':
+        case 'ArrowUp':
+        case 'ArrowDown':
+        case 'Home':
+        case 'End':
+        case 'Tab':
+            e.preventDefault();
+            endHistorySearch(terminal, true);
+            return;
+        case 'Backspace':
+            e.preventDefault();
+            search.query = search.query.slice(0, -1);
+            updateSearch(terminal, terminal.history.length - 1);
+            renderSearch(terminal);
+            return;
+    }
+
+    if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        search.query += e.key;
+        // A longer query can still match the current entry
+        updateSearch(terminal, search.index === -1 ? terminal.history.length - 1 : search.index);
+        renderSearch(terminal);
+    } else if (e.ctrlKey || e.metaKey || e.altKey) {
+        // Other shortcuts (Ctrl+A, Ctrl+E, ...) accept the match and are
+        // then handled as usual, see handleKeyDown
+        endHistorySearch(terminal, true);
+    }
+}
@@ -0,0 +1,627 @@
+// js/apps/terminal/ios.js
+
+/**
+ * The simulated Cisco IOS devices behind the cisco command set. Every
+ * router, switch and firewall in the lab (see netlab.js) is a device with
+ * a running-config, a plain object that starts out describing the lab's
+ * addressing and is changed by configuration commands. A session is a
+ * login on one device: it tracks the CLI mode and which interface, VLAN
+ * or routing process is being configured, which is what the prompt shows.
+ * @author jared u.
+ */
+
+import { formatIPv4, getNetwork, parseIPv4, prefixMask } from './netlab.js';
+
+const STORAGE_KEY = 'neuOS_ios_startup_configs';
+const DEVICE_GROUPS = ['routers', 'switches', 'firewalls'];
+
+// What each kind of device reports itself as
+const PLATFORMS = {
+    routers: { model: 'CISCO2911/K9', family: 'C2900', image: 'C2900-UNIVERSALK9-M', version: '15.2(4)M7', hostname: 'Router' },
+    firewalls: { model: 'CISCO2911/K9', family: 'C2900', image: 'C2900-UNIVERSALK9-M', version: '15.2(4)M7', hostname: 'Router' },
+    switches: { model: 'WS-C2960-24TT-L', family: 'C2960', image: 'C2960-LANBASEK9-M', version: '15.0(2)SE11', hostname: 'Switch' }
+};
+
+const MODE_PROMPTS = {
+    user: '>',
+    privileged: '#',
+    config: '(config)#',
+    'config-if': '(config-if)#',
+    'config-vlan': '(config-vlan)#',
+    'config-router': '(config-router)#',
+    'config-std-nacl': '(config-std-nacl)#',
+    'config-ext-nacl': '(config-ext-nacl)#'
+};
+
+// Interface types by how IOS abbreviates them; earlier entries win a tie
+const INTERFACE_TYPES = [
+    'GigabitEthernet', 'FastEthernet', 'Ethernet', 'Loopback', 'Vlan',
+    'Serial', 'Tunnel', 'TenGigabitEthernet', 'Port-channel'
+];
+
+// Interfaces that `interface` creates rather than finds
+const VIRTUAL_INTERFACES = ['Loopback', 'Vlan', 'Tunnel', 'Port-channel'];
+
+// Ports access lists know by name, which IOS prints instead of the number
+export const ACL_PORT_NAMES = {
+    tcp: { bgp: 179, domain: 53, ftp: 21, 'ftp-data': 20, pop3: 110, smtp: 25, telnet: 23, www: 80 },
+    udp: { bootpc: 68, bootps: 67, domain: 53, ntp: 123, snmp: 161, syslog: 514, tftp: 69 }
+};
+
+const ANY_WILDCARD = '255.255.255.255';
+
+/**
+ * A command line IOS could not accept. The offending word is given as an
+ * index into the words the handler was passed, which are always the tail
+ * of the line, so the caret can be placed under it.
+ */
+export class IosInputError extends Error {
+    /**
+     * @param {'invalid'|'incomplete'|'ambiguous'} kind
+     * @param {string[]} [args] - The words the handler was given
+     * @param {number} [index] - The offending word; past the end for incomplete input
+     */
+    constructor(kind, args = [], index = args.length) {
+        super(kind);
+        this.kind = kind;
+        this.remaining = args.length - index;
+    }
+}
+
+/**
+ * Match a possibly abbreviated keyword, as IOS does: an exact match or
+ * the only keyword starting with the word.
+ * @param {string[]} args
+ * @param {number} index - Which word to match
+ * @param {string[]} keywords
+ * @returns {string} The full keyword
+ * @throws {IosInputError}
+ */
+export function matchKeyword(args, index, keywords) {
+    const word = args[index]?.toLowerCase();
+    if (word === undefined) throw new IosInputError('incomplete', args, index);
+    if (keywords.includes(word)) return word;
+    const matches = keywords.filter(keyword => keyword.startsWith(word));
+    if (matches.length === 1) return matches[0];
+    throw new IosInputError(matches.length ? 'ambiguous' : 'invalid', args, index);
+}
+
+/**
+ * A dotted-quad argument, kept as text in the config.
+ * @throws {IosInputError}
+ */
+export function expectAddress(args, index) {
+    const text = args[index];
+    if (text === undefined) throw new IosInputError('incomplete', args, index);
+    const parts = text.split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+        throw new IosInputError('invalid', args, index);
+    }
+    return parts.map(Number).join('.');
+}
+
+/**
+ * A whole-number argument within [min, max].
+ * @throws {IosInputError}
+ */
+export function expectNumber(args, index, min, max) {
+    const text = args[index];
+    if (text === undefined) throw new IosInputError('incomplete', args, index);
+    const value = Number(text);
+    if (!/^\d+$/.test(text) || value < min || value > max) throw new IosInputError('invalid', args, index);
+    return value;
+}
+
+/**
+ * Expand an interface name the way IOS reads it: `Gi0/1`, `gi 0/1` and
+ * `GigabitEthernet0/1` are all the same interface.
+ * @param {string[]} args
+ * @param {number} index - Where the name starts
+ * @returns {{name: string, type: string, next: number}} The full name and
+ *   the index of the first word after it
+ * @throws {IosInputError}
+ */
+export function parseInterfaceName(args, index) {
+    if (args[index] === undefined) throw new IosInputError('incomplete', args, index);
+    const findType = word => INTERFACE_TYPES.find(type => type.toLowerCase().startsWith(word.toLowerCase()));
+    // The type and number may be one word or two
+    const split = /^[a-z-]+$/i.test(args[index]);
+    if (split && args[index + 1] === undefined) {
+        throw new IosInputError(findType(args[index]) ? 'incomplete' : 'invalid', args, index);
+    }
+    const match = /^([a-z-]+)(\d+(?:\/\d+)*(?:\.\d+)?)$/i.exec(split ? args[index] + args[index + 1] : args[index]);
+    const type = match && findType(match[1]);
+    if (!type) throw new IosInputError('invalid', args, split && findType(args[index]) ? index + 1 : index);
+    return { name: `${type}${match[2]}`, type, next: index + (split ? 2 : 1) };
+}
+
+/**
+ * Dotted-quad mask for a prefix length.
+ * @param {number} prefix
+ * @returns {string}
+ */
+export function maskFromPrefix(prefix) {
+    return formatIPv4(prefixMask(prefix));
+}
+
+function iosHostname(label) {
+    return String(label).trim().replace(/\s+/g, '-');
+}
+
+/**
+ * A fresh interface entry; switch ports start as access ports in VLAN 1.
+ */
+export function createInterface(switchport = false) {
+    return {
+        description: null,
+        address: null,
+        mask: null,
+        shutdown: false,
+        bandwidth: null,
+        ospfCost: null,
+        accessGroups: { in: null, out: null },
+        switchport: switchport ? { mode: 'access', accessVlan: 1 } : null
+    };
+}
+
+function describeLink(host, iface) {
+    const peers = iface.segment.members.filter(member => member.host !== host).map(member => member.host);
+    const peer = peers.find(candidate => candidate.group === 'switches') || peers[0];
+    if (!peer) return null;
+    return peer.group === 'isp' ? 'ISP uplink' : `to ${peer.label}`;
+}
+
+/**
+ * The ports of a switch and what is plugged into each, numbered in the
+ * order the hosts joined its LAN.
+ * @param {Host} host - A switch
+ * @returns {{name: string, peer: Host}[]}
+ */
+export function switchPorts(host) {
+    const lan = host.interfaces[0]?.segment;
+    const attached = lan ? lan.members.filter(member => member.host !== host) : [];
+    return attached.map(({ host: peer }, index) => ({ name: `GigabitEthernet0/${index + 1}`, peer }));
+}
+
+/**
+ * The running-config a device boots with: the lab's addressing, the
+ * switch ports on its LAN, a default route, and on routers OSPF over all
+ * their links. Links the lab gives a higher cost get that OSPF cost, so
+ * OSPF picks the paths the lab's own routing does.
+ * @param {Host} host
+ * @returns {object}
+ */
+export function createInitialConfig(host) {
+    const config = {
+        hostname: iosHostname(host.label),
+        domainName: host.domain,
+        enableSecret: null,
+        banner: null,
+        users: {},
+        interfaces: {},
+        vlans: {},
+        staticRoutes: [],
+        accessLists: {},
+        ospf: {},
+        eigrp: {},
+        bgp: {}
+    };
+
+    host.interfaces.forEach(iface => {
+        config.interfaces[iface.name] = {
+            ...createInterface(),
+            description: host.group === 'switches' ? null : describeLink(host, iface),
+            address: formatIPv4(iface.address),
+            mask: maskFromPrefix(iface.prefix),
+            ospfCost: host.isRouter && iface.segment.cost > 1 ? iface.segment.cost : null
+        };
+    });
+
+    if (host.group === 'switches') {
+        config.vlans[1] = { name: 'default' };
+        switchPorts(host).forEach(({ name, peer }) => {
+            config.interfaces[name] = { ...createInterface(true), description: `to ${peer.label}` };
+        });
+    }
+
+    if (host.isRouter) {
+        const hasPeer = iface => iface.segment.members.some(member => member.host !== host && DEVICE_GROUPS.includes(member.host.group) && member.host.isRouter);
+        config.ospf[1] = {
+            routerId: null,
+            networks: host.interfaces.map(iface => ({
+                address: formatIPv4(iface.network),
+                wildcard: formatIPv4(~prefixMask(iface.prefix) >>> 0),
+                area: 0
+            })),
+            passiveInterfaces: host.interfaces.filter(iface => !hasPeer(iface)).map(iface => iface.name)
+        };
+    }
+
+    host.routes.filter(route => route.gateway !== null && route.prefix === 0).forEach(route => {
+        config.staticRoutes.push({
+            network: formatIPv4(route.network),
+            mask: maskFromPrefix(route.prefix),
+            nextHop: formatIPv4(route.gateway)
+        });
+    });
+    return config;
+}
+
+/**
+ * The config of a device with nothing in NVRAM: no addresses or routes,
+ * router interfaces shut down, switch ports up in VLAN 1.
+ * @param {Host} host
+ * @returns {object}
+ */
+export function createBlankConfig(host) {
+    const config = createInitialConfig(host);
+    Object.values(config.interfaces).forEach(iface => {
+        Object.assign(iface, { description: null, address: null, mask: null, shutdown: !iface.switchport });
+    });
+    return { ...config, hostname: getPlatform(host).hostname, domainName: null, staticRoutes: [], ospf: {} };
+}
+
+/**
+ * @param {Host} host
+ * @returns {{model: string, family: string, image: string, version: string, hostname: string}}
+ */
+export function getPlatform(host) {
+    return PLATFORMS[host.group] || PLATFORMS.routers;
+}
+
+function cloneConfig(config) {
+    return config && JSON.parse(JSON.stringify(config));
+}
+
+function loadStartupConfigs() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('neuOS: Failed to load IOS startup-configs:', error);
+        return {};
+    }
+}
+
+/**
+ * Save a device's startup-config to localStorage; null records that it
+ * was erased.
+ */
+function storeStartupConfig(device) {
+    try {
+        const saved = loadStartupConfigs();
+        saved[device.host.id] = device.startup;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('neuOS: Failed to save IOS startup-config:', error);
+    }
+}
+
+/**
+ * One simulated IOS device. `startup` is what NVRAM holds, or null once
+ * it has been erased; a device boots with it as its running-config.
+ */
+export class IosDevice {
+    /**
+     * @param {Host} host - The lab host it runs on
+     */
+    constructor(host) {
+        this.host = host;
+        const saved = loadStartupConfigs();
+        this.startup = host.id in saved ? saved[host.id] : createInitialConfig(host);
+        this.running = null;
+        this.reload();
+    }
+
+    get hostname() {
+        return this.running.hostname;
+    }
+
+    /** Whether the running-config differs from what is saved */
+    get modified() {
+        return JSON.stringify(this.running) !== JSON.stringify(this.startup);
+    }
+
+    /** write memory: the running-config becomes the startup-config */
+    save() {
+        this.startup = cloneConfig(this.running);
+        storeStartupConfig(this);
+    }
+
+    /** erase startup-config */
+    erase() {
+        this.startup = null;
+        storeStartupConfig(this);
+    }
+
+    /** Boot again from the startup-config, or blank without one */
+    reload() {
+        this.running = cloneConfig(this.startup) || createBlankConfig(this.host);
+    }
+
+    /** copy startup-config running-config */
+    restore() {
+        if (this.startup) this.running = cloneConfig(this.startup);
+    }
+}
+
+const devices = new Map();
+
+/**
+ * The device running on a lab host, created on first use.
+ * @param {Host} host
+ * @returns {?IosDevice} Null for hosts that are not network gear
+ */
+export function getDevice(host) {
+    if (!host || !DEVICE_GROUPS.includes(host.group)) return null;
+    if (!devices.has(host.id)) devices.set(host.id, new IosDevice(host));
+    return devices.get(host.id);
+}
+
+/**
+ * The device whose console the terminal is plugged into: the first
+ * router in the lab, or failing that any network device.
+ * @returns {?IosDevice}
+ */
+export function getConsoleDevice() {
+    const hosts = [...getNetwork().hosts.values()];
+    const consoleHost = hosts.find(host => host.group === 'routers') || hosts.find(host => DEVICE_GROUPS.includes(host.group));
+    return getDevice(consoleHost);
+}
+
+/**
+ * A login on a device. `context` is what a configuration sub-mode is
+ * editing: an interface name, a list of VLAN ids, or a routing process as
+ * {protocol, id}.
+ */
+export class IosSession {
+    /**
+     * @param {IosDevice} device
+     * @param {?IosSession} [parent] - The session this one was opened from
+     * @param {?{protocol: string, target: string, address: number}} [link] -
+     *   How it was reached over the network; null for the console
+     */
+    constructor(device, parent = null, link = null) {
+        this.device = device;
+        this.parent = parent;
+        this.link = link;
+        this.mode = 'user';
+        this.context = null;
+    }
+
+    get config() {
+        return this.device.running;
+    }
+
+    get prompt() {
+        return `${this.device.hostname}${MODE_PROMPTS[this.mode]}`;
+    }
+
+    get inConfigMode() {
+        return this.mode.startsWith('config');
+    }
+
+    /**
+     * Change mode; leaving a sub-mode forgets what it was editing.
+     * @param {string} mode
+     * @param {*} [context]
+     */
+    enter(mode, context = null) {
+        this.mode = mode;
+        this.context = context;
+    }
+}
+
+/**
+ * Whether a new interface of this type may be created by naming it.
+ * @param {string} type
+ */
+export function isVirtualInterface(type) {
+    return VIRTUAL_INTERFACES.includes(type);
+}
+
+/**
+ * Order interface names as IOS lists them: by type, then by number.
+ * @param {string} a
+ * @param {string} b
+ */
+export function compareInterfaceNames(a, b) {
+    const split = name => /^([A-Za-z-]+)([\d/.]*)$/.exec(name) || [name, name, ''];
+    const [, typeA, numberA] = split(a);
+    const [, typeB, numberB] = split(b);
+    if (typeA !== typeB) return INTERFACE_TYPES.indexOf(typeA) - INTERFACE_TYPES.indexOf(typeB);
+    const partsA = numberA.split(/[/.]/).map(Number);
+    const partsB = numberB.split(/[/.]/).map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        if ((partsA[i] ?? -1) !== (partsB[i] ?? -1)) return (partsA[i] ?? -1) - (partsB[i] ?? -1);
+    }
+    return 0;
+}
+
+/**
+ * `Gi0/1` for `GigabitEthernet0/1`, as in show vlan and show ip route
+ * summaries.
+ * @param {string} name
+ */
+export function shortInterfaceName(name) {
+    return name.replace(/^([A-Z][a-z])[A-Za-z-]*(?=\d)/, '$1');
+}
+
+/**
+ * Link and line protocol state, as show ip interface brief reports it.
+ * An SVI is up while its VLAN exists.
+ * @param {object} config
+ * @param {string} name
+ * @returns {{status: string, protocol: string}}
+ */
+export function interfaceStatus(config, name) {
+    const iface = config.interfaces[name];
+    if (iface.shutdown) return { status: 'administratively down', protocol: 'down' };
+    const vlan = /^Vlan(\d+)$/.exec(name);
+    if (vlan && !config.vlans[vlan[1]]) return { status: 'down', protocol: 'down' };
+    return { status: 'up', protocol: 'up' };
+}
+
+/**
+ * Numbered access lists 1-99 and 1300-1999 are standard, matching only
+ * the source; 100-199 and 2000-2699 are extended. A named list records
+ * which it is.
+ * @param {string|number} name
+ * @param {object} [list]
+ */
+export function isStandardAcl(name, list) {
+    if (list?.standard !== undefined) return list.standard;
+    const number = Number(name);
+    return (number >= 1 && number <= 99) || (number >= 1300 && number <= 1999);
+}
+
+/**
+ * Whether an access list is named (`ip access-list extended WEB`) rather
+ * than numbered.
+ * @param {string} name
+ */
+export function isNamedAcl(name) {
+    return !/^\d+$/.test(name);
+}
+
+/**
+ * Numbered lists in order, then named ones alphabetically, as IOS lists them.
+ * @param {string} a
+ * @param {string} b
+ */
+export function compareAclNames(a, b) {
+    if (isNamedAcl(a) !== isNamedAcl(b)) return isNamedAcl(a) ? 1 : -1;
+    return isNamedAcl(a) ? a.localeCompare(b) : a - b;
+}
+
+/**
+ * `any`, `host A` or `A W`; a standard list prints a host as just its
+ * address.
+ */
+function formatAclAddress({ address, wildcard }, standard) {
+    if (wildcard === ANY_WILDCARD) return 'any';
+    if (wildcard === '0.0.0.0') return standard ? address : `host ${address}`;
+    return `${address} ${wildcard}`;
+}
+
+function formatAclPort(protocol, { operator, ports }) {
+    const names = ACL_PORT_NAMES[protocol] || {};
+    const name = port => Object.keys(names).find(key => names[key] === port) || port;
+    return ` ${operator} ${ports.map(name).join(' ')}`;
+}
+
+/**
+ * An access list entry as it is configured, after `access-list <n>`.
+ * @param {object} entry
+ * @param {boolean} standard
+ * @returns {string}
+ */
+export function formatAclEntry(entry, standard) {
+    if (entry.remark !== undefined) return `remark ${entry.remark}`;
+    const log = entry.log ? ' log' : '';
+    if (standard) return `${entry.action} ${formatAclAddress(entry.source, true)}${log}`;
+    return [
+        `${entry.action} ${entry.protocol} ${formatAclAddress(entry.source, false)}`,
+        entry.sourcePort ? formatAclPort(entry.protocol, entry.sourcePort) : '',
+        ` ${formatAclAddress(entry.destination, false)}`,
+        entry.port ? formatAclPort(entry.protocol, entry.port) : '',
+        entry.icmpType ? ` ${entry.icmpType}` : '',
+        entry.established ? ' established' : '',
+        log
+    ].join('');
+}
+
+/**
+ * The running-config as IOS prints it.
+ * @param {object} config
+ * @param {Host} host
+ * @returns {string}
+ */
+export function renderConfig(config, host) {
+    const lines = [
+        `version ${getPlatform(host).version.replace(/\(.*$/, '')}`,
+        'service timestamps debug datetime msec',
+        'service timestamps log datetime msec',
+        'no service password-encryption',
+        '!',
+        `hostname ${config.hostname}`,
+        '!',
+        'boot-start-marker',
+        'boot-end-marker',
+        '!'
+    ];
+    if (config.enableSecret) lines.push(`enable secret 5 ${config.enableSecret}`, '!');
+    lines.push('no aaa new-model', '!');
+    if (config.domainName) lines.push(`ip domain-name ${config.domainName}`);
+    lines.push('ip cef', '!');
+
+    Object.entries(config.users).forEach(([name, user]) => {
+        const privilege = user.privilege !== 1 ? ` privilege ${user.privilege}` : '';
+        lines.push(`username ${name}${privilege} secret 5 ${user.secret}`);
+    });
+    if (Object.keys(config.users).length) lines.push('!');
+
+    Object.keys(config.vlans).map(Number).filter(id => id !== 1).sort((a, b) => a - b).forEach(id => {
+        lines.push(`vlan ${id}`);
+        if (config.vlans[id].name !== `VLAN${String(id).padStart(4, '0')}`) lines.push(` name ${config.vlans[id].name}`);
+        lines.push('!');
+    });
+
+    Object.keys(config.interfaces).sort(compareInterfaceNames).forEach(name => {
+        const iface = config.interfaces[name];
+        lines.push(`interface ${name}`);
+        if (iface.description) lines.push(` description ${iface.description}`);
+        if (iface.bandwidth) lines.push(` bandwidth ${iface.bandwidth}`);
+        if (iface.switchport) {
+            if (iface.switchport.accessVlan !== 1) lines.push(` switchport access vlan ${iface.switchport.accessVlan}`);
+            lines.push(` switchport mode ${iface.switchport.mode}`);
+        } else {
+            lines.push(iface.address ? ` ip address ${iface.address} ${iface.mask}` : ' no ip address');
+        }
+        ['in', 'out'].forEach(direction => {
+            if (iface.accessGroups?.[direction]) lines.push(` ip access-group ${iface.accessGroups[direction]} ${direction}`);
+        });
+        if (iface.ospfCost) lines.push(` ip ospf cost ${iface.ospfCost}`);
+        if (iface.shutdown) lines.push(' shutdown');
+        lines.push('!');
+    });
+
+    const routerLines = (protocol, id, process) => {
+        lines.push(`router ${protocol} ${id}`);
+        if (process.routerId) lines.push(` ${protocol === 'ospf' ? '' : `${protocol} `}router-id ${process.routerId}`);
+        if (protocol === 'bgp') lines.push(' bgp log-neighbor-changes');
+        (process.passiveInterfaces || []).forEach(name => lines.push(` passive-interface ${name}`));
+        process.networks.forEach(network => {
+            if (protocol === 'ospf') lines.push(` network ${network.address} ${network.wildcard} area ${network.area}`);
+            else if (protocol === 'bgp') lines.push(` network ${network.address}${network.mask ? ` mask ${network.mask}` : ''}`);
+            else lines.push(` network ${network.address}${network.wildcard ? ` ${network.wildcard}` : ''}`);
+        });
+        Object.entries(process.neighbors || {}).forEach(([address, neighbor]) => {
+            lines.push(` neighbor ${address} remote-as ${neighbor.remoteAs}`);
+            if (neighbor.description) lines.push(` neighbor ${address} description ${neighbor.description}`);
+        });
+        lines.push('!');
+    };
+    ['eigrp', 'ospf', 'bgp'].forEach(protocol => {
+        Object.entries(config[protocol]).forEach(([id, process]) => routerLines(protocol, id, process));
+    });
+
+    config.staticRoutes.forEach(route => {
+        lines.push(`ip route ${route.network} ${route.mask} ${route.nextHop || route.iface}`);
+    });
+    if (config.staticRoutes.length) lines.push('!');
+    const accessLists = Object.entries(config.accessLists || {}).sort(([a], [b]) => compareAclNames(a, b));
+    const numbered = accessLists.filter(([name]) => !isNamedAcl(name));
+    numbered.forEach(([name, list]) => {
+        list.entries.forEach(entry => lines.push(`access-list ${name} ${formatAclEntry(entry, isStandardAcl(name))}`));
+    });
+    if (numbered.length) lines.push('!');
+    accessLists.filter(([name]) => isNamedAcl(name)).forEach(([name, list]) => {
+        const standard = isStandardAcl(name, list);
+        lines.push(`ip access-list ${standard ? 'standard' : 'extended'} ${name}`);
+        list.entries.forEach(entry => lines.push(` ${formatAclEntry(entry, standard)}`));
+        lines.push('!');
+    });
+    if (config.banner !== null) lines.push('banner motd ^C', config.banner, '^C', '!');
+    lines.push('line con 0', 'line vty 0 4', ' login', '!', 'end');
+    return lines.join('\n');
+}
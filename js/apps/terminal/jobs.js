@@ -0,0 +1,498 @@
+// js/apps/terminal/jobs.js
+
+/**
+ * Job control. Every command line typed at the prompt runs as a job; jobs
+ * started with `&` or stopped with Ctrl+Z are kept in terminal.jobs, where
+ * jobs, fg, bg, kill and wait find them. A job's AbortSignal reaches
+ * handlers as io.signal, and the executor stops running a job's commands
+ * once it is aborted or while it is stopped.
+ * @author jared u.
+ */
+
+import { ShellControl, displayResult, runCommandLine } from './shell.js';
+import { handleCommandError } from './outputUtils.js';
+import { handleClose } from './commands/appControl.js';
+
+export const SIGNALS = { 0: 'EXIT', 1: 'HUP', 2: 'INT', 3: 'QUIT', 9: 'KILL', 15: 'TERM', 18: 'CONT', 19: 'STOP', 20: 'TSTP' };
+
+// How a job killed by a signal is reported
+const SIGNAL_STATES = { HUP: 'Hangup', INT: 'Interrupt', QUIT: 'Quit', KILL: 'Killed', TERM: 'Terminated' };
+
+// The shell itself is $$ = 1234; jobs are numbered after it
+const FIRST_PID = 2000;
+
+/**
+ * Normalize a signal given as a number, a name or a SIG-prefixed name.
+ * @param {string|number} spec
+ * @returns {?string} The bare name, e.g. 'INT', or null if unknown
+ */
+export function signalName(spec) {
+    const upper = String(spec).toUpperCase().replace(/^SIG/, '');
+    if (SIGNALS[upper]) return SIGNALS[upper];
+    return Object.values(SIGNALS).includes(upper) ? upper : null;
+}
+
+function signalNumber(name) {
+    return Number(Object.keys(SIGNALS).find(number => SIGNALS[number] === name));
+}
+
+/**
+ * Wait for `ms` milliseconds, or less if the signal is aborted first.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<boolean>} false when cut short by the signal
+ */
+export function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve(false);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(true);
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * True for handler results that stream their output: anything with an
+ * async iterator, typically an async generator yielding lines.
+ * @param {*} output
+ * @returns {boolean}
+ */
+export function isStream(output) {
+    return typeof output?.[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * One command line, or one `&` list, and its run state.
+ */
+export class Job {
+    /**
+     * @param {Terminal} terminal
+     * @param {string} command - Text shown by jobs
+     */
+    constructor(terminal, command) {
+        this.terminal = terminal;
+        this.command = command;
+        this.id = null;
+        this.pid = terminal.nextPid = (terminal.nextPid || FIRST_PID) + 1;
+        this.state = 'Running';
+        this.started = Date.now();
+        this.status = null;
+        this.signalled = null;
+        this.error = null;
+        this.controller = new AbortController();
+        this.resumed = null;
+        this.resume = null;
+        this.waiters = [];
+        this.done = null;
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /** Status a job killed by its current signal exits with */
+    get abortStatus() {
+        return 128 + signalNumber(this.signalled || 'INT');
+    }
+
+    get finished() {
+        return this.status !== null;
+    }
+
+    /**
+     * Run `task`, whose result is the job's exit status. An INT trap that
+     * was set when the job was interrupted runs once the job has unwound.
+     * @param {Function} task
+     */
+    start(task) {
+        this.done = (async () => {
+            let status;
+            try {
+                status = await task();
+            } catch (error) {
+                if (error instanceof ShellControl) {
+                    status = error.value;
+                } else {
+                    this.error = error;
+                    status = 1;
+                }
+            }
+            if (this.interruptTrap) await runCommandLine(this.terminal, this.interruptTrap);
+            this.finish(this.signalled ? this.abortStatus : status);
+        })();
+        return this;
+    }
+
+    finish(status) {
+        this.status = status;
+        if (this.signalled) this.state = SIGNAL_STATES[this.signalled] || 'Terminated';
+        else this.state = status === 0 ? 'Done' : `Exit ${status}`;
+        this.resume?.();
+        this.notify();
+    }
+
+    notify() {
+        this.waiters.splice(0).forEach(resolve => resolve());
+    }
+
+    /** Resolves when the job stops or finishes */
+    settled() {
+        if (this.state !== 'Running') return Promise.resolve();
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    /** Resolves straight away unless the job is stopped */
+    whileStopped() {
+        return this.state === 'Stopped' ? this.resumed : Promise.resolve();
+    }
+
+    stop() {
+        if (this.state !== 'Running') return false;
+        this.state = 'Stopped';
+        this.resumed = new Promise(resolve => { this.resume = resolve; });
+        this.notify();
+        return true;
+    }
+
+    continue() {
+        if (this.state !== 'Stopped') return false;
+        this.state = 'Running';
+        this.resume();
+        this.resume = null;
+        return true;
+    }
+
+    /**
+     * Abort the job with a signal; a stopped job is woken so it can unwind.
+     * @param {string} signal - Bare signal name
+     */
+    kill(signal = 'TERM') {
+        if (this.finished) return;
+        this.signalled = signal;
+        this.controller.abort();
+        this.continue();
+    }
+}
+
+/**
+ * Put a job in the job table, making it the current job (`%+`).
+ * @param {Terminal} terminal
+ * @param {Job} job
+ */
+function addJob(terminal, job) {
+    if (!terminal.jobs) terminal.jobs = new Map();
+    if (job.id === null) {
+        job.id = Math.max(0, ...terminal.jobs.keys()) + 1;
+    }
+    terminal.jobs.delete(job.id);
+    terminal.jobs.set(job.id, job);
+}
+
+/**
+ * Start `task` as a background job, the way `cmd &` does.
+ * @param {Terminal} terminal
+ * @param {string} command
+ * @param {Function} task - Called with the job; resolves to an exit status
+ * @returns {Job}
+ */
+export function spawnJob(terminal, command, task) {
+    const job = new Job(terminal, command);
+    job.start(() => task(job));
+    job.done.then(() => {
+        if (job.error) handleCommandError(terminal, job.error);
+    });
+    addJob(terminal, job);
+    terminal.lastBackgroundPid = job.pid;
+    return job;
+}
+
+function jobMark(terminal, job) {
+    const ids = [...(terminal.jobs?.keys() || [])];
+    if (job.id === ids[ids.length - 1]) return '+';
+    return job.id === ids[ids.length - 2] ? '-' : ' ';
+}
+
+/**
+ * One line of `jobs` output, e.g. `[1]+  Running                 sleep 30 &`.
+ * @param {Terminal} terminal
+ * @param {Job} job
+ * @param {boolean} [withPid]
+ * @returns {string}
+ */
+export function formatJob(terminal, job, withPid = false) {
+    const pid = withPid ? `${job.pid} ` : '';
+    const command = job.state === 'Running' ? `${job.command} &` : job.command;
+    return `[${job.id}]${jobMark(terminal, job)}  ${pid}${job.state.padEnd(24)}${command}`;
+}
+
+/**
+ * Report background jobs that have finished since the last prompt, as bash
+ * does before printing the next one, and drop them from the table.
+ * @param {Terminal} terminal
+ */
+export async function reportFinishedJobs(terminal) {
+    const finished = [...(terminal.jobs?.values() || [])].filter(job => job.finished);
+    if (!finished.length) return;
+    const lines = finished.map(job => formatJob(terminal, job));
+    finished.forEach(job => terminal.jobs.delete(job.id));
+    await displayResult(terminal, lines.join('\n'), '');
+}
+
+/**
+ * Wait for a job in the foreground. Ctrl+C and Ctrl+Z act on it until it
+ * finishes or stops; a stopped job is added to the job table.
+ * @param {Terminal} terminal
+ * @param {Job} job
+ * @returns {Promise<number>} Its exit status, or 148 when it was stopped
+ */
+export async function waitForeground(terminal, job) {
+    const previous = terminal.foregroundJob;
+    terminal.foregroundJob = job;
+    try {
+        await job.settled();
+    } finally {
+        terminal.foregroundJob = previous;
+    }
+
+    if (job.state === 'Stopped') {
+        addJob(terminal, job);
+        await displayResult(terminal, formatJob(terminal, job), '');
+        terminal.lastExitCode = 148;
+        return 148;
+    }
+    if (job.id !== null) terminal.jobs.delete(job.id);
+    terminal.lastExitCode = job.status;
+    return job.status;
+}
+
+/**
+ * Run a command line typed at the prompt as the foreground job.
+ * @param {Terminal} terminal
+ * @param {string} line
+ * @returns {Promise<number>} Exit status
+ */
+export async function runForeground(terminal, line, run = runCommandLine) {
+    const job = new Job(terminal, line);
+    job.start(() => run(terminal, line, { job }));
+    const status = await waitForeground(terminal, job);
+    if (job.error) throw job.error;
+    return status;
+}
+
+/**
+ * Ctrl+C: interrupt the foreground job. `trap '' INT` ignores it; any
+ * other INT trap runs after the job has stopped.
+ * @param {Terminal} terminal
+ * @returns {boolean} Whether a job was running
+ */
+export function interruptForeground(terminal) {
+    const job = terminal.foregroundJob;
+    if (!job) return false;
+    const trap = terminal.traps?.get('INT');
+    if (trap === '') return true;
+    job.interruptTrap = trap || null;
+    displayResult(terminal, '^C', '');
+    job.kill('INT');
+    return true;
+}
+
+/**
+ * Ctrl+Z: stop the foreground job and give the prompt back.
+ * @param {Terminal} terminal
+ * @returns {boolean} Whether a job was running
+ */
+export function suspendForeground(terminal) {
+    const job = terminal.foregroundJob;
+    if (!job) return false;
+    displayResult(terminal, '^Z', '');
+    job.stop();
+    return true;
+}
+
+/**
+ * Resolve a job spec: %n, %+, %%, %-, %prefix or a pid. No spec means
+ * the current job.
+ * @returns {Job|string} The job, or an error message
+ */
+function findJob(terminal, spec, command) {
+    const jobs = [...(terminal.jobs?.values() || [])];
+    let job;
+    if (spec === undefined || spec === '%+' || spec === '%%' || spec === '%') {
+        job = jobs[jobs.length - 1];
+        if (!job) return `bash: ${command}: current: no such job`;
+        return job;
+    }
+    if (spec === '%-') {
+        job = jobs[jobs.length - 2];
+    } else if (/^%\d+$/.test(spec)) {
+        job = terminal.jobs?.get(Number(spec.slice(1)));
+    } else if (spec.startsWith('%')) {
+        job = [...jobs].reverse().find(candidate => candidate.command.startsWith(spec.slice(1)));
+    } else if (/^\d+$/.test(spec)) {
+        job = jobs.find(candidate => candidate.pid === Number(spec));
+        if (!job) return `bash: ${command}: (${spec}) - No such process`;
+    }
+    return job || `bash: ${command}: ${spec}: no such job`;
+}
+
+/**
+ * jobs [-l|-p]
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @returns {string}
+ */
+export function handleJobs(terminal, args = []) {
+    const jobs = [...(terminal.jobs?.values() || [])];
+    if (args.includes('-p')) return jobs.map(job => job.pid).join('\n');
+    const lines = jobs.map(job => formatJob(terminal, job, args.includes('-l')));
+    jobs.filter(job => job.finished).forEach(job => terminal.jobs.delete(job.id));
+    return lines.join('\n');
+}
+
+/**
+ * fg [job]: continue a job in the foreground and wait for it.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {Promise<string>}
+ */
+export async function handleFg(terminal, args = [], io = {}) {
+    const job = findJob(terminal, args[0], 'fg');
+    if (typeof job === 'string') {
+        io.exitCode = 1;
+        return job;
+    }
+    await displayResult(terminal, job.command, '');
+    job.continue();
+    io.exitCode = await waitForeground(terminal, job);
+    return '';
+}
+
+/**
+ * bg [job ...]: continue stopped jobs in the background.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleBg(terminal, args = [], io = {}) {
+    const specs = args.length ? args : [undefined];
+    return specs.map(spec => {
+        const job = findJob(terminal, spec, 'bg');
+        if (typeof job === 'string') {
+            io.exitCode = 1;
+            return job;
+        }
+        if (!job.continue()) {
+            io.exitCode = 1;
+            return `bash: bg: job ${job.id} already in background`;
+        }
+        return `[${job.id}]${jobMark(terminal, job)} ${job.command} &`;
+    }).join('\n');
+}
+
+/**
+ * kill [-s signal | -signal] job|pid ... | kill -l
+ * Arguments that are neither job specs nor numbers are window names, which
+ * are passed on to the app-control close command.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleKill(terminal, args = [], io = {}) {
+    if (args[0] === '-l' || args[0] === '-L') {
+        return Object.entries(SIGNALS).filter(([number]) => number !== '0')
+            .map(([number, name]) => `${number.padStart(2)}) SIG${name}`).join('\n');
+    }
+
+    let signal = 'TERM';
+    let targets = args;
+    if (args[0] === '-s' || args[0] === '-n') {
+        signal = signalName(args[1] ?? '');
+        targets = args.slice(2);
+    } else if (args[0]?.startsWith('-')) {
+        signal = signalName(args[0].slice(1));
+        targets = args.slice(1);
+    }
+    if (!signal) {
+        io.exitCode = 1;
+        return `bash: kill: ${args[0] === '-s' || args[0] === '-n' ? args[1] : args[0].slice(1)}: invalid signal specification`;
+    }
+    if (!targets.length) {
+        io.exitCode = 2;
+        return 'kill: usage: kill [-s sigspec | -n signum | -sigspec] pid | jobspec ... or kill -l [sigspec]';
+    }
+    if (!targets.some(target => /^(%.*|\d+)$/.test(target))) {
+        return handleClose(args);
+    }
+
+    const errors = [];
+    targets.forEach(target => {
+        const job = findJob(terminal, target, 'kill');
+        if (typeof job === 'string') {
+            errors.push(job);
+            return;
+        }
+        if (signal === 'STOP' || signal === 'TSTP') job.stop();
+        else if (signal === 'CONT') job.continue();
+        else job.kill(signal);
+    });
+    if (errors.length) io.exitCode = 1;
+    return errors.join('\n');
+}
+
+/**
+ * wait [job ...]: wait for background jobs to finish.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {Promise<string>}
+ */
+export async function handleWait(terminal, args = [], io = {}) {
+    const jobs = args.length
+        ? args.map(spec => findJob(terminal, spec, 'wait'))
+        : [...(terminal.jobs?.values() || [])];
+    const missing = jobs.filter(job => typeof job === 'string');
+    const interrupted = new Promise(resolve => io.signal?.addEventListener('abort', resolve, { once: true }));
+
+    let status = 0;
+    for (const job of jobs.filter(job => typeof job !== 'string')) {
+        await Promise.race([job.done, interrupted]);
+        if (io.signal?.aborted) break;
+        status = job.status;
+    }
+    io.exitCode = missing.length ? 127 : status;
+    return missing.join('\n');
+}
+
+/**
+ * sleep number[smhd] ...: pause for the total duration, or until the job
+ * is interrupted.
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {Promise<string>}
+ */
+export async function handleSleep(args = [], io = {}) {
+    const units = { s: 1, m: 60, h: 3600, d: 86400 };
+    let seconds = 0;
+    for (const arg of args) {
+        const match = arg.match(/^(\d*\.?\d+)([smhd]?)$/);
+        if (!match) {
+            io.exitCode = 1;
+            return `sleep: invalid time interval '${arg}'`;
+        }
+        seconds += Number(match[1]) * units[match[2] || 's'];
+    }
+    await sleep(seconds * 1000, io.signal);
+    return '';
+}
@@ -0,0 +1,576 @@
+// js/apps/terminal/netlab.js
+
+/**
+ * The simulated network behind ping, traceroute, nslookup, arp, route and
+ * ip. It is built from the nodes and edges in CONFIG.NETWORK: edges that
+ * meet at a switch form one LAN segment, every other edge is a
+ * point-to-point link. Addresses, MACs, routing tables and DNS records are
+ * derived from the topology, so the same config always gives the same lab.
+ * The terminal itself is one more host, `neuos`, on the first LAN.
+ * @author jared u.
+ */
+
+import { CONFIG } from '../../config.js';
+
+export const LAB_DOMAIN = 'lab.local';
+
+const LOCAL_HOST = { id: 'neuos', label: 'neuos', group: 'local' };
+const ISP = { id: 'isp', label: 'gw', group: 'isp', domain: 'isp.example' };
+const LAYER3_GROUPS = ['routers', 'firewalls'];
+
+// First host number on a LAN for each kind of device
+const HOST_NUMBERS = { routers: 1, switches: 5, servers: 10, local: 100, pcs: 101 };
+
+// What listens on each kind of host, as protocol/port; the lab's name
+// server answers DNS as well
+const SERVICES = {
+    routers: ['tcp/22', 'tcp/23'],
+    firewalls: ['tcp/22', 'tcp/23'],
+    switches: ['tcp/22', 'tcp/23'],
+    servers: ['tcp/22', 'tcp/80', 'tcp/443'],
+    local: ['tcp/22']
+};
+const DNS_SERVICES = ['udp/53', 'tcp/53'];
+
+// What Internet hosts answer on
+const INTERNET_SERVICES = ['tcp/80', 'tcp/443', 'udp/53'];
+
+// One-way delay of a link in milliseconds, before its cost is applied
+const LAN_LATENCY = 0.15;
+const LINK_LATENCY = 0.8;
+const INTERNET_LATENCY = 6;
+const MAX_HOPS = 30;
+
+// The interface traffic a host sends to itself goes out and comes back in on
+const LOOPBACK = { name: 'lo', address: parseIPv4('127.0.0.1') };
+
+// Routes, addresses and links supplied from outside; see setLabState()
+let labState = {};
+
+// Sites outside the lab that resolve
+const EXTERNAL_ZONE = {
+    'example.com': '93.184.216.34',
+    'one.one.one.one': '1.1.1.1',
+    'dns.google': '8.8.8.8',
+    'github.com': '140.82.112.3'
+};
+
+const PRIVATE_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+];
+
+/**
+ * Parse a dotted-quad IPv4 address.
+ * @param {string} text
+ * @returns {?number} The address as an unsigned 32-bit number
+ */
+export function parseIPv4(text) {
+    const parts = String(text).split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+    return parts.reduce((address, part) => ((address << 8) | Number(part)) >>> 0, 0);
+}
+
+/**
+ * @param {number} address
+ * @returns {string}
+ */
+export function formatIPv4(address) {
+    return [24, 16, 8, 0].map(shift => (address >>> shift) & 255).join('.');
+}
+
+/**
+ * @param {number} prefix - 0 to 32
+ * @returns {number} The netmask as a number
+ */
+export function prefixMask(prefix) {
+    return prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+}
+
+/**
+ * The inverse of prefixMask() for a contiguous mask.
+ * @param {number} mask
+ * @returns {number}
+ */
+export function maskPrefix(mask) {
+    return 32 - Math.log2((~mask >>> 0) + 1);
+}
+
+/** The prefix length of an address's class A, B or C network */
+export function classfulPrefix(address) {
+    const first = address >>> 24;
+    return first < 128 ? 8 : first < 192 ? 16 : 24;
+}
+
+/**
+ * Whether `address` lies in network/prefix.
+ */
+export function inSubnet(address, network, prefix) {
+    const mask = prefixMask(prefix);
+    return ((address & mask) >>> 0) === ((network & mask) >>> 0);
+}
+
+export function isPublicAddress(address) {
+    return !PRIVATE_RANGES.some(([network, prefix]) => inSubnet(address, parseIPv4(network), prefix));
+}
+
+function slug(label) {
+    return String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/** A small stable hash for made-up but repeatable values */
+export function stableHash(text) {
+    let hash = [...String(text)].reduce((value, char) => Math.imul(value ^ char.charCodeAt(0), 16777619), 2166136261);
+    // Spread small input differences over all the bits
+    hash = Math.imul(hash ^ (hash >>> 16), 0x45d9f3b);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+function macAddress(nodeIndex, interfaceIndex) {
+    const bytes = [0x00, 0x1a, 0x2b, 0x00, nodeIndex, interfaceIndex];
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join(':');
+}
+
+/**
+ * One device in the lab.
+ */
+export class Host {
+    constructor(node, index) {
+        this.id = node.id;
+        this.label = node.label;
+        this.group = node.group;
+        this.index = index;
+        this.hostname = slug(node.label);
+        this.domain = node.domain || LAB_DOMAIN;
+        this.interfaces = [];
+        this.routes = [];
+        this.arp = new Map();
+        this.services = [...(SERVICES[node.group] || [])];
+    }
+
+    get fqdn() {
+        return `${this.hostname}.${this.domain}`;
+    }
+
+    get isRouter() {
+        return LAYER3_GROUPS.includes(this.group) || this.group === 'isp';
+    }
+
+    /** Replies from network gear start at TTL 255, from hosts at 64 */
+    get initialTtl() {
+        return LAYER3_GROUPS.includes(this.group) || this.group === 'switches' ? 255 : 64;
+    }
+
+    /** The host's first address, used when it is named rather than addressed */
+    get address() {
+        return this.interfaces[0]?.address ?? null;
+    }
+
+    interfaceName(position) {
+        if (this.group === 'switches') return `Vlan${position + 1}`;
+        if (LAYER3_GROUPS.includes(this.group) || this.group === 'isp') return `GigabitEthernet0/${position}`;
+        return `eth${position}`;
+    }
+
+    addInterface(segment, address) {
+        const iface = {
+            name: this.interfaceName(this.interfaces.length),
+            address,
+            prefix: segment.prefix,
+            network: segment.network,
+            mac: macAddress(this.index, this.interfaces.length),
+            segment
+        };
+        this.interfaces.push(iface);
+        segment.members.push({ host: this, iface });
+        return iface;
+    }
+
+    ownsAddress(address) {
+        if (address >>> 24 === 127) return true;
+        const addresses = labState.addresses?.(this);
+        return addresses ? addresses.includes(address) : this.interfaces.some(iface => iface.address === address);
+    }
+
+    /**
+     * Whether something answers on a port.
+     * @param {string} protocol - 'tcp' or 'udp'
+     * @param {number} port
+     */
+    listens(protocol, port) {
+        return this.services.includes(`${protocol}/${port}`);
+    }
+
+    /**
+     * Longest-prefix match in the routing table.
+     * @param {number} address
+     * @returns {?object}
+     */
+    lookupRoute(address) {
+        return (labState.routes?.(this) || this.routes)
+            .filter(route => inSubnet(address, route.network, route.prefix))
+            .sort((a, b) => b.prefix - a.prefix || a.metric - b.metric)[0] || null;
+    }
+}
+
+/**
+ * The lab: hosts, the segments joining them and the DNS zone.
+ */
+export class Network {
+    /**
+     * @param {{nodes: object[], edges: object[]}} config - CONFIG.NETWORK
+     */
+    constructor({ nodes = [], edges = [] } = {}) {
+        this.hosts = new Map();
+        this.segments = [];
+        [...nodes, LOCAL_HOST, ISP].forEach((node, index) => {
+            this.hosts.set(node.id, new Host(node, index + 1));
+        });
+        this.localHost = this.hosts.get(LOCAL_HOST.id);
+        this.buildSegments(nodes, edges);
+        this.buildRoutes();
+        this.buildZone();
+    }
+
+    /**
+     * Edges at a switch join that switch's LAN; the rest become /30 links.
+     * The local host joins the first LAN, and the firewall (or the first
+     * router) gets an uplink to the ISP.
+     */
+    buildSegments(nodes, edges) {
+        const switches = nodes.filter(node => node.group === 'switches');
+        const lans = new Map(switches.map((node, index) => [node.id, {
+            network: parseIPv4(`192.168.${index + 1}.0`),
+            prefix: 24,
+            latency: LAN_LATENCY,
+            members: []
+        }]));
+        const lanMembers = new Map([...lans.keys()].map(id => [id, [this.hosts.get(id)]]));
+        const links = [];
+
+        edges.forEach(edge => {
+            const cost = edge.cost || 1;
+            if (lans.has(edge.to) || lans.has(edge.from)) {
+                const switchId = lans.has(edge.to) ? edge.to : edge.from;
+                const other = switchId === edge.to ? edge.from : edge.to;
+                if (!lans.has(other)) lanMembers.get(switchId).push(this.hosts.get(other));
+                lans.get(switchId).cost = Math.max(lans.get(switchId).cost || 1, cost);
+            } else {
+                links.push([this.hosts.get(edge.from), this.hosts.get(edge.to), cost]);
+            }
+        });
+        if (lans.size) lanMembers.values().next().value.push(this.localHost);
+
+        lans.forEach((segment, switchId) => {
+            segment.cost = segment.cost || 1;
+            this.segments.push(segment);
+            const next = { ...HOST_NUMBERS };
+            lanMembers.get(switchId).filter(Boolean).forEach(host => {
+                // Routers and firewalls share one range
+                const group = host.group === 'firewalls' ? 'routers' : host.group;
+                const kind = group in next ? group : 'pcs';
+                host.addInterface(segment, segment.network + next[kind]++);
+            });
+        });
+
+        const uplink = nodes.find(node => node.group === 'firewalls') || nodes.find(node => node.group === 'routers');
+        if (uplink) links.push([this.hosts.get(uplink.id), this.hosts.get(ISP.id), 1, parseIPv4('203.0.113.0')]);
+
+        links.forEach(([a, b, cost, network], index) => {
+            if (!a || !b) return;
+            const segment = {
+                network: network ?? parseIPv4(`10.0.0.${index * 4}`),
+                prefix: 30,
+                latency: LINK_LATENCY,
+                cost,
+                members: []
+            };
+            this.segments.push(segment);
+            // The ISP side of the uplink is .1, as providers usually number it
+            const [first, second] = b.group === 'isp' ? [b, a] : [a, b];
+            first.addInterface(segment, segment.network + 1);
+            second.addInterface(segment, segment.network + 2);
+        });
+    }
+
+    /**
+     * Every host gets its connected networks. Hosts on a LAN use the
+     * first router there as their default gateway; routers get a route to
+     * every other network along the cheapest path, and a default route
+     * towards the ISP.
+     */
+    buildRoutes() {
+        this.hosts.forEach(host => {
+            host.routes = host.interfaces.map(iface => ({
+                network: iface.network, prefix: iface.prefix, gateway: null, iface: iface.name, metric: 0, source: 'C'
+            }));
+        });
+
+        const routers = [...this.hosts.values()].filter(host => host.isRouter);
+        routers.forEach(router => {
+            const paths = this.shortestPaths(router);
+            this.segments.forEach(segment => {
+                if (router.interfaces.some(iface => iface.segment === segment)) return;
+                const owner = segment.members
+                    .filter(member => paths.has(member.host))
+                    .sort((a, b) => paths.get(a.host).cost - paths.get(b.host).cost)[0];
+                if (!owner) return;
+                const { firstHop, cost } = paths.get(owner.host);
+                router.routes.push({ network: segment.network, prefix: segment.prefix, gateway: firstHop.address, iface: firstHop.via, metric: cost, source: 'S' });
+            });
+            const isp = this.hosts.get(ISP.id);
+            if (router !== isp && paths.has(isp)) {
+                const { firstHop, cost } = paths.get(isp);
+                router.routes.push({ network: 0, prefix: 0, gateway: firstHop.address, iface: firstHop.via, metric: cost, source: 'S*' });
+            }
+        });
+
+        this.hosts.forEach(host => {
+            if (host.isRouter) return;
+            for (const iface of host.interfaces) {
+                const gateway = iface.segment.members.find(member => member.host.isRouter);
+                if (gateway) {
+                    host.routes.push({ network: 0, prefix: 0, gateway: gateway.iface.address, iface: iface.name, metric: 100, source: 'S*' });
+                    host.arp.set(gateway.iface.address, { mac: gateway.iface.mac, iface: iface.name });
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * Dijkstra over the routers, with each shared segment costing its cost.
+     * @returns {Map<Host, {cost: number, firstHop: {address: number, via: string}}>}
+     */
+    shortestPaths(source) {
+        const result = new Map([[source, { cost: 0, firstHop: null }]]);
+        const queue = [source];
+        while (queue.length) {
+            queue.sort((a, b) => result.get(a).cost - result.get(b).cost);
+            const current = queue.shift();
+            const { cost, firstHop } = result.get(current);
+            current.interfaces.forEach(iface => {
+                iface.segment.members.forEach(({ host, iface: peer }) => {
+                    if (!host.isRouter || host === current) return;
+                    const total = cost + iface.segment.cost;
+                    if (result.has(host) && result.get(host).cost <= total) return;
+                    result.set(host, { cost: total, firstHop: firstHop || { address: peer.address, via: iface.name } });
+                    queue.push(host);
+                });
+            });
+        }
+        result.delete(source);
+        return result;
+    }
+
+    buildZone() {
+        this.zone = new Map();
+        this.hosts.forEach(host => {
+            if (host.address !== null && host.domain === LAB_DOMAIN) this.zone.set(host.fqdn, host.address);
+        });
+        this.aliases = new Map([[`www.${LAB_DOMAIN}`, this.findHost('server-1')?.fqdn]]);
+        // Server 1 answers DNS for the lab, or the gateway when there is none
+        const server = this.findHost('server-1') || [...this.hosts.values()].find(host => host.isRouter);
+        this.nameServer = server?.address ?? null;
+        server?.services.push(...DNS_SERVICES);
+    }
+
+    /**
+     * Whether something answers on a port of a host the packet reached;
+     * null stands for a host on the Internet.
+     * @param {?Host} host
+     * @param {string} protocol
+     * @param {number} port
+     */
+    listens(host, protocol, port) {
+        return host ? host.listens(protocol, port) : INTERNET_SERVICES.includes(`${protocol}/${port}`);
+    }
+
+    /**
+     * Find a host by hostname, label, FQDN or one of its addresses.
+     * @param {string} name
+     * @returns {?Host}
+     */
+    findHost(name) {
+        const text = String(name).toLowerCase();
+        const address = parseIPv4(text);
+        for (const host of this.hosts.values()) {
+            if (address !== null ? host.interfaces.some(iface => iface.address === address)
+                : [host.hostname, host.fqdn, host.label.toLowerCase()].includes(text)) {
+                return host;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a name the way the lab's DNS server would. Short names are
+     * tried in the lab domain first.
+     * @param {string} name
+     * @returns {?{name: string, address: number, alias: ?string}}
+     */
+    resolve(name) {
+        const text = String(name).toLowerCase().replace(/\.$/, '');
+        const literal = parseIPv4(text);
+        if (literal !== null) return { name: text, address: literal, alias: null };
+        if (text === 'localhost') return { name: 'localhost', address: parseIPv4('127.0.0.1'), alias: null };
+
+        for (const candidate of text.includes('.') ? [text, `${text}.${LAB_DOMAIN}`] : [`${text}.${LAB_DOMAIN}`]) {
+            const canonical = this.aliases.get(candidate);
+            if (canonical) return { name: canonical, address: this.zone.get(canonical), alias: candidate };
+            if (this.zone.has(candidate)) return { name: candidate, address: this.zone.get(candidate), alias: null };
+        }
+        if (EXTERNAL_ZONE[text]) return { name: text, address: parseIPv4(EXTERNAL_ZONE[text]), alias: null };
+        return null;
+    }
+
+    /**
+     * Reverse lookup.
+     * @param {number} address
+     * @returns {?string}
+     */
+    reverse(address) {
+        for (const [name, value] of this.zone) if (value === address) return name;
+        for (const [name, value] of Object.entries(EXTERNAL_ZONE)) if (parseIPv4(value) === address) return name;
+        return null;
+    }
+
+    /**
+     * Follow a packet from `source` to `destination` hop by hop through the
+     * routing tables, learning ARP entries on the way. Given the packet
+     * itself, each host's packet filters get to see it too.
+     * @param {Host} source
+     * @param {number} destination
+     * @param {?object} [packet] - {protocol, source, destination, port, ...}
+     *   as the filters match it
+     * @returns {{reached: boolean, hops: object[], target: ?Host, error: ?string, reporter: ?number,
+     *   filters: object[], rejectWith: ?string, blockedBy: ?Host}}
+     *   hops are {address, name, latency} with the one-way latency so far;
+     *   error is 'network-unreachable', 'host-unreachable', 'timeout',
+     *   'filtered' (dropped by a filter) or 'rejected' (refused by one, with
+     *   the ICMP error or reset it answered with in rejectWith); filters are
+     *   the verdicts the packet met on the way
+     */
+    trace(source, destination, packet = null) {
+        const result = { reached: false, hops: [], target: null, error: null, reporter: null, filters: [], rejectWith: null, blockedBy: null };
+        if (source.ownsAddress(destination)) {
+            if (packet && (this.filtered(result, source, packet, null, LOOPBACK) || this.filtered(result, source, packet, LOOPBACK, null))) return result;
+            return { ...result, reached: true, target: source };
+        }
+
+        let current = source;
+        let arrival = null;
+        let latency = 0;
+        for (let ttl = 1; ttl <= MAX_HOPS; ttl++) {
+            const route = current.lookupRoute(destination);
+            if (!route && current.group === 'isp') return this.traceInternet(result, destination, latency);
+            if (!route) {
+                result.error = current === source ? 'network-unreachable' : 'timeout';
+                return result;
+            }
+            const nextHop = route.gateway ?? destination;
+            const iface = current.interfaces.find(candidate => candidate.name === route.iface);
+            if (!iface) {
+                // A route out of a loopback or null interface goes nowhere
+                result.error = 'timeout';
+                return result;
+            }
+            if (packet && this.filtered(result, current, packet, arrival, iface)) return result;
+            const neighbour = iface.segment.members.find(member => member.host !== current
+                && member.host.ownsAddress(nextHop)
+                && (labState.linked?.(current, iface, member.host, member.iface) ?? true));
+            if (!neighbour) {
+                // Nobody answers ARP for the next hop
+                result.error = 'host-unreachable';
+                result.reporter = iface.address;
+                return result;
+            }
+            current.arp.set(nextHop, { mac: neighbour.iface.mac, iface: iface.name });
+            neighbour.host.arp.set(iface.address, { mac: iface.mac, iface: neighbour.iface.name });
+
+            latency += iface.segment.latency * iface.segment.cost;
+            current = neighbour.host;
+            arrival = neighbour.iface;
+            const reached = current.ownsAddress(destination);
+            result.hops.push({ address: reached ? destination : nextHop, name: current.fqdn, latency });
+            if (reached) {
+                if (packet && this.filtered(result, current, packet, arrival, null)) return result;
+                result.reached = true;
+                result.target = current;
+                return result;
+            }
+        }
+        result.error = 'timeout';
+        return result;
+    }
+
+    /**
+     * Run a packet through the filters of the host it is at, having come
+     * in on `inbound` (null where it starts) and leaving on `outbound`
+     * (null where it ends).
+     * @returns {boolean} Whether it was stopped; the result then says how
+     */
+    filtered(result, host, packet, inbound, outbound) {
+        const checks = labState.filter?.(host, packet, inbound, outbound) || [];
+        result.filters.push(...checks);
+        const blocked = checks.find(check => check.verdict !== 'accept');
+        if (!blocked) return false;
+        // Stopped on the way in, the host does not answer for its hop either
+        if (blocked.direction === 'in') result.hops.pop();
+        result.error = blocked.verdict === 'reject' ? 'rejected' : 'filtered';
+        result.rejectWith = blocked.rejectWith ?? null;
+        result.reporter = (inbound || outbound).address;
+        result.blockedBy = host;
+        return true;
+    }
+
+    /**
+     * Beyond the ISP: public addresses answer after a few backbone hops
+     * that depend only on the address; private ones are dropped.
+     */
+    traceInternet(result, destination, latency) {
+        if (!isPublicAddress(destination)) {
+            result.error = 'timeout';
+            return result;
+        }
+        const hash = stableHash(formatIPv4(destination));
+        const backbone = 2 + (hash % 4);
+        for (let hop = 1; hop <= backbone; hop++) {
+            latency += INTERNET_LATENCY * (1 + ((hash >>> hop) % 3) / 2);
+            const address = parseIPv4(`198.51.100.${((hash >>> (hop * 3)) + hop * 37) % 254 + 1}`);
+            result.hops.push({ address, name: `ae${hop}.core${(hash + hop) % 9 + 1}.isp.example`, latency });
+        }
+        latency += INTERNET_LATENCY;
+        result.hops.push({ address: destination, name: this.reverse(destination), latency });
+        result.reached = true;
+        return result;
+    }
+}
+
+let network = null;
+
+/**
+ * Let other modules decide hosts' routes, addresses and which interfaces
+ * can reach each other, as the IOS devices do from their running-configs,
+ * and what their packet filters let through. Each call adds to what
+ * earlier ones set. A function that returns null, or is left out, keeps
+ * what the topology gives.
+ * @param {{routes?: function(Host): ?object[], addresses?: function(Host): ?number[],
+ *   linked?: function(Host, object, Host, object): boolean,
+ *   filter?: function(Host, object, ?object, ?object): object[]}} state -
+ *   filter gets the host, the packet and the interfaces it came in and
+ *   goes out on, and returns the verdicts of the chains it went through,
+ *   each {verdict: 'accept'|'drop'|'reject', direction: 'in'|'out', rejectWith}
+ */
+export function setLabState(state) {
+    labState = { ...labState, ...state };
+}
+
+/**
+ * The lab built from CONFIG.NETWORK, created on first use.
+ * @returns {Network}
+ */
+export function getNetwork() {
+    if (!network) network = new Network(CONFIG.NETWORK);
+    return network;
+}
@@ -0,0 +1,243 @@
+// js/apps/terminal/outputNodes.js
+
+/**
+ * Structured command output. Handlers that need more than plain text
+ * return typed nodes built with the constructors below instead of HTML
+ * strings; renderNode is the only place they become DOM, and it never
+ * parses markup, so user input inside a node is always shown literally.
+ * nodeToText gives the same output as plain text for pipes and files.
+ * @author jared u.
+ */
+
+import { hasAnsi, renderAnsi } from './ansi.js';
+import { COLUMN_GAP, joinCells, layoutTable, normalizeColumn, tableToText } from './table.js';
+
+const NODE_TYPES = new Set(['text', 'link', 'heading', 'line', 'block', 'code', 'table', 'keyValue', 'success']);
+
+/** Inline text, optionally styled with a CSS class */
+export function text(value, className = '') {
+    return { type: 'text', text: String(value), className };
+}
+
+/** Inline link; anything but http(s) and mailto renders as plain text */
+export function link(label, href) {
+    return { type: 'link', text: String(label), href: String(href) };
+}
+
+export function heading(value) {
+    return { type: 'heading', text: String(value) };
+}
+
+/** One line made of inline parts (strings, text and link nodes) */
+export function line(parts, className = '') {
+    return { type: 'line', children: [].concat(parts), className };
+}
+
+/** Children stacked vertically, one per line */
+export function block(children, className = '') {
+    return { type: 'block', children: [].concat(children), className };
+}
+
+/** Preformatted source, shown in a copyable <pre> */
+export function code(source) {
+    return { type: 'code', text: String(source) };
+}
+
+/**
+ * Rows of values under typed columns, laid out by table.js. A cell is a
+ * string, a number, or a text node to give it a CSS class.
+ * @param {Array<string|object>} columns - Labels or column specs, see normalizeColumn
+ * @param {Array<Array<*>>} rows
+ * @param {object} [options]
+ * @param {boolean} [options.header=true] - Show the column labels
+ */
+export function table(columns, rows, { header = true } = {}) {
+    return { type: 'table', columns: columns.map(normalizeColumn), rows, header };
+}
+
+/** @param {Array<[string, *]>|Object} entries */
+export function keyValue(entries) {
+    const pairs = Array.isArray(entries) ? entries : Object.entries(entries);
+    return { type: 'keyValue', entries: pairs.map(([key, value]) => [String(key), value]) };
+}
+
+/**
+ * A message confirming that a command did what was asked. Shown on its own
+ * as a success line; anywhere else, and in pipes, it is plain text.
+ */
+export function success(message) {
+    return { type: 'success', text: String(message) };
+}
+
+export function isOutputNode(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && NODE_TYPES.has(value.type);
+}
+
+function safeHref(href) {
+    if (!/^(https?|mailto):/i.test(href)) return null;
+    try {
+        return new URL(href).href;
+    } catch {
+        return null;
+    }
+}
+
+function element(tag, className = '') {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    return node;
+}
+
+function textNode(value) {
+    return hasAnsi(value) ? renderAnsi(value) : document.createTextNode(value);
+}
+
+function cell(tag, value) {
+    const node = element(tag);
+    node.appendChild(renderNode(value ?? ''));
+    return node;
+}
+
+// Rendered tables keep their node so a resize can lay them out again
+const renderedTables = new WeakMap();
+
+function fillTable(container, node, width) {
+    const { header, rows } = layoutTable(node, width);
+    const parts = [];
+    if (header) {
+        const labels = element('span', 'terminal-table-header');
+        labels.textContent = joinCells(header);
+        parts.push(labels);
+    }
+    rows.forEach(row => {
+        if (parts.length) parts.push('\n');
+        row.forEach(({ text: value, className }, index) => {
+            if (index) parts.push(' '.repeat(COLUMN_GAP));
+            if (!className) {
+                parts.push(textNode(value));
+                return;
+            }
+            const span = element('span', className);
+            span.appendChild(textNode(value));
+            parts.push(span);
+        });
+    });
+    container.replaceChildren(...parts);
+}
+
+/**
+ * Lay every table under container out again for a new terminal width.
+ * @param {Element} container
+ * @param {number} width - In characters
+ */
+export function refitTables(container, width) {
+    container.querySelectorAll('.terminal-table').forEach(tableElement => {
+        const node = renderedTables.get(tableElement);
+        if (node) fillTable(tableElement, node, width);
+    });
+}
+
+/** The first table in a node, e.g. for --json output */
+export function findTable(node) {
+    if (Array.isArray(node)) return node.map(findTable).find(Boolean) || null;
+    if (!isOutputNode(node)) return null;
+    if (node.type === 'table') return node;
+    return node.children ? findTable(node.children) : null;
+}
+
+/**
+ * Build the DOM for a node. Strings, numbers and arrays are accepted
+ * anywhere a node is; arrays render as a block.
+ * @param {*} node
+ * @param {object} [options]
+ * @param {number} [options.columns] - Terminal width in characters, for tables
+ * @returns {Node}
+ */
+export function renderNode(node, options = {}) {
+    if (node === null || node === undefined) return document.createTextNode('');
+    if (Array.isArray(node)) return renderNode(block(node), options);
+    if (!isOutputNode(node)) return textNode(String(node));
+    switch (node.type) {
+        case 'text': {
+            if (!node.className) return textNode(node.text);
+            const span = element('span', node.className);
+            span.appendChild(textNode(node.text));
+            return span;
+        }
+        case 'link': {
+            const href = safeHref(node.href);
+            if (!href) return document.createTextNode(node.text);
+            const anchor = element('a', 'terminal-link');
+            anchor.href = href;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener noreferrer';
+            anchor.textContent = node.text;
+            return anchor;
+        }
+        case 'success':
+            return renderNode(text(node.text, 'success'), options);
+        case 'heading': {
+            const title = element('h3');
+            title.appendChild(textNode(node.text));
+            return title;
+        }
+        case 'line':
+        case 'block': {
+            const div = element('div', node.className);
+            node.children.forEach(child => div.appendChild(renderNode(child, options)));
+            return div;
+        }
+        case 'code': {
+            const pre = element('pre', 'terminal-code');
+            const source = element('code');
+            source.appendChild(textNode(node.text));
+            pre.appendChild(source);
+            return pre;
+        }
+        case 'table': {
+            const tableElement = element('div', 'terminal-table');
+            renderedTables.set(tableElement, node);
+            fillTable(tableElement, node, options.columns);
+            return tableElement;
+        }
+        case 'keyValue': {
+            const list = element('dl', 'terminal-kv');
+            node.entries.forEach(([key, value]) => {
+                list.appendChild(cell('dt', key));
+                list.appendChild(cell('dd', value));
+            });
+            return list;
+        }
+        default:
+            return document.createTextNode('');
+    }
+}
+
+/**
+ * Plain-text form of a node: tables and key/value lists as padded
+ * columns, links as their label.
+ * @returns {string}
+ */
+export function nodeToText(node) {
+    if (node === null || node === undefined) return '';
+    if (Array.isArray(node)) return nodeToText(block(node));
+    if (!isOutputNode(node)) return String(node);
+    switch (node.type) {
+        case 'text':
+        case 'link':
+        case 'heading':
+        case 'code':
+        case 'success':
+            return node.text;
+        case 'line':
+            return node.children.map(nodeToText).join('');
+        case 'block':
+            return node.children.map(nodeToText).join('\n');
+        case 'table':
+            return tableToText(node);
+        case 'keyValue':
+            return tableToText(table(['', ''], node.entries.map(([key, value]) => [`${key}:`, nodeToText(value)]), { header: false }));
+        default:
+            return '';
+    }
+}
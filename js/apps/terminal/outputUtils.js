@@ -1,67 +1,74 @@
 // js/apps/terminal/outputUtils.js
 
 import { AppError, eventEmitter } from '../../utils/utils.js';
+import { hasAnsi, renderAnsi } from './ansi.js';
+import { isOutputNode, renderNode } from './outputNodes.js';
 
-function detectContentType(content) {
-    if (typeof content !== 'string') return 'plain';
-    
-    // Check for resume content more comprehensively
-    const resumeKeywords = [
-        'Jared Ubriaco', 'Senior Network Engineer', 'Professional Summary', 
-        'Professional Experience', 'Skills', 'Certifications', 'Network Engineer',
-        'Technology Consultant', 'Computer Support Specialist', 'Network Manager'
-    ];
-    
-    const hasResumeKeywords = resumeKeywords.some(keyword => 
-        content.toLowerCase().includes(keyword.toLowerCase())
-    );
-    
-    if (hasResumeKeywords) return 'resume';
-    if (/<(div|span|h3|p)/i.test(content)) return 'html';
-    return 'code';
+const HIGHLIGHT_PATTERN = /\b(?:(error|failed)|(success|connected)|(ssh|ping|show|clear|help|exit|launch|apps|close|focus))\b/gi;
+
+const RESUME_KEYWORDS = [
+    'Jared Ubriaco', 'Senior Network Engineer', 'Professional Summary', 
+    'Professional Experience', 'Skills', 'Certifications', 'Network Engineer',
+    'Technology Consultant', 'Computer Support Specialist', 'Network Manager'
+];
+
+function span(className, text) {
+    const node = document.createElement('span');
+    node.className = className;
+    node.textContent = text;
+    return node;
 }
 
+function isResumeText(content) {
+    const lower = content.toLowerCase();
+    return RESUME_KEYWORDS.some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Write output outside of a command, e.g. the welcome banner. Takes a
+ * string or an output node (see outputNodes.js); strings are never parsed
+ * as HTML.
+ */
 export function writeOutput(terminal, content) {
-    if (!content || typeof content !== 'string') return;
-    
-    const type = detectContentType(content);
-    let formatted = content;
-    
-    // Only apply syntax highlighting to code content
-    if (type === 'code') {
-        formatted = formatOutputWithSyntaxHighlighting(content);
-    }
+    if (!content) return;
     
-    const outputDiv = document.createElement('div');
-    outputDiv.className = 'terminal-result';
-    outputDiv.style.animation = 'resultSlideIn 0.3s ease-out';
-    
-    // For resume content, use textContent to avoid HTML rendering issues
-    if (type === 'resume') {
-        outputDiv.textContent = formatted;
+    const animation = 'resultSlideIn 0.3s ease-out';
+    if (typeof content === 'string' && (hasAnsi(content) || isResumeText(content))) {
+        // Escape sequences carry their own styling; keyword highlighting would fight it
+        terminal.scrollback.appendText(content, 'terminal-result', animation);
+    } else if (isOutputNode(content) || typeof content === 'string') {
+        const outputDiv = document.createElement('div');
+        outputDiv.className = 'terminal-result';
+        outputDiv.style.animation = animation;
+        outputDiv.appendChild(isOutputNode(content)
+            ? renderNode(content, { columns: terminal.columns })
+            : highlightSyntax(content));
+        addInteractiveElements(terminal, outputDiv);
+        terminal.scrollback.appendElement(outputDiv);
     } else {
-        outputDiv.innerHTML = formatted;
+        return;
     }
     
-    terminal.outputElement.appendChild(outputDiv);
-    trimOutput(terminal);
-    
     if (!terminal._disableAutoScroll) {
         scrollToBottom(terminal);
     }
-    
-    // Only add interactive elements for code content
-    if (type === 'code') {
-        addInteractiveElements(terminal, outputDiv);
-    }
 }
 
-export function formatOutputWithSyntaxHighlighting(content) {
-    // Performance optimization: simplified highlighting for better performance
-    return content
-        .replace(/\b(error|Error|ERROR|failed|Failed|FAILED)\b/gi, '<span class="error">$1</span>')
-        .replace(/\b(success|Success|SUCCESS|connected|Connected)\b/gi, '<span class="success">$1</span>')
-        .replace(/\b(ssh|ping|show|clear|help|exit|launch|apps|close|focus)\b/gi, '<span class="keyword">$1</span>');
+/**
+ * Wrap error, success and command keywords in spans.
+ * @param {string} content
+ * @returns {DocumentFragment}
+ */
+export function highlightSyntax(content) {
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    for (const match of content.matchAll(HIGHLIGHT_PATTERN)) {
+        fragment.append(content.slice(last, match.index));
+        fragment.appendChild(span(match[1] ? 'error' : match[2] ? 'success' : 'keyword', match[0]));
+        last = match.index + match[0].length;
+    }
+    fragment.append(content.slice(last));
+    return fragment;
 }
 
 export function addInteractiveElements(terminal, outputDiv) {
@@ -93,46 +100,69 @@ export async function copyToClipboard(terminal, text) {
     }
 }
 
-export function trimOutput(terminal) {
-    const { outputElement, maxOutputLength } = terminal;
-    while (outputElement.children.length > maxOutputLength) {
-        outputElement.firstChild.remove();
-    }
-}
-
 export function scrollToBottom(terminal) {
-    const el = terminal.outputElement;
-    el.scrollTop = el.scrollHeight;
+    terminal.scrollback.scrollToBottom();
 }
 
 export function scrollToTop(terminal) {
-    const el = terminal.outputElement;
-    el.scrollTop = 0;
-    setTimeout(() => el.scrollTop = 0, 50);
+    terminal.scrollback.scrollToTop();
+    setTimeout(() => terminal.scrollback.scrollToTop(), 50);
+}
+
+/** Scroll so the line with this sequence number is at the top of the viewport */
+export function scrollToLine(terminal, sequence) {
+    terminal.scrollback.reveal(sequence, 'start');
+    setTimeout(() => terminal.scrollback.reveal(sequence, 'start'), 50);
 }
 
+// Commands whose output is read from its first line, alone or after `show`
+const DOCUMENT_COMMANDS = ['resume', 'jared', 'demoscene'];
+
+/**
+ * Whether a command line is one of the document commands, e.g. `resume` or
+ * `show resume --no-pager`. Other lines that mention them, such as
+ * `grep SQL resume.txt` or IOS `show` commands, are ordinary output.
+ */
 export function isDocumentContent(command, output) {
-    return /show|resume|demoscene/i.test(command);
+    const [name, ...args] = String(command).trim().toLowerCase().split(/\s+/);
+    const operands = args.filter(arg => arg !== '--no-pager');
+    if (name === 'show') return operands.length === 1 && DOCUMENT_COMMANDS.includes(operands[0]);
+    return !operands.length && DOCUMENT_COMMANDS.includes(name);
 }
 
 export function clear(terminal) {
-    terminal.outputElement.innerHTML = '';
+    terminal.scrollback.clear();
     displayPrompt(terminal);
     terminal.inputElement.focus();
 }
 
-export function formatOutput(output, element) {
-    if (typeof output === 'string') {
-        /<[^>]*>/.test(output) ? element.innerHTML = output : element.textContent = output;
-    } else if (Array.isArray(output)) {
-        element.textContent = output.join('\n');
-    } else if (output && typeof output === 'object') {
-        element.textContent = JSON.stringify(output, null, 2);
+/**
+ * @param {*} output - A string, output node, array or object
+ * @param {Element} element
+ * @param {number} [columns] - Terminal width in characters, for tables
+ */
+export function formatOutput(output, element, columns) {
+    if (isNodeOutput(output)) {
+        element.replaceChildren(renderNode(output, { columns }));
+    } else if (hasAnsi(output)) {
+        element.replaceChildren(renderAnsi(output));
     } else {
-        element.textContent = String(output);
+        element.textContent = plainText(output);
     }
 }
 
+/** A result that isn't made of output nodes, as the text it shows */
+function plainText(output) {
+    if (typeof output === 'string') return output;
+    if (Array.isArray(output)) return output.join('\n');
+    if (output && typeof output === 'object') return JSON.stringify(output, null, 2);
+    return String(output);
+}
+
+function isNodeOutput(output) {
+    return isOutputNode(output) || (Array.isArray(output) && output.some(isOutputNode));
+}
+
 export function showLoading(terminal, message = 'processing...') {
     const div = document.createElement('div');
     div.className = 'terminal-loading';
@@ -145,13 +175,17 @@ export function hideLoading(terminal) {
     terminal.outputElement.querySelector('.terminal-loading')?.remove();
 }
 
+function writePrefixed(element, prefix, message) {
+    element.replaceChildren(prefix, hasAnsi(message) ? renderAnsi(message) : highlightSyntax(message));
+}
+
 export function handleCommandError(terminal, error) {
     const msg = error instanceof AppError ? error.message : String(error);
     const div = document.createElement('div');
     div.className = 'terminal-error';
-    div.innerHTML = `error: ${formatOutputWithSyntaxHighlighting(msg)}`;
+    writePrefixed(div, 'error: ', msg);
     div.style.animation = 'errorShake 0.5s ease-in-out';
-    terminal.outputElement.appendChild(div);
+    terminal.scrollback.appendElement(div);
     scrollToBottom(terminal);
     eventEmitter.emit('terminalError', { error });
 }
@@ -159,20 +193,27 @@ export function handleCommandError(terminal, error) {
 export function handleCommandSuccess(terminal, message) {
     const div = document.createElement('div');
     div.className = 'terminal-success';
-    div.innerHTML = `success: ${formatOutputWithSyntaxHighlighting(message)}`;
+    writePrefixed(div, 'success: ', message);
     div.style.animation = 'successBounce 0.6s ease-out';
-    terminal.outputElement.appendChild(div);
+    terminal.scrollback.appendElement(div);
     scrollToBottom(terminal);
 }
 
 export async function handleCommandResult(terminal, result, command = '') {
     const output = await (result instanceof Promise ? result : Promise.resolve(result));
-    const div = document.createElement('div');
-    div.className = 'terminal-result';
-    formatOutput(output, div);
-    terminal.outputElement.appendChild(div);
+    const start = terminal.scrollback.sequence;
+    if (isNodeOutput(output)) {
+        const div = document.createElement('div');
+        div.className = 'terminal-result';
+        formatOutput(output, div, terminal.columns);
+        terminal.scrollback.appendElement(div);
+    } else {
+        // Plain text goes into the scrollback line by line, however long it is
+        terminal.scrollback.appendText(plainText(output), 'terminal-result');
+    }
     if (isDocumentContent(command, output)) {
-        scrollToTop(terminal);
+        // Documents are read from their first line, wherever that is in the scrollback
+        scrollToLine(terminal, start);
         terminal._disableAutoScroll = true;
         setTimeout(() => terminal._disableAutoScroll = false, 1000);
     } else if (!terminal._disableAutoScroll) {
@@ -183,14 +224,14 @@ export async function handleCommandResult(terminal, result, command = '') {
 export function displayCommand(terminal, command, category = '') {
     const div = document.createElement('div');
     div.className = `terminal-command ${category}`;
-    div.innerHTML = `<span class="prompt">${terminal.getPrompt()}</span><span class="command-text">${command}</span>`;
-    terminal.outputElement.appendChild(div);
+    div.append(span('prompt', terminal.getPrompt()), span('command-text', command));
+    terminal.scrollback.appendElement(div);
     if (!terminal._disableAutoScroll) scrollToBottom(terminal);
 }
 
 export function displayPrompt(terminal) {
     const div = document.createElement('div');
     div.className = 'terminal-prompt';
-    div.innerHTML = `<span class="prompt">${terminal.getPrompt()}</span>`;
-    terminal.outputElement.appendChild(div);
+    div.appendChild(span('prompt', terminal.getPrompt()));
+    terminal.scrollback.appendElement(div);
 }
\ No newline at end of file
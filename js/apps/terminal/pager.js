@@ -0,0 +1,257 @@
+// js/apps/terminal/pager.js
+
+/**
+ * A less-style pager that covers the terminal window while long output is
+ * read. While it is open it receives every key pressed in the terminal
+ * input, see handleKeyDown in eventHandlers.js.
+ * @author jared u.
+ */
+
+import { stripAnsi } from './ansi.js';
+
+const DEFAULT_PAGE_HEIGHT = 24;
+const WHEEL_LINES = 3;
+
+function element(tag, className, text = '') {
+    const node = document.createElement(tag);
+    node.className = className;
+    node.textContent = text;
+    return node;
+}
+
+function lineHeightOf(node) {
+    const style = typeof getComputedStyle === 'function' ? getComputedStyle(node) : null;
+    const lineHeight = parseFloat(style?.lineHeight);
+    if (lineHeight > 0) return lineHeight;
+    const fontSize = parseFloat(style?.fontSize);
+    return fontSize > 0 ? fontSize * 1.6 : 0;
+}
+
+/**
+ * Number of text lines that fit in a node, or the classic 24 when the
+ * node has not been laid out.
+ */
+function linesThatFit(node) {
+    const lineHeight = node ? lineHeightOf(node) : 0;
+    const height = node?.clientHeight || 0;
+    return lineHeight && height ? Math.max(1, Math.floor(height / lineHeight)) : DEFAULT_PAGE_HEIGHT;
+}
+
+/**
+ * Build the search expression for `/pattern`. Patterns that are not valid
+ * regular expressions are searched for literally.
+ */
+function compileSearch(pattern) {
+    try {
+        return new RegExp(pattern, 'g');
+    } catch {
+        return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+    }
+}
+
+/**
+ * Whether text is too long to show without paging.
+ * @param {Terminal} terminal
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function needsPager(terminal, text) {
+    return text.split('\n').length > linesThatFit(terminal.outputElement);
+}
+
+/**
+ * Show text in the pager.
+ * @param {Terminal} terminal
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.title] - Name shown in the status line
+ * @param {boolean} [options.quitAtEnd] - Close when paging past the end, as more does
+ * @returns {Promise<void>} Resolves when the pager is closed
+ */
+export function openPager(terminal, text, { title = '', quitAtEnd = false } = {}) {
+    // Lines are searched and drawn as plain text, so colors are dropped
+    const lines = stripAnsi(text).replace(/\n$/, '').split('\n');
+    const host = terminal.outputElement.parentElement || terminal.outputElement;
+    const pager = element('div', 'terminal-pager');
+    const body = element('pre', 'terminal-pager-body');
+    const status = element('div', 'terminal-pager-status');
+    pager.append(body, status);
+
+    let top = 0;
+    let search = null;
+    let matches = [];
+    let prompt = null;
+    let message = '';
+
+    const pageHeight = () => linesThatFit(body);
+    const lastTop = () => Math.max(0, lines.length - pageHeight());
+    const atEnd = () => top >= lastTop();
+
+    const renderLine = line => {
+        if (!search) return [document.createTextNode(line)];
+        const nodes = [];
+        let index = 0;
+        search.lastIndex = 0;
+        for (const match of line.matchAll(search)) {
+            if (!match[0]) continue;
+            nodes.push(document.createTextNode(line.slice(index, match.index)));
+            nodes.push(element('mark', 'terminal-pager-match', match[0]));
+            index = match.index + match[0].length;
+        }
+        nodes.push(document.createTextNode(line.slice(index)));
+        return nodes;
+    };
+
+    const render = () => {
+        const height = pageHeight();
+        body.replaceChildren();
+        lines.slice(top, top + height).forEach((line, offset) => {
+            if (offset) body.append(document.createTextNode('\n'));
+            body.append(...renderLine(line));
+        });
+
+        if (prompt !== null) {
+            status.textContent = `/${prompt}`;
+            return;
+        }
+        const last = Math.min(lines.length, top + height);
+        const percent = Math.round((last / lines.length) * 100);
+        const position = atEnd() ? '(END)' : `lines ${top + 1}-${last}/${lines.length} ${percent}%`;
+        status.textContent = [title, message || position].filter(Boolean).join('  ');
+    };
+
+    const scrollTo = line => {
+        top = Math.max(0, Math.min(line, lastTop()));
+    };
+
+    const findFrom = (start, direction) => {
+        if (!matches.length) return false;
+        const candidates = direction > 0
+            ? matches.filter(line => line >= start)
+            : matches.filter(line => line <= start).reverse();
+        if (!candidates.length) return false;
+        scrollTo(candidates[0]);
+        return true;
+    };
+
+    const runSearch = pattern => {
+        if (!pattern) return;
+        search = compileSearch(pattern);
+        matches = lines.reduce((found, line, index) => {
+            search.lastIndex = 0;
+            if (search.test(line)) found.push(index);
+            return found;
+        }, []);
+        if (!findFrom(top, 1)) message = 'Pattern not found';
+    };
+
+    return new Promise(resolve => {
+        const close = () => {
+            pager.remove();
+            terminal.pager = null;
+            window.removeEventListener('resize', render);
+            terminal.inputElement?.focus();
+            resolve();
+        };
+
+        const handleSearchKey = e => {
+            if (e.key === 'Enter') {
+                const pattern = prompt;
+                prompt = null;
+                runSearch(pattern);
+            } else if (e.key === 'Escape' || (e.ctrlKey && e.key === 'c')) {
+                prompt = null;
+            } else if (e.key === 'Backspace') {
+                if (!prompt) prompt = null;
+                else prompt = prompt.slice(0, -1);
+            } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+                prompt += e.key;
+            }
+        };
+
+        const handleKey = e => {
+            e.preventDefault();
+            if (prompt !== null) {
+                handleSearchKey(e);
+                render();
+                return;
+            }
+
+            message = '';
+            const page = pageHeight();
+            switch (e.key) {
+                case 'q':
+                case 'Q':
+                    close();
+                    return;
+                case ' ':
+                case 'f':
+                case 'PageDown':
+                    if (quitAtEnd && atEnd()) {
+                        close();
+                        return;
+                    }
+                    scrollTo(top + page);
+                    break;
+                case 'b':
+                case 'PageUp':
+                    scrollTo(top - page);
+                    break;
+                case 'j':
+                case 'ArrowDown':
+                case 'Enter':
+                    if (quitAtEnd && atEnd()) {
+                        close();
+                        return;
+                    }
+                    scrollTo(top + 1);
+                    break;
+                case 'k':
+                case 'ArrowUp':
+                    scrollTo(top - 1);
+                    break;
+                case 'd':
+                    scrollTo(top + Math.ceil(page / 2));
+                    break;
+                case 'u':
+                    scrollTo(top - Math.ceil(page / 2));
+                    break;
+                case 'g':
+                case 'Home':
+                    scrollTo(0);
+                    break;
+                case 'G':
+                case 'End':
+                    scrollTo(lastTop());
+                    break;
+                case '/':
+                    prompt = '';
+                    break;
+                case 'n':
+                    if (!search) message = 'No previous search pattern';
+                    else if (!findFrom(top + 1, 1)) message = 'Pattern not found';
+                    break;
+                case 'N':
+                    if (!search) message = 'No previous search pattern';
+                    else if (!findFrom(top - 1, -1)) message = 'Pattern not found';
+                    break;
+                default:
+                    return;
+            }
+            render();
+        };
+
+        pager.addEventListener('wheel', e => {
+            e.preventDefault();
+            scrollTo(top + Math.sign(e.deltaY) * WHEEL_LINES);
+            render();
+        }, { passive: false });
+        pager.addEventListener('click', () => terminal.inputElement?.focus());
+        window.addEventListener('resize', render);
+
+        terminal.pager = { handleKey };
+        host.append(pager);
+        terminal.inputElement?.focus();
+        render();
+    });
+}
@@ -0,0 +1,142 @@
+// js/apps/terminal/persistence.js
+
+/**
+ * Terminal session persistence. Snapshots the virtual filesystem and
+ * environment into IndexedDB so they survive a reload.
+ * @author jared u.
+ */
+
+import { debounce } from '../../utils/utils.js';
+import { VirtualFileSystem } from './vfs.js';
+import { FACTORY_IMAGE_VERSION, upgradeFileSystem } from './fsImage.js';
+
+const DB_NAME = 'neuos-terminal';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+const SESSION_KEY = 'default';
+const SNAPSHOT_VERSION = 1;
+const SAVE_DELAY = 500;
+
+let databasePromise = null;
+
+/**
+ * Open (and on first use, create) the terminal database.
+ * @returns {Promise<IDBDatabase|null>} Resolves to null when IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (databasePromise) return databasePromise;
+
+    databasePromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                request.result.createObjectStore(STORE_NAME);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('neuOS: Failed to open terminal storage:', request.error);
+            resolve(null);
+        };
+    });
+    return databasePromise;
+}
+
+/**
+ * Run a single request against the sessions store.
+ * @param {IDBTransactionMode} mode
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Build the snapshot stored for a terminal.
+ * @param {Terminal} terminal
+ * @returns {object}
+ */
+export function createSnapshot(terminal) {
+    return {
+        version: SNAPSHOT_VERSION,
+        image: FACTORY_IMAGE_VERSION,
+        savedAt: Date.now(),
+        workingDirectory: terminal.workingDirectory,
+        environment: { ...terminal.environment },
+        fs: terminal.fs.toJSON()
+    };
+}
+
+/**
+ * Persist the terminal's filesystem and environment.
+ * @param {Terminal} terminal
+ */
+export async function saveSession(terminal) {
+    try {
+        await withStore('readwrite', store => store.put(createSnapshot(terminal), SESSION_KEY));
+    } catch (error) {
+        console.warn('neuOS: Failed to save terminal session:', error);
+    }
+}
+
+/**
+ * Restore a previously saved snapshot into the terminal, if there is one.
+ * A filesystem saved from an older factory image gets the files added
+ * to the image since.
+ * @param {Terminal} terminal
+ * @returns {Promise<boolean>} Whether a snapshot was applied
+ */
+export async function restoreSession(terminal) {
+    try {
+        const snapshot = await withStore('readonly', store => store.get(SESSION_KEY));
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return false;
+
+        terminal.fs = VirtualFileSystem.fromJSON(snapshot.fs);
+        if ((snapshot.image ?? 1) < FACTORY_IMAGE_VERSION) upgradeFileSystem(terminal.fs);
+        terminal.environment = { ...terminal.environment, ...snapshot.environment };
+        terminal.workingDirectory = terminal.fs.isDirectory(snapshot.workingDirectory)
+            ? snapshot.workingDirectory
+            : terminal.fs.home;
+        terminal.updateEnvironment();
+        return true;
+    } catch (error) {
+        console.warn('neuOS: Failed to restore terminal session:', error);
+        return false;
+    }
+}
+
+/**
+ * Remove the saved snapshot.
+ */
+export async function clearSession() {
+    try {
+        await withStore('readwrite', store => store.delete(SESSION_KEY));
+    } catch (error) {
+        console.warn('neuOS: Failed to clear terminal session:', error);
+    }
+}
+
+/**
+ * Save shortly after the terminal settles, coalescing bursts of commands.
+ * @param {Terminal} terminal
+ */
+export function scheduleSessionSave(terminal) {
+    if (!terminal._debouncedSessionSave) {
+        terminal._debouncedSessionSave = debounce(() => saveSession(terminal), SAVE_DELAY);
+    }
+    terminal._debouncedSessionSave();
+}
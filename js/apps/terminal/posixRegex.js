@@ -0,0 +1,115 @@
+// js/apps/terminal/posixRegex.js
+
+/**
+ * Translates POSIX basic and extended regular expressions, as written for
+ * grep, sed and awk, into JavaScript RegExp objects.
+ * @author jared u.
+ */
+
+import { AppError, ErrorTypes } from '../../utils/utils.js';
+
+/** Bracket-expression character classes and their JavaScript equivalents */
+export const CHARACTER_CLASSES = {
+    alpha: 'a-zA-Z',
+    digit: '0-9',
+    alnum: 'a-zA-Z0-9',
+    upper: 'A-Z',
+    lower: 'a-z',
+    space: ' \\t\\n\\r\\f\\v',
+    blank: ' \\t',
+    punct: '!-\\/:-@\\[-`{-~',
+    xdigit: '0-9A-Fa-f',
+    cntrl: '\\x00-\\x1f\\x7f',
+    print: '\\x20-\\x7e',
+    graph: '\\x21-\\x7e'
+};
+
+// Characters that are literal in a BRE unless escaped, and special in an ERE
+const BRE_LITERALS = '+?|(){}';
+
+function invalidPattern(pattern, reason) {
+    return new AppError(`${reason} in regular expression '${pattern}'`, ErrorTypes.VALIDATION);
+}
+
+/**
+ * Copy a bracket expression starting at `start`, translating [:class:] names.
+ * @returns {{source: string, end: number}} Translated text and the index after `]`
+ */
+function translateBracket(pattern, start) {
+    let i = start + 1;
+    let body = '';
+    if (pattern[i] === '^') {
+        body += '^';
+        i++;
+    }
+    if (pattern[i] === ']') {
+        body += '\\]';
+        i++;
+    }
+    while (i < pattern.length && pattern[i] !== ']') {
+        const named = pattern.slice(i).match(/^\[:([a-z]+):\]/);
+        if (named) {
+            if (!CHARACTER_CLASSES[named[1]]) throw invalidPattern(pattern, `invalid character class '${named[1]}'`);
+            body += CHARACTER_CLASSES[named[1]];
+            i += named[0].length;
+        } else if (pattern[i] === '\\' && i + 1 < pattern.length) {
+            body += pattern.slice(i, i + 2);
+            i += 2;
+        } else {
+            body += pattern[i] === '[' ? '\\[' : pattern[i];
+            i++;
+        }
+    }
+    if (i >= pattern.length) throw invalidPattern(pattern, 'unmatched [');
+    return { source: `[${body}]`, end: i + 1 };
+}
+
+/**
+ * Translate a POSIX pattern into JavaScript RegExp source.
+ * @param {string} pattern
+ * @param {boolean} [extended=false] - ERE (grep -E, sed -E, awk) rather than BRE
+ * @returns {string}
+ */
+export function toRegExpSource(pattern, extended = false) {
+    let source = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const char = pattern[i];
+        if (char === '[') {
+            const bracket = translateBracket(pattern, i);
+            source += bracket.source;
+            i = bracket.end;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            const next = pattern[i + 1];
+            if (!extended && BRE_LITERALS.includes(next)) source += next;
+            else if (next === '<' || next === '>') source += '\\b';
+            else source += `\\${next}`;
+            i += 2;
+        } else {
+            source += !extended && BRE_LITERALS.includes(char) ? `\\${char}` : char;
+            i++;
+        }
+    }
+    return source;
+}
+
+/**
+ * Compile a POSIX pattern.
+ * @param {string} pattern
+ * @param {object} [options]
+ * @param {boolean} [options.extended=false]
+ * @param {boolean} [options.ignoreCase=false]
+ * @param {boolean} [options.global=false]
+ * @param {boolean} [options.wholeWord=false] - Match only at word boundaries (grep -w)
+ * @returns {RegExp}
+ * @throws {AppError} When the pattern is malformed
+ */
+export function compilePattern(pattern, { extended = false, ignoreCase = false, global = false, wholeWord = false } = {}) {
+    let source = toRegExpSource(pattern, extended);
+    if (wholeWord) source = `\\b(?:${source})\\b`;
+    try {
+        return new RegExp(source, `${global ? 'g' : ''}${ignoreCase ? 'i' : ''}`);
+    } catch (error) {
+        throw invalidPattern(pattern, error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '').toLowerCase());
+    }
+}
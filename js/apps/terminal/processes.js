@@ -0,0 +1,456 @@
+// js/apps/terminal/processes.js
+
+/**
+ * neuOS's process table, shared by ps and top. The "processes" are the
+ * parts of the desktop that are actually running: open windows, the
+ * particle system, background music, the starfield animation and the
+ * terminal's own jobs. CPU and memory figures are estimates scaled by the
+ * live frame rate and heap size from the performance monitor.
+ * @author jared u.
+ */
+
+import { sleep } from './jobs.js';
+import { block, renderNode, table } from './outputNodes.js';
+
+// Without performance.memory (Firefox, Safari) assume Chrome's usual limit
+const DEFAULT_HEAP_LIMIT = 2048 * 1024 * 1024;
+const TARGET_FPS = 60;
+const SHELL_PID = 1234;
+
+const SORT_KEYS = {
+    P: { field: 'cpu', label: '%CPU' },
+    M: { field: 'rss', label: '%MEM' },
+    N: { field: 'pid', label: 'PID' },
+    T: { field: 'time', label: 'TIME+' }
+};
+
+const FULL_LISTING = ['aux', '-aux', 'ax', '-e', '-ef', '-A', '-eF'];
+
+// Windows keep the pid and start time they were first seen with
+const windowProcesses = new Map();
+let nextWindowPid = 300;
+
+function element(tag, className, text = '') {
+    const node = document.createElement(tag);
+    node.className = className;
+    node.textContent = text;
+    return node;
+}
+
+/**
+ * Live figures from the performance monitor, with fallbacks for the
+ * metrics a browser does not report.
+ */
+function readMetrics() {
+    const metrics = window.neuOSPerformanceMonitor?.getMetrics?.() || {};
+    const memory = metrics.memoryUsage || performance.memory || null;
+    return {
+        fps: metrics.frameRate || 0,
+        averageFPS: metrics.averageFPS || 0,
+        minFPS: metrics.minFPS || 0,
+        maxFPS: metrics.maxFPS || 0,
+        heapUsed: memory?.usedJSHeapSize || 0,
+        heapTotal: memory?.jsHeapSizeLimit || DEFAULT_HEAP_LIMIT
+    };
+}
+
+function windowProcess(windowObj, activeWindow, now) {
+    if (!windowProcesses.has(windowObj.id)) {
+        windowProcesses.set(windowObj.id, { pid: nextWindowPid++, started: now });
+    }
+    const { pid, started } = windowProcesses.get(windowObj.id);
+    const nodes = windowObj.element?.getElementsByTagName?.('*').length || 0;
+    const active = windowObj === activeWindow;
+    return {
+        pid,
+        user: 'jared',
+        command: `window ${windowObj.title || windowObj.id}`,
+        state: windowObj.isMinimized ? 'S' : active ? 'R' : 'S',
+        cpu: windowObj.isMinimized ? 0 : active ? 1.2 : 0.2,
+        rss: 2048 + nodes * 2,
+        started
+    };
+}
+
+/**
+ * Everything running right now, unsorted.
+ * @param {Terminal} terminal
+ * @returns {{processes: object[], metrics: object}}
+ */
+export function getProcesses(terminal) {
+    const now = Date.now();
+    const booted = now - performance.now();
+    const metrics = readMetrics();
+    const processes = [];
+
+    processes.push({ pid: 1, user: 'root', command: 'neuos', state: 'S', cpu: 0.3, rss: 0, started: booted });
+
+    const starfield = window.neuOS?.starfield;
+    if (starfield) {
+        const canvas = starfield.canvas ? (starfield.canvas.width * starfield.canvas.height * 4) / 1024 : 0;
+        processes.push({
+            pid: 101,
+            user: 'root',
+            command: 'starfield',
+            state: starfield.animationId !== null ? 'R' : 'S',
+            cpu: starfield.animationId !== null ? 2 + starfield.stars.length * 0.01 : 0,
+            rss: Math.round(canvas + starfield.stars.length * 0.2),
+            started: booted
+        });
+    }
+
+    const particles = window.particleSystemInstance;
+    if (particles) {
+        processes.push({
+            pid: 102,
+            user: 'root',
+            command: `particled --mode=${particles.particleMode}`,
+            state: particles.particleAnimationRunning ? 'R' : 'S',
+            cpu: particles.particleAnimationRunning ? 0.5 + particles.particles.length * 0.4 : 0,
+            rss: 512 + particles.particles.length * 2,
+            started: particles.startTime || booted
+        });
+    }
+
+    const music = window.backgroundMusicInstance;
+    if (music?.backgroundMusic) {
+        const playing = !music.backgroundMusic.paused;
+        processes.push({
+            pid: 103,
+            user: 'jared',
+            command: `musicd --volume=${Math.round(music.volume * 100)}`,
+            state: playing ? 'R' : 'S',
+            cpu: playing ? 0.7 : 0,
+            rss: 4096,
+            started: booted
+        });
+    }
+
+    const windowManager = window.neuOS?.windowManager;
+    windowManager?.windows.forEach(windowObj => {
+        processes.push(windowProcess(windowObj, windowManager.activeWindow, now));
+    });
+    // Forget windows that have been closed
+    windowProcesses.forEach((_, id) => {
+        if (!windowManager?.windows.has(id)) windowProcesses.delete(id);
+    });
+
+    processes.push({ pid: SHELL_PID, user: 'jared', command: 'bash', state: 'S', cpu: 0, rss: 2048, started: booted });
+
+    const jobs = new Set(terminal.jobs?.values() || []);
+    if (terminal.foregroundJob) jobs.add(terminal.foregroundJob);
+    jobs.forEach(job => {
+        if (job.finished) return;
+        const foreground = job === terminal.foregroundJob;
+        processes.push({
+            pid: job.pid,
+            user: 'jared',
+            command: job.command,
+            state: (job.state === 'Stopped' ? 'T' : foreground ? 'R' : 'S') + (foreground ? '+' : ''),
+            cpu: job.state === 'Stopped' ? 0 : foreground ? 1.5 : 0.3,
+            rss: 256,
+            started: job.started
+        });
+    });
+
+    // Dropped frames mean the page is busy: scale the estimates up with them
+    const load = metrics.fps && metrics.fps < TARGET_FPS ? TARGET_FPS / metrics.fps : 1;
+    const heapKiB = metrics.heapUsed / 1024;
+    const counted = processes.reduce((sum, process) => sum + process.rss, 0);
+    processes.forEach(process => {
+        process.cpu = Math.min(100, process.cpu * load);
+        // Whatever the rest do not account for belongs to the page itself
+        if (process.pid === 1) process.rss = Math.max(8192, Math.round(heapKiB - counted));
+        process.rss = Math.round(process.rss);
+        process.vsz = process.rss * 4;
+        process.mem = (process.rss * 1024 * 100) / metrics.heapTotal;
+        process.time = ((now - process.started) * process.cpu) / 100;
+    });
+    return { processes, metrics };
+}
+
+function sortProcesses(processes, key, reverse) {
+    const { field } = SORT_KEYS[key];
+    // PID sorts ascending, the others biggest first
+    const direction = (field === 'pid' ? 1 : -1) * (reverse ? -1 : 1);
+    return [...processes].sort((a, b) => (a[field] - b[field]) * direction || a.pid - b.pid);
+}
+
+/** CPU time as ps prints it: M:SS */
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/** CPU time as top prints it: M:SS.hh */
+function formatTimePlus(ms) {
+    return `${formatTime(ms)}.${String(Math.floor((ms % 1000) / 10)).padStart(2, '0')}`;
+}
+
+function formatUptime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+const percent = value => value.toFixed(1);
+// Rows carry percentages to one decimal and times in whole ms, as --json shows them
+const tenths = value => Math.round(value * 10) / 10;
+
+const PS_COLUMNS = [
+    'USER',
+    { label: 'PID', type: 'number' },
+    { label: '%CPU', type: 'number', format: percent },
+    { label: '%MEM', type: 'number', format: percent },
+    { label: 'VSZ', type: 'number' },
+    { label: 'RSS', type: 'number' },
+    'TTY',
+    'STAT',
+    'START',
+    { label: 'TIME', key: 'time_ms', type: 'number', format: formatTime },
+    'COMMAND'
+];
+
+/**
+ * The `ps aux` table.
+ * @param {object[]} processes
+ * @returns {object} Table node
+ */
+export function formatPsTable(processes) {
+    return table(PS_COLUMNS, processes.map(process => [
+        process.user,
+        process.pid,
+        tenths(process.cpu),
+        tenths(process.mem),
+        process.vsz,
+        process.rss,
+        process.pid >= SHELL_PID ? 'pts/0' : '?',
+        process.state,
+        new Date(process.started).toTimeString().slice(0, 5),
+        Math.round(process.time),
+        process.command
+    ]));
+}
+
+/**
+ * top's summary lines, or htop's meters.
+ */
+function formatSummary(processes, metrics, htop) {
+    const running = processes.filter(process => process.state.startsWith('R')).length;
+    const stopped = processes.filter(process => process.state.startsWith('T')).length;
+    const cpu = Math.min(100, processes.reduce((sum, process) => sum + process.cpu, 0));
+    const usedMiB = metrics.heapUsed / 1048576;
+    const totalMiB = metrics.heapTotal / 1048576;
+    const fps = `FPS: ${metrics.fps || '-'} (avg ${metrics.averageFPS.toFixed(1)}, min ${metrics.minFPS}, max ${metrics.maxFPS})`;
+    const uptime = performance.now();
+
+    if (htop) {
+        const bar = (fraction, label) => {
+            const width = 30;
+            const filled = Math.round(Math.min(1, fraction) * width);
+            return `[${'|'.repeat(filled).padEnd(width - label.length)}${label}]`;
+        };
+        return [
+            `  CPU${bar(cpu / 100, `${cpu.toFixed(1)}%`)}   Tasks: ${processes.length}, ${running} running`,
+            `  Mem${bar(usedMiB / totalMiB, `${Math.round(usedMiB)}M/${Math.round(totalMiB)}M`)}   ${fps}`,
+            `  Uptime: ${new Date(uptime).toISOString().slice(11, 19)}`
+        ].join('\n');
+    }
+
+    const sleeping = processes.length - running - stopped;
+    return [
+        `top - ${new Date().toTimeString().slice(0, 8)} up ${formatUptime(uptime)},  1 user,  ${fps}`,
+        `Tasks: ${String(processes.length).padStart(3)} total, ${String(running).padStart(3)} running, ${String(sleeping).padStart(3)} sleeping, ${String(stopped).padStart(3)} stopped,   0 zombie`,
+        `%Cpu(s): ${cpu.toFixed(1).padStart(4)} us,  0.0 sy,  0.0 ni, ${(100 - cpu).toFixed(1).padStart(4)} id,  0.0 wa,  0.0 hi,  0.0 si,  0.0 st`,
+        `MiB Mem : ${totalMiB.toFixed(1).padStart(8)} total, ${(totalMiB - usedMiB).toFixed(1).padStart(8)} free, ${usedMiB.toFixed(1).padStart(8)} used`
+    ].join('\n');
+}
+
+const TOP_COLUMNS = [
+    { label: 'PID', type: 'number' },
+    'USER',
+    { label: 'PR', type: 'number' },
+    { label: 'NI', type: 'number' },
+    { label: 'VIRT', type: 'number' },
+    { label: 'RES', type: 'number' },
+    'S',
+    { label: '%CPU', type: 'number', format: percent },
+    { label: '%MEM', type: 'number', format: percent },
+    { label: 'TIME+', key: 'time_ms', type: 'number', format: formatTimePlus },
+    'COMMAND'
+];
+
+function topTable(processes) {
+    return table(TOP_COLUMNS, processes.map(process => [
+        process.pid,
+        process.user,
+        20,
+        0,
+        process.vsz,
+        process.rss,
+        process.state[0],
+        tenths(process.cpu),
+        tenths(process.mem),
+        Math.round(process.time),
+        process.command
+    ]));
+}
+
+/**
+ * One screenful of top, for batch mode and pipes.
+ * @param {Terminal} terminal
+ * @param {boolean} [htop] - Meters instead of the summary lines
+ * @returns {object} Block node: the summary, then the process table
+ */
+export function formatTopSnapshot(terminal, htop = false) {
+    const { processes, metrics } = getProcesses(terminal);
+    return block([formatSummary(processes, metrics, htop), '', topTable(sortProcesses(processes, 'P', false))]);
+}
+
+/**
+ * ps [aux | -e | -ef]
+ * Without options only the terminal's own processes are listed.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {object|string} Table node, or a usage error
+ */
+export function handlePs(terminal, args = [], io = {}) {
+    const unknown = args.find(arg => !FULL_LISTING.includes(arg));
+    if (unknown) {
+        io.exitCode = 1;
+        return `error: unsupported option (BSD syntax)\n\nUsage:\n ps [aux | -e | -ef]`;
+    }
+    const { processes } = getProcesses(terminal);
+    const sorted = sortProcesses(processes, 'N', false);
+    if (args.length) return formatPsTable(sorted);
+
+    const own = sorted.filter(process => process.pid >= SHELL_PID);
+    return table([
+        { label: 'PID', type: 'number' },
+        'TTY',
+        { label: 'TIME', key: 'time_ms', type: 'number', format: formatTime },
+        'CMD'
+    ], own.map(process => [process.pid, 'pts/0', Math.round(process.time), process.command.split(/\s+/)[0]]));
+}
+
+/**
+ * Batch mode: a snapshot every delay seconds, `iterations` times.
+ */
+async function* topStream(terminal, { iterations, delay, htop }, io) {
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+        const snapshot = formatTopSnapshot(terminal, htop);
+        // A blank line between snapshots
+        if (iteration < iterations) snapshot.children.push('');
+        yield snapshot;
+        if (iteration < iterations && !(await sleep(delay * 1000, io.signal))) return;
+    }
+}
+
+/**
+ * The full-window view. Like the pager it takes over the keyboard through
+ * terminal.pager until it is closed.
+ * @returns {Promise<void>} Resolves when the view is closed
+ */
+function openTop(terminal, { iterations, delay, htop }, io) {
+    const host = terminal.outputElement.parentElement || terminal.outputElement;
+    const view = element('div', 'terminal-pager terminal-top');
+    const body = element('pre', 'terminal-pager-body');
+    const status = element('div', 'terminal-pager-status');
+    view.append(body, status);
+
+    const name = htop ? 'htop' : 'top';
+    let sortKey = 'P';
+    let reverse = false;
+    let refreshes = 0;
+
+    const render = () => {
+        const { processes, metrics } = getProcesses(terminal);
+        const sorted = sortProcesses(processes, sortKey, reverse);
+        body.replaceChildren(
+            document.createTextNode(`${formatSummary(processes, metrics, htop)}\n\n`),
+            renderNode(topTable(sorted), { columns: terminal.columns })
+        );
+        const order = `${SORT_KEYS[sortKey].label}${reverse ? ' (reversed)' : ''}`;
+        status.textContent = `${name}  sorted by ${order}  P cpu  M mem  N pid  T time  R reverse  space refresh  q quit`;
+    };
+
+    return new Promise(resolve => {
+        let timer = null;
+        const close = () => {
+            clearInterval(timer);
+            io.signal?.removeEventListener('abort', close);
+            view.remove();
+            terminal.pager = null;
+            terminal.inputElement?.focus();
+            resolve();
+        };
+
+        const handleKey = e => {
+            e.preventDefault();
+            if (e.key === 'q' || e.key === 'Q' || e.key === 'Escape' || (e.ctrlKey && e.key === 'c')) {
+                close();
+                return;
+            }
+            if (e.ctrlKey || e.metaKey) return;
+            if (SORT_KEYS[e.key]) {
+                sortKey = e.key;
+            } else if (e.key === 'R') {
+                reverse = !reverse;
+            } else if (e.key !== ' ') {
+                return;
+            }
+            render();
+        };
+
+        timer = setInterval(() => {
+            refreshes++;
+            if (refreshes >= iterations) close();
+            else render();
+        }, delay * 1000);
+        io.signal?.addEventListener('abort', close, { once: true });
+        view.addEventListener('click', () => terminal.inputElement?.focus());
+
+        terminal.pager = { handleKey };
+        host.append(view);
+        terminal.inputElement?.focus();
+        render();
+    });
+}
+
+/**
+ * top [-b] [-n iterations] [-d delay] (also htop)
+ * On the screen this is a live view that refreshes every delay seconds
+ * until q is pressed; with -b, --json or --csv, or when piped, snapshots
+ * are printed instead.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @param {boolean} [htop] - Show htop's meters instead of top's summary
+ * @returns {Promise<string>|AsyncGenerator<object>|string}
+ */
+export function handleTop(terminal, args = [], io = {}, htop = false) {
+    const options = { iterations: Infinity, delay: htop ? 1.5 : 3, batch: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '-b') {
+            options.batch = true;
+            continue;
+        }
+        const value = Number(args[i + 1]);
+        if ((args[i] === '-n' || args[i] === '-d') && value > 0) {
+            if (args[i] === '-n') options.iterations = Math.floor(value);
+            else options.delay = value;
+            i++;
+            continue;
+        }
+        io.exitCode = 1;
+        return `${htop ? 'htop' : 'top'}: invalid argument '${args[i]}'\nUsage: ${htop ? 'htop' : 'top'} [-b] [-n iterations] [-d delay]`;
+    }
+
+    if (options.batch || !io.tty || io.format) {
+        // A pipe cannot take an endless stream; print one snapshot unless asked
+        if (options.iterations === Infinity) options.iterations = 1;
+        return topStream(terminal, { ...options, htop }, io);
+    }
+    return openTop(terminal, { ...options, htop }, io).then(() => '');
+}
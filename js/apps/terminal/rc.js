@@ -0,0 +1,60 @@
+// js/apps/terminal/rc.js
+
+/**
+ * ~/.neurc, the per-user startup file. It lives in the virtual filesystem,
+ * so it is saved with the rest of the session, and runs each time a
+ * terminal is opened.
+ * @author jared u.
+ */
+
+import { runScriptFile, displayResult } from './shell.js';
+import { openEditor } from './editor.js';
+import { DEFAULT_NEURC } from './fsImage.js';
+
+export const RC_FILE = '.neurc';
+
+function rcPath(terminal) {
+    return `${terminal.fs.home}/${RC_FILE}`;
+}
+
+/**
+ * Run ~/.neurc if it exists. Output and errors go to the terminal; a
+ * broken rc file never stops the terminal from starting.
+ * @param {Terminal} terminal
+ * @returns {Promise<void>}
+ */
+export async function runStartupFile(terminal) {
+    const path = rcPath(terminal);
+    if (!terminal.fs.exists(path)) return;
+    try {
+        const result = await runScriptFile(terminal, path, {}, { args: [] });
+        await displayResult(terminal, result, `source ${path}`);
+    } catch (error) {
+        console.warn('neuOS: Failed to run ~/.neurc:', error);
+    }
+}
+
+/**
+ * edit-rc: open ~/.neurc in the editor, creating it from the default
+ * template if needed, and run it again once it has been saved.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {Promise<string>}
+ */
+export async function handleEditRc(terminal, args, io = {}) {
+    const path = rcPath(terminal);
+    if (!terminal.fs.exists(path)) {
+        terminal.fs.writeFile(path, DEFAULT_NEURC);
+    }
+    const result = await openEditor(terminal, path);
+    if (result.error) {
+        io.exitCode = 1;
+        return result.error;
+    }
+    if (!result.saved) {
+        return '~/.neurc unchanged';
+    }
+    await runStartupFile(terminal);
+    return '~/.neurc reloaded';
+}
@@ -0,0 +1,802 @@
+// js/apps/terminal/routing.js
+
+/**
+ * The routing protocols of the simulated IOS devices. From every device's
+ * running-config this works out which interfaces are up and which of them
+ * share a LAN or link, then OSPF adjacencies and SPF, EIGRP successors,
+ * BGP sessions and best paths, and from all of that each device's routing
+ * table. The results are kept until any running-config changes, when the
+ * whole lab reconverges at once. The tables also steer ping and
+ * traceroute: see setLabState() in netlab.js.
+ * @author jared u.
+ */
+
+import { classfulPrefix, formatIPv4, getNetwork, inSubnet, maskPrefix, parseIPv4, prefixMask, setLabState } from './netlab.js';
+import { getDevice, interfaceStatus, switchPorts } from './ios.js';
+
+// Administrative distances
+const DISTANCES = { C: 0, L: 0, S: 1, D: 90, O: 110, 'O IA': 110, eBGP: 20, iBGP: 200 };
+
+// Bandwidth in kbit/s and delay in tens of microseconds, by interface type
+const INTERFACE_DEFAULTS = {
+    GigabitEthernet: { bandwidth: 1000000, delay: 1 },
+    TenGigabitEthernet: { bandwidth: 10000000, delay: 1 },
+    FastEthernet: { bandwidth: 100000, delay: 10 },
+    Ethernet: { bandwidth: 10000, delay: 100 },
+    Serial: { bandwidth: 1544, delay: 2000 },
+    Loopback: { bandwidth: 8000000, delay: 500 },
+    Vlan: { bandwidth: 1000000, delay: 1 },
+    Tunnel: { bandwidth: 100, delay: 50000 },
+    'Port-channel': { bandwidth: 1000000, delay: 1 }
+};
+
+// OSPF's auto-cost reference bandwidth, in kbit/s
+const REFERENCE_BANDWIDTH = 100000;
+
+// Equal-cost paths installed per destination, as maximum-paths defaults
+const MAX_PATHS = 4;
+
+// Rounds of EIGRP and BGP updates before giving up on convergence
+const MAX_ROUNDS = 32;
+
+let converged = { signature: null, state: null };
+
+// When each route and neighbour was first seen, for their ages
+const firstSeen = new Map();
+
+function interfaceDefaults(name) {
+    return INTERFACE_DEFAULTS[/^[A-Za-z-]+/.exec(name)[0]] || INTERFACE_DEFAULTS.GigabitEthernet;
+}
+
+function prefixKey(network, prefix) {
+    return `${network}/${prefix}`;
+}
+
+/**
+ * The far end of the cable in a physical interface: the switch port a
+ * router's LAN interface is plugged into, the host on a switch port, or
+ * the other end of a link.
+ * @param {Host} host
+ * @param {string} name
+ * @returns {?{host: Host, name: string}} Null for virtual interfaces
+ */
+function farEnd(host, name) {
+    if (host.group === 'switches') {
+        const port = switchPorts(host).find(candidate => candidate.name === name);
+        if (!port) return null;
+        const lan = host.interfaces[0].segment;
+        return { host: port.peer, name: port.peer.interfaces.find(iface => iface.segment === lan).name };
+    }
+    const iface = host.interfaces.find(candidate => candidate.name === name);
+    if (!iface) return null;
+    const lanSwitch = iface.segment.members.find(member => member.host.group === 'switches');
+    if (lanSwitch) {
+        const port = switchPorts(lanSwitch.host).find(candidate => candidate.peer === host);
+        return port ? { host: lanSwitch.host, name: port.name } : null;
+    }
+    const peer = iface.segment.members.find(member => member.host !== host);
+    return peer ? { host: peer.host, name: peer.iface.name } : null;
+}
+
+/**
+ * An interface's status as `show ip interface brief` gives it. Unlike
+ * interfaceStatus() this looks down the cable: shutting one end of a link
+ * takes the other end down too.
+ * @param {IosDevice} device
+ * @param {string} name
+ * @returns {{status: string, protocol: string}}
+ */
+export function interfaceState(device, name) {
+    const state = interfaceStatus(device.running, name);
+    if (state.protocol !== 'up') return state;
+    const far = farEnd(device.host, name);
+    if (far && getDevice(far.host)?.running.interfaces[far.name]?.shutdown) return { status: 'down', protocol: 'down' };
+    return state;
+}
+
+/**
+ * Which broadcast domain an interface is in: one per point-to-point link,
+ * and one per VLAN on a switch. Interfaces that are down, or plugged into
+ * a switch port that is shut or in a VLAN that does not exist, are in
+ * none.
+ * @param {Host} host
+ * @param {string} name
+ * @returns {?string}
+ */
+function broadcastDomain(host, name) {
+    const device = getDevice(host);
+    if (device && (!device.running.interfaces[name] || interfaceState(device, name).protocol !== 'up')) return null;
+    if (host.group === 'switches') {
+        const vlan = /^Vlan(\d+)$/.exec(name);
+        return vlan ? `${host.id}/${vlan[1]}` : null;
+    }
+    const iface = host.interfaces.find(candidate => candidate.name === name);
+    if (!iface) return null;
+    const lanSwitch = iface.segment.members.find(member => member.host.group === 'switches');
+    if (!lanSwitch) return `link/${getNetwork().segments.indexOf(iface.segment)}`;
+    const config = getDevice(lanSwitch.host).running;
+    const port = config.interfaces[switchPorts(lanSwitch.host).find(candidate => candidate.peer === host)?.name];
+    if (!port || port.shutdown || !port.switchport) return null;
+    const vlan = port.switchport.mode === 'trunk' ? 1 : port.switchport.accessVlan;
+    return config.vlans[vlan] ? `${lanSwitch.host.id}/${vlan}` : null;
+}
+
+/**
+ * The interfaces of a device that are up and addressed.
+ * @returns {object[]} {name, address, network, prefix, domain, bandwidth, delay, ospfCost}
+ */
+function activePorts(device) {
+    return Object.entries(device.running.interfaces)
+        .filter(([name, iface]) => iface.address && interfaceState(device, name).protocol === 'up')
+        .map(([name, iface]) => {
+            const address = parseIPv4(iface.address);
+            const prefix = maskPrefix(parseIPv4(iface.mask));
+            const defaults = interfaceDefaults(name);
+            const bandwidth = iface.bandwidth || defaults.bandwidth;
+            return {
+                name,
+                address,
+                prefix,
+                network: (address & prefixMask(prefix)) >>> 0,
+                domain: broadcastDomain(device.host, name),
+                bandwidth,
+                delay: defaults.delay,
+                ospfCost: iface.ospfCost || Math.max(1, Math.floor(REFERENCE_BANDWIDTH / bandwidth))
+            };
+        });
+}
+
+/**
+ * A configured router ID, or the highest loopback address, or the highest
+ * address of an interface that is up.
+ */
+function routerId(configured, ports) {
+    if (configured) return parseIPv4(configured);
+    const loopbacks = ports.filter(port => port.name.startsWith('Loopback'));
+    const candidates = (loopbacks.length ? loopbacks : ports).map(port => port.address);
+    return candidates.length ? Math.max(...candidates) : null;
+}
+
+/** Whether two ports can exchange hellos: same wire, same subnet */
+function adjacent(a, b) {
+    return a.domain !== null && a.domain === b.domain && a.prefix === b.prefix && a.network === b.network && a.address !== b.address;
+}
+
+/**
+ * Keep the better of two routes to the same place; equal ones share
+ * their paths, up to MAX_PATHS.
+ */
+function mergeRoute(routes, route, better) {
+    const key = prefixKey(route.network, route.prefix);
+    const existing = routes.get(key);
+    const order = existing ? better(route, existing) : -1;
+    if (order < 0) {
+        routes.set(key, route);
+    } else if (order === 0) {
+        const known = new Set(existing.paths.map(path => `${path.gateway}/${path.iface}`));
+        route.paths.forEach(path => {
+            if (existing.paths.length < MAX_PATHS && !known.has(`${path.gateway}/${path.iface}`)) existing.paths.push(path);
+        });
+    }
+}
+
+function addPath(paths, path) {
+    if (paths.length < MAX_PATHS && !paths.some(known => known.gateway === path.gateway && known.iface === path.iface)) paths.push(path);
+}
+
+// --- OSPF -----------------------------------------------------------------
+
+/** Area ids may be given as numbers or dotted quads; 0 and 0.0.0.0 are one area */
+function areaKey(area) {
+    return typeof area === 'number' ? area : parseIPv4(area);
+}
+
+function wildcardMatch(address, statement) {
+    return (((address ^ parseIPv4(statement.address)) & ~parseIPv4(statement.wildcard)) >>> 0) === 0;
+}
+
+function ospfInstances(nodes) {
+    const instances = [];
+    nodes.forEach(node => {
+        Object.entries(node.device.running.ospf).forEach(([id, process]) => {
+            const rid = routerId(process.routerId, node.ports);
+            if (rid === null) return;
+            const interfaces = [];
+            node.ports.forEach(port => {
+                const statement = process.networks.find(candidate => wildcardMatch(port.address, candidate));
+                if (!statement) return;
+                interfaces.push({
+                    port,
+                    area: areaKey(statement.area),
+                    cost: port.ospfCost,
+                    passive: process.passiveInterfaces.includes(port.name) || port.name.startsWith('Loopback'),
+                    neighbors: []
+                });
+            });
+            instances.push({ node, id: Number(id), routerId: rid, interfaces, routes: new Map(), distances: new Map() });
+        });
+    });
+    return instances;
+}
+
+/**
+ * Hellos, then a DR and BDR per broadcast domain: the highest router IDs,
+ * as every priority is 1. DROTHERs stay in 2WAY with each other.
+ */
+function ospfAdjacencies(instances) {
+    const byDomain = new Map();
+    instances.forEach(instance => instance.interfaces.forEach(iface => {
+        if (iface.passive || iface.port.domain === null) return;
+        if (!byDomain.has(iface.port.domain)) byDomain.set(iface.port.domain, []);
+        byDomain.get(iface.port.domain).push({ instance, iface });
+    }));
+    byDomain.forEach(members => {
+        const links = [];
+        members.forEach((a, i) => members.slice(i + 1).forEach(b => {
+            if (a.instance.node === b.instance.node || a.iface.area !== b.iface.area) return;
+            if (a.instance.routerId === b.instance.routerId || !adjacent(a.iface.port, b.iface.port)) return;
+            links.push([a, b]);
+        }));
+        const elected = [...new Set(links.flat())].sort((a, b) => b.instance.routerId - a.instance.routerId);
+        const role = member => member === elected[0] ? 'DR' : member === elected[1] ? 'BDR' : 'DROTHER';
+        links.forEach(([a, b]) => {
+            const full = role(a) !== 'DROTHER' || role(b) !== 'DROTHER';
+            [[a, b], [b, a]].forEach(([self, other]) => self.iface.neighbors.push({
+                instance: other.instance,
+                routerId: other.instance.routerId,
+                address: other.iface.port.address,
+                iface: self.iface.port.name,
+                state: full ? 'FULL' : '2WAY',
+                role: role(other)
+            }));
+        });
+    });
+}
+
+/**
+ * Dijkstra within one area from `source`, keeping every equal-cost first hop.
+ * @returns {Map<object, {cost: number, paths: object[]}>}
+ */
+function shortestPathTree(source, area) {
+    const tree = new Map([[source, { cost: 0, paths: [] }]]);
+    const queue = [source];
+    const done = new Set();
+    while (queue.length) {
+        queue.sort((a, b) => tree.get(a).cost - tree.get(b).cost);
+        const current = queue.shift();
+        if (done.has(current)) continue;
+        done.add(current);
+        const { cost, paths } = tree.get(current);
+        current.interfaces.filter(iface => iface.area === area).forEach(iface => {
+            iface.neighbors.forEach(neighbor => {
+                const total = cost + iface.cost;
+                const hops = current === source ? [{ gateway: neighbor.address, iface: iface.port.name }] : paths;
+                const known = tree.get(neighbor.instance);
+                if (!known || total < known.cost) {
+                    tree.set(neighbor.instance, { cost: total, paths: [...hops] });
+                    queue.push(neighbor.instance);
+                } else if (total === known.cost) {
+                    hops.forEach(hop => addPath(known.paths, hop));
+                }
+            });
+        });
+    }
+    return tree;
+}
+
+/** What an interface puts in the area: its subnet, or a loopback's host route */
+function stubPrefix(iface) {
+    return iface.port.name.startsWith('Loopback')
+        ? { network: iface.port.address, prefix: 32 }
+        : { network: iface.port.network, prefix: iface.port.prefix };
+}
+
+// Intra-area routes beat inter-area ones whatever their cost
+function compareOspf(a, b) {
+    return (a.code === 'O' ? 0 : 1) - (b.code === 'O' ? 0 : 1) || a.metric - b.metric;
+}
+
+function ownsPrefix(instance, network, prefix) {
+    return instance.interfaces.some(iface => {
+        const stub = stubPrefix(iface);
+        return stub.network === network && stub.prefix === prefix;
+    });
+}
+
+/**
+ * SPF in every area, then inter-area routes through the area border
+ * routers: first into the backbone, then from it into the other areas.
+ */
+function ospfRoutes(instances) {
+    const areas = new Set(instances.flatMap(instance => instance.interfaces.map(iface => iface.area)));
+    areas.forEach(area => {
+        const members = instances.filter(instance => instance.interfaces.some(iface => iface.area === area));
+        members.forEach(source => {
+            const tree = shortestPathTree(source, area);
+            source.distances.set(area, tree);
+            tree.forEach(({ cost, paths }, origin) => {
+                if (origin === source) return;
+                origin.interfaces.filter(iface => iface.area === area).forEach(iface => {
+                    const { network, prefix } = stubPrefix(iface);
+                    if (ownsPrefix(source, network, prefix)) return;
+                    mergeRoute(source.routes, { code: 'O', area, network, prefix, metric: cost + iface.cost, paths: [...paths] }, compareOspf);
+                });
+            });
+        });
+    });
+
+    const isBorder = instance => instance.interfaces.some(iface => iface.area === 0)
+        && instance.interfaces.some(iface => iface.area !== 0);
+    const borders = instances.filter(isBorder);
+    // What a border router offers an area: everything it reaches outside it
+    const summaries = (border, area) => {
+        const offered = [];
+        border.interfaces.filter(iface => iface.area !== area).forEach(iface => offered.push({ ...stubPrefix(iface), metric: iface.cost }));
+        border.routes.forEach(route => {
+            if (route.area !== area && (area !== 0 || route.code === 'O')) offered.push(route);
+        });
+        return offered;
+    };
+    const inject = area => {
+        instances.filter(instance => instance.distances.has(area)).forEach(target => {
+            borders.filter(border => border !== target && border.distances.has(area)).forEach(border => {
+                const reach = target.distances.get(area).get(border);
+                if (!reach) return;
+                summaries(border, area).forEach(({ network, prefix, metric }) => {
+                    if (ownsPrefix(target, network, prefix)) return;
+                    mergeRoute(target.routes, { code: 'O IA', area, network, prefix, metric: reach.cost + metric, paths: [...reach.paths] }, compareOspf);
+                });
+            });
+        });
+    };
+    if (areas.has(0)) {
+        inject(0);
+        areas.forEach(area => area !== 0 && inject(area));
+    }
+}
+
+// --- EIGRP ----------------------------------------------------------------
+
+/** The classic composite metric, with K1 = K3 = 1 */
+function eigrpMetric(bandwidth, delay) {
+    return 256 * (Math.floor(10000000 / bandwidth) + delay);
+}
+
+function eigrpInstances(nodes) {
+    const instances = [];
+    nodes.forEach(node => {
+        Object.entries(node.device.running.eigrp).forEach(([as, process]) => {
+            const interfaces = node.ports.filter(port => process.networks.some(statement => {
+                if (statement.wildcard) return wildcardMatch(port.address, statement);
+                const network = parseIPv4(statement.address);
+                return inSubnet(port.address, network, classfulPrefix(network));
+            })).map(port => ({ port, passive: process.passiveInterfaces.includes(port.name), neighbors: [] }));
+            instances.push({
+                node,
+                as: Number(as),
+                routerId: routerId(process.routerId, node.ports),
+                interfaces,
+                table: new Map(),
+                topology: [],
+                routes: new Map()
+            });
+        });
+    });
+    return instances;
+}
+
+/**
+ * Neighbours, then distance-vector rounds until nothing improves, then
+ * DUAL's view: feasible distance, successors and feasible successors.
+ */
+function eigrpConverge(instances) {
+    instances.forEach((a, i) => instances.slice(i + 1).forEach(b => {
+        if (a.as !== b.as || a.node === b.node) return;
+        a.interfaces.forEach(x => b.interfaces.forEach(y => {
+            if (x.passive || y.passive || !adjacent(x.port, y.port)) return;
+            x.neighbors.push({ instance: b, address: y.port.address });
+            y.neighbors.push({ instance: a, address: x.port.address });
+        }));
+    }));
+
+    instances.forEach(instance => instance.interfaces.forEach(({ port }) => {
+        instance.table.set(prefixKey(port.network, port.prefix), {
+            network: port.network, prefix: port.prefix, bandwidth: port.bandwidth, delay: port.delay,
+            metric: eigrpMetric(port.bandwidth, port.delay), connected: port.name
+        });
+    }));
+
+    for (let round = 0, changed = true; changed && round < MAX_ROUNDS; round++) {
+        changed = false;
+        instances.forEach(instance => instance.interfaces.forEach(iface => iface.neighbors.forEach(({ instance: neighbor }) => {
+            neighbor.table.forEach((entry, key) => {
+                const bandwidth = Math.min(entry.bandwidth, iface.port.bandwidth);
+                const delay = entry.delay + iface.port.delay;
+                const metric = eigrpMetric(bandwidth, delay);
+                const known = instance.table.get(key);
+                if (known && (known.connected || known.metric <= metric)) return;
+                instance.table.set(key, { network: entry.network, prefix: entry.prefix, bandwidth, delay, metric, connected: null });
+                changed = true;
+            });
+        })));
+    }
+
+    instances.forEach(instance => {
+        instance.table.forEach((entry, key) => {
+            if (entry.connected) {
+                instance.topology.push({ network: entry.network, prefix: entry.prefix, fd: entry.metric, connected: entry.connected, successors: [], feasible: [] });
+                return;
+            }
+            const offers = [];
+            instance.interfaces.forEach(iface => iface.neighbors.forEach(({ instance: neighbor, address }) => {
+                const reported = neighbor.table.get(key);
+                if (!reported) return;
+                offers.push({
+                    gateway: address,
+                    iface: iface.port.name,
+                    metric: eigrpMetric(Math.min(reported.bandwidth, iface.port.bandwidth), reported.delay + iface.port.delay),
+                    reported: reported.metric
+                });
+            }));
+            const fd = Math.min(...offers.map(offer => offer.metric));
+            const successors = offers.filter(offer => offer.metric === fd).slice(0, MAX_PATHS);
+            // The feasibility condition: a neighbour closer than we are cannot loop back through us
+            const feasible = offers.filter(offer => offer.metric !== fd && offer.reported < fd);
+            instance.topology.push({ network: entry.network, prefix: entry.prefix, fd, connected: null, successors, feasible });
+            instance.routes.set(key, { code: 'D', network: entry.network, prefix: entry.prefix, metric: fd, paths: successors.map(({ gateway, iface }) => ({ gateway, iface })) });
+        });
+        instance.topology.sort((a, b) => a.network - b.network || a.prefix - b.prefix);
+    });
+}
+
+// --- The routing table ----------------------------------------------------
+
+function compareRoutes(a, b) {
+    return a.distance - b.distance || a.metric - b.metric;
+}
+
+/**
+ * Longest-prefix match.
+ * @param {Map} table
+ * @param {number} address
+ */
+function lookup(table, address, skip = null) {
+    let best = null;
+    table.forEach(route => {
+        if (route === skip || route.code === 'L' || !inSubnet(address, route.network, route.prefix)) return;
+        if (!best || route.prefix > best.prefix) best = route;
+    });
+    return best;
+}
+
+/**
+ * Connected, static, OSPF and EIGRP routes, the best per destination.
+ */
+function interiorTable(node, ospf, eigrp) {
+    const table = new Map();
+    const add = route => mergeRoute(table, route, compareRoutes);
+    node.ports.forEach(port => {
+        add({ code: 'C', network: port.network, prefix: port.prefix, distance: 0, metric: 0, paths: [{ gateway: null, iface: port.name }] });
+        if (port.prefix < 32) add({ code: 'L', network: port.address, prefix: 32, distance: 0, metric: 0, paths: [{ gateway: null, iface: port.name }] });
+    });
+    node.device.running.staticRoutes.forEach(route => {
+        const network = parseIPv4(route.network);
+        const prefix = maskPrefix(parseIPv4(route.mask));
+        if (route.iface) {
+            if (node.ports.some(port => port.name === route.iface)) {
+                add({ code: 'S', network, prefix, distance: DISTANCES.S, metric: 0, paths: [{ gateway: null, iface: route.iface }] });
+            }
+            return;
+        }
+        const gateway = parseIPv4(route.nextHop);
+        const via = node.ports.find(port => inSubnet(gateway, port.network, port.prefix));
+        if (via) add({ code: 'S', network, prefix, distance: DISTANCES.S, metric: 0, paths: [{ gateway, iface: via.name }] });
+    });
+    [...ospf, ...eigrp].filter(instance => instance.node === node).forEach(instance => {
+        instance.routes.forEach(route => add({ ...route, distance: DISTANCES[route.code], paths: route.paths.map(path => ({ ...path })) }));
+    });
+    return table;
+}
+
+// --- BGP ------------------------------------------------------------------
+
+function bgpSpeakers(nodes) {
+    return nodes.filter(node => Object.keys(node.device.running.bgp).length).map(node => {
+        const [[as, process]] = Object.entries(node.device.running.bgp);
+        return { node, as: Number(as), process, routerId: routerId(process.routerId, node.ports), sessions: [], paths: new Map(), best: new Map() };
+    });
+}
+
+/**
+ * A session comes up when each side has the other configured with the
+ * right AS and can reach it; external peers must share a subnet.
+ */
+function bgpSessions(speakers, nodes) {
+    const owner = address => nodes.find(node => node.ports.some(port => port.address === address));
+    speakers.forEach(speaker => {
+        Object.entries(speaker.process.neighbors).forEach(([text, neighbor]) => {
+            const address = parseIPv4(text);
+            const session = {
+                address, remoteAs: neighbor.remoteAs, description: neighbor.description,
+                external: neighbor.remoteAs !== speaker.as, state: 'Idle', peer: null, localAddress: null
+            };
+            speaker.sessions.push(session);
+            const route = lookup(speaker.node.table, address);
+            if (!route) return;
+            session.state = 'Active';
+            if (session.external && route.code !== 'C') return;
+            session.localAddress = speaker.node.ports.find(port => port.name === route.paths[0].iface)?.address ?? null;
+            const peerNode = owner(address);
+            const peer = speakers.find(candidate => candidate.node === peerNode);
+            if (!peer || peer.as !== neighbor.remoteAs || session.localAddress === null) return;
+            const back = peer.process.neighbors[formatIPv4(session.localAddress)];
+            if (back?.remoteAs !== speaker.as || !lookup(peer.node.table, session.localAddress)) return;
+            session.state = 'Established';
+            session.peer = peer;
+        });
+    });
+}
+
+/**
+ * Best path: weight, local preference, locally originated, shortest AS
+ * path, MED between paths from the same AS, external over internal, the
+ * closest next hop, then the lowest router ID and neighbour address.
+ */
+function compareBgp(speaker, a, b) {
+    const igpMetric = path => path.session ? lookup(speaker.node.table, path.nextHop)?.metric ?? Infinity : 0;
+    const sameNeighborAs = a.asPath[0] !== undefined && a.asPath[0] === b.asPath[0];
+    return (b.weight - a.weight)
+        || (b.localPref - a.localPref)
+        || ((a.session ? 1 : 0) - (b.session ? 1 : 0))
+        || (a.asPath.length - b.asPath.length)
+        || (sameNeighborAs ? (a.med ?? 0) - (b.med ?? 0) : 0)
+        || ((b.session?.external ? 1 : 0) - (a.session?.external ? 1 : 0))
+        || (igpMetric(a) - igpMetric(b))
+        || ((a.session?.peer.routerId ?? 0) - (b.session?.peer.routerId ?? 0))
+        || ((a.session?.address ?? 0) - (b.session?.address ?? 0));
+}
+
+/**
+ * Originate the `network` statements that match a route exactly, then
+ * exchange updates until every speaker's best paths stop changing.
+ */
+function bgpConverge(speakers) {
+    speakers.forEach(speaker => {
+        speaker.process.networks.forEach(statement => {
+            const address = parseIPv4(statement.address);
+            const prefix = statement.mask ? maskPrefix(parseIPv4(statement.mask)) : classfulPrefix(address);
+            const network = (address & prefixMask(prefix)) >>> 0;
+            const route = speaker.node.table.get(prefixKey(network, prefix));
+            if (!route) return;
+            speaker.paths.set(prefixKey(network, prefix), [{
+                network, prefix, nextHop: 0, asPath: [], med: route.metric, localPref: 100, weight: 32768, session: null
+            }]);
+        });
+    });
+
+    const valid = (speaker, path) => !path.session || lookup(speaker.node.table, path.nextHop) !== null;
+    const select = speaker => {
+        speaker.best = new Map();
+        speaker.paths.forEach((paths, key) => {
+            const candidates = paths.filter(path => valid(speaker, path)).sort((a, b) => compareBgp(speaker, a, b));
+            if (candidates.length) speaker.best.set(key, candidates[0]);
+        });
+    };
+
+    for (let round = 0, changed = true; changed && round < MAX_ROUNDS; round++) {
+        changed = false;
+        speakers.forEach(select);
+        speakers.forEach(speaker => speaker.sessions.filter(session => session.state === 'Established').forEach(session => {
+            const { peer } = session;
+            const back = peer.sessions.find(candidate => candidate.peer === speaker);
+            if (!back) return;
+            const updates = new Map();
+            speaker.best.forEach((path, key) => {
+                if (path.session?.peer === peer) return;
+                if (session.external) {
+                    const asPath = [speaker.as, ...path.asPath];
+                    if (asPath.includes(peer.as)) return;
+                    updates.set(key, {
+                        network: path.network, prefix: path.prefix, nextHop: session.localAddress, asPath,
+                        med: path.session ? null : path.med, localPref: 100, weight: 0, session: back
+                    });
+                } else {
+                    // Split horizon: what came from one internal peer is not passed to another
+                    if (path.session && !path.session.external) return;
+                    updates.set(key, { ...path, nextHop: path.session ? path.nextHop : session.localAddress, weight: 0, session: back });
+                }
+            });
+            // Replace everything learned over this session with the new update
+            const before = JSON.stringify([...peer.paths.values()].flat().filter(path => path.session === back).map(describePath));
+            peer.paths.forEach((paths, key) => peer.paths.set(key, paths.filter(path => path.session !== back)));
+            updates.forEach((path, key) => {
+                if (!peer.paths.has(key)) peer.paths.set(key, []);
+                peer.paths.get(key).push(path);
+            });
+            const after = JSON.stringify([...peer.paths.values()].flat().filter(path => path.session === back).map(describePath));
+            if (before !== after) changed = true;
+        }));
+    }
+    speakers.forEach(select);
+}
+
+function describePath(path) {
+    return [path.network, path.prefix, path.nextHop, path.asPath.join(' '), path.med, path.localPref];
+}
+
+/**
+ * Install each speaker's best learned paths where BGP's distance beats
+ * what the table already has, resolving the next hop through it.
+ */
+function installBgp(speaker) {
+    const { table } = speaker.node;
+    speaker.best.forEach((path, key) => {
+        if (!path.session) return;
+        const distance = path.session.external ? DISTANCES.eBGP : DISTANCES.iBGP;
+        const existing = table.get(key);
+        path.installed = !existing || distance < existing.distance;
+        if (!path.installed) return;
+        const via = lookup(table, path.nextHop, existing);
+        if (!via) return;
+        const paths = via.paths.map(hop => ({ gateway: hop.gateway ?? path.nextHop, iface: hop.iface }));
+        table.set(key, { code: 'B', network: path.network, prefix: path.prefix, distance, metric: path.med ?? 0, nextHop: path.nextHop, paths });
+    });
+}
+
+// --- Convergence ----------------------------------------------------------
+
+function since(key, now) {
+    if (!firstSeen.has(key)) firstSeen.set(key, now);
+    return firstSeen.get(key);
+}
+
+/**
+ * Run every protocol over the lab as the running-configs now stand, or
+ * return the last result if none of them has changed.
+ * @returns {Map<IosDevice, object>}
+ */
+function converge() {
+    const devices = [...getNetwork().hosts.values()].map(getDevice).filter(Boolean);
+    const signature = JSON.stringify(devices.map(device => device.running));
+    if (converged.signature === signature) return converged.state;
+
+    const nodes = devices.map(device => ({ device, ports: activePorts(device), table: null }));
+    const ospf = ospfInstances(nodes);
+    ospfAdjacencies(ospf);
+    ospfRoutes(ospf);
+    const eigrp = eigrpInstances(nodes);
+    eigrpConverge(eigrp);
+    nodes.forEach(node => {
+        node.table = interiorTable(node, ospf, eigrp);
+    });
+    const bgp = bgpSpeakers(nodes);
+    bgpSessions(bgp, nodes);
+    bgpConverge(bgp);
+    bgp.forEach(installBgp);
+
+    // Ages survive reconvergence for whatever did not change
+    const now = Date.now();
+    const seen = new Set();
+    const stamp = key => {
+        seen.add(key);
+        return since(key, now);
+    };
+    const state = new Map();
+    nodes.forEach(node => {
+        const { device } = node;
+        const id = device.host.id;
+        state.set(device, {
+            ports: node.ports,
+            routes: [...node.table.values()].map(route => ({
+                ...route,
+                since: stamp(`${id} route ${route.code} ${route.network}/${route.prefix} ${route.paths.map(path => path.gateway).join(',')}`)
+            })),
+            ospf: ospf.filter(instance => instance.node === node).map(instance => ({
+                id: instance.id,
+                routerId: instance.routerId,
+                neighbors: instance.interfaces.flatMap(iface => iface.neighbors).map(neighbor => ({
+                    ...neighbor,
+                    instance: undefined,
+                    since: stamp(`${id} ospf ${instance.id} ${neighbor.routerId} ${neighbor.iface} ${neighbor.state}`)
+                }))
+            })),
+            eigrp: eigrp.filter(instance => instance.node === node).map(instance => ({
+                as: instance.as,
+                routerId: instance.routerId,
+                neighbors: instance.interfaces.flatMap(iface => iface.neighbors.map(neighbor => ({
+                    address: neighbor.address,
+                    iface: iface.port.name,
+                    since: stamp(`${id} eigrp ${instance.as} ${neighbor.address} ${iface.port.name}`)
+                }))),
+                topology: instance.topology
+            })),
+            bgp: bgp.filter(speaker => speaker.node === node).map(speaker => ({
+                as: speaker.as,
+                routerId: speaker.routerId,
+                sessions: speaker.sessions.map(session => ({
+                    address: session.address,
+                    remoteAs: session.remoteAs,
+                    description: session.description,
+                    state: session.state,
+                    since: stamp(`${id} bgp ${session.address} ${session.state}`),
+                    prefixes: [...speaker.paths.values()].flat().filter(path => path.session === session).length
+                })),
+                paths: [...speaker.paths.values()].flat().map(path => ({
+                    network: path.network,
+                    prefix: path.prefix,
+                    nextHop: path.nextHop,
+                    asPath: path.asPath,
+                    med: path.med,
+                    localPref: path.localPref,
+                    weight: path.weight,
+                    internal: Boolean(path.session && !path.session.external),
+                    valid: !path.session || lookup(node.table, path.nextHop) !== null,
+                    best: speaker.best.get(prefixKey(path.network, path.prefix)) === path,
+                    ribFailure: speaker.best.get(prefixKey(path.network, path.prefix)) === path && path.session !== null && !path.installed
+                }))
+            }))[0] || null
+        });
+    });
+    [...firstSeen.keys()].forEach(key => seen.has(key) || firstSeen.delete(key));
+
+    converged = { signature, state };
+    return state;
+}
+
+/**
+ * A device's routing table, as `show ip route` lists it.
+ * @param {IosDevice} device
+ * @returns {object[]} {code, network, prefix, distance, metric, paths, since}
+ *   where paths are {gateway, iface} with gateway a number or null, and
+ *   BGP routes also carry their nextHop
+ */
+export function getRoutes(device) {
+    return converge().get(device).routes;
+}
+
+/**
+ * @param {IosDevice} device
+ * @returns {object[]} One per OSPF process: {id, routerId, neighbors}
+ */
+export function getOspf(device) {
+    return converge().get(device).ospf;
+}
+
+/**
+ * @param {IosDevice} device
+ * @returns {object[]} One per EIGRP process: {as, routerId, neighbors, topology}
+ */
+export function getEigrp(device) {
+    return converge().get(device).eigrp;
+}
+
+/**
+ * @param {IosDevice} device
+ * @returns {?object} {as, routerId, sessions, paths}, or null without BGP
+ */
+export function getBgp(device) {
+    return converge().get(device).bgp;
+}
+
+setLabState({
+    routes: host => {
+        const device = getDevice(host);
+        if (!device) return null;
+        return getRoutes(device).filter(route => route.code !== 'L').map(route => ({
+            network: route.network,
+            prefix: route.prefix,
+            gateway: route.paths[0].gateway,
+            iface: route.paths[0].iface,
+            metric: route.metric,
+            source: route.code
+        }));
+    },
+    addresses: host => {
+        const device = getDevice(host);
+        return device ? converge().get(device).ports.map(port => port.address) : null;
+    },
+    linked: (host, iface, peer, peerIface) => {
+        const domain = broadcastDomain(host, iface.name);
+        return domain !== null && domain === broadcastDomain(peer, peerIface.name);
+    }
+});
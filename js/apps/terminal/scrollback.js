@@ -0,0 +1,575 @@
+// js/apps/terminal/scrollback.js
+
+/**
+ * Virtualized scrollback for the terminal output area. Output is kept as
+ * lines in a fixed-size ring buffer instead of as DOM, and only the lines
+ * in and around the viewport are rendered; a spacer above and below them
+ * stands in for the rest, so scrollTop and scrollHeight behave as if all
+ * of it were on the page. Each piece of output (a result, an error, the
+ * echoed command) is an entry whose visible lines share one styled card.
+ * Rich output such as tables keeps its rendered element and takes a
+ * single line. Line heights start as estimates from the terminal width
+ * and are replaced by measurements once a line has been on screen.
+ * @author jared u.
+ */
+
+import { hasAnsi, parseAnsi, renderSegments } from './ansi.js';
+import { refitTables } from './outputNodes.js';
+
+export const DEFAULT_SCROLLBACK = 100000;
+
+// Render this many viewport heights above and below the visible lines
+const OVERSCAN = 1;
+// Used while the output area has no layout, e.g. before the window opens
+const DEFAULT_LINE_HEIGHT = 21;
+const DEFAULT_COLUMNS = 80;
+
+/** Fixed-capacity queue; pushing onto a full buffer drops the oldest item */
+export class RingBuffer {
+    constructor(capacity) {
+        this.items = new Array(capacity);
+        this.head = 0;
+        this.length = 0;
+    }
+
+    get capacity() {
+        return this.items.length;
+    }
+
+    /** @param {number} index - 0 is the oldest item */
+    at(index) {
+        return this.items[(this.head + index) % this.items.length];
+    }
+
+    /** @returns {*} The item dropped to make room, if the buffer was full */
+    push(item) {
+        const dropped = this.length === this.items.length ? this.shift() : undefined;
+        this.items[(this.head + this.length) % this.items.length] = item;
+        this.length++;
+        return dropped;
+    }
+
+    shift() {
+        if (!this.length) return undefined;
+        const item = this.items[this.head];
+        this.items[this.head] = undefined;
+        this.head = (this.head + 1) % this.items.length;
+        this.length--;
+        return item;
+    }
+
+    clear() {
+        this.items = new Array(this.items.length);
+        this.head = 0;
+        this.length = 0;
+    }
+
+    /** A buffer of a new capacity holding the newest items that fit */
+    resized(capacity) {
+        const buffer = new RingBuffer(capacity);
+        for (let index = Math.max(0, this.length - capacity); index < this.length; index++) {
+            buffer.push(this.at(index));
+        }
+        return buffer;
+    }
+}
+
+function px(value) {
+    return Number.parseFloat(value) || 0;
+}
+
+/**
+ * Split output into lines. Plain lines stay strings; lines of text with
+ * escape sequences become parseAnsi runs, so a color set on one line
+ * carries over to the next as it would in a real terminal.
+ * @returns {Array<string|Array<{text: string, style: Object}>>}
+ */
+function splitLines(text) {
+    // A final newline ends the last line rather than starting an empty one
+    const source = text.endsWith('\n') ? text.slice(0, -1) : text;
+    if (!hasAnsi(source)) return source.split('\n');
+    const lines = [[]];
+    for (const { text: chunk, style } of parseAnsi(source)) {
+        chunk.split('\n').forEach((part, index) => {
+            if (index) lines.push([]);
+            if (part) lines[lines.length - 1].push({ text: part, style });
+        });
+    }
+    return lines;
+}
+
+function visibleLength(content) {
+    return typeof content === 'string'
+        ? content.length
+        : content.reduce((sum, segment) => sum + segment.text.length, 0);
+}
+
+/** CSS.highlights, where the browser supports custom highlights */
+function highlightRegistry() {
+    return typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function' ? CSS.highlights : null;
+}
+
+/** A DOM Range over characters start..end of the text under root */
+function textRange(root, start, end) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let offset = 0;
+    let started = false;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const { length } = node.data;
+        if (!started && start < offset + length) {
+            range.setStart(node, start - offset);
+            started = true;
+        }
+        if (started && end <= offset + length) {
+            range.setEnd(node, end - offset);
+            return range;
+        }
+        offset += length;
+    }
+    return null;
+}
+
+function spacer() {
+    const element = document.createElement('div');
+    element.className = 'terminal-scrollback-spacer';
+    element.setAttribute('aria-hidden', 'true');
+    return element;
+}
+
+export class Scrollback {
+    /**
+     * @param {HTMLElement} output - The scrolling output area
+     * @param {object} [options]
+     * @param {number} [options.capacity] - Lines kept before the oldest are dropped
+     * @param {function(): number} [options.columns] - Terminal width in characters
+     */
+    constructor(output, { capacity = DEFAULT_SCROLLBACK, columns = () => DEFAULT_COLUMNS } = {}) {
+        this.output = output;
+        this.columns = columns;
+        this.lines = new RingBuffer(capacity);
+        // Lines from this index on need their top recomputed
+        this.valid = 0;
+        this.sequence = 0;
+        this.lineHeight = 0;
+        this.chrome = new Map();
+        // What is on the page: cards in order, with the sequence numbers of
+        // their first and last lines, and the same cards by that range
+        this.drawn = [];
+        this.cards = new Map();
+        // Named CSS custom highlights: character ranges by line sequence number
+        this.marks = new Map();
+        this.painted = new Map();
+
+        this.topSpacer = spacer();
+        this.rows = document.createElement('div');
+        this.rows.className = 'terminal-scrollback';
+        this.bottomSpacer = spacer();
+        output.append(this.topSpacer, this.rows, this.bottomSpacer);
+        output.addEventListener('scroll', () => this.update(), { passive: true });
+    }
+
+    get capacity() {
+        return this.lines.capacity;
+    }
+
+    get size() {
+        return this.lines.length;
+    }
+
+    /** Keep at most `capacity` lines, dropping the oldest if there are more */
+    setCapacity(capacity) {
+        this.lines = this.lines.resized(capacity);
+        this.valid = 0;
+        this.render();
+    }
+
+    /**
+     * Add text output, one buffer line per line of text.
+     * @param {string} text - May contain ANSI escape sequences
+     * @param {string} className - Card class, e.g. terminal-result
+     * @param {string} [animation] - Played when the entry is first shown
+     */
+    appendText(text, className, animation = '') {
+        const contents = splitLines(text);
+        const entry = { className, animation, last: contents.length - 1 };
+        contents.forEach((content, index) => this.push({ entry, index, content, length: visibleLength(content) }));
+        this.layout();
+        this.update();
+    }
+
+    /** Add rendered output that is kept whole, e.g. a table or the prompt */
+    appendElement(element) {
+        const entry = { className: element.className, element, last: 0 };
+        this.push({ entry, index: 0, content: element, length: 0 });
+        this.layout();
+        this.update();
+    }
+
+    push(line) {
+        line.sequence = this.sequence++;
+        line.height = 0;
+        line.measured = false;
+        if (this.lines.push(line)) this.valid = Math.max(0, this.valid - 1);
+    }
+
+    /** Text of the line at a buffer index, without escape sequences */
+    textAt(index) {
+        const { entry, content } = this.lines.at(index);
+        if (entry.element) return entry.element.textContent;
+        return typeof content === 'string' ? content : content.map(segment => segment.text).join('');
+    }
+
+    sequenceAt(index) {
+        return this.lines.at(index).sequence;
+    }
+
+    /**
+     * Scroll the line with this sequence number into view.
+     * @param {number} sequence
+     * @param {'center'|'start'} [align='center'] - Middle or top of the viewport
+     */
+    reveal(sequence, align = 'center') {
+        const index = this.indexOf(sequence);
+        if (index < 0 || index >= this.lines.length) return;
+        this.layout();
+        const { height } = this.lines.at(index);
+        const offset = align === 'start' ? 0 : (this.output.clientHeight - height) / 2;
+        this.output.scrollTop = this.topOf(index) - offset;
+        this.render();
+    }
+
+    /**
+     * Highlight character ranges of lines, e.g. search matches, through the
+     * CSS Custom Highlight API so the rendered output is left as it is.
+     * Styled with ::highlight(name); null removes the highlight.
+     * @param {string} name
+     * @param {?Map<number, Array<[number, number]>>} ranges - [start, end) offsets by line sequence number
+     */
+    mark(name, ranges) {
+        if (ranges) this.marks.set(name, ranges);
+        else this.marks.delete(name);
+        if (!ranges) highlightRegistry()?.delete(name);
+        this.paint();
+    }
+
+    /** DOM ranges of a highlight among the lines on the page */
+    markedRanges(name) {
+        return this.painted.get(name) || [];
+    }
+
+    paint() {
+        this.painted.clear();
+        const registry = highlightRegistry();
+        if (!registry) return;
+        this.marks.forEach((bySequence, name) => {
+            const ranges = [];
+            this.drawn.forEach(({ card, first }) => {
+                const start = this.indexOf(first);
+                if (start < 0) return;
+                const roots = this.lines.at(start).entry.element ? [card] : [...card.children];
+                roots.forEach((root, offset) => {
+                    (bySequence.get(first + offset) || []).forEach(([from, to]) => {
+                        const range = textRange(root, from, to);
+                        if (range) ranges.push(range);
+                    });
+                });
+            });
+            this.painted.set(name, ranges);
+            registry.set(name, new Highlight(...ranges));
+        });
+    }
+
+    clear() {
+        this.lines.clear();
+        this.valid = 0;
+        this.drawn = [];
+        this.cards.clear();
+        this.rows.replaceChildren();
+        this.layout();
+    }
+
+    /**
+     * The terminal width or font changed: lay tables out again and go back
+     * to estimated heights until lines are measured at the new size.
+     */
+    refit() {
+        this.lineHeight = 0;
+        this.chrome.clear();
+        const columns = this.columns();
+        for (let index = 0; index < this.lines.length; index++) {
+            const line = this.lines.at(index);
+            line.measured = false;
+            if (line.entry.element) refitTables(line.entry.element, columns);
+        }
+        this.valid = 0;
+        this.render();
+    }
+
+    scrollToBottom() {
+        this.layout();
+        this.output.scrollTop = this.output.scrollHeight;
+        this.render();
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    scrollToTop() {
+        this.output.scrollTop = 0;
+        this.render();
+    }
+
+    /** Height of a line that hasn't been measured yet */
+    estimate(line) {
+        const { entry } = line;
+        const lineHeight = this.measureLineHeight();
+        const chrome = this.chromeOf(entry.className);
+        if (entry.element) {
+            return entry.element.textContent.split('\n').length * lineHeight + chrome.top + chrome.bottom;
+        }
+        const rows = Math.max(1, Math.ceil(line.length / (this.columns() || DEFAULT_COLUMNS)));
+        return rows * lineHeight
+            + (line.index === 0 ? chrome.top : 0)
+            + (line.index === entry.last ? chrome.bottom : 0);
+    }
+
+    measureLineHeight() {
+        if (this.lineHeight) return this.lineHeight;
+        const card = document.createElement('div');
+        card.className = 'terminal-result';
+        card.style.visibility = 'hidden';
+        card.style.position = 'absolute';
+        const probe = document.createElement('div');
+        probe.className = 'terminal-line';
+        probe.textContent = 'M';
+        card.appendChild(probe);
+        this.rows.appendChild(card);
+        const height = probe.offsetHeight;
+        card.remove();
+        // Not cached until there is layout to measure
+        if (height > 0) this.lineHeight = height;
+        return height > 0 ? height : DEFAULT_LINE_HEIGHT;
+    }
+
+    /** Margin, border and padding above and below a card of this class */
+    chromeOf(className) {
+        if (this.chrome.has(className)) return this.chrome.get(className);
+        const card = document.createElement('div');
+        card.className = className;
+        card.style.visibility = 'hidden';
+        card.style.position = 'absolute';
+        this.rows.appendChild(card);
+        const chrome = this.chromeOfElement(card);
+        card.remove();
+        if (this.lineHeight) this.chrome.set(className, chrome);
+        return chrome;
+    }
+
+    chromeOfElement(element) {
+        const style = getComputedStyle(element);
+        return {
+            top: px(style.marginTop) + px(style.borderTopWidth) + px(style.paddingTop),
+            bottom: px(style.marginBottom) + px(style.borderBottomWidth) + px(style.paddingBottom)
+        };
+    }
+
+    /** Bring line tops up to date and size the spacers around what is drawn */
+    layout() {
+        const { lines } = this;
+        for (let index = this.valid; index < lines.length; index++) {
+            const line = lines.at(index);
+            if (!line.measured) line.height = this.estimate(line);
+            const previous = index > 0 ? lines.at(index - 1) : null;
+            line.top = previous ? previous.top + previous.height : (line.top ?? 0);
+        }
+        this.valid = lines.length;
+
+        const total = this.bottomOf(lines.length - 1);
+        const first = this.indexOf(this.drawn[0]?.first);
+        const last = this.indexOf(this.drawn[this.drawn.length - 1]?.last);
+        const drawn = this.drawn.length && last >= 0;
+        const above = drawn ? this.topOf(Math.max(0, first)) : total;
+        this.topSpacer.style.height = `${above}px`;
+        this.bottomSpacer.style.height = `${drawn ? total - this.bottomOf(last) : 0}px`;
+    }
+
+    /** Offset of a line from the top of the scrollback */
+    topOf(index) {
+        return this.lines.length ? this.lines.at(index).top - this.lines.at(0).top : 0;
+    }
+
+    bottomOf(index) {
+        if (index < 0) return 0;
+        const line = this.lines.at(index);
+        return this.topOf(index) + line.height;
+    }
+
+    /** Buffer index of a line by sequence number; negative once it was dropped */
+    indexOf(sequence) {
+        return sequence === undefined || !this.lines.length ? -1 : sequence - this.lines.at(0).sequence;
+    }
+
+    /** Index of the line at an offset from the top of the scrollback */
+    lineAt(offset) {
+        let low = 0;
+        let high = this.lines.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.topOf(middle) <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return low;
+    }
+
+    /** Lines covering the viewport, plus `overscan` viewport heights either side */
+    visibleRange(overscan) {
+        const { scrollTop, clientHeight } = this.output;
+        const height = clientHeight || window.innerHeight;
+        return {
+            first: this.lineAt(scrollTop - height * overscan),
+            last: this.lineAt(scrollTop + height * (1 + overscan))
+        };
+    }
+
+    /** Render again only if the viewport has moved past what is drawn */
+    update() {
+        if (!this.lines.length) return;
+        this.layout();
+        const { first, last } = this.visibleRange(0);
+        const drawnFirst = this.indexOf(this.drawn[0]?.first);
+        const drawnLast = this.indexOf(this.drawn[this.drawn.length - 1]?.last);
+        if (this.drawn.length && drawnFirst >= 0 && first >= drawnFirst && last <= drawnLast) return;
+        this.render();
+    }
+
+    render() {
+        this.layout();
+        if (!this.lines.length) return;
+        const anchor = this.lineAt(this.output.scrollTop);
+        const within = this.output.scrollTop - this.topOf(anchor);
+        const { first, last } = this.visibleRange(OVERSCAN);
+        this.draw(first, last);
+        this.layout();
+        const shifted = this.measure();
+        this.layout();
+        this.paint();
+        // Lines above the viewport changed height: keep the same text in view
+        if (shifted) this.output.scrollTop = this.topOf(anchor) + within;
+    }
+
+    /** Put the cards for lines first..last on the page, reusing the ones already there */
+    draw(first, last) {
+        const drawn = [];
+        for (let start = first; start <= last;) {
+            const { entry } = this.lines.at(start);
+            let end = start;
+            while (end < last && this.lines.at(end + 1).entry === entry) end++;
+            drawn.push({ card: this.card(entry, start, end), first: this.lines.at(start).sequence, last: this.lines.at(end).sequence });
+            start = end + 1;
+        }
+
+        const cards = new Set(drawn.map(({ card }) => card));
+        [...this.rows.children].forEach(child => {
+            if (cards.has(child)) return;
+            // Leaving the page; it shouldn't animate again when scrolled back to
+            child.style.animation = 'none';
+            child.remove();
+        });
+        let next = this.rows.firstChild;
+        drawn.forEach(({ card }) => {
+            if (card === next) next = next.nextSibling;
+            else this.rows.insertBefore(card, next);
+        });
+
+        this.cards = new Map(drawn.map(({ card, first: start, last: end }) => [`${start}:${end}`, card]));
+        this.drawn = drawn;
+    }
+
+    card(entry, start, end) {
+        if (entry.element) return entry.element;
+        const existing = this.cards.get(`${this.lines.at(start).sequence}:${this.lines.at(end).sequence}`);
+        if (existing) return existing;
+
+        const card = document.createElement('div');
+        const { index: from } = this.lines.at(start);
+        const { index: to } = this.lines.at(end);
+        // A card cut off at an edge of the rendered range drops its border there
+        card.className = [
+            entry.className,
+            from > 0 ? 'terminal-scrollback-cut-top' : '',
+            to < entry.last ? 'terminal-scrollback-cut-bottom' : ''
+        ].filter(Boolean).join(' ');
+        if (entry.shown) card.style.animation = 'none';
+        else if (entry.animation) card.style.animation = entry.animation;
+        entry.shown = true;
+        for (let index = start; index <= end; index++) {
+            const { content } = this.lines.at(index);
+            const row = document.createElement('div');
+            row.className = 'terminal-line';
+            if (typeof content === 'string') row.textContent = content;
+            else row.appendChild(renderSegments(content));
+            card.appendChild(row);
+        }
+        return card;
+    }
+
+    /**
+     * Replace estimated heights of drawn lines with measured ones.
+     * @returns {boolean} Whether a line above the viewport changed height
+     */
+    measure() {
+        if (!this.output.clientHeight) return false;
+        const viewportTop = this.output.scrollTop;
+        let shifted = false;
+        const record = (index, height) => {
+            const line = this.lines.at(index);
+            if (line.measured || !(height > 0)) return;
+            line.measured = true;
+            if (Math.abs(line.height - height) < 0.5) return;
+            if (this.topOf(index) < viewportTop) shifted = true;
+            line.height = height;
+            this.valid = Math.min(this.valid, index + 1);
+        };
+
+        this.drawn.forEach(({ card, first, last }) => {
+            const start = this.indexOf(first);
+            const end = this.indexOf(last);
+            if (start < 0) return;
+            let pending = false;
+            for (let index = start; index <= end && !pending; index++) pending = !this.lines.at(index).measured;
+            if (!pending) return;
+            if (this.lines.at(start).entry.element) {
+                const style = getComputedStyle(card);
+                record(start, card.offsetHeight + px(style.marginTop) + px(style.marginBottom));
+                return;
+            }
+            const chrome = this.chromeOfElement(card);
+            [...card.children].forEach((row, offset) => {
+                record(start + offset, row.offsetHeight
+                    + (offset === 0 ? chrome.top : 0)
+                    + (start + offset === end ? chrome.bottom : 0));
+            });
+        });
+        return shifted;
+    }
+}
+
+/**
+ * scrollback [lines]: show how much output is kept, or change it.
+ * @param {Terminal} terminal
+ * @param {string[]} args
+ * @param {object} [io]
+ * @returns {string}
+ */
+export function handleScrollback(terminal, args = [], io = {}) {
+    const { scrollback } = terminal;
+    const [value] = args;
+    if (value === undefined) {
+        return `scrollback: ${scrollback.size} of ${scrollback.capacity} lines`;
+    }
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+        io.exitCode = 1;
+        return `scrollback: ${value}: invalid number of lines`;
+    }
+    scrollback.setCapacity(Number(value));
+    return '';
+}
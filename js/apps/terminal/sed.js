@@ -0,0 +1,233 @@
+// js/apps/terminal/sed.js
+
+/**
+ * Stream editor subset: the s, d, p, q and = commands, with line-number,
+ * `$` and /regex/ addresses, address ranges and `!` negation.
+ * @author jared u.
+ */
+
+import { AppError, ErrorTypes } from '../../utils/utils.js';
+import { compilePattern } from './posixRegex.js';
+
+function sedError(message) {
+    return new AppError(message, ErrorTypes.VALIDATION);
+}
+
+/**
+ * Split an s/// replacement into literal text and group references, where
+ * `&` is the whole match (group 0) and `\1`..`\9` are captured groups.
+ * @param {string} text
+ * @returns {Array<string|number>}
+ */
+function parseReplacement(text) {
+    const parts = [];
+    let literal = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            const next = text[++i];
+            if (/\d/.test(next)) {
+                parts.push(literal, Number(next));
+                literal = '';
+            } else {
+                literal += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+            }
+        } else if (char === '&') {
+            parts.push(literal, 0);
+            literal = '';
+        } else {
+            literal += char;
+        }
+    }
+    parts.push(literal);
+    return parts;
+}
+
+/**
+ * Compile a sed script into a list of commands.
+ * @param {string} script - Commands separated by `;` or newlines
+ * @param {object} [options]
+ * @param {boolean} [options.extended=false] - Use extended regular expressions (-E)
+ * @returns {Array<object>}
+ * @throws {AppError} On malformed scripts
+ */
+export function compileSedScript(script, { extended = false } = {}) {
+    const commands = [];
+    let i = 0;
+
+    const skipBlanks = () => {
+        while (i < script.length && /[ \t]/.test(script[i])) i++;
+    };
+
+    const readDelimited = (delimiter, what) => {
+        let text = '';
+        while (i < script.length && script[i] !== delimiter && script[i] !== '\n') {
+            if (script[i] === '\\' && i + 1 < script.length) {
+                text += script[i + 1] === delimiter ? delimiter : script.slice(i, i + 2);
+                i += 2;
+            } else {
+                text += script[i++];
+            }
+        }
+        if (script[i] !== delimiter) throw sedError(`unterminated ${what}`);
+        i++;
+        return text;
+    };
+
+    const readAddress = () => {
+        if (/\d/.test(script[i])) {
+            let digits = '';
+            while (/\d/.test(script[i])) digits += script[i++];
+            return { line: Number(digits) };
+        }
+        if (script[i] === '$') {
+            i++;
+            return { last: true };
+        }
+        if (script[i] === '/' || script[i] === '\\') {
+            if (script[i] === '\\') i++;
+            const delimiter = script[i++];
+            return { regex: compilePattern(readDelimited(delimiter, 'address regex'), { extended }) };
+        }
+        return null;
+    };
+
+    while (i < script.length) {
+        while (i < script.length && /[\s;]/.test(script[i])) i++;
+        if (i >= script.length) break;
+
+        const start = readAddress();
+        let end = null;
+        if (start && script[i] === ',') {
+            i++;
+            end = readAddress();
+            if (!end) throw sedError("unexpected `,'");
+        }
+        skipBlanks();
+        const negate = script[i] === '!';
+        if (negate) {
+            i++;
+            skipBlanks();
+        }
+
+        const name = script[i++];
+        const command = { name, start, end, negate, active: false };
+        if (name === 's') {
+            const delimiter = script[i++];
+            if (!delimiter || delimiter === '\n' || delimiter === '\\') throw sedError("unterminated `s' command");
+            const pattern = readDelimited(delimiter, "`s' command");
+            const replacement = readDelimited(delimiter, "`s' command");
+            let flags = '';
+            while (i < script.length && /[gipIP0-9]/.test(script[i])) flags += script[i++];
+            command.regex = compilePattern(pattern, { extended, global: true, ignoreCase: /i/i.test(flags) });
+            command.replacement = parseReplacement(replacement);
+            command.global = flags.includes('g');
+            command.print = /p/i.test(flags);
+            command.occurrence = Number(flags.match(/\d+/)?.[0] ?? 0);
+        } else if (name === undefined) {
+            throw sedError('missing command');
+        } else if (!'dpq='.includes(name)) {
+            throw sedError(`unknown command: \`${name}'`);
+        }
+
+        skipBlanks();
+        if (i < script.length && !/[;\n]/.test(script[i])) {
+            throw sedError(`extra characters after command`);
+        }
+        commands.push(command);
+    }
+    return commands;
+}
+
+function matchesAddress(address, line, number, isLast) {
+    if (address.line !== undefined) return number === address.line;
+    if (address.last) return isLast;
+    return address.regex.test(line);
+}
+
+/**
+ * Decide whether a command applies to the current line, tracking range state.
+ */
+function selects(command, line, number, isLast) {
+    const { start, end } = command;
+    let selected;
+    if (!start) {
+        selected = true;
+    } else if (!end) {
+        selected = matchesAddress(start, line, number, isLast);
+    } else if (command.active) {
+        selected = true;
+        const closes = end.line !== undefined ? number >= end.line : matchesAddress(end, line, number, isLast);
+        if (closes) command.active = false;
+    } else if (matchesAddress(start, line, number, isLast)) {
+        // A numeric end at or before the start line selects just this line
+        selected = true;
+        command.active = !(end.line !== undefined && end.line <= number);
+    } else {
+        selected = false;
+    }
+    return selected !== command.negate;
+}
+
+function substitute(command, space) {
+    let occurrence = 0;
+    let replaced = false;
+    const text = space.replace(command.regex, (...match) => {
+        occurrence++;
+        const wanted = command.occurrence
+            ? occurrence === command.occurrence || (command.global && occurrence > command.occurrence)
+            : command.global || occurrence === 1;
+        if (!wanted) return match[0];
+        replaced = true;
+        return command.replacement
+            .map(part => (typeof part === 'number' ? match[part] ?? '' : part))
+            .join('');
+    });
+    return { text, replaced };
+}
+
+/**
+ * Run compiled commands over a list of lines.
+ * @param {Array<object>} commands - From compileSedScript()
+ * @param {string[]} lines
+ * @param {object} [options]
+ * @param {boolean} [options.quiet=false] - Suppress automatic printing (-n)
+ * @returns {string[]} Output lines
+ */
+export function runSed(commands, lines, { quiet = false } = {}) {
+    commands.forEach(command => { command.active = false; });
+    const output = [];
+
+    for (let index = 0; index < lines.length; index++) {
+        const number = index + 1;
+        const isLast = index === lines.length - 1;
+        let space = lines[index];
+        let deleted = false;
+        let quit = false;
+
+        for (const command of commands) {
+            if (!selects(command, space, number, isLast)) continue;
+            if (command.name === 'd') {
+                deleted = true;
+                break;
+            }
+            if (command.name === 'q') {
+                quit = true;
+                break;
+            }
+            if (command.name === 'p') {
+                output.push(space);
+            } else if (command.name === '=') {
+                output.push(String(number));
+            } else {
+                const result = substitute(command, space);
+                space = result.text;
+                if (result.replaced && command.print) output.push(space);
+            }
+        }
+
+        if (!deleted && !quiet) output.push(space);
+        if (quit) break;
+    }
+    return output;
+}
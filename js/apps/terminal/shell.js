@@ -0,0 +1,757 @@
+// js/apps/terminal/shell.js
+
+/**
+ * Executes parsed command lines and scripts: and-or lists, pipelines,
+ * redirections, compound commands and shell functions. Handlers are called
+ * as handler(args, io) where io.stdin holds the piped input (or null) and
+ * io.exitCode may be set to report failure; the value a handler returns is
+ * its stdout, or an Error for a command whose only output is its failure.
+ * Handlers that produce output and errors together push the error lines
+ * onto io.stderr, which goes to the screen and never into a pipe or a
+ * redirected file. io.context is the execution context described below,
+ * which shell builtins use to run nested scripts and unwind loops.
+ * @author jared u.
+ */
+
+import { AppError, ErrorTypes } from '../../utils/utils.js';
+import { parseCommandLine, expandWord, wordToString } from './shellParser.js';
+import { globToRegExp } from './vfs.js';
+import {
+    hideLoading,
+    handleCommandError,
+    handleCommandSuccess,
+    handleCommandResult
+} from './outputUtils.js';
+import { isStream, spawnJob } from './jobs.js';
+import { findTable, isOutputNode, nodeToText } from './outputNodes.js';
+import { TABLE_FORMATS, serializeTable } from './table.js';
+
+const ASSIGNMENT_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s;
+const DECLARATION_COMMANDS = new Set(['local', 'export']);
+
+// Guards the UI thread against `while true` and friends
+export const MAX_LOOP_ITERATIONS = 10000;
+
+// Like bash's FUNCNEST, and the same bound for nested scripts and source
+export const MAX_NESTING = 1000;
+
+/**
+ * Thrown by break, continue, return and exit to unwind the executor up to
+ * the loop, function or script they belong to.
+ */
+export class ShellControl {
+    /**
+     * @param {'break'|'continue'|'return'|'exit'} kind
+     * @param {number} value - Loop count for break/continue, status otherwise
+     */
+    constructor(kind, value) {
+        this.kind = kind;
+        this.value = value;
+    }
+}
+
+/**
+ * Resolve a shell parameter for expansion.
+ * @param {Terminal} terminal
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+export function lookupVariable(terminal, name) {
+    switch (name) {
+        case '?':
+            return String(terminal.lastExitCode ?? 0);
+        case '$':
+            return '1234';
+        case '!':
+            return terminal.lastBackgroundPid ? String(terminal.lastBackgroundPid) : '';
+        case '0':
+            return terminal.scriptName || 'bash';
+        case '#':
+            return String(terminal.positionalParameters?.length ?? 0);
+        case '@':
+        case '*':
+            return (terminal.positionalParameters || []).join(' ');
+        default:
+            if (/^\d+$/.test(name)) return terminal.positionalParameters?.[Number(name) - 1];
+            return terminal.environment[name];
+    }
+}
+
+/**
+ * Expand a glob against the virtual filesystem, one path segment at a time.
+ * @param {Terminal} terminal
+ * @param {string} pattern
+ * @returns {string[]} Sorted matches, or an empty list when nothing matched
+ */
+export function expandGlob(terminal, pattern) {
+    const absolute = pattern.startsWith('/');
+    const segments = pattern.split('/').filter(Boolean);
+    let candidates = [absolute ? '/' : ''];
+
+    for (const segment of segments) {
+        const next = [];
+        for (const prefix of candidates) {
+            const dirPath = terminal.fs.resolve(terminal.workingDirectory, prefix || '.');
+            const join = name => (prefix === '' ? name : prefix === '/' ? `/${name}` : `${prefix}/${name}`);
+            if (!/[*?[]/.test(segment)) {
+                if (terminal.fs.exists(terminal.fs.resolve(dirPath, segment))) next.push(join(segment));
+                continue;
+            }
+            if (!terminal.fs.isDirectory(dirPath)) continue;
+            const matcher = globToRegExp(segment);
+            let names = [];
+            try {
+                names = terminal.fs.readdir(dirPath, { all: segment.startsWith('.') });
+            } catch {
+                continue;
+            }
+            names
+                .filter(name => name !== '.' && name !== '..' && matcher.test(name))
+                .forEach(name => next.push(join(name)));
+        }
+        candidates = next;
+    }
+    return candidates.filter(Boolean).sort();
+}
+
+/**
+ * Expand a command's words into an argv array.
+ * @param {Terminal} terminal
+ * @param {Array} words
+ * @returns {string[]}
+ */
+export function expandWords(terminal, words) {
+    const context = {
+        lookup: name => lookupVariable(terminal, name),
+        home: terminal.fs.home,
+        glob: pattern => expandGlob(terminal, pattern),
+        positional: terminal.positionalParameters || []
+    };
+    // Assignments given to declaration builtins are not word-split
+    const declaration = words.length && DECLARATION_COMMANDS.has(wordToString(words[0]));
+    return words.flatMap(word => expandWord(word, {
+        ...context,
+        assignment: declaration && /^[A-Za-z_][A-Za-z0-9_]*=/.test(wordToString(word))
+    }));
+}
+
+/**
+ * Convert a handler result into text that can be piped or redirected.
+ * @param {*} result
+ * @returns {string}
+ */
+export function stringifyOutput(result) {
+    if (result === undefined || result === null) return '';
+    if (typeof result === 'string') return result;
+    if (Array.isArray(result) || isOutputNode(result)) return nodeToText(result);
+    if (typeof result === 'object') return JSON.stringify(result, null, 2);
+    return String(result);
+}
+
+/**
+ * Show a finished command's result in the output area.
+ * @param {Terminal} terminal
+ * @param {*} result
+ * @param {string} commandText - Source text, used for document detection
+ */
+export async function displayResult(terminal, result, commandText) {
+    hideLoading(terminal);
+    // Filters that pass stdin through keep its final newline; the screen doesn't need it
+    if (typeof result === 'string') result = result.replace(/\n$/, '');
+    if (result instanceof Error) {
+        handleCommandError(terminal, result);
+    } else if (result === '' || result === undefined || result === null) {
+        return;
+    } else if (isOutputNode(result) && result.type === 'success') {
+        handleCommandSuccess(terminal, result.text);
+    } else {
+        await handleCommandResult(terminal, result, commandText);
+    }
+}
+
+/**
+ * Expand a redirection's target word.
+ * @returns {{name: string, path: string}} The target as typed and resolved
+ */
+function redirectTarget(terminal, redirect) {
+    const fields = expandWords(terminal, [redirect.target]);
+    if (fields.length !== 1) {
+        throw new AppError(`${fields.join(' ') || '""'}: ambiguous redirect`, ErrorTypes.VALIDATION);
+    }
+    return { name: fields[0], path: terminal.fs.resolve(terminal.workingDirectory, fields[0]) };
+}
+
+function shellError(name, error) {
+    return new AppError(`bash: ${name}: ${error.message}`, ErrorTypes.VALIDATION, error.details);
+}
+
+/**
+ * Apply a command's redirections. Like bash, `>` truncates its target
+ * before the command runs.
+ * @returns {{input: ?string, outputPath: ?string, error: ?Error}}
+ */
+function openRedirects(terminal, redirects, stdin) {
+    let input = stdin;
+    let outputPath = null;
+    for (const redirect of redirects) {
+        const { name, path } = redirectTarget(terminal, redirect);
+        try {
+            if (redirect.op === '<') {
+                input = terminal.fs.readFile(path);
+            } else {
+                terminal.fs.writeFile(path, '', { append: redirect.op === '>>' });
+                outputPath = path;
+            }
+        } catch (error) {
+            return { input, outputPath, error: shellError(name, error) };
+        }
+    }
+    return { input, outputPath, error: null };
+}
+
+function writeRedirect(terminal, outputPath, output) {
+    const text = stringifyOutput(output);
+    terminal.fs.writeFile(outputPath, text && !text.endsWith('\n') ? `${text}\n` : text, { append: true });
+}
+
+/**
+ * Execution context threaded through a run:
+ *   write(output) - receives each pipeline's stdout, or an Error for stderr
+ *   tty           - true when write() puts output straight on the screen
+ *   input         - {text} stdin shared by the commands of a piped compound
+ *                   command, consumed line by line by `read`
+ *   loops         - enclosing loop count, checked by break and continue
+ *   functions     - enclosing function calls, checked by return and
+ *                   against MAX_NESTING
+ *   scripts       - enclosing scripts, checked by return and exit and
+ *                   against MAX_NESTING
+ *   job           - the Job this runs as, if any; its signal is passed to
+ *                   handlers as io.signal, and nothing more runs once it
+ *                   is aborted or while it is stopped
+ * @param {Terminal} terminal
+ * @param {string} commandText - Source text, used for document detection
+ * @param {Job} [job]
+ * @returns {object}
+ */
+export function createContext(terminal, commandText, job = null) {
+    return {
+        write: output => displayResult(terminal, output, commandText),
+        tty: true,
+        input: null,
+        loops: 0,
+        functions: 0,
+        scripts: 0,
+        job
+    };
+}
+
+/**
+ * Derive a context whose stdout is collected rather than shown, for
+ * commands that are piped or redirected. Errors still reach the screen.
+ */
+function captureContext(terminal, context) {
+    const chunks = [];
+    return {
+        ...context,
+        tty: false,
+        chunks,
+        write: async output => {
+            if (output instanceof Error) {
+                await context.write(output);
+                return;
+            }
+            const text = stringifyOutput(output);
+            if (text) chunks.push(text.endsWith('\n') ? text : `${text}\n`);
+        }
+    };
+}
+
+/**
+ * Run a list in `context`, or capture its output when it is piped or
+ * redirected.
+ * @returns {Promise<{output: string, status: number}>}
+ */
+async function runCaptured(terminal, list, context, direct) {
+    if (direct) {
+        return { output: '', status: await runList(terminal, list, context) };
+    }
+    const captured = captureContext(terminal, context);
+    const status = await runList(terminal, list, captured);
+    return { output: captured.chunks.join(''), status };
+}
+
+/**
+ * Call a shell function with its own positional parameters and locals.
+ * @returns {Promise<{output: string, status: number}>}
+ */
+async function callFunction(terminal, name, body, args, context, direct) {
+    if (context.functions >= MAX_NESTING) {
+        throw new AppError(`${name}: maximum function nesting level exceeded (${MAX_NESTING})`, ErrorTypes.VALIDATION);
+    }
+    const saved = terminal.positionalParameters;
+    const locals = new Map();
+    terminal.positionalParameters = args;
+    try {
+        return await runCaptured(terminal, body, { ...context, functions: context.functions + 1, locals }, direct);
+    } catch (control) {
+        if (!(control instanceof ShellControl) || control.kind !== 'return') throw control;
+        return { output: '', status: control.value };
+    } finally {
+        terminal.positionalParameters = saved;
+        locals.forEach((value, name) => {
+            if (value === undefined) delete terminal.environment[name];
+            else terminal.environment[name] = value;
+        });
+    }
+}
+
+/**
+ * Run an expanded argv: a shell function, a registered command, or a
+ * script file named by path.
+ * @param {Terminal} terminal
+ * @param {string[]} argv
+ * @param {object} io - Handler io; io.context must be set
+ * @param {boolean} [direct=false] - Output goes to io.context rather than the caller
+ * @returns {Promise<*>} The command's stdout; io.exitCode holds its status
+ */
+export async function runArgv(terminal, argv, io, direct = false) {
+    const [name, ...args] = argv;
+    const body = terminal.functions?.get(name);
+    if (body) {
+        const result = await callFunction(terminal, name, body, args, io.context, direct);
+        io.exitCode = result.status;
+        return result.output;
+    }
+
+    const handler = terminal.commands.get(name) || terminal.commands.get(name.toLowerCase());
+    if (!handler && name.includes('/')) {
+        return runScriptFile(terminal, name, io, { args, subshell: true, execute: true });
+    }
+    if (!handler) {
+        io.exitCode = 127;
+        return new AppError(`command not found: ${name}`, ErrorTypes.VALIDATION);
+    }
+
+    // Commands registered with table output take --json and --csv
+    const meta = terminal.commandMeta?.get(name) || terminal.commandMeta?.get(name.toLowerCase());
+    const format = meta?.table ? TABLE_FORMATS.find(candidate => args.includes(`--${candidate}`)) : undefined;
+    if (format) io.format = format;
+    const commandArgs = format ? args.filter(arg => !TABLE_FORMATS.some(candidate => arg === `--${candidate}`)) : args;
+
+    io.stderr = [];
+    try {
+        const output = await handler(commandArgs, io);
+        await flushStderr(io);
+        if (isStream(output)) return await drainStream(format ? formatStream(output, format) : output, io, direct);
+        if (output instanceof Error) io.exitCode = io.exitCode || 1;
+        return format ? formatTable(output, format) : output;
+    } catch (error) {
+        if (error instanceof ShellControl) throw error;
+        await flushStderr(io);
+        io.exitCode = 1;
+        return error;
+    }
+}
+
+/** Show the error lines a handler pushed onto io.stderr */
+async function flushStderr(io) {
+    if (!io.stderr.length) return;
+    const lines = io.stderr.splice(0);
+    await io.context?.write(new AppError(lines.join('\n'), ErrorTypes.VALIDATION));
+}
+
+/** Serialize the table in a command's output; anything else passes through */
+function formatTable(output, format) {
+    const table = findTable(output);
+    return table ? serializeTable(table, format) : output;
+}
+
+async function* formatStream(stream, format) {
+    for await (const value of stream) yield formatTable(value, format);
+}
+
+/**
+ * Consume a streaming handler's output. On the screen each chunk is shown
+ * as it arrives; otherwise the chunks are collected into one string. The
+ * stream is closed early if the job is interrupted, and not read from
+ * while the job is stopped.
+ * @returns {Promise<string>}
+ */
+export async function drainStream(stream, io, direct) {
+    const job = io.context?.job;
+    const iterator = stream[Symbol.asyncIterator]();
+    const chunks = [];
+    try {
+        for (;;) {
+            await job?.whileStopped();
+            if (job?.signal.aborted) break;
+            const { value, done } = await iterator.next();
+            if (done) break;
+            if (direct) await io.context.write(value);
+            else chunks.push(stringifyOutput(value));
+        }
+    } finally {
+        if (job?.signal.aborted) {
+            io.exitCode = job.abortStatus;
+            await iterator.return?.();
+        }
+    }
+    return chunks.join('\n');
+}
+
+/**
+ * Run a single simple command with its redirections applied.
+ * @returns {Promise<{output: *, status: number}>}
+ */
+async function runSimpleCommand(terminal, command, stdin, context, isLast) {
+    let argv;
+    let redirected;
+    try {
+        argv = expandWords(terminal, command.words);
+        redirected = openRedirects(terminal, command.redirects, stdin);
+    } catch (error) {
+        return { output: new AppError(`bash: ${error.message}`, ErrorTypes.VALIDATION), status: 1 };
+    }
+    const { input, outputPath, error } = redirected;
+    if (error) return { output: error, status: 1 };
+
+    if (!argv.length) {
+        return { output: '', status: 0 };
+    }
+
+    // A command made only of NAME=value words sets shell variables
+    if (argv.every(arg => ASSIGNMENT_PATTERN.test(arg))) {
+        argv.forEach(assignment => {
+            const [, name, value] = assignment.match(ASSIGNMENT_PATTERN);
+            terminal.environment[name] = value;
+        });
+        return { output: '', status: 0 };
+    }
+
+    const direct = isLast && !outputPath;
+    const io = {
+        stdin: input ?? context.input?.text ?? null,
+        input: input === null ? context.input : null,
+        exitCode: 0,
+        tty: direct && context.tty,
+        signal: context.job?.signal ?? null,
+        context
+    };
+    let output = await runArgv(terminal, argv, io, direct);
+
+    if (outputPath && !(output instanceof Error)) {
+        writeRedirect(terminal, outputPath, output);
+        output = '';
+    }
+    return { output, status: io.exitCode };
+}
+
+/**
+ * Run a loop body, translating break and continue.
+ * @returns {Promise<{status: number, stop: boolean}>}
+ */
+async function runLoopBody(terminal, body, context) {
+    try {
+        return { status: await runList(terminal, body, context), stop: false };
+    } catch (control) {
+        if (!(control instanceof ShellControl) || (control.kind !== 'break' && control.kind !== 'continue')) throw control;
+        if (control.value > 1) throw new ShellControl(control.kind, control.value - 1);
+        return { status: 0, stop: control.kind === 'break' };
+    }
+}
+
+function loopLimitError() {
+    return new AppError(`loop exceeded ${MAX_LOOP_ITERATIONS} iterations`, ErrorTypes.VALIDATION);
+}
+
+/**
+ * Run a compound command in the given context.
+ * @returns {Promise<number>} Exit status
+ */
+async function runCompound(terminal, node, context) {
+    switch (node.type) {
+        case 'if': {
+            for (const { condition, body } of node.clauses) {
+                if (await runList(terminal, condition, context) === 0) return runList(terminal, body, context);
+            }
+            return node.elseBody ? runList(terminal, node.elseBody, context) : 0;
+        }
+        case 'for': {
+            const values = node.words ? expandWords(terminal, node.words) : [...(terminal.positionalParameters || [])];
+            const loop = { ...context, loops: context.loops + 1 };
+            let status = 0;
+            for (const value of values) {
+                if (context.job?.signal.aborted) return context.job.abortStatus;
+                terminal.environment[node.name] = value;
+                const result = await runLoopBody(terminal, node.body, loop);
+                status = result.status;
+                if (result.stop) break;
+            }
+            return status;
+        }
+        case 'while': {
+            const loop = { ...context, loops: context.loops + 1 };
+            let status = 0;
+            for (let iteration = 0; ; iteration++) {
+                if (context.job?.signal.aborted) return context.job.abortStatus;
+                if (iteration === MAX_LOOP_ITERATIONS) throw loopLimitError();
+                const condition = await runList(terminal, node.condition, loop);
+                if ((condition === 0) === node.until) break;
+                const result = await runLoopBody(terminal, node.body, loop);
+                status = result.status;
+                if (result.stop) break;
+            }
+            return status;
+        }
+        case 'group':
+            return runList(terminal, node.body, context);
+        case 'function':
+            if (!terminal.functions) terminal.functions = new Map();
+            terminal.functions.set(node.name, node.body);
+            return 0;
+        default:
+            throw new AppError(`unknown command type: ${node.type}`, ErrorTypes.VALIDATION);
+    }
+}
+
+/**
+ * Run a compound command as one stage of a pipeline.
+ * @returns {Promise<{output: *, status: number}>}
+ */
+async function runCompoundCommand(terminal, node, stdin, context, isLast) {
+    let redirected;
+    try {
+        redirected = openRedirects(terminal, node.redirects || [], stdin);
+    } catch (error) {
+        return { output: new AppError(`bash: ${error.message}`, ErrorTypes.VALIDATION), status: 1 };
+    }
+    const { input, outputPath, error } = redirected;
+    if (error) return { output: error, status: 1 };
+
+    const scoped = input === null ? context : { ...context, input: { text: input } };
+    const direct = isLast && !outputPath;
+    const target = direct ? scoped : captureContext(terminal, scoped);
+    let status;
+    try {
+        status = await runCompound(terminal, node, target);
+    } catch (failure) {
+        if (failure instanceof ShellControl) throw failure;
+        return { output: failure, status: 1 };
+    }
+
+    const output = direct ? '' : target.chunks.join('');
+    if (outputPath) {
+        writeRedirect(terminal, outputPath, output);
+        return { output: '', status };
+    }
+    return { output, status };
+}
+
+/**
+ * Run a pipeline, feeding each command's stdout into the next one's stdin.
+ * Failures in the middle of a pipeline are shown straight away, the way
+ * stderr would reach the screen.
+ * @returns {Promise<{output: *, status: number}>}
+ */
+async function runPipeline(terminal, pipeline, context) {
+    let stdin = null;
+    let result = { output: '', status: 0 };
+
+    for (let i = 0; i < pipeline.length; i++) {
+        const isLast = i === pipeline.length - 1;
+        const command = pipeline[i];
+        result = command.type === 'simple'
+            ? await runSimpleCommand(terminal, command, stdin, context, isLast)
+            : await runCompoundCommand(terminal, command, stdin, context, isLast);
+        if (!isLast) {
+            if (result.output instanceof Error) {
+                await context.write(result.output);
+                stdin = '';
+            } else {
+                const text = stringifyOutput(result.output);
+                stdin = text && !text.endsWith('\n') ? `${text}\n` : text;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * If the and-or list starting at `start` ends with `&`, the index of its
+ * last entry; otherwise -1.
+ */
+function backgroundEnd(list, start) {
+    if (list[start].connector === '&&' || list[start].connector === '||') return -1;
+    let end = start;
+    while (!list[end].background && (list[end + 1]?.connector === '&&' || list[end + 1]?.connector === '||')) end++;
+    return list[end].background ? end : -1;
+}
+
+/**
+ * Start an and-or list as a background job and announce it as `[n] pid`.
+ */
+async function runInBackground(terminal, items, context) {
+    const body = items.map((item, index) => (index === items.length - 1 ? { ...item, background: false } : item));
+    const text = items.map((item, index) => (index ? `${item.connector} ${item.text}` : item.text)).join(' ');
+    const job = spawnJob(terminal, text, child => runList(terminal, body, { ...context, job: child, exec: false }));
+    // Like a non-interactive bash, scripts start jobs silently
+    if (!context.scripts) await context.write(`[${job.id}] ${job.pid}`);
+}
+
+/**
+ * Run a parsed and-or list, writing each pipeline's output to the context.
+ * @param {Terminal} terminal
+ * @param {Array} list - From parseCommandLine()
+ * @param {object} context - From createContext()
+ * @returns {Promise<number>} Exit status of the last pipeline that ran
+ */
+export async function runList(terminal, list, context) {
+    let status = terminal.lastExitCode ?? 0;
+    for (let i = 0; i < list.length; i++) {
+        const { pipeline, connector, negate } = list[i];
+        if (context.job) {
+            await context.job.whileStopped();
+            if (context.job.signal.aborted) return context.job.abortStatus;
+        }
+
+        const end = backgroundEnd(list, i);
+        if (end !== -1) {
+            await runInBackground(terminal, list.slice(i, end + 1), context);
+            status = 0;
+            i = end;
+            continue;
+        }
+
+        if (connector === '&&' && status !== 0) continue;
+        if (connector === '||' && status === 0) continue;
+
+        const result = await runPipeline(terminal, pipeline, context);
+        status = negate ? Number(result.status === 0) : result.status;
+        terminal.lastExitCode = status;
+        await context.write(result.output);
+        if (context.exec) throw new ShellControl('exit', status);
+    }
+    return status;
+}
+
+/**
+ * Run script source (a file's contents or an eval string) on behalf of a
+ * command handler, sending output wherever the handler's own would go.
+ * @param {Terminal} terminal
+ * @param {string} source
+ * @param {object} io - The calling handler's io
+ * @param {object} [options]
+ * @param {string} [options.name] - Script name, used for $0 and error
+ *   messages. Unnamed source (eval) runs at the caller's level, so return
+ *   and exit inside it apply to the enclosing function or script.
+ * @param {string[]} [options.args] - Positional parameters for the script
+ * @param {boolean} [options.subshell=false] - Run with no traps set and
+ *   keep variable, function, trap and directory changes from leaking
+ *   back, as when a script runs via bash or by path
+ * @returns {Promise<*>} Captured stdout, '' if it went to the screen, or an error
+ */
+export async function runScript(terminal, source, io, { name, args, subshell = false } = {}) {
+    let list;
+    try {
+        list = parseCommandLine(source);
+    } catch (error) {
+        io.exitCode = 2;
+        return new AppError(`${name || 'bash'}: ${error.message}`, ErrorTypes.VALIDATION);
+    }
+
+    const parent = io.context || createContext(terminal, source);
+    if (name && parent.scripts >= MAX_NESTING) {
+        throw new AppError(`${name}: maximum source nesting level exceeded (${MAX_NESTING})`, ErrorTypes.VALIDATION);
+    }
+    const base = { ...parent, scripts: parent.scripts + (name ? 1 : 0), exec: false };
+    const context = io.tty === false || !parent.tty ? captureContext(terminal, base) : base;
+    const saved = {
+        positional: terminal.positionalParameters,
+        scriptName: terminal.scriptName,
+        environment: subshell ? { ...terminal.environment } : null,
+        functions: subshell ? new Map(terminal.functions || []) : null,
+        traps: subshell ? terminal.traps : null,
+        workingDirectory: terminal.workingDirectory
+    };
+    // Like a child bash, a subshell starts with no traps of its own
+    if (subshell) terminal.traps = new Map();
+    if (args) terminal.positionalParameters = args;
+    if (subshell && name) terminal.scriptName = name;
+
+    let status;
+    try {
+        status = await runList(terminal, list, context);
+    } catch (control) {
+        if (!name || !(control instanceof ShellControl) || (control.kind !== 'return' && control.kind !== 'exit')) throw control;
+        status = control.value;
+    } finally {
+        if (subshell) {
+            const exitTrap = terminal.traps?.get('EXIT');
+            if (exitTrap) {
+                terminal.traps.delete('EXIT');
+                await runList(terminal, parseCommandLine(exitTrap), { ...context, exec: false, job: null });
+            }
+            terminal.environment = saved.environment;
+            terminal.functions = saved.functions;
+            terminal.traps = saved.traps;
+            terminal.workingDirectory = saved.workingDirectory;
+        }
+        terminal.positionalParameters = saved.positional;
+        terminal.scriptName = saved.scriptName;
+    }
+
+    io.exitCode = status;
+    terminal.lastExitCode = status;
+    return context.chunks ? context.chunks.join('') : '';
+}
+
+/**
+ * Read a script from the virtual filesystem and run it.
+ * @param {Terminal} terminal
+ * @param {string} path - Path as typed
+ * @param {object} io - The calling handler's io
+ * @param {object} [options]
+ * @param {string[]} [options.args] - Positional parameters for the script
+ * @param {boolean} [options.subshell=false] - See runScript()
+ * @param {boolean} [options.execute=false] - Require the execute bit, as
+ *   when a script is run by path rather than through sh or source
+ * @returns {Promise<*>}
+ */
+export async function runScriptFile(terminal, path, io, { args, subshell = false, execute = false } = {}) {
+    const resolved = terminal.fs.resolve(terminal.workingDirectory, path);
+    let source;
+    try {
+        if (execute) {
+            const inode = terminal.fs.lookup(resolved);
+            if (terminal.fs.isDirectory(resolved) || !terminal.fs.canAccess(inode, 0o1)) {
+                io.exitCode = 126;
+                return new AppError(`bash: ${path}: ${terminal.fs.isDirectory(resolved) ? 'Is a directory' : 'Permission denied'}`, ErrorTypes.VALIDATION);
+            }
+        }
+        source = terminal.fs.readFile(resolved);
+    } catch (error) {
+        io.exitCode = error.details?.code === 'ENOENT' ? 127 : 1;
+        return new AppError(`bash: ${path}: ${error.message}`, ErrorTypes.VALIDATION);
+    }
+    return runScript(terminal, source, io, { name: path, args, subshell });
+}
+
+/**
+ * Parse and run a full command line, displaying each pipeline's output.
+ * @param {Terminal} terminal
+ * @param {string} line
+ * @param {object} [options]
+ * @param {Job} [options.job] - Job the line runs as, see runForeground()
+ * @returns {Promise<number>} Exit status of the last pipeline that ran
+ */
+export async function runCommandLine(terminal, line, { job = null } = {}) {
+    let list;
+    try {
+        list = parseCommandLine(line);
+    } catch (error) {
+        await displayResult(terminal, new AppError(`bash: ${error.message}`, ErrorTypes.VALIDATION), line);
+        terminal.lastExitCode = 2;
+        return 2;
+    }
+    return runList(terminal, list, createContext(terminal, line, job));
+}
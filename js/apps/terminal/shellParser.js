@@ -0,0 +1,574 @@
+// js/apps/terminal/shellParser.js
+
+/**
+ * Shell command-line parser. Splits a line (or a whole script) into and-or
+ * lists of pipelines and compound commands, keeps quoting information on
+ * each word, and performs parameter and arithmetic expansion, word
+ * splitting and pathname expansion when a command runs.
+ * @author jared u.
+ */
+
+import { AppError, ErrorTypes } from '../../utils/utils.js';
+
+const OPERATORS = ['&&', '||', '>>', '|', '>', '<', ';', '&', '\n'];
+const REDIRECTS = new Set(['>', '>>', '<']);
+const CONNECTORS = new Set(['&&', '||', ';', '&', '\n']);
+// The ${...} forms expandVariables() understands: a name, positional or
+// special parameter, optionally followed by :-default
+const BRACED_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*|\d+|[?#@*$!])(?::-(.*))?$/s;
+const VARIABLE_PATTERN = /\$(?:\{([^}]*)\}|([A-Za-z_][A-Za-z0-9_]*)|([0-9?#@*$!])|\(\(((?:[^()]|\((?:[^()]|\([^()]*\))*\))*)\)\))/g;
+
+// Words that open or close compound commands when they start a command
+const RESERVED_WORDS = new Set(['if', 'then', 'elif', 'else', 'fi', 'for', 'while', 'until', 'do', 'done', 'function', '{', '}']);
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function syntaxError(token) {
+    if (token === undefined) return new AppError('syntax error: unexpected end of file', ErrorTypes.VALIDATION);
+    return new AppError(`syntax error near unexpected token \`${token}'`, ErrorTypes.VALIDATION);
+}
+
+/**
+ * Length of the `$((...))` expansion starting at `start`, or 0 if the text
+ * there is not one. Arithmetic may contain blanks, so it is kept as one piece.
+ */
+function arithmeticLength(line, start) {
+    if (!line.startsWith('$((', start)) return 0;
+    let depth = 0;
+    for (let i = start + 1; i < line.length; i++) {
+        if (line[i] === '(') depth++;
+        else if (line[i] === ')' && --depth === 0) return i + 1 - start;
+    }
+    return 0;
+}
+
+/**
+ * Break a command line into operator and word tokens. Words are kept as a
+ * list of parts so that expansion can later tell quoted text apart:
+ *   bare    - unquoted text, subject to expansion, splitting and globbing
+ *   double  - double-quoted text, subject to expansion only
+ *   literal - single-quoted or escaped text, used verbatim
+ * Tokens also record their `start` and `end` offsets in the line.
+ * Unquoted newlines become `\n` operator tokens.
+ * @param {string} line
+ * @returns {Array<{type: 'op', value: string, start: number, end: number}|{type: 'word', parts: Array, start: number, end: number}>}
+ */
+export function tokenize(line) {
+    const tokens = [];
+    let parts = null;
+    let start = 0;
+    let i = 0;
+
+    const pushPart = (kind, text) => {
+        if (!parts) {
+            parts = [];
+            start = i;
+        }
+        const last = parts[parts.length - 1];
+        if (last && last.kind === kind) last.text += text;
+        else parts.push({ kind, text });
+    };
+    const endWord = () => {
+        if (parts) tokens.push({ type: 'word', parts, start, end: i });
+        parts = null;
+    };
+
+    while (i < line.length) {
+        const char = line[i];
+
+        if (/\s/.test(char) && char !== '\n') {
+            endWord();
+            i++;
+            continue;
+        }
+
+        if (char === '#' && !parts) {
+            while (i < line.length && line[i] !== '\n') i++;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => line.startsWith(op, i));
+        if (operator) {
+            endWord();
+            tokens.push({ type: 'op', value: operator, start: i, end: i + operator.length });
+            i += operator.length;
+            continue;
+        }
+
+        if (char === '\\') {
+            // A backslash-newline joins the next line onto this one
+            if (i + 1 < line.length && line[i + 1] !== '\n') pushPart('literal', line[i + 1]);
+            i += 2;
+            continue;
+        }
+
+        const arithmetic = arithmeticLength(line, i);
+        if (arithmetic) {
+            pushPart('bare', line.slice(i, i + arithmetic));
+            i += arithmetic;
+            continue;
+        }
+
+        if (char === "'") {
+            const end = line.indexOf("'", i + 1);
+            if (end === -1) throw new AppError('unexpected EOF while looking for matching `\'\'', ErrorTypes.VALIDATION);
+            pushPart('literal', line.slice(i + 1, end));
+            i = end + 1;
+            continue;
+        }
+
+        if (char === '"') {
+            let j = i + 1;
+            pushPart('double', '');
+            while (j < line.length && line[j] !== '"') {
+                const inner = arithmeticLength(line, j);
+                if (line[j] === '\\' && /[$"\\`]/.test(line[j + 1] || '')) {
+                    pushPart('literal', line[j + 1]);
+                    j += 2;
+                } else if (inner) {
+                    pushPart('double', line.slice(j, j + inner));
+                    j += inner;
+                } else {
+                    pushPart('double', line[j]);
+                    j++;
+                }
+            }
+            if (j >= line.length) throw new AppError('unexpected EOF while looking for matching `"\'', ErrorTypes.VALIDATION);
+            i = j + 1;
+            continue;
+        }
+
+        pushPart('bare', char);
+        i++;
+    }
+    endWord();
+    return tokens;
+}
+
+function tokenText(token) {
+    if (!token) return undefined;
+    if (token.type === 'op') return token.value === '\n' ? 'newline' : token.value;
+    return wordToString(token);
+}
+
+/** True when a token is an unquoted word spelling one of `names` */
+function isWord(token, ...names) {
+    return token?.type === 'word' && token.parts.length === 1 && token.parts[0].kind === 'bare' && names.includes(token.parts[0].text);
+}
+
+/**
+ * Parse a command line or script into an and-or list. Each entry holds a
+ * pipeline of commands, the operator joining it to the previous entry
+ * (`null` for the first, `;` after a newline or `&`), whether a leading `!`
+ * negates its status, whether a trailing `&` sends the and-or list it
+ * ends to the background, and its source `text`. Commands are either
+ *   {type: 'simple', words, redirects}
+ * or compound commands, which may also carry redirects:
+ *   {type: 'if', clauses: [{condition, body}], elseBody}
+ *   {type: 'for', name, words}       - `words` is null for `for x; do`
+ *   {type: 'while', until, condition, body}
+ *   {type: 'group', body}            - `{ ...; }`
+ *   {type: 'function', name, body}
+ * where condition and body are themselves and-or lists.
+ * @param {string} line
+ * @returns {Array<{pipeline: Array<object>, connector: ?string, negate: boolean, background: boolean, text: string}>}
+ * @throws {AppError} On syntax errors
+ */
+export function parseCommandLine(line) {
+    const tokens = tokenize(line);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOperator = (token, ...values) => token?.type === 'op' && values.includes(token.value);
+    const skipNewlines = () => {
+        while (isOperator(peek(), '\n')) pos++;
+    };
+    const expect = name => {
+        if (!isWord(peek(), name)) throw syntaxError(tokenText(peek()));
+        pos++;
+    };
+
+    const parseRedirects = redirects => {
+        while (peek()?.type === 'op' && REDIRECTS.has(peek().value)) {
+            const op = tokens[pos++].value;
+            const target = tokens[pos];
+            if (target?.type !== 'word') throw syntaxError(tokenText(target) ?? 'newline');
+            redirects.push({ op, target });
+            pos++;
+        }
+        return redirects;
+    };
+
+    const parseSimple = () => {
+        const command = { type: 'simple', words: [], redirects: [] };
+        while (peek()) {
+            if (peek().type === 'word') command.words.push(tokens[pos++]);
+            else if (REDIRECTS.has(peek().value)) parseRedirects(command.redirects);
+            else break;
+        }
+        return command;
+    };
+
+    // A list that must not be empty, ended by one of the given reserved words
+    const parseBody = (...terminators) => {
+        const list = parseList(terminators);
+        if (!list.length) throw syntaxError(tokenText(peek()));
+        return list;
+    };
+
+    const parseIf = () => {
+        const node = { type: 'if', clauses: [], elseBody: null };
+        do {
+            pos++;
+            const condition = parseBody('then');
+            expect('then');
+            node.clauses.push({ condition, body: parseBody('elif', 'else', 'fi') });
+        } while (isWord(peek(), 'elif'));
+        if (isWord(peek(), 'else')) {
+            pos++;
+            node.elseBody = parseBody('fi');
+        }
+        expect('fi');
+        return node;
+    };
+
+    const parseFor = () => {
+        pos++;
+        const name = peek();
+        if (name?.type !== 'word' || !NAME_PATTERN.test(wordToString(name))) throw syntaxError(tokenText(name));
+        pos++;
+        const node = { type: 'for', name: wordToString(name), words: null, body: null };
+        skipNewlines();
+        if (isWord(peek(), 'in')) {
+            pos++;
+            node.words = [];
+            while (peek()?.type === 'word') node.words.push(tokens[pos++]);
+        }
+        if (isOperator(peek(), ';', '\n')) pos++;
+        skipNewlines();
+        expect('do');
+        node.body = parseBody('done');
+        expect('done');
+        return node;
+    };
+
+    const parseWhile = () => {
+        const until = isWord(tokens[pos++], 'until');
+        const condition = parseBody('do');
+        expect('do');
+        const body = parseBody('done');
+        expect('done');
+        return { type: 'while', until, condition, body };
+    };
+
+    const parseGroup = () => {
+        expect('{');
+        const body = parseBody('}');
+        expect('}');
+        return { type: 'group', body };
+    };
+
+    // name() { ...; } or function name [()] { ...; }
+    const parseFunction = keyword => {
+        if (keyword) pos++;
+        let name = wordToString(tokens[pos++]);
+        if (name.endsWith('()')) {
+            name = name.slice(0, -2);
+        } else if (isWord(peek(), '()')) {
+            pos++;
+        } else if (!keyword) {
+            throw syntaxError(tokenText(peek()));
+        }
+        if (!/^[A-Za-z_][\w.-]*$/.test(name)) throw syntaxError(name);
+        skipNewlines();
+        return { type: 'function', name, body: parseGroup().body };
+    };
+
+    const parseCommand = () => {
+        const token = peek();
+        if (!token || (token.type === 'op' && !REDIRECTS.has(token.value))) throw syntaxError(tokenText(token));
+        let node;
+        if (isWord(token, 'if')) node = parseIf();
+        else if (isWord(token, 'for')) node = parseFor();
+        else if (isWord(token, 'while', 'until')) node = parseWhile();
+        else if (isWord(token, '{')) node = parseGroup();
+        else if (isWord(token, 'function')) node = parseFunction(true);
+        else if (isWord(token, ...RESERVED_WORDS)) {
+            throw syntaxError(wordToString(token));
+        } else if (token.type === 'word' && token.parts.every(part => part.kind === 'bare')
+            && (/^[\w.-]+\(\)$/.test(wordToString(token)) || isWord(tokens[pos + 1], '()'))) {
+            node = parseFunction(false);
+        } else {
+            return parseSimple();
+        }
+        node.redirects = parseRedirects([]);
+        return node;
+    };
+
+    const parsePipeline = () => {
+        const pipeline = [parseCommand()];
+        while (isOperator(peek(), '|')) {
+            pos++;
+            skipNewlines();
+            pipeline.push(parseCommand());
+        }
+        return pipeline;
+    };
+
+    function parseList(terminators = []) {
+        const list = [];
+        let connector = null;
+        skipNewlines();
+        while (peek() && !(terminators.length && isWord(peek(), ...terminators))) {
+            const start = peek().start;
+            const negate = isWord(peek(), '!');
+            if (negate) pos++;
+            const item = { pipeline: parsePipeline(), connector, negate, background: false };
+            item.text = line.slice(start, tokens[pos - 1].end);
+            list.push(item);
+            const next = peek();
+            if (!next) break;
+            if (!isOperator(next, ...CONNECTORS)) throw syntaxError(tokenText(next));
+            pos++;
+            // `cmd &` runs in the background; whatever follows starts afresh, as after `;`
+            item.background = next.value === '&';
+            connector = next.value === '\n' || next.value === '&' ? ';' : next.value;
+            skipNewlines();
+            if (connector !== ';' && (!peek() || isWord(peek(), ...terminators))) {
+                throw syntaxError(tokenText(peek()) ?? 'newline');
+            }
+        }
+        return list;
+    }
+
+    const list = parseList();
+    if (pos < tokens.length) throw syntaxError(tokenText(peek()));
+    return list;
+}
+
+/**
+ * Replace aliases in command position, bash style: the first word of each
+ * simple command is looked up, and an alias whose value ends in a blank
+ * makes the following word eligible too. An alias is never expanded inside
+ * its own expansion, so `alias ls='ls -F'` is safe.
+ * @param {string} line
+ * @param {Function} lookup - Maps a name to its alias value or undefined
+ * @param {Set<string>} [active] - Aliases already being expanded
+ * @returns {string}
+ * @throws {AppError} When the line cannot be tokenized
+ */
+export function expandAliases(line, lookup, active = new Set()) {
+    let result = '';
+    let copied = 0;
+    let commandPosition = true;
+    let redirectTarget = false;
+
+    for (const token of tokenize(line)) {
+        if (token.type === 'op') {
+            redirectTarget = REDIRECTS.has(token.value);
+            if (!redirectTarget) commandPosition = true;
+            continue;
+        }
+        if (redirectTarget) {
+            redirectTarget = false;
+            continue;
+        }
+
+        const [part, ...rest] = token.parts;
+        const name = !rest.length && part.kind === 'bare' ? part.text : null;
+        const value = name !== null && commandPosition && !active.has(name) ? lookup(name) : undefined;
+        if (value === undefined) {
+            commandPosition = false;
+            continue;
+        }
+
+        result += line.slice(copied, token.start) + expandAliases(value, lookup, new Set([...active, name]));
+        copied = token.end;
+        commandPosition = /\s$/.test(value);
+    }
+    return result + line.slice(copied);
+}
+
+/**
+ * Substitute $NAME, ${NAME}, ${NAME:-default}, special parameters and
+ * $((arithmetic)).
+ * @param {string} text
+ * @param {Function} lookup - Maps a parameter name to its value or undefined
+ * @returns {string}
+ * @throws {AppError} On a malformed arithmetic expression, or a ${...}
+ *   form that is not supported, such as ${#NAME}
+ */
+export function expandVariables(text, lookup) {
+    return text.replace(VARIABLE_PATTERN, (match, braced, named, special, arithmetic) => {
+        if (arithmetic !== undefined) {
+            return String(evaluateArithmetic(expandVariables(arithmetic, lookup), lookup));
+        }
+        if (braced !== undefined) {
+            const parsed = braced.match(BRACED_PATTERN);
+            if (!parsed) throw new AppError(`\${${braced}}: bad substitution`, ErrorTypes.VALIDATION);
+            const [, name, fallback] = parsed;
+            const value = lookup(name);
+            return value === undefined || (value === '' && fallback !== undefined) ? fallback ?? '' : value;
+        }
+        return lookup(named ?? special) ?? '';
+    });
+}
+
+// Binary operators by precedence, loosest first
+const ARITHMETIC_LEVELS = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<=', '>=', '<', '>'],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+function applyArithmetic(op, left, right, expression) {
+    switch (op) {
+        case '||': return left || right ? 1 : 0;
+        case '&&': return left && right ? 1 : 0;
+        case '==': return left === right ? 1 : 0;
+        case '!=': return left !== right ? 1 : 0;
+        case '<=': return left <= right ? 1 : 0;
+        case '>=': return left >= right ? 1 : 0;
+        case '<': return left < right ? 1 : 0;
+        case '>': return left > right ? 1 : 0;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default:
+            if (right === 0) throw new AppError(`${expression}: division by 0`, ErrorTypes.VALIDATION);
+            return op === '/' ? Math.trunc(left / right) : left % right;
+    }
+}
+
+/**
+ * Evaluate a $((...)) expression: integers, variable names, parentheses,
+ * unary ! - +, and the arithmetic, comparison and logical operators.
+ * @param {string} expression
+ * @param {Function} lookup - Maps a variable name to its value or undefined
+ * @returns {number}
+ * @throws {AppError} On a malformed expression
+ */
+export function evaluateArithmetic(expression, lookup) {
+    const tokens = expression.match(/\d+|[A-Za-z_][A-Za-z0-9_]*|&&|\|\||[=!<>]=|\S/g) || [];
+    let pos = 0;
+    const fail = () => new AppError(`${expression.trim()}: syntax error in expression`, ErrorTypes.VALIDATION);
+
+    const parseUnary = () => {
+        const token = tokens[pos++];
+        if (token === undefined) throw fail();
+        if (token === '!') return parseUnary() ? 0 : 1;
+        if (token === '-') return -parseUnary();
+        if (token === '+') return parseUnary();
+        if (token === '(') {
+            const value = parseLevel(0);
+            if (tokens[pos++] !== ')') throw fail();
+            return value;
+        }
+        if (/^\d+$/.test(token)) return Number(token);
+        if (/^[A-Za-z_]/.test(token)) return Math.trunc(Number(lookup(token))) || 0;
+        throw fail();
+    };
+
+    const parseLevel = level => {
+        if (level === ARITHMETIC_LEVELS.length) return parseUnary();
+        let value = parseLevel(level + 1);
+        while (ARITHMETIC_LEVELS[level].includes(tokens[pos])) {
+            const op = tokens[pos++];
+            value = applyArithmetic(op, value, parseLevel(level + 1), expression.trim());
+        }
+        return value;
+    };
+
+    if (!tokens.length) return 0;
+    const value = parseLevel(0);
+    if (pos < tokens.length) throw fail();
+    return value;
+}
+
+/**
+ * Expand a parsed word into zero or more fields.
+ * @param {{parts: Array}} word - A word token from tokenize()
+ * @param {object} context
+ * @param {Function} context.lookup - Parameter lookup
+ * @param {string} [context.home] - Value used for tilde expansion
+ * @param {Function} [context.glob] - Maps a glob pattern to matching paths
+ * @param {string[]} [context.positional] - Fields for a quoted "$@"
+ * @param {boolean} [context.assignment] - Expand as the value of an
+ *   assignment, without word splitting (`local x=$1`)
+ * @returns {string[]}
+ */
+export function expandWord(word, { lookup, home, glob, positional, assignment = false }) {
+    // "$@" is the one expansion that produces a field per positional parameter
+    if (positional && word.parts.length === 1 && word.parts[0].kind === 'double' && /^\$(?:@|\{@\})$/.test(word.parts[0].text)) {
+        return [...positional];
+    }
+
+    const fields = [];
+    let current = '';
+    let started = false;
+    let globbable = false;
+
+    const finish = () => {
+        if (!started) return;
+        const matches = globbable && glob ? glob(current) : [];
+        fields.push(...(matches.length ? matches : [current]));
+        current = '';
+        started = false;
+        globbable = false;
+    };
+
+    word.parts.forEach((part, index) => {
+        if (part.kind === 'literal') {
+            current += part.text;
+            started = true;
+            return;
+        }
+        if (part.kind === 'double') {
+            current += expandVariables(part.text, lookup);
+            started = true;
+            return;
+        }
+
+        let text = part.text;
+        if (index === 0 && home && (text === '~' || text.startsWith('~/'))) {
+            text = home + text.slice(1);
+        }
+
+        // Unquoted text: literal pieces may glob, expanded values are split
+        let last = 0;
+        const append = literal => {
+            if (!literal) return;
+            current += literal;
+            started = true;
+            if (/[*?[]/.test(literal)) globbable = true;
+        };
+        for (const match of text.matchAll(VARIABLE_PATTERN)) {
+            append(text.slice(last, match.index));
+            const value = expandVariables(match[0], lookup);
+            const pieces = assignment ? [value] : value.split(/\s+/);
+            pieces.forEach((piece, pieceIndex) => {
+                if (pieceIndex > 0) finish();
+                if (piece) {
+                    current += piece;
+                    started = true;
+                }
+            });
+            last = match.index + match[0].length;
+        }
+        append(text.slice(last));
+    });
+
+    finish();
+    return fields;
+}
+
+/**
+ * Reassemble a word's source text, used when a command needs the raw line.
+ * @param {{parts: Array}} word
+ * @returns {string}
+ */
+export function wordToString(word) {
+    return word.parts.map(part => part.text).join('');
+}
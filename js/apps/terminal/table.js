@@ -0,0 +1,166 @@
+// js/apps/terminal/table.js
+
+/**
+ * Column layout for table output nodes (see table() in outputNodes.js).
+ * Columns are sized to their widest value, then the widest truncatable
+ * ones give up characters until the table fits the terminal width, and
+ * cut values end in an ellipsis. The same tables serialize to JSON and
+ * CSV for commands run with --json or --csv.
+ * @author jared u.
+ */
+
+import { stripAnsi } from './ansi.js';
+
+export const TABLE_FORMATS = ['json', 'csv'];
+
+export const COLUMN_GAP = 2;
+const ELLIPSIS = '…';
+// Narrowest a truncated column gets, unless its label is wider
+const MIN_TRUNCATED_WIDTH = 4;
+
+/**
+ * Column types: how a value is aligned, whether it may be cut short on a
+ * narrow screen, and what it becomes in JSON. Addresses are never cut.
+ */
+const COLUMN_TYPES = {
+    text: { align: 'left', truncate: true },
+    number: { align: 'right', truncate: false },
+    address: { align: 'left', truncate: false }
+};
+
+function columnKey(label, index) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || `column${index + 1}`;
+}
+
+/**
+ * Fill in a column spec. A bare string is a text column with that label.
+ * @param {string|{label: string, key?: string, type?: string, align?: string,
+ *   truncate?: boolean, minWidth?: number, maxWidth?: number, format?: function}} spec
+ */
+export function normalizeColumn(spec, index) {
+    const column = typeof spec === 'string' ? { label: spec } : { ...spec };
+    const type = COLUMN_TYPES[column.type] ? column.type : 'text';
+    return {
+        ...COLUMN_TYPES[type],
+        ...column,
+        type,
+        label: String(column.label ?? ''),
+        key: column.key || columnKey(String(column.label ?? ''), index)
+    };
+}
+
+/** A cell's raw value; styled cells are text nodes */
+function cellValue(cell) {
+    return cell !== null && typeof cell === 'object' ? cell.text : cell;
+}
+
+/** A cell as shown on the screen and in pipes */
+function cellText(column, cell) {
+    const value = cellValue(cell);
+    if (value === null || value === undefined || value === '') return '';
+    return column.format ? String(column.format(value)) : String(value);
+}
+
+function fit(text, width, align) {
+    let visible = stripAnsi(text);
+    if (visible.length > width) {
+        text = visible = `${visible.slice(0, Math.max(0, width - 1))}${ELLIPSIS}`;
+    }
+    const padding = ' '.repeat(Math.max(0, width - visible.length));
+    return align === 'right' ? padding + text : text + padding;
+}
+
+/**
+ * Size the columns for a screen `width` characters wide (Infinity for
+ * pipes and files) and pad every cell to its column.
+ * @param {{columns: object[], rows: Array<Array<*>>, header: boolean}} table
+ * @param {number} [width]
+ * @returns {{header: ?string[], rows: Array<Array<{text: string, className: string}>>}}
+ */
+export function layoutTable(table, width = Infinity) {
+    const { columns } = table;
+    const texts = table.rows.map(row => columns.map((column, index) => cellText(column, row[index])));
+    const natural = columns.map((column, index) => {
+        const widest = Math.max(table.header ? column.label.length : 0,
+            ...texts.map(row => stripAnsi(row[index]).length));
+        return column.maxWidth ? Math.min(widest, column.maxWidth) : widest;
+    });
+    const widths = [...natural];
+    const minimum = columns.map((column, index) => Math.min(natural[index],
+        column.minWidth ?? Math.max(MIN_TRUNCATED_WIDTH, table.header ? column.label.length : 0)));
+
+    let excess = widths.reduce((sum, value) => sum + value, 0) + COLUMN_GAP * (columns.length - 1) - width;
+    while (excess > 0) {
+        let widest = -1;
+        columns.forEach((column, index) => {
+            if (column.truncate && widths[index] > minimum[index] && (widest === -1 || widths[index] > widths[widest])) {
+                widest = index;
+            }
+        });
+        if (widest === -1) break;
+        widths[widest]--;
+        excess--;
+    }
+
+    const last = columns.length - 1;
+    const pad = (text, index) => {
+        const cell = fit(text, widths[index], columns[index].align);
+        return index === last && columns[index].align === 'left' ? cell.trimEnd() : cell;
+    };
+    return {
+        header: table.header ? columns.map((column, index) => pad(column.label, index)) : null,
+        rows: texts.map((row, rowIndex) => row.map((text, index) => {
+            const cell = table.rows[rowIndex][index];
+            return { text: pad(text, index), className: (cell !== null && typeof cell === 'object' && cell.className) || '' };
+        }))
+    };
+}
+
+/** Join laid-out cells into one line of text */
+export function joinCells(cells) {
+    return cells.map(cell => (typeof cell === 'string' ? cell : cell.text)).join(' '.repeat(COLUMN_GAP)).trimEnd();
+}
+
+/** A table as plain text, sized for a screen `width` characters wide */
+export function tableToText(table, width = Infinity) {
+    const { header, rows } = layoutTable(table, width);
+    return (header ? [header, ...rows] : rows).map(joinCells).join('\n');
+}
+
+function jsonValue(column, cell) {
+    const value = cellValue(cell);
+    if (value === null || value === undefined || value === '') return null;
+    if (column.type === 'number') {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : String(value);
+    }
+    return stripAnsi(String(value));
+}
+
+/** One object per row, keyed by column key */
+export function tableToJson(table) {
+    const records = table.rows.map(row => Object.fromEntries(
+        table.columns.map((column, index) => [column.key, jsonValue(column, row[index])])));
+    return JSON.stringify(records, null, 2);
+}
+
+function csvField(value) {
+    const text = value === null ? '' : String(value);
+    return /[",\n\r]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** RFC 4180 CSV with a header row of column labels */
+export function tableToCsv(table) {
+    const lines = [table.columns.map(column => csvField(column.label))];
+    table.rows.forEach(row => lines.push(table.columns.map((column, index) => csvField(jsonValue(column, row[index])))));
+    return lines.map(fields => fields.join(',')).join('\n');
+}
+
+/**
+ * @param {object} table
+ * @param {'json'|'csv'} format
+ * @returns {string}
+ */
+export function serializeTable(table, format) {
+    return format === 'csv' ? tableToCsv(table) : tableToJson(table);
+}
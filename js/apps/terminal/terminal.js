@@ -11,6 +11,7 @@ import {
     handleCtrlBackspace,
     handleCtrlDelete,
     handleCtrlC,
+    handleCtrlZ,
     handleCtrlR,
     handleCtrlU,
     handleCtrlK,
@@ -21,6 +22,7 @@ import {
     handleTabCompletion,
     setupOptimizedResizeHandler,
     handleTerminalResize,
+    measureColumns,
     setupMobileEventListeners
 } from './eventHandlers.js';
 import {
@@ -30,11 +32,10 @@ import {
 } from './statusBar.js';
 import {
     writeOutput,
-    formatOutputWithSyntaxHighlighting,
+    highlightSyntax,
     addInteractiveElements,
     handlePathClick,
     copyToClipboard,
-    trimOutput,
     scrollToBottom,
     scrollToTop,
     isDocumentContent,
@@ -51,9 +52,11 @@ import {
 import {
     addToHistory,
     loadHistory,
-    saveHistory
+    saveHistory,
+    expandHistory
 } from './history.js';
 import {
+    defaultEnvironment,
     updateEnvironment,
     getPrompt
 } from './environment.js';
@@ -81,6 +84,31 @@ import {
     loadResume,
     handleShow
 } from './content.js';
+import { handleCat } from './filesystem.js';
+import { block, heading, line, table } from './outputNodes.js';
+import { colorize } from './ansi.js';
+import { Scrollback } from './scrollback.js';
+import { createFactoryFileSystem } from './fsImage.js';
+import { restoreSession, scheduleSessionSave } from './persistence.js';
+import { runStartupFile } from './rc.js';
+import { reportFinishedJobs, runForeground } from './jobs.js';
+import { runIosLine } from './commands/cisco.js';
+import {
+    getCommandCategory,
+    handleApropos,
+    handleInfo,
+    handleMan,
+    handleType,
+    handleWhatis,
+    handleWhereis,
+    handleWhich
+} from './commands/manual.js';
+import {
+    loadAliases,
+    applyAliases,
+    handleAlias,
+    handleUnalias
+} from './aliases.js';
 
 export class Terminal {
     constructor(inputElement, outputElement) {
@@ -100,19 +128,29 @@ export class Terminal {
         this.isProcessing = false;
         this.commandQueue = [];
         this.maxHistorySize = 1000;
-        this.maxOutputLength = 10000;
+        // Output lines kept for scrolling back; see the scrollback command
+        this.scrollback = new Scrollback(outputElement, { columns: () => this.columns });
         
         // Enhanced terminal features
+        this.fs = createFactoryFileSystem();
         this.workingDirectory = '/home/jared';
-        this.environment = {
-            'USER': 'jared',
-            'HOME': '/home/jared',
-            'PWD': '/home/jared',
-            'PATH': '/usr/local/bin:/usr/bin:/bin',
-            'SHELL': '/bin/bash',
-            'TERM': 'xterm-256color',
-            'LANG': 'en_US.UTF-8'
-        };
+        this.environment = defaultEnvironment();
+        this.lastExitCode = 0;
+        // Shell scripting state: $1..$n, $0, functions and trap actions
+        this.positionalParameters = [];
+        this.scriptName = 'bash';
+        this.functions = new Map();
+        this.traps = new Map();
+        this.pager = null;
+        this.historySearch = null;
+        // The open find bar, see find.js
+        this.find = null;
+        // Job control: background and stopped jobs by number, see jobs.js
+        this.jobs = new Map();
+        this.foregroundJob = null;
+        this.lastBackgroundPid = null;
+        // The open Cisco IOS session, if any; lines go to it instead of the shell
+        this.ios = null;
         this.commandBuffer = '';
         this.isCommandMode = false;
         this.lastCommand = '';
@@ -123,8 +161,12 @@ export class Terminal {
 
         registerCommands(this.commands, this);
 
+        // Restore files and environment saved by a previous session
+        this.sessionReady = restoreSession(this);
+
         setupEventListeners(this);
         loadHistory(this);
+        loadAliases(this);
         
         // Apply current theme from global manager
         const themeManager = window.themeManagerInstance;
@@ -133,22 +175,29 @@ export class Terminal {
         }
         initializeStatusBar(this);
 
+        // ~/.neurc runs once the session is restored and the welcome is up
+        let welcomeShown;
+        const welcome = new Promise(resolve => { welcomeShown = resolve; });
+        this.startupReady = Promise.all([this.sessionReady, welcome]).then(() => runStartupFile(this));
+
         // Show welcome message with theme info
         setTimeout(() => {
-            writeOutput(this, `<div class="terminal-welcome">
-                <h3>neuOS terminal v2.1</h3>
-                <p>welcome to the enhanced terminal interface</p>
-                <p>current theme: <span style="color: var(--terminal-prompt);">${this.currentTheme}</span></p>
-                <p>available themes: default, dracula, sunset, cyberpunk</p>
-                <p>use 'theme <name>' to switch themes</p>
-                <p>type 'help' for available commands</p>
-                <p>working directory: ${this.workingDirectory}</p>
-                <p>use 'debug on' to enable debug logging</p>
-            </div>`);
+            measureColumns(this);
+            writeOutput(this, block([
+                heading('neuOS terminal v2.1'),
+                line('welcome to the enhanced terminal interface'),
+                line(`current theme: ${colorize(this.currentTheme, 'bold', 'cyan')}`),
+                line('available themes: default, dracula, sunset, cyberpunk'),
+                line("use 'theme <name>' to switch themes"),
+                line("type 'help' for available commands"),
+                line(`working directory: ${this.workingDirectory}`),
+                line("use 'debug on' to enable debug logging")
+            ], 'terminal-welcome'));
             this.inputElement.focus();
             
             // Force scrolling to work
             this.forceScrolling();
+            welcomeShown();
         }, 100);
     }
 
@@ -188,11 +237,24 @@ export class Terminal {
         this.isProcessing = true;
         
         try {
-            const command = this.inputElement.value.trim();
-            if (!command) {
+            const input = this.inputElement.value.trim();
+            await this.startupReady;
+            await reportFinishedJobs(this);
+            if (!input) {
                 displayPrompt(this);
                 return;
             }
+
+            // !!, !n, !prefix and ^old^new; the expanded line is what gets shown and saved
+            let command;
+            try {
+                command = expandHistory(this, input);
+            } catch (error) {
+                displayCommand(this, input);
+                handleCommandError(this, error);
+                this.lastExitCode = 1;
+                return;
+            }
             
             addToHistory(this, command);
             
@@ -208,52 +270,14 @@ export class Terminal {
                 showLoading(this, 'executing command...');
             }
             
-            // Handle command chaining with && and ||
-            const chainCommands = this.parseCommandChain(command);
-            let lastResult = null;
-            let shouldContinue = true;
-            
-            for (const chainCommandObj of chainCommands) {
-                if (!shouldContinue) break;
-                
-                const [cmd, ...args] = chainCommandObj.command.split(/\s+/).filter(Boolean);
-                const sanitizedCmd = cmd.toLowerCase().replace(/[^a-z0-9-]/g, '');
-                
-                if (this.commands.has(sanitizedCmd)) {
-                    try {
-                        const result = await this.commands.get(sanitizedCmd)(args);
-                        lastResult = result;
-                        
-                        // Hide loading state
-                        hideLoading(this);
-                        
-                        // Handle result with enhanced formatting
-                        if (result instanceof Error) {
-                            handleCommandError(this, result);
-                        } else if (typeof result === 'string' && result.includes('success')) {
-                            handleCommandSuccess(this, result);
-                        } else {
-                            await handleCommandResult(this, result, chainCommandObj.command);
-                        }
-                        
-                        // Check if we should continue based on chain operator
-                        const isSuccess = !(result instanceof Error);
-                        if (chainCommandObj.operator === '&&' && !isSuccess) {
-                            shouldContinue = false;
-                        } else if (chainCommandObj.operator === '||' && isSuccess) {
-                            shouldContinue = false;
-                        }
-                    } catch (error) {
-                        lastResult = error;
-                        hideLoading(this);
-                        handleCommandError(this, error);
-                        shouldContinue = false;
-                    }
-                } else {
-                    hideLoading(this);
-                    throw new AppError(`command not found: ${cmd}`, ErrorTypes.VALIDATION);
-                }
+            // Aliases expand before any command is looked up; the line runs
+            // as the foreground job, which Ctrl+C and Ctrl+Z act on
+            if (this.ios) {
+                await runForeground(this, command, runIosLine);
+            } else {
+                await runForeground(this, applyAliases(this, command));
             }
+            await reportFinishedJobs(this);
             
             // Update environment variables
             updateEnvironment(this);
@@ -264,6 +288,7 @@ export class Terminal {
         } finally {
             this.isProcessing = false;
             this.clearInput();
+            scheduleSessionSave(this);
             
             if (this.commandQueue.length) {
                 this.inputElement.value = this.commandQueue.shift();
@@ -275,64 +300,8 @@ export class Terminal {
         }
     }
 
-    parseCommandChain(command) {
-        const parts = command.split(/(\s*&&\s*|\s*\|\|\s*)/);
-        const result = [];
-        
-        for (let i = 0; i < parts.length; i += 2) {
-            const cmd = parts[i].trim();
-            const operator = parts[i + 1] ? parts[i + 1].trim() : null;
-            
-            if (cmd) {
-                result.push({
-                    command: cmd,
-                    operator: operator
-                });
-            }
-        }
-        
-        return result;
-    }
-
     getCommandCategory(command) {
-        const cmd = command.toLowerCase().split(' ')[0];
-        
-        // Network commands
-        if (['ping', 'traceroute', 'nslookup', 'arp', 'route', 'ssh', 'telnet', 'ftp', 'sftp', 'scp', 'rsync', 'wget', 'curl', 'nc', 'netstat', 'ss', 'lsof', 'tcpdump', 'nmap', 'host', 'whois', 'ifconfig', 'ip', 'iptables', 'ufw', 'firewall-cmd', 'speedtest', 'netsh'].includes(cmd)) {
-            return 'network';
-        }
-        
-        // System commands
-        if (['ps', 'top', 'kill', 'nice', 'renice', 'bg', 'fg', 'jobs', 'wait', 'sleep', 'date', 'time', 'uptime', 'whoami', 'who', 'w', 'hostname', 'uname', 'shutdown', 'reboot', 'logout', 'exit', 'suspend', 'hibernate', 'lock'].includes(cmd)) {
-            return 'system';
-        }
-        
-        // File system commands
-        if (['ls', 'cd', 'pwd', 'cat', 'head', 'tail', 'more', 'less', 'grep', 'find', 'locate', 'touch', 'mkdir', 'rmdir', 'rm', 'cp', 'mv', 'ln', 'chmod', 'chown', 'du', 'df', 'stat', 'file', 'wc', 'sort', 'uniq', 'cut', 'paste', 'join', 'split', 'tr', 'sed', 'awk'].includes(cmd)) {
-            return 'filesystem';
-        }
-        
-        // Effects and visual commands
-        if (['theme', 'color', 'brightness', 'contrast', 'blur', 'saturation', 'solarsystem', 'minimize', 'maximize', 'restore'].includes(cmd)) {
-            return 'effects';
-        }
-        
-        // App and window commands
-        if (['launch', 'close', 'focus', 'desktop', 'show', 'demoscene'].includes(cmd)) {
-            return 'apps';
-        }
-        
-        // Audio commands
-        if (['mechvibes', 'play', 'pause', 'stop', 'next', 'prev', 'volume', 'mute', 'unmute'].includes(cmd)) {
-            return 'audio';
-        }
-        
-        // Help and info commands
-        if (['help', 'man', 'info', 'whatis', 'apropos', 'type', 'which', 'whereis', 'alias', 'unalias', 'history', 'env', 'set', 'unset', 'export', 'echo', 'printf'].includes(cmd)) {
-            return 'help';
-        }
-        
-        return '';
+        return getCommandCategory(this, command);
     }
 
     isLongRunningCommand(command) {
@@ -369,6 +338,10 @@ export class Terminal {
         handleCtrlR(this);
     }
 
+    handleCtrlZ() {
+        handleCtrlZ(this);
+    }
+
     handleCtrlU() {
         handleCtrlU(this);
     }
@@ -421,8 +394,8 @@ export class Terminal {
         writeOutput(this, content);
     }
 
-    formatOutputWithSyntaxHighlighting(content) {
-        return formatOutputWithSyntaxHighlighting(content);
+    highlightSyntax(content) {
+        return highlightSyntax(content);
     }
 
     addInteractiveElements(outputDiv) {
@@ -437,10 +410,6 @@ export class Terminal {
         copyToClipboard(this, text);
     }
 
-    trimOutput() {
-        trimOutput(this);
-    }
-
     scrollToBottom() {
         scrollToBottom(this);
     }
@@ -462,7 +431,7 @@ export class Terminal {
     }
 
     formatOutput(output, element) {
-        formatOutput(output, element);
+        formatOutput(output, element, this.columns);
     }
 
     showLoading(message = 'processing...') {
@@ -587,43 +556,54 @@ export class Terminal {
 
     // Missing methods that are referenced in commands
     showHelp() {
-        return CONFIG.COMMANDS.HELP;
+        const { intro, sections, outro } = CONFIG.COMMANDS.HELP;
+        const columns = [{ label: 'Command', truncate: false }, 'Description'];
+        return block([
+            intro,
+            ...sections.flatMap(({ title, commands }) => [
+                '',
+                `=== ${title} ===`,
+                table(columns, commands.map(([name, description]) => [name, `- ${description}`]), { header: false })
+            ]),
+            '',
+            ...outro
+        ]);
     }
 
-    handleAlias(args) {
-        return `alias command not implemented yet. args: ${args.join(' ')}`;
+    handleAlias(args, io) {
+        return handleAlias(this, args, io);
     }
 
-    handleUnalias(args) {
-        return `unalias command not implemented yet. args: ${args.join(' ')}`;
+    handleUnalias(args, io) {
+        return handleUnalias(this, args, io);
     }
 
-    handleType(args) {
-        return `type command not implemented yet. args: ${args.join(' ')}`;
+    handleType(args, io) {
+        return handleType(this, args, io);
     }
 
-    handleWhich(args) {
-        return `which command not implemented yet. args: ${args.join(' ')}`;
+    handleWhich(args, io) {
+        return handleWhich(this, args, io);
     }
 
-    handleWhereis(args) {
-        return `whereis command not implemented yet. args: ${args.join(' ')}`;
+    handleWhereis(args, io) {
+        return handleWhereis(this, args, io);
     }
 
-    handleMan(args) {
-        return `man command not implemented yet. args: ${args.join(' ')}`;
+    handleMan(args, io) {
+        return handleMan(this, args, io);
     }
 
-    handleInfo(args) {
-        return `info command not implemented yet. args: ${args.join(' ')}`;
+    handleInfo(args, io) {
+        return handleInfo(this, args, io);
     }
 
-    handleWhatis(args) {
-        return `whatis command not implemented yet. args: ${args.join(' ')}`;
+    handleWhatis(args, io) {
+        return handleWhatis(this, args, io);
     }
 
-    handleApropos(args) {
-        return `apropos command not implemented yet. args: ${args.join(' ')}`;
+    handleApropos(args, io) {
+        return handleApropos(this, args, io);
     }
 
     handleLogging() {
@@ -631,14 +611,7 @@ export class Terminal {
     }
 
     handleCat(args) {
-        const [file] = args;
-        if (!file) {
-            return 'cat: missing argument';
-        }
-        if (file === 'resume.txt') {
-            return loadResume();
-        }
-        return `cat: ${file}: No such file or directory`;
+        return handleCat(this, args);
     }
 
     // Method to restore scrolling functionality
@@ -1,5 +1,8 @@
 // js/apps/terminal/theme.js
 
+import { colorize } from './ansi.js';
+import { success } from './outputNodes.js';
+
 export function applyTheme(terminal, themeName) {
     // Use the global theme manager for consistency
     const themeManager = window.themeManagerInstance;
@@ -30,11 +33,11 @@ export function handleThemeSwitch(terminal, args) {
         if (themeManager) {
             themeManager.applyTheme(themeName);
             terminal.currentTheme = themeName;
-            return `Theme switched to: ${themeName}`;
+            return success(`Theme switched to: ${themeName}`);
         } else {
             // Fallback to local theme
             applyTheme(terminal, themeName);
-            return `Theme switched to: ${themeName}`;
+            return success(`Theme switched to: ${themeName}`);
         }
     } else {
         const availableThemes = ['default', 'dracula', 'sunset', 'cyberpunk'].join(', ');
@@ -53,8 +56,8 @@ export function getCurrentTheme(terminal) {
 
 export function handleThemes(terminal) {
     const themeList = ['default', 'dracula', 'sunset', 'cyberpunk'].map(theme => {
-        const isCurrent = theme === terminal.currentTheme ? ' (current)' : '';
-        return `  ${theme}${isCurrent}`;
+        if (theme !== terminal.currentTheme) return `  ${theme}`;
+        return `  ${colorize(theme, 'bold', 'cyan')} (current)`;
     }).join('\n');
     
     return `Available themes:\n${themeList}\n\nUsage: theme <theme-name>`;
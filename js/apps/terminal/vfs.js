@@ -0,0 +1,637 @@
+// js/apps/terminal/vfs.js
+
+/**
+ * In-memory hierarchical filesystem used by the terminal file commands.
+ * Every node is an inode kept in a flat table; directories map entry
+ * names to inode numbers, so hard links and renames are cheap. A file
+ * inode with `device: 'null'` is /dev/null: it discards writes and reads
+ * as empty.
+ * @author jared u.
+ */
+
+import { AppError, ErrorTypes } from '../../utils/utils.js';
+
+export const FileTypes = {
+    FILE: 'file',
+    DIRECTORY: 'directory',
+    SYMLINK: 'symlink'
+};
+
+const ERROR_MESSAGES = {
+    ENOENT: 'No such file or directory',
+    ENOTDIR: 'Not a directory',
+    EISDIR: 'Is a directory',
+    EEXIST: 'File exists',
+    ENOTEMPTY: 'Directory not empty',
+    EACCES: 'Permission denied',
+    EPERM: 'Operation not permitted',
+    EINVAL: 'Invalid argument',
+    ELOOP: 'Too many levels of symbolic links'
+};
+
+const MAX_SYMLINK_DEPTH = 8;
+const BLOCK_SIZE = 4096;
+
+/**
+ * Create a filesystem error carrying an errno-style code.
+ * @param {string} code - One of the ERROR_MESSAGES keys
+ * @param {string} path - The path the operation failed on
+ * @returns {AppError}
+ */
+export function fsError(code, path) {
+    return new AppError(ERROR_MESSAGES[code] || code, ErrorTypes.VALIDATION, { code, path });
+}
+
+/**
+ * Convert a shell glob (*, ?, [abc]) into an anchored regular expression.
+ * @param {string} glob - The glob pattern
+ * @param {string} [flags=''] - RegExp flags, e.g. 'i'
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob, flags = '') {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') source += '.*';
+        else if (char === '?') source += '.';
+        else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Render permission bits the way `ls -l` does, e.g. drwxr-xr-x.
+ * @param {string} type - Inode type
+ * @param {number} mode - Permission bits
+ * @param {string} [device] - Set for device files, which show as `c`
+ * @returns {string}
+ */
+export function formatMode(type, mode, device) {
+    const prefix = device ? 'c' : type === FileTypes.DIRECTORY ? 'd' : type === FileTypes.SYMLINK ? 'l' : '-';
+    const chars = 'rwxrwxrwx';
+    let bits = '';
+    for (let i = 0; i < 9; i++) {
+        bits += mode & (1 << (8 - i)) ? chars[i] : '-';
+    }
+    if (mode & 0o1000) {
+        bits = bits.slice(0, 8) + (mode & 0o001 ? 't' : 'T');
+    }
+    return prefix + bits;
+}
+
+export class VirtualFileSystem {
+    constructor({ home = '/home/jared', user = 'jared' } = {}) {
+        this.inodes = new Map();
+        this.nextIno = 1;
+        this.home = home;
+        this.users = new Map([[0, 'root'], [1000, 'jared']]);
+        this.groups = new Map([[0, 'root'], [1000, 'jared']]);
+        this.uid = this.lookupUid(user);
+        this.gid = this.uid;
+        this.umask = 0o022;
+
+        this.rootIno = this.createInode(FileTypes.DIRECTORY, 0o755, 0, 0).ino;
+        this.inodes.get(this.rootIno).entries.set('..', this.rootIno);
+    }
+
+    // --- serialization -----------------------------------------------------
+
+    /**
+     * Produce a plain-object snapshot suitable for structured storage.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            home: this.home,
+            uid: this.uid,
+            gid: this.gid,
+            umask: this.umask,
+            rootIno: this.rootIno,
+            nextIno: this.nextIno,
+            inodes: [...this.inodes.values()].map(inode =>
+                inode.entries ? { ...inode, entries: [...inode.entries] } : { ...inode })
+        };
+    }
+
+    /**
+     * Rebuild a filesystem from a snapshot produced by toJSON().
+     * @param {object} data
+     * @returns {VirtualFileSystem}
+     */
+    static fromJSON(data) {
+        const fs = new VirtualFileSystem({ home: data.home });
+        fs.inodes = new Map(data.inodes.map(inode => [
+            inode.ino,
+            inode.entries ? { ...inode, entries: new Map(inode.entries) } : { ...inode }
+        ]));
+        fs.uid = data.uid;
+        fs.gid = data.gid;
+        fs.umask = data.umask;
+        fs.rootIno = data.rootIno;
+        fs.nextIno = data.nextIno;
+        return fs;
+    }
+
+    // --- inode table -------------------------------------------------------
+
+    createInode(type, mode, uid = this.uid, gid = this.gid, time = Date.now()) {
+        const inode = {
+            ino: this.nextIno++,
+            type,
+            mode,
+            uid,
+            gid,
+            nlink: type === FileTypes.DIRECTORY ? 2 : 1,
+            atime: time,
+            mtime: time,
+            ctime: time
+        };
+        if (type === FileTypes.DIRECTORY) inode.entries = new Map();
+        if (type === FileTypes.FILE) inode.content = '';
+        if (type === FileTypes.SYMLINK) inode.target = '';
+        this.inodes.set(inode.ino, inode);
+        return inode;
+    }
+
+    sizeOf(inode) {
+        if (inode.type === FileTypes.DIRECTORY) return BLOCK_SIZE;
+        if (inode.type === FileTypes.SYMLINK) return inode.target.length;
+        return new TextEncoder().encode(inode.content).length;
+    }
+
+    lookupUid(name) {
+        for (const [uid, user] of this.users) {
+            if (user === name) return uid;
+        }
+        return /^\d+$/.test(name) ? Number(name) : null;
+    }
+
+    lookupGid(name) {
+        for (const [gid, group] of this.groups) {
+            if (group === name) return gid;
+        }
+        return /^\d+$/.test(name) ? Number(name) : null;
+    }
+
+    // --- permissions -------------------------------------------------------
+
+    canAccess(inode, want) {
+        if (this.uid === 0) return true;
+        let shift = 0;
+        if (inode.uid === this.uid) shift = 6;
+        else if (inode.gid === this.gid) shift = 3;
+        const bits = (inode.mode >> shift) & 0o7;
+        return (bits & want) === want;
+    }
+
+    assertAccess(inode, want, path) {
+        if (!this.canAccess(inode, want)) throw fsError('EACCES', path);
+    }
+
+    // --- path handling -----------------------------------------------------
+
+    /**
+     * Turn a possibly relative path into a normalized absolute one.
+     * Does not touch the inode table, so `..` is resolved lexically.
+     * @param {string} cwd - Absolute working directory
+     * @param {string} path - Path as typed by the user
+     * @returns {string}
+     */
+    resolve(cwd, path = '.') {
+        let raw = String(path);
+        if (raw === '~' || raw.startsWith('~/')) {
+            raw = this.home + raw.slice(1);
+        }
+        const base = raw.startsWith('/') ? [] : cwd.split('/').filter(Boolean);
+        for (const part of raw.split('/')) {
+            if (!part || part === '.') continue;
+            if (part === '..') base.pop();
+            else base.push(part);
+        }
+        return '/' + base.join('/');
+    }
+
+    /**
+     * Shorten an absolute path by replacing the home directory with ~.
+     * @param {string} path
+     * @returns {string}
+     */
+    displayPath(path) {
+        if (path === this.home) return '~';
+        return path.startsWith(this.home + '/') ? '~' + path.slice(this.home.length) : path;
+    }
+
+    static basename(path) {
+        const parts = path.split('/').filter(Boolean);
+        return parts.length ? parts[parts.length - 1] : '/';
+    }
+
+    static dirname(path) {
+        const parts = path.split('/').filter(Boolean);
+        parts.pop();
+        return '/' + parts.join('/');
+    }
+
+    /**
+     * Walk an absolute path to its inode.
+     * @param {string} path - Absolute, normalized path
+     * @param {object} [options]
+     * @param {boolean} [options.follow=true] - Follow a trailing symlink
+     * @returns {object} The inode
+     */
+    lookup(path, { follow = true } = {}, depth = 0) {
+        if (depth > MAX_SYMLINK_DEPTH) throw fsError('ELOOP', path);
+
+        const parts = path.split('/').filter(Boolean);
+        let current = this.inodes.get(this.rootIno);
+        let walked = '';
+
+        for (let i = 0; i < parts.length; i++) {
+            if (current.type !== FileTypes.DIRECTORY) throw fsError('ENOTDIR', path);
+            this.assertAccess(current, 0o1, path);
+
+            const childIno = current.entries.get(parts[i]);
+            if (childIno === undefined) throw fsError('ENOENT', path);
+            let child = this.inodes.get(childIno);
+
+            const isLast = i === parts.length - 1;
+            if (child.type === FileTypes.SYMLINK && (!isLast || follow)) {
+                const target = this.resolve(walked || '/', child.target);
+                child = this.lookup(target, { follow: true }, depth + 1);
+            }
+            walked += '/' + parts[i];
+            current = child;
+        }
+        return current;
+    }
+
+    tryLookup(path, options) {
+        try {
+            return this.lookup(path, options);
+        } catch {
+            return null;
+        }
+    }
+
+    lookupParent(path) {
+        const name = VirtualFileSystem.basename(path);
+        if (path === '/' || name === '..' || name === '.') throw fsError('EINVAL', path);
+        const parent = this.lookup(VirtualFileSystem.dirname(path));
+        if (parent.type !== FileTypes.DIRECTORY) throw fsError('ENOTDIR', path);
+        return { parent, name };
+    }
+
+    // --- queries -----------------------------------------------------------
+
+    exists(path) {
+        return this.tryLookup(path) !== null;
+    }
+
+    isDirectory(path) {
+        return this.tryLookup(path)?.type === FileTypes.DIRECTORY;
+    }
+
+    /**
+     * Describe a path the way stat(2) would.
+     * @param {string} path - Absolute path
+     * @param {object} [options]
+     * @param {boolean} [options.follow=true] - Follow a trailing symlink
+     * @returns {object}
+     */
+    stat(path, { follow = true } = {}) {
+        const inode = this.lookup(path, { follow });
+        return {
+            path,
+            name: VirtualFileSystem.basename(path),
+            ino: inode.ino,
+            type: inode.type,
+            mode: inode.mode,
+            permissions: formatMode(inode.type, inode.mode, inode.device),
+            device: inode.device,
+            uid: inode.uid,
+            gid: inode.gid,
+            owner: this.users.get(inode.uid) ?? String(inode.uid),
+            group: this.groups.get(inode.gid) ?? String(inode.gid),
+            size: this.sizeOf(inode),
+            blocks: Math.ceil(this.sizeOf(inode) / 512),
+            nlink: inode.nlink,
+            target: inode.target,
+            atime: inode.atime,
+            mtime: inode.mtime,
+            ctime: inode.ctime
+        };
+    }
+
+    readdir(path, { all = false } = {}) {
+        const dir = this.lookup(path);
+        if (dir.type !== FileTypes.DIRECTORY) throw fsError('ENOTDIR', path);
+        this.assertAccess(dir, 0o4, path);
+        dir.atime = Date.now();
+
+        const names = [...dir.entries.keys()].filter(name => name !== '..');
+        const visible = all ? names : names.filter(name => !name.startsWith('.'));
+        if (all) visible.push('.', '..');
+        return visible.sort((a, b) => a.replace(/^\.+/, '').localeCompare(b.replace(/^\.+/, '')));
+    }
+
+    readFile(path) {
+        const inode = this.lookup(path);
+        if (inode.type === FileTypes.DIRECTORY) throw fsError('EISDIR', path);
+        this.assertAccess(inode, 0o4, path);
+        inode.atime = Date.now();
+        return inode.device ? '' : inode.content;
+    }
+
+    /**
+     * Yield every path below (and including) a starting directory.
+     * @param {string} path - Absolute start path
+     * @yields {{path: string, depth: number, stat: object}}
+     */
+    *walk(path, depth = 0) {
+        const stat = this.stat(path, { follow: depth === 0 });
+        yield { path, depth, stat };
+        if (stat.type !== FileTypes.DIRECTORY) return;
+
+        const inode = this.lookup(path);
+        if (!this.canAccess(inode, 0o5)) return;
+        for (const name of [...inode.entries.keys()].sort()) {
+            if (name === '..') continue;
+            yield* this.walk(path === '/' ? `/${name}` : `${path}/${name}`, depth + 1);
+        }
+    }
+
+    // --- mutations ---------------------------------------------------------
+
+    link(parent, name, inode) {
+        parent.entries.set(name, inode.ino);
+        parent.mtime = parent.ctime = Date.now();
+        if (inode.type === FileTypes.DIRECTORY) {
+            inode.entries.set('..', parent.ino);
+            parent.nlink++;
+        }
+    }
+
+    unlinkEntry(parent, name) {
+        const inode = this.inodes.get(parent.entries.get(name));
+        parent.entries.delete(name);
+        parent.mtime = parent.ctime = Date.now();
+        if (inode.type === FileTypes.DIRECTORY) parent.nlink--;
+        if (--inode.nlink <= 0 || inode.type === FileTypes.DIRECTORY) {
+            this.inodes.delete(inode.ino);
+        }
+    }
+
+    writeFile(path, content, { append = false } = {}) {
+        let inode = this.tryLookup(path);
+        if (!inode) {
+            const { parent, name } = this.lookupParent(path);
+            this.assertAccess(parent, 0o3, path);
+            inode = this.createInode(FileTypes.FILE, 0o666 & ~this.umask);
+            this.link(parent, name, inode);
+        }
+        if (inode.type === FileTypes.DIRECTORY) throw fsError('EISDIR', path);
+        this.assertAccess(inode, 0o2, path);
+
+        if (!inode.device) inode.content = append ? inode.content + content : String(content);
+        inode.mtime = inode.ctime = Date.now();
+        return inode;
+    }
+
+    touch(path) {
+        const inode = this.tryLookup(path);
+        if (!inode) return this.writeFile(path, '');
+        inode.atime = inode.mtime = Date.now();
+        return inode;
+    }
+
+    mkdir(path, { parents = false } = {}) {
+        if (parents) {
+            const parts = path.split('/').filter(Boolean);
+            let current = '';
+            for (const part of parts) {
+                current += '/' + part;
+                const existing = this.tryLookup(current);
+                if (existing && existing.type !== FileTypes.DIRECTORY) throw fsError('ENOTDIR', current);
+                if (!existing) this.mkdir(current);
+            }
+            return this.lookup(path);
+        }
+
+        if (this.tryLookup(path, { follow: false })) throw fsError('EEXIST', path);
+        const { parent, name } = this.lookupParent(path);
+        this.assertAccess(parent, 0o3, path);
+        const dir = this.createInode(FileTypes.DIRECTORY, 0o777 & ~this.umask);
+        this.link(parent, name, dir);
+        return dir;
+    }
+
+    rmdir(path) {
+        const inode = this.lookup(path, { follow: false });
+        if (inode.type !== FileTypes.DIRECTORY) throw fsError('ENOTDIR', path);
+        if (inode.entries.size > 1) throw fsError('ENOTEMPTY', path);
+        const { parent, name } = this.lookupParent(path);
+        this.assertAccess(parent, 0o3, path);
+        this.unlinkEntry(parent, name);
+    }
+
+    unlink(path) {
+        const inode = this.lookup(path, { follow: false });
+        if (inode.type === FileTypes.DIRECTORY) throw fsError('EISDIR', path);
+        const { parent, name } = this.lookupParent(path);
+        this.assertAccess(parent, 0o3, path);
+        this.unlinkEntry(parent, name);
+    }
+
+    remove(path, { recursive = false } = {}) {
+        const inode = this.lookup(path, { follow: false });
+        if (inode.type !== FileTypes.DIRECTORY) return this.unlink(path);
+        if (!recursive) throw fsError('EISDIR', path);
+        for (const name of [...inode.entries.keys()]) {
+            if (name !== '..') this.remove(`${path === '/' ? '' : path}/${name}`, { recursive });
+        }
+        this.rmdir(path);
+    }
+
+    /**
+     * Resolve a destination operand: copying or moving onto an existing
+     * directory places the source inside it, as cp(1) and mv(1) do.
+     */
+    destinationFor(source, dest) {
+        return this.isDirectory(dest) ? `${dest === '/' ? '' : dest}/${VirtualFileSystem.basename(source)}` : dest;
+    }
+
+    copy(source, dest, { recursive = false } = {}) {
+        const inode = this.lookup(source);
+        const target = this.destinationFor(source, dest);
+        if (target === source || target.startsWith(source + '/')) throw fsError('EINVAL', dest);
+
+        if (inode.type === FileTypes.DIRECTORY) {
+            if (!recursive) throw fsError('EISDIR', source);
+            if (!this.exists(target)) this.mkdir(target);
+            for (const name of this.readdir(source, { all: true })) {
+                if (name === '.' || name === '..') continue;
+                this.copy(`${source}/${name}`, `${target}/${name}`, { recursive });
+            }
+            return target;
+        }
+
+        this.assertAccess(inode, 0o4, source);
+        const copied = this.writeFile(target, inode.content);
+        copied.mode = inode.mode & ~this.umask;
+        return target;
+    }
+
+    rename(source, dest) {
+        const inode = this.lookup(source, { follow: false });
+        const target = this.destinationFor(source, dest);
+        if (target === source) return target;
+        if (target.startsWith(source + '/')) throw fsError('EINVAL', dest);
+
+        const from = this.lookupParent(source);
+        const to = this.lookupParent(target);
+        this.assertAccess(from.parent, 0o3, source);
+        this.assertAccess(to.parent, 0o3, target);
+
+        const existing = this.tryLookup(target, { follow: false });
+        if (existing) {
+            if (existing.type === FileTypes.DIRECTORY && inode.type !== FileTypes.DIRECTORY) throw fsError('EISDIR', target);
+            if (existing.type === FileTypes.DIRECTORY && existing.entries.size > 1) throw fsError('ENOTEMPTY', target);
+            this.unlinkEntry(to.parent, to.name);
+        }
+
+        from.parent.entries.delete(from.name);
+        from.parent.mtime = from.parent.ctime = Date.now();
+        if (inode.type === FileTypes.DIRECTORY) from.parent.nlink--;
+        this.link(to.parent, to.name, inode);
+        inode.ctime = Date.now();
+        return target;
+    }
+
+    symlink(target, path) {
+        if (this.tryLookup(path, { follow: false })) throw fsError('EEXIST', path);
+        const { parent, name } = this.lookupParent(path);
+        this.assertAccess(parent, 0o3, path);
+        const inode = this.createInode(FileTypes.SYMLINK, 0o777);
+        inode.target = target;
+        this.link(parent, name, inode);
+        return inode;
+    }
+
+    hardlink(source, path) {
+        const inode = this.lookup(source);
+        if (inode.type === FileTypes.DIRECTORY) throw fsError('EPERM', source);
+        if (this.tryLookup(path, { follow: false })) throw fsError('EEXIST', path);
+        const { parent, name } = this.lookupParent(path);
+        this.assertAccess(parent, 0o3, path);
+        this.link(parent, name, inode);
+        inode.nlink++;
+        inode.ctime = Date.now();
+        return inode;
+    }
+
+    /**
+     * Change permission bits from an octal (755) or symbolic (u+x,go-w) spec.
+     * @param {string} path - Absolute path
+     * @param {string} spec - Mode specification
+     */
+    chmod(path, spec) {
+        const inode = this.lookup(path);
+        if (this.uid !== 0 && inode.uid !== this.uid) throw fsError('EPERM', path);
+        inode.mode = VirtualFileSystem.applyModeSpec(inode.mode, spec, inode.type === FileTypes.DIRECTORY);
+        inode.ctime = Date.now();
+    }
+
+    static applyModeSpec(mode, spec, isDirectory = false) {
+        if (/^[0-7]{1,4}$/.test(spec)) return parseInt(spec, 8);
+
+        let result = mode;
+        for (const clause of spec.split(',')) {
+            const match = clause.match(/^([ugoa]*)([+=-])([rwxXt]*)$/);
+            if (!match) throw fsError('EINVAL', spec);
+            const [, who = '', op, perms] = match;
+            const targets = who === '' || who.includes('a') ? 'ugo' : who;
+
+            let bits = 0;
+            for (const target of targets) {
+                const shift = { u: 6, g: 3, o: 0 }[target];
+                if (perms.includes('r')) bits |= 0o4 << shift;
+                if (perms.includes('w')) bits |= 0o2 << shift;
+                if (perms.includes('x') || (perms.includes('X') && (isDirectory || mode & 0o111))) bits |= 0o1 << shift;
+            }
+            if (perms.includes('t')) bits |= 0o1000;
+
+            if (op === '+') result |= bits;
+            else if (op === '-') result &= ~bits;
+            else {
+                for (const target of targets) {
+                    result &= ~(0o7 << { u: 6, g: 3, o: 0 }[target]);
+                }
+                result |= bits;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Change ownership from an `owner[:group]` spec.
+     * @param {string} path - Absolute path
+     * @param {string} spec - Owner and optional group
+     */
+    chown(path, spec) {
+        const inode = this.lookup(path);
+        const [owner, group] = spec.split(':');
+        const uid = owner ? this.lookupUid(owner) : inode.uid;
+        const gid = group ? this.lookupGid(group) : inode.gid;
+        if (uid === null || gid === null) throw fsError('EINVAL', spec);
+        if (this.uid !== 0 && (uid !== inode.uid || inode.uid !== this.uid)) throw fsError('EPERM', path);
+        inode.uid = uid;
+        inode.gid = gid;
+        inode.ctime = Date.now();
+    }
+
+    /**
+     * Create a node while bypassing permission checks. Used to lay down the
+     * factory image, where system directories belong to root.
+     * @param {string} path - Absolute path
+     * @param {object} spec - { type, content, target, device, mode, owner, group, mtime }
+     */
+    install(path, spec = {}) {
+        const previous = { uid: this.uid, gid: this.gid };
+        this.uid = this.gid = 0;
+        try {
+            const type = spec.type || FileTypes.FILE;
+            const parentPath = VirtualFileSystem.dirname(path);
+            if (!this.exists(parentPath)) this.mkdir(parentPath, { parents: true });
+
+            let inode;
+            if (type === FileTypes.DIRECTORY) {
+                inode = this.tryLookup(path) || this.mkdir(path);
+            } else if (type === FileTypes.SYMLINK) {
+                inode = this.symlink(spec.target, path);
+            } else {
+                inode = this.writeFile(path, spec.content ?? '');
+            }
+
+            const defaultMode = type === FileTypes.DIRECTORY ? 0o755 : type === FileTypes.SYMLINK ? 0o777 : 0o644;
+            if (spec.device) inode.device = spec.device;
+            inode.mode = spec.mode ?? defaultMode;
+            inode.uid = this.lookupUid(spec.owner || 'root');
+            inode.gid = this.lookupGid(spec.group || spec.owner || 'root');
+            if (spec.mtime) inode.atime = inode.mtime = inode.ctime = spec.mtime;
+            return inode;
+        } finally {
+            this.uid = previous.uid;
+            this.gid = previous.gid;
+        }
+    }
+}
@@ -26,86 +26,94 @@ export const CONFIG = {
 
     // Terminal commands
     COMMANDS: {
-        HELP: `available commands:
-
-=== network engineering ===
-ssh <target>           - connect to network devices
-  core-switch-01      - Core switch (192.168.1.1)
-  edge-router-01      - Edge router (192.168.1.254)
-  firewall-01         - Firewall (192.168.1.10)
-  server-01           - Management server (192.168.1.100)
-  wireless-controller - Wireless controller (192.168.1.50)
-
-show <command>         - display system information
-  running-config      - Current configuration
-  ip route           - Routing table
-  interface brief    - Interface status
-  logging            - Logging configuration
-  version            - System version
-  help               - Show command help
-
-ping <target>          - test network connectivity
-logging [on|off|debug] - control system logging
-
-=== network tools ===
-traceroute <host>      - trace network route
-nslookup <host>        - dns lookup
-arp                   - show arp table
-route                 - show routing table
-
-=== system navigation ===
-launch <app>          - launch applications
-apps                  - list available applications
-windows               - list open windows
-close [app]           - close window
-focus <app>           - focus on specified window
-desktop clear         - clear desktop and close all windows
-
-=== visual effects ===
-particles <cmd>       - particle system control
-effects <cmd>         - visual effects control
-
-=== system information ===
-resume                - display resume information
-show <section>        - show specific resume section
-  experience         - work experience
-  skills             - technical skills
-  certifications     - professional certifications
-  demoscene          - launch 64mb demoscene
-
-=== system control ===
-system <cmd>          - system operations
-theme <cmd>           - theme control
-audio <cmd>           - audio system control
-performance <cmd>     - performance monitoring
-screensaver <cmd>     - space screensaver control
-ss <cmd>              - screensaver shortcut
-
-=== help ===
-help                  - show this help message
-clear                 - clear terminal output
-exit                  - close terminal
-
-type any command to get started. use tab for auto-completion.
-happy exploring! 🚀`,
-        PING: 'Pinging 8.8.8.8... Reply from 8.8.8.8: 32ms',
-        IFCONFIG: `eth0: flags=4163<UP,BROADCAST,RUNNING,MULTICAST>  mtu 1500
-        inet 192.168.1.100  netmask 255.255.255.0  broadcast 192.168.1.255
-        inet6 fe80::a00:27ff:fe4e:66a1  prefixlen 64  scopeid 0x20<link>
-        ether 08:00:27:4e:66:a1  txqueuelen 1000  (Ethernet)
-        RX packets 1234567  bytes 987654321 (941.1 MiB)
-        TX packets 987654   bytes 123456789 (117.7 MiB)`,
-        NETSTAT: `Active Connections
-Proto  Local Address          Foreign Address        State
-TCP    192.168.1.100:22       192.168.1.1:54321     ESTABLISHED
-TCP    192.168.1.100:80       0.0.0.0:0              LISTENING
-TCP    192.168.1.100:443      0.0.0.0:0              LISTENING
-UDP    192.168.1.100:53       *:*                    LISTENING`,
-        ROUTE: `Kernel IP routing table:
-Destination     Gateway         Genmask         Flags Metric Ref    Use Iface
-0.0.0.0         192.168.1.1     0.0.0.0         UG    100    0        0 eth0
-192.168.1.0     0.0.0.0         255.255.255.0   U     100    0        0 eth0
-169.254.0.0     0.0.0.0         255.255.0.0     U     1000   0        0 eth0`
+        // help's listing: one table of [command, description] rows per section
+        HELP: {
+            intro: 'available commands:',
+            sections: [
+                {
+                    title: 'network engineering',
+                    commands: [
+                        ['ssh <target>', 'connect to network devices'],
+                        ['  R1', 'Router, LAN gateway (192.168.1.1)'],
+                        ['  R2', 'Router (10.0.0.6)'],
+                        ['  R3', 'Router, branch gateway (192.168.2.1)'],
+                        ['  SW1', 'Switch (192.168.1.5)'],
+                        ['  SW2', 'Branch switch (192.168.2.5)'],
+                        ['  Firewall', 'Edge firewall (10.0.0.1)'],
+                        ['show <command>', 'display system information'],
+                        ['  running-config', 'Current configuration'],
+                        ['  ip route', 'Routing table'],
+                        ['  interface brief', 'Interface status'],
+                        ['  logging', 'Logging configuration'],
+                        ['  version', 'System version'],
+                        ['  help', 'Show command help'],
+                        ['ping <target>', 'test network connectivity'],
+                        ['logging [on|off|debug]', 'control system logging']
+                    ]
+                },
+                {
+                    title: 'network tools',
+                    commands: [
+                        ['traceroute <host>', 'trace network route'],
+                        ['nslookup <host>', 'dns lookup'],
+                        ['arp', 'show arp table'],
+                        ['route', 'show routing table']
+                    ]
+                },
+                {
+                    title: 'system navigation',
+                    commands: [
+                        ['launch <app>', 'launch applications'],
+                        ['apps', 'list available applications'],
+                        ['windows', 'list open windows'],
+                        ['close [app]', 'close window'],
+                        ['focus <app>', 'focus on specified window'],
+                        ['desktop clear', 'clear desktop and close all windows']
+                    ]
+                },
+                {
+                    title: 'visual effects',
+                    commands: [
+                        ['particles <cmd>', 'particle system control'],
+                        ['effects <cmd>', 'visual effects control']
+                    ]
+                },
+                {
+                    title: 'system information',
+                    commands: [
+                        ['resume', 'display resume information'],
+                        ['show <section>', 'show specific resume section'],
+                        ['  experience', 'work experience'],
+                        ['  skills', 'technical skills'],
+                        ['  certifications', 'professional certifications'],
+                        ['  demoscene', 'launch 64mb demoscene']
+                    ]
+                },
+                {
+                    title: 'system control',
+                    commands: [
+                        ['system <cmd>', 'system operations'],
+                        ['theme <cmd>', 'theme control'],
+                        ['audio <cmd>', 'audio system control'],
+                        ['performance <cmd>', 'performance monitoring'],
+                        ['screensaver <cmd>', 'space screensaver control'],
+                        ['ss <cmd>', 'screensaver shortcut']
+                    ]
+                },
+                {
+                    title: 'help',
+                    commands: [
+                        ['help', 'show this help message'],
+                        ['clear', 'clear terminal output'],
+                        ['exit', 'close terminal']
+                    ]
+                }
+            ],
+            outro: [
+                'type any command to get started. use tab for auto-completion.',
+                'happy exploring! 🚀'
+            ]
+        }
     },
 
     // File paths
@@ -118,23 +126,32 @@ Destination     Gateway         Genmask         Flags Metric Ref    Use Iface
     NETWORK: {
         UPDATE_INTERVAL: 3000,
         nodes: [
-            { id: 1, label: 'Router', group: 'routers' },
-            { id: 2, label: 'Switch', group: 'switches' },
+            { id: 1, label: 'R1', group: 'routers' },
+            { id: 2, label: 'SW1', group: 'switches' },
             { id: 3, label: 'Server 1', group: 'servers' },
             { id: 4, label: 'Server 2', group: 'servers' },
             { id: 5, label: 'PC-1', group: 'pcs' },
             { id: 6, label: 'PC-2', group: 'pcs' },
             { id: 7, label: 'PC-3', group: 'pcs' },
-            { id: 8, label: 'Firewall', group: 'firewalls' }
+            { id: 8, label: 'Firewall', group: 'firewalls' },
+            { id: 9, label: 'R2', group: 'routers' },
+            { id: 10, label: 'R3', group: 'routers' },
+            { id: 11, label: 'SW2', group: 'switches' },
+            { id: 12, label: 'PC-4', group: 'pcs' }
         ],
         edges: [
-            { from: 8, to: 1 }, // Firewall -> Router
-            { from: 1, to: 2 }, // Router -> Switch
-            { from: 2, to: 3 }, // Switch -> Server 1
-            { from: 2, to: 4 }, // Switch -> Server 2
-            { from: 2, to: 5 }, // Switch -> PC-1
-            { from: 2, to: 6 }, // Switch -> PC-2
-            { from: 2, to: 7 }  // Switch -> PC-3
+            { from: 8, to: 1 }, // Firewall -> R1
+            { from: 1, to: 2 }, // R1 -> SW1
+            { from: 2, to: 3 }, // SW1 -> Server 1
+            { from: 2, to: 4 }, // SW1 -> Server 2
+            { from: 2, to: 5 }, // SW1 -> PC-1
+            { from: 2, to: 6 }, // SW1 -> PC-2
+            { from: 2, to: 7 }, // SW1 -> PC-3
+            { from: 1, to: 9 }, // R1 -> R2
+            { from: 9, to: 10 }, // R2 -> R3
+            { from: 1, to: 10, cost: 3 }, // R1 -> R3, the backup path
+            { from: 10, to: 11 }, // R3 -> SW2
+            { from: 11, to: 12 } // SW2 -> PC-4
         ],
         options: {
             nodes: {
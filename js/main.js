@@ -456,7 +456,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         // Initialize starfield background globally
         try {
-            new window.StarfieldBackground();
+            window.neuOS.starfield = new window.StarfieldBackground();
         } catch (error) {
             console.warn('Starfield background initialization failed:', error);
         }